@@ -1,6 +1,13 @@
 const { initializeDatabase } = require("../src/schema");
 const { initializeStore } = require("../src/store");
-const { ensureAdmin } = require("../services/runtimeContext");
+const { ensureAdmin, pool } = require("../services/runtimeContext");
+const { startEmailOutboxWorker } = require("../services/emailOutbox");
+const { startMedicationReminderWorker } = require("../services/medications");
+const { startDocumentExpiryWorker } = require("../services/documentVerification");
+const { startCareRequestSlaWorker } = require("../services/careRequestSla");
+const { startCareRequestRenewalWorker } = require("../services/careRequestRenewals");
+const { loadCareRequestWorkflow } = require("../services/careRequestWorkflow");
+const { isWhatsAppConfigured } = require("../src/whatsapp");
 
 function validateDeploymentEnvironment() {
   const isProduction = process.env.NODE_ENV === "production";
@@ -10,6 +17,10 @@ function validateDeploymentEnvironment() {
     throw new Error("SESSION_SECRET must be set in production.");
   }
 
+  if (isProduction && isWhatsAppConfigured() && !String(process.env.WHATSAPP_APP_SECRET || "").trim()) {
+    throw new Error("WHATSAPP_APP_SECRET must be set in production when WhatsApp is enabled.");
+  }
+
   if (isProduction && !String(process.env.DATABASE_URL || "").trim()) {
     console.warn("DATABASE_URL is not configured. Production data may not persist correctly.");
   }
@@ -30,7 +41,13 @@ async function bootstrapApp() {
 
 async function startServer(app, port) {
   validateDeploymentEnvironment();
+  loadCareRequestWorkflow();
   await bootstrapApp();
+  startEmailOutboxWorker(pool);
+  startMedicationReminderWorker(pool);
+  startDocumentExpiryWorker(pool);
+  startCareRequestSlaWorker(pool);
+  startCareRequestRenewalWorker(pool);
 
   return app.listen(port, () => {
     const isProduction = process.env.NODE_ENV === "production";
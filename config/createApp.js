@@ -5,6 +5,25 @@ const createSessionRoutes = require("../routes/sessionRoutes");
 const createAdminRoutes = require("../routes/adminRoutes");
 const createAgentPortalRoutes = require("../routes/agentPortalRoutes");
 const createNurseSupportRoutes = require("../routes/nurseSupportRoutes");
+const createCareShiftRoutes = require("../routes/careShiftRoutes");
+const createCarePlanRoutes = require("../routes/carePlanRoutes");
+const createVitalsRoutes = require("../routes/vitalsRoutes");
+const createMedicationRoutes = require("../routes/medicationRoutes");
+const createIncidentRoutes = require("../routes/incidentRoutes");
+const createDocumentVerificationRoutes = require("../routes/documentVerificationRoutes");
+const createFamilyPortalRoutes = require("../routes/familyPortalRoutes");
+const createReviewModerationRoutes = require("../routes/reviewModerationRoutes");
+const createProfileChangeRoutes = require("../routes/profileChangeRoutes");
+const createCareRequestWorkflowRoutes = require("../routes/careRequestWorkflowRoutes");
+const createCareRequestSlaRoutes = require("../routes/careRequestSlaRoutes");
+const createInvoiceRoutes = require("../routes/invoiceRoutes");
+const createPayoutRoutes = require("../routes/payoutRoutes");
+const createAgentCommissionRoutes = require("../routes/agentCommissionRoutes");
+const createApiTokenRoutes = require("../routes/apiTokenRoutes");
+const createApiRoutes = require("../routes/apiRoutes");
+const createAuditLogRoutes = require("../routes/auditLogRoutes");
+const createEmailOutboxRoutes = require("../routes/emailOutboxRoutes");
+const createWhatsAppRoutes = require("../routes/whatsappRoutes");
 const nurseRoutes = require("../routes/nurse");
 
 function createApp() {
@@ -17,6 +36,25 @@ function createApp() {
   app.use(createAdminRoutes());
   app.use(createAgentPortalRoutes());
   app.use(createNurseSupportRoutes());
+  app.use(createCareShiftRoutes());
+  app.use(createCarePlanRoutes());
+  app.use(createVitalsRoutes());
+  app.use(createMedicationRoutes());
+  app.use(createIncidentRoutes());
+  app.use(createDocumentVerificationRoutes());
+  app.use(createFamilyPortalRoutes());
+  app.use(createReviewModerationRoutes());
+  app.use(createProfileChangeRoutes());
+  app.use(createCareRequestWorkflowRoutes());
+  app.use(createCareRequestSlaRoutes());
+  app.use(createInvoiceRoutes());
+  app.use(createPayoutRoutes());
+  app.use(createAgentCommissionRoutes());
+  app.use(createApiTokenRoutes());
+  app.use(createApiRoutes());
+  app.use(createAuditLogRoutes());
+  app.use(createEmailOutboxRoutes());
+  app.use(createWhatsAppRoutes());
   app.use("/nurse", nurseRoutes);
 
   app.use((req, res) => {
@@ -1,5 +1,53 @@
 const express = require("express");
 const runtime = require("../services/runtimeContext");
+const {
+  VISIT_WEEKDAYS,
+  VISIT_WEEKDAY_LABELS,
+  formatVisitDays,
+  listCareRequestShifts,
+  selectUpcomingShifts,
+  summarizeShifts
+} = require("../services/careShifts");
+const { summarizeRequestAttendance } = require("../services/shiftAttendance");
+const { loadCareRequestMatchCriteria, rankNursesForRequest } = require("../services/nurseMatching");
+const { GST_STATES, listCareRequestInvoices } = require("../services/invoices");
+const { findEarningsPayoutBatch } = require("../services/payoutBatches");
+const { syncCareRequestCommissionAccruals } = require("../services/agentCommissions");
+const {
+  CARE_REQUEST_EARNINGS_TOTALS_SQL,
+  listCareRequestEarnings,
+  upsertCareRequestEarnings
+} = require("../services/careRequestEarnings");
+const { finishCareRequestTransition, transitionCareRequest } = require("../services/careRequestWorkflow");
+const { loadCareRequestSlaBadges } = require("../services/careRequestSla");
+const {
+  ASSIGNMENT_END_REASONS,
+  REPLACEMENT_REASONS,
+  endNurseAssignmentPeriods,
+  findReplacementNurse,
+  handOverAssignment,
+  listCareRequestAssignments,
+  normalizeReplacementInput
+} = require("../services/careRequestAssignments");
+const {
+  buildRenewalDefaults,
+  createRenewalRequest,
+  loadRenewalSource,
+  normalizeRenewalInput
+} = require("../services/careRequestRenewals");
+const {
+  PATIENT_AUDIT_FIELDS,
+  pickAuditFields,
+  recordAuditEvent,
+  recordAuditEventSafely
+} = require("../services/auditLog");
+const {
+  dispatchNotificationDeliveries,
+  findCareRequestRecipients,
+  notifyFamilyContact,
+  notifyUsers
+} = require("../services/notifications");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
 
 function createAdminController() {
   const router = express.Router();
@@ -60,7 +108,6 @@ function createAdminController() {
     CARE_REQUEST_MARKETPLACE_TABS,
     CARE_REQUEST_PAYMENT_STATUSES,
     CARE_REQUEST_STATUSES,
-    CARE_REQUEST_TRANSITIONS,
     CERTIFICATES_DIR,
     COMMISSION_TYPES,
     COMPANY_EMAIL,
@@ -96,7 +143,6 @@ function createAdminController() {
     buildPublicNurseProfileView,
     calculateCommission,
     calculateProfileCompletion,
-    canTransitionCareRequestStatus,
     clearPatientFinancials,
     collectNurseAssetUrls,
     configureApp,
@@ -456,8 +502,10 @@ function createAdminController() {
 
       const nurseSetClauses = [];
       const nurseValues = [];
+      const nurseColumns = [];
       const setNurseField = (column, value) => {
         nurseValues.push(value);
+        nurseColumns.push(column);
         nurseSetClauses.push(`${column} = $${nurseValues.length}`);
       };
 
@@ -483,8 +531,10 @@ function createAdminController() {
 
       const userSetClauses = [];
       const userValues = [];
+      const userColumns = [];
       const setUserField = (column, value) => {
         userValues.push(value);
+        userColumns.push(column);
         userSetClauses.push(`${column} = $${userValues.length}`);
       };
 
@@ -519,28 +569,59 @@ function createAdminController() {
           }
         }
 
+        const auditBefore = {};
+        const auditAfter = {};
+        const prefixAuditFields = (target, row, prefix) => {
+          Object.entries(row || {}).forEach(([column, value]) => {
+            target[`${prefix}${column}`] = value;
+          });
+        };
+
         if (nurseSetClauses.length > 0) {
+          const nurseBeforeResult = await client.query(
+            `SELECT ${nurseColumns.join(", ")} FROM nurses WHERE id = $1 FOR UPDATE`,
+            [nurseId]
+          );
           nurseValues.push(nurseId);
           const nurseUpdateResult = await client.query(
-            `UPDATE nurses SET ${nurseSetClauses.join(", ")} WHERE id = $${nurseValues.length}`,
+            `UPDATE nurses SET ${nurseSetClauses.join(", ")} WHERE id = $${nurseValues.length}
+             RETURNING ${nurseColumns.join(", ")}`,
             nurseValues
           );
           if (nurseUpdateResult.rowCount !== 1) {
             throw new Error("Failed to update nurse record.");
           }
+          prefixAuditFields(auditBefore, nurseBeforeResult.rows[0], "");
+          prefixAuditFields(auditAfter, nurseUpdateResult.rows[0], "");
         }
 
         if (userSetClauses.length > 0) {
+          const userBeforeResult = await client.query(
+            `SELECT ${userColumns.join(", ")} FROM users WHERE id = $1 FOR UPDATE`,
+            [nurse.userId]
+          );
           userValues.push(nurse.userId);
           const userUpdateResult = await client.query(
-            `UPDATE users SET ${userSetClauses.join(", ")} WHERE id = $${userValues.length}`,
+            `UPDATE users SET ${userSetClauses.join(", ")} WHERE id = $${userValues.length}
+             RETURNING ${userColumns.join(", ")}`,
             userValues
           );
           if (userUpdateResult.rowCount !== 1) {
             throw new Error("Failed to update user account details.");
           }
+          prefixAuditFields(auditBefore, userBeforeResult.rows[0], "user.");
+          prefixAuditFields(auditAfter, userUpdateResult.rows[0], "user.");
         }
 
+        await recordAuditEvent(client, req, {
+          action: "nurse.update",
+          entityType: "nurse",
+          entityId: nurseId,
+          summary: `Updated nurse ${nurse.fullName || nurseId}`,
+          before: auditBefore,
+          after: auditAfter
+        });
+
         await client.query("COMMIT");
       } catch (transactionError) {
         if (client) {
@@ -591,7 +672,7 @@ function createAdminController() {
 
     try {
       const nurseResult = await pool.query(
-        `SELECT n.id, n.public_profile_enabled
+        `SELECT n.id, n.public_profile_enabled, n.listing_suspended_at
        FROM nurses n
        JOIN users u ON u.id = n.user_id
        WHERE n.id = $1
@@ -606,10 +687,22 @@ function createAdminController() {
       }
 
       const nextIsPublic = nurseResult.rows[0].public_profile_enabled !== true;
+      if (nextIsPublic && nurseResult.rows[0].listing_suspended_at) {
+        setFlash(req, "error", "This nurse's listing is suspended by an incident. Lift the suspension from the incident first.");
+        return res.redirect(redirectTarget);
+      }
       await pool.query(
         "UPDATE nurses SET public_profile_enabled = $1 WHERE id = $2",
         [nextIsPublic, nurseId]
       );
+      await recordAuditEventSafely(pool, req, {
+        action: "nurse.toggle_public",
+        entityType: "nurse",
+        entityId: nurseId,
+        summary: nextIsPublic ? "Made nurse profile public" : "Made nurse profile private",
+        before: { public_profile_enabled: nurseResult.rows[0].public_profile_enabled === true },
+        after: { public_profile_enabled: nextIsPublic }
+      });
 
       setFlash(
         req,
@@ -653,13 +746,17 @@ function createAdminController() {
         `SELECT
           n.id,
           n.user_id,
+          n.full_name,
+          n.status,
           n.profile_image_url,
           n.profile_image_path,
           n.resume_url,
           n.aadhar_image_url,
           n.certificate_url,
           n.qualifications,
-          u.role
+          u.role,
+          u.email,
+          u.phone_number
        FROM nurses n
        JOIN users u ON u.id = n.user_id
        WHERE n.id = $1
@@ -706,6 +803,9 @@ function createAdminController() {
         [nurseId]
       );
 
+      await endNurseAssignmentPeriods(client, nurseId, {
+        actorUserId: req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null
+      });
       await client.query(
         `UPDATE care_requests
        SET assigned_nurse_id = NULL,
@@ -735,6 +835,15 @@ function createAdminController() {
       await client.query("DELETE FROM nurses WHERE id = $1", [nurseId]);
       await client.query("DELETE FROM users WHERE id = $1", [nurse.user_id]);
 
+      await recordAuditEvent(client, req, {
+        action: "nurse.delete",
+        entityType: "nurse",
+        entityId: nurseId,
+        summary: `Permanently deleted nurse ${nurse.full_name || nurseId}`,
+        before: pickAuditFields(nurse, ["user_id", "full_name", "email", "phone_number", "status"]),
+        after: null
+      });
+
       await client.query("COMMIT");
 
       const cache = readStore();
@@ -855,7 +964,7 @@ function createAdminController() {
       await client.query("BEGIN");
 
       const agentResult = await client.query(
-        `SELECT a.id, a.user_id
+        `SELECT a.id, a.user_id, a.full_name, a.status
        FROM agents a
        JOIN users u ON u.id = a.user_id
        WHERE a.id = $1
@@ -874,6 +983,15 @@ function createAdminController() {
       await client.query("UPDATE agents SET status = $1 WHERE id = $2", [status, agentId]);
       await client.query("UPDATE users SET status = $1 WHERE id = $2", [status, agent.user_id]);
 
+      await recordAuditEvent(client, req, {
+        action: "agent.update_status",
+        entityType: "agent",
+        entityId: agentId,
+        summary: `Set agent ${agent.full_name || agentId} to ${status}`,
+        before: { status: agent.status },
+        after: { status }
+      });
+
       await client.query("COMMIT");
       setFlash(req, "success", "Agent record updated.");
       return res.redirect(redirectTarget);
@@ -906,7 +1024,7 @@ function createAdminController() {
       await client.query("BEGIN");
 
       const agentResult = await client.query(
-        `SELECT a.id, a.user_id
+        `SELECT a.id, a.user_id, a.full_name, a.status
        FROM agents a
        JOIN users u ON u.id = a.user_id
        WHERE a.id = $1
@@ -925,6 +1043,15 @@ function createAdminController() {
       await client.query("UPDATE agents SET status = 'approved' WHERE id = $1", [agentId]);
       await client.query("UPDATE users SET status = 'approved' WHERE id = $1", [agent.user_id]);
 
+      await recordAuditEvent(client, req, {
+        action: "agent.approve",
+        entityType: "agent",
+        entityId: agentId,
+        summary: `Approved agent ${agent.full_name || agentId}`,
+        before: { status: agent.status },
+        after: { status: "approved" }
+      });
+
       await client.query("COMMIT");
       setFlash(req, "success", "Agent approved successfully.");
       return res.redirect("/admin/agents?status=pending");
@@ -963,7 +1090,7 @@ function createAdminController() {
       await client.query("BEGIN");
 
       const agentResult = await client.query(
-        `SELECT a.id, a.user_id, a.email
+        `SELECT a.id, a.user_id, a.email, a.full_name, a.phone_number, a.status
        FROM agents a
        JOIN users u ON u.id = a.user_id
        WHERE a.id = $1
@@ -1002,6 +1129,15 @@ function createAdminController() {
 
       await client.query("DELETE FROM users WHERE id = $1", [agent.user_id]);
 
+      await recordAuditEvent(client, req, {
+        action: "agent.delete",
+        entityType: "agent",
+        entityId: agentId,
+        summary: `Deleted agent ${agent.full_name || agent.email}`,
+        before: pickAuditFields(agent, ["user_id", "full_name", "email", "phone_number", "status"]),
+        after: null
+      });
+
       await client.query("COMMIT");
       setFlash(req, "success", "Agent deleted successfully.");
       return res.redirect(redirectTarget);
@@ -1395,6 +1531,7 @@ function createAdminController() {
       }
     }
 
+    const auditBefore = pickAuditFields(patient, PATIENT_AUDIT_FIELDS);
     patient.status = status;
     patient.agentEmail = agentEmail;
 
@@ -1409,6 +1546,14 @@ function createAdminController() {
     }
 
     writeStore(store);
+    recordAuditEventSafely(pool, req, {
+      action: "patient.update",
+      entityType: "patient",
+      entityId: patient.id,
+      summary: `Updated patient ${patient.fullName || patient.id}`,
+      before: auditBefore,
+      after: pickAuditFields(patient, PATIENT_AUDIT_FIELDS)
+    });
     setFlash(req, "success", "Patient record updated.");
     return res.redirect(`/admin/patients?status=${encodeURIComponent(statusFilter)}`);
   });
@@ -1455,66 +1600,16 @@ function createAdminController() {
     return filter === "all" || CARE_REQUEST_PAYMENT_STATUSES.includes(filter) ? filter : "all";
   }
 
+  function normalizeCareRequestSlaFilterInput(value) {
+    const filter = String(value || "all").trim().toLowerCase();
+    return ["breached", "due_soon"].includes(filter) ? filter : "all";
+  }
+
   function normalizeAssignmentCommentInput(value) {
     const comment = String(value || "").trim();
     return comment || null;
   }
 
-  function assertCareRequestTransition(currentStatus, nextStatus) {
-    if (!normalizeCareRequestStatusInput(currentStatus)) {
-      throw new Error("Invalid current lifecycle state.");
-    }
-    if (!normalizeCareRequestStatusInput(nextStatus)) {
-      throw new Error("Invalid lifecycle transition target.");
-    }
-    if (!canTransitionCareRequestStatus(currentStatus, nextStatus)) {
-      throw new Error(`Cannot transition request from ${currentStatus} to ${nextStatus}.`);
-    }
-  }
-
-  function buildCareRequestLifecycleActor(req, fallbackRole = "system") {
-    return {
-      userId: req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null,
-      role: req && req.currentUser && req.currentUser.role ? req.currentUser.role : fallbackRole
-    };
-  }
-
-  async function insertCareRequestLifecycleLog(client, payload) {
-    const metadata = payload && typeof payload.metadata === "object" && payload.metadata !== null
-      ? payload.metadata
-      : {};
-
-    await client.query(
-      `INSERT INTO care_request_lifecycle_logs (
-        request_id,
-        event_type,
-        previous_status,
-        next_status,
-        previous_payment_status,
-        next_payment_status,
-        assigned_nurse_id,
-        comment,
-        changed_by_user_id,
-        changed_by_role,
-        metadata
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb)`,
-      [
-        payload.requestId,
-        payload.eventType || "status_update",
-        payload.previousStatus || null,
-        payload.nextStatus || null,
-        payload.previousPaymentStatus || null,
-        payload.nextPaymentStatus || null,
-        typeof payload.assignedNurseId === "number" ? payload.assignedNurseId : null,
-        payload.comment || null,
-        typeof payload.changedByUserId === "number" ? payload.changedByUserId : null,
-        payload.changedByRole || "system",
-        JSON.stringify(metadata)
-      ]
-    );
-  }
-
   async function deleteCareRequestWithPatientCleanup(requestId) {
     let client;
     try {
@@ -1565,111 +1660,11 @@ function createAdminController() {
     }
   }
 
-  async function upsertCareRequestEarnings(client, requestId, actor, note) {
-    const detailsResult = await client.query(
-      `SELECT
-        cr.id,
-        cr.patient_id,
-        cr.assigned_nurse_id,
-        COALESCE(
-          p.nurse_amount,
-          NULLIF(cr.budget_max, 0),
-          NULLIF(cr.budget_min, 0),
-          p.budget,
-          0
-        ) AS gross_amount,
-        COALESCE(p.commission_amount, 0) AS platform_fee,
-        COALESCE(p.referral_commission_amount, 0) AS referral_fee,
-        p.nurse_net_amount
-     FROM care_requests cr
-     LEFT JOIN patients p ON p.id = cr.patient_id
-     WHERE cr.id = $1
-     LIMIT 1`,
-      [requestId]
-    );
-    const details = detailsResult.rows[0];
-    if (!details || !details.assigned_nurse_id) {
-      return null;
-    }
-
-    const grossAmount = Number.parseFloat(details.gross_amount) || 0;
-    const platformFee = Number.parseFloat(details.platform_fee) || 0;
-    const referralFee = Number.parseFloat(details.referral_fee) || 0;
-    const rawNetAmount = details.nurse_net_amount !== null && typeof details.nurse_net_amount !== "undefined"
-      ? Number.parseFloat(details.nurse_net_amount) || 0
-      : grossAmount - platformFee - referralFee;
-    const netAmount = Math.max(Number(rawNetAmount.toFixed(2)), 0);
-
-    const earningsUpsertResult = await client.query(
-      `INSERT INTO care_request_earnings (
-        request_id,
-        nurse_id,
-        patient_id,
-        gross_amount,
-        platform_fee,
-        referral_fee,
-        net_amount,
-        payout_status,
-        notes,
-        generated_by_user_id,
-        generated_at,
-        updated_at
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,'pending',$8,$9,NOW(),NOW())
-      ON CONFLICT (request_id)
-      DO UPDATE SET
-        nurse_id = EXCLUDED.nurse_id,
-        patient_id = EXCLUDED.patient_id,
-        gross_amount = EXCLUDED.gross_amount,
-        platform_fee = EXCLUDED.platform_fee,
-        referral_fee = EXCLUDED.referral_fee,
-        net_amount = EXCLUDED.net_amount,
-        notes = EXCLUDED.notes,
-        generated_by_user_id = EXCLUDED.generated_by_user_id,
-        updated_at = NOW()
-      RETURNING *`,
-      [
-        requestId,
-        details.assigned_nurse_id,
-        details.patient_id || null,
-        Number(grossAmount.toFixed(2)),
-        Number(platformFee.toFixed(2)),
-        Number(referralFee.toFixed(2)),
-        netAmount,
-        note || "Earnings generated on completion.",
-        actor && typeof actor.userId === "number" ? actor.userId : null
-      ]
-    );
-    const earnings = earningsUpsertResult.rows[0] || null;
-    if (earnings) {
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
-        eventType: "earnings_generated",
-        previousStatus: null,
-        nextStatus: null,
-        previousPaymentStatus: null,
-        nextPaymentStatus: null,
-        assignedNurseId: details.assigned_nurse_id,
-        comment: note || "Earnings generated/updated for completed request.",
-        changedByUserId: actor && typeof actor.userId === "number" ? actor.userId : null,
-        changedByRole: actor && actor.role ? actor.role : "system",
-        metadata: {
-          earningsId: earnings.id,
-          grossAmount: Number(grossAmount.toFixed(2)),
-          platformFee: Number(platformFee.toFixed(2)),
-          referralFee: Number(referralFee.toFixed(2)),
-          netAmount
-        }
-      });
-    }
-
-    return earnings;
-  }
-
   router.get("/admin/care-requests", requireRole("admin"), async (req, res) => {
     const statusFilter = normalizeCareRequestStatusFilterInput(req.query.status);
     const paymentFilter = normalizeCareRequestPaymentFilterInput(req.query.payment);
     const marketplaceOnly = String(req.query.marketplace || "").trim().toLowerCase() === "true";
+    const slaFilter = normalizeCareRequestSlaFilterInput(req.query.sla);
 
     try {
       const [result, statusCountsResult, paymentCountsResult] = await Promise.all([
@@ -1717,7 +1712,7 @@ function createAdminController() {
          LEFT JOIN patients p ON p.id = cr.patient_id
          LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
          LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
-         LEFT JOIN care_request_earnings ce ON ce.request_id = cr.id
+         LEFT JOIN (${CARE_REQUEST_EARNINGS_TOTALS_SQL}) ce ON ce.request_id = cr.id
          LEFT JOIN (
            SELECT request_id, COUNT(*) AS total_applications
            FROM care_applications
@@ -1767,13 +1762,24 @@ function createAdminController() {
         0
       );
 
+      const slaBadges = await loadCareRequestSlaBadges(pool, result.rows.map((row) => row.id));
+      const hasSlaState = (row, state) => (slaBadges[row.id] || []).some((badge) => badge.state === state);
+      const slaCounts = {
+        all: result.rows.length,
+        breached: result.rows.filter((row) => hasSlaState(row, "breached")).length,
+        due_soon: result.rows.filter((row) => hasSlaState(row, "due_soon")).length
+      };
+
       return res.render("admin/care-requests", {
         title: "Care Requests",
-        requests: result.rows,
+        requests: slaFilter === "all" ? result.rows : result.rows.filter((row) => hasSlaState(row, slaFilter)),
         statusFilter,
         paymentFilter,
+        slaFilter,
         statusCounts,
-        paymentCounts
+        paymentCounts,
+        slaCounts,
+        slaBadges
       });
     } catch (error) {
       console.error("Admin care requests list error:", error);
@@ -1834,7 +1840,7 @@ function createAdminController() {
          LEFT JOIN patients p ON p.id = cr.patient_id
          LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
          LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
-         LEFT JOIN care_request_earnings ce ON ce.request_id = cr.id
+         LEFT JOIN (${CARE_REQUEST_EARNINGS_TOTALS_SQL}) ce ON ce.request_id = cr.id
          LEFT JOIN (
            SELECT
              request_id,
@@ -1981,7 +1987,7 @@ function createAdminController() {
          LEFT JOIN patients p ON p.id = cr.patient_id
          LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
          LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
-         LEFT JOIN care_request_earnings ce ON ce.request_id = cr.id
+         LEFT JOIN (${CARE_REQUEST_EARNINGS_TOTALS_SQL}) ce ON ce.request_id = cr.id
          WHERE cr.id = $1
          LIMIT 1`,
           [requestId]
@@ -2049,11 +2055,37 @@ function createAdminController() {
           [requestId]
         );
 
+        const shifts = await listCareRequestShifts(pool, requestId);
+        const attendanceSummary = await summarizeRequestAttendance(pool, requestId);
+        const matchCriteria = await loadCareRequestMatchCriteria(pool, requestId);
+        const nurseShortlist = matchCriteria && ["open", "assigned", "payment_pending", "active"].includes(requestResult.rows[0].status)
+          ? await rankNursesForRequest(pool, matchCriteria, { limit: 10 })
+          : [];
+        const invoices = await listCareRequestInvoices(pool, requestId);
+        const assignments = await listCareRequestAssignments(pool, requestId);
+        const earningsSplit = await listCareRequestEarnings(pool, requestId);
+        const renewal = await loadRenewalSource(pool, requestId);
+
         return res.render("admin/care-request-applications", {
           title: "Care Request Applications",
           requestItem: requestResult.rows[0],
           applications: applicationsResult.rows,
           lifecycleLogs: lifecycleLogsResult.rows,
+          upcomingShifts: selectUpcomingShifts(shifts),
+          shiftSummary: summarizeShifts(shifts),
+          attendanceSummary,
+          matchCriteria,
+          nurseShortlist,
+          invoices,
+          gstStates: GST_STATES,
+          assignments,
+          earningsSplit,
+          replacementReasons: REPLACEMENT_REASONS.map((key) => ({ key, label: ASSIGNMENT_END_REASONS[key] })),
+          renewal,
+          renewalDefaults: renewal && renewal.canRenew ? buildRenewalDefaults(renewal) : null,
+          visitDaysLabel: renewal ? formatVisitDays(renewal.visit_days) : "",
+          visitWeekdays: VISIT_WEEKDAYS,
+          visitWeekdayLabels: VISIT_WEEKDAY_LABELS,
           backHref,
           actionBasePath: applicationsBasePath
         });
@@ -2083,6 +2115,7 @@ function createAdminController() {
       }
 
       let client;
+      const notificationDeliveryIds = [];
       try {
         client = await pool.connect();
         await client.query("BEGIN");
@@ -2110,14 +2143,7 @@ function createAdminController() {
         if (requestStatus !== "open") {
           throw new Error("Only open requests can accept nurse applications.");
         }
-        const previousPaymentStatus = normalizeCareRequestPaymentStatusInput(
-          applicationResult.rows[0].request_payment_status
-        ) || "pending";
-        const previousAssignedNurseId = Number.isInteger(applicationResult.rows[0].request_assigned_nurse_id)
-          ? applicationResult.rows[0].request_assigned_nurse_id
-          : null;
         const nurseId = applicationResult.rows[0].nurse_id;
-        const actor = buildCareRequestLifecycleActor(req, "admin");
 
         await client.query(
           "UPDATE care_applications SET status = 'rejected' WHERE request_id = $1 AND id <> $2",
@@ -2127,74 +2153,60 @@ function createAdminController() {
           "UPDATE care_applications SET status = 'accepted' WHERE id = $1",
           [applicationId]
         );
-        await client.query(
-          `UPDATE care_requests
-         SET status = 'assigned',
-             assigned_nurse_id = $2,
-             marketplace_ready = FALSE,
-             payment_status = 'pending',
-             assignment_comment = NULL,
-             nurse_notified = FALSE
-         WHERE id = $1`,
-          [requestId, nurseId]
-        );
-        await client.query(
-          `INSERT INTO notifications (user_id, type, title, message, related_request_id)
-         SELECT user_id,
-                'application_accepted',
-                'Application Accepted',
-                'Congratulations! You have been assigned to a care request.',
-                $1
-         FROM nurses
-         WHERE id = $2`,
-          [requestId, nurseId]
-        );
-        await client.query(
-          `INSERT INTO notifications (user_id, type, title, message, related_request_id)
-         SELECT n.user_id,
-                'application_rejected',
-                'Application Update',
-                'This care request has been assigned to another nurse.',
-                $1
+        const outcome = await transitionCareRequest(client, requestId, "assigned", {
+          actor: buildCareRequestLifecycleActor(req, "admin"),
+          changes: {
+            assigned_nurse_id: nurseId,
+            marketplace_ready: false,
+            payment_status: "pending",
+            assignment_comment: null,
+            nurse_notified: false
+          },
+          eventType: "application_accepted",
+          comment: "Application accepted by admin.",
+          metadata: { applicationId }
+        });
+        const applicantResult = await client.query(
+          `SELECT ca.nurse_id, n.user_id
          FROM care_applications ca
          JOIN nurses n ON ca.nurse_id = n.id
          WHERE ca.request_id = $1
-           AND ca.nurse_id <> $2`,
-          [requestId, nurseId]
-        );
-        await client.query(
-          `INSERT INTO notifications (user_id, type, title, message, related_request_id)
-         SELECT p.user_id,
-                'job_assigned',
-                'Nurse Assigned',
-                'A nurse has been successfully assigned to your care request.',
-                $1
-         FROM care_requests cr
-         JOIN patients p ON p.id = cr.patient_id
-         WHERE cr.id = $1
-           AND p.user_id IS NOT NULL`,
+           AND n.user_id IS NOT NULL`,
           [requestId]
         );
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        const acceptedUserIds = applicantResult.rows
+          .filter((row) => row.nurse_id === nurseId)
+          .map((row) => row.user_id);
+        const rejectedUserIds = applicantResult.rows
+          .filter((row) => row.nurse_id !== nurseId)
+          .map((row) => row.user_id);
+        const recipients = await findCareRequestRecipients(client, requestId);
+        notificationDeliveryIds.push(...await notifyUsers(client, acceptedUserIds, {
           eventType: "application_accepted",
-          previousStatus: requestStatus,
-          nextStatus: "assigned",
-          previousPaymentStatus,
-          nextPaymentStatus: "pending",
-          assignedNurseId: nurseId,
-          comment: "Application accepted by admin.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
-          metadata: {
-            applicationId,
-            previousAssignedNurseId
-          }
-        });
+          title: "Application Accepted",
+          message: "Congratulations! You have been assigned to a care request.",
+          relatedRequestId: requestId,
+          actionPath: "/nurse/dashboard"
+        }));
+        notificationDeliveryIds.push(...await notifyUsers(client, rejectedUserIds, {
+          eventType: "application_rejected",
+          title: "Application Update",
+          message: "This care request has been assigned to another nurse.",
+          relatedRequestId: requestId
+        }));
+        notificationDeliveryIds.push(...await notifyUsers(client, [recipients.patientUserId, recipients.agentUserId], {
+          eventType: "request_assigned",
+          title: "Nurse Assigned",
+          message: "A nurse has been successfully assigned to your care request.",
+          relatedRequestId: requestId,
+          actionPath: "/notifications-page"
+        }));
 
         await client.query("COMMIT");
         client.release();
         client = null;
+        dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+        await finishCareRequestTransition(pool, outcome);
 
         setFlash(req, "success", "Application accepted and request marked as assigned.");
         return res.redirect(applicationsRedirectUrl);
@@ -2256,84 +2268,66 @@ function createAdminController() {
         if (!["open", "assigned", "payment_pending"].includes(requestStatus)) {
           throw new Error("Applications can only be modified while request is open/assigned/payment_pending.");
         }
-        const previousPaymentStatus = normalizeCareRequestPaymentStatusInput(
-          applicationResult.rows[0].request_payment_status
-        ) || "pending";
-        const previousAssignedNurseId = Number.isInteger(applicationResult.rows[0].request_assigned_nurse_id)
-          ? applicationResult.rows[0].request_assigned_nurse_id
-          : null;
-        const actor = buildCareRequestLifecycleActor(req, "admin");
-        let nextStatus = requestStatus;
-        let nextPaymentStatus = previousPaymentStatus;
-        let nextAssignedNurseId = previousAssignedNurseId;
-
         await client.query(
           "UPDATE care_applications SET status = 'rejected' WHERE id = $1",
           [applicationId]
         );
 
-        const acceptedCountResult = await client.query(
-          "SELECT COUNT(*)::int AS accepted_count FROM care_applications WHERE request_id = $1 AND status = 'accepted'",
+        const acceptedNurseResult = await client.query(
+          `SELECT nurse_id
+         FROM care_applications
+         WHERE request_id = $1
+           AND status = 'accepted'
+         ORDER BY applied_at DESC
+         LIMIT 1`,
           [requestId]
         );
-        if (acceptedCountResult.rows[0].accepted_count === 0) {
-          await client.query(
-            `UPDATE care_requests
-           SET status = 'open',
-               assigned_nurse_id = NULL,
-               payment_status = 'pending',
-               nurse_notified = FALSE
-           WHERE id = $1`,
-            [requestId]
-          );
-          nextStatus = "open";
-          nextPaymentStatus = "pending";
-          nextAssignedNurseId = null;
-        } else {
-          const acceptedNurseResult = await client.query(
-            `SELECT nurse_id
-           FROM care_applications
-           WHERE request_id = $1
-             AND status = 'accepted'
-           ORDER BY applied_at DESC
-           LIMIT 1`,
-            [requestId]
-          );
-          if (acceptedNurseResult.rows[0]) {
-            await client.query(
-              `UPDATE care_requests
-             SET assigned_nurse_id = $2,
-                 status = CASE WHEN status = 'open' THEN 'assigned' ELSE status END,
-                 marketplace_ready = FALSE
-             WHERE id = $1`,
-              [requestId, acceptedNurseResult.rows[0].nurse_id]
-            );
-            nextAssignedNurseId = acceptedNurseResult.rows[0].nurse_id;
-            if (requestStatus === "open") {
-              nextStatus = "assigned";
-            }
-          }
-        }
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        const acceptedNurseId = acceptedNurseResult.rows[0] ? acceptedNurseResult.rows[0].nurse_id : null;
+        const currentNurseId = applicationResult.rows[0].request_assigned_nurse_id;
+        const transitionOptions = {
+          actor: buildCareRequestLifecycleActor(req, "admin"),
           eventType: "application_rejected",
-          previousStatus: requestStatus,
-          nextStatus,
-          previousPaymentStatus,
-          nextPaymentStatus,
-          assignedNurseId: typeof nextAssignedNurseId === "number" ? nextAssignedNurseId : null,
           comment: "Application rejected by admin.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
-          metadata: {
-            applicationId,
-            previousAssignedNurseId
-          }
-        });
+          metadata: { applicationId }
+        };
+        let outcome = null;
+        if (acceptedNurseId === null && requestStatus !== "open") {
+          outcome = await transitionCareRequest(client, requestId, "open", {
+            ...transitionOptions,
+            changes: { assigned_nurse_id: null, payment_status: "pending", nurse_notified: false }
+          });
+        } else if (acceptedNurseId !== null && requestStatus === "open") {
+          outcome = await transitionCareRequest(client, requestId, "assigned", {
+            ...transitionOptions,
+            changes: { assigned_nurse_id: acceptedNurseId, marketplace_ready: false }
+          });
+        } else if (acceptedNurseId !== null && acceptedNurseId !== currentNurseId) {
+          outcome = await transitionCareRequest(client, requestId, requestStatus, {
+            ...transitionOptions,
+            update: "change_nurse",
+            changes: { assigned_nurse_id: acceptedNurseId, marketplace_ready: false }
+          });
+        } else {
+          // The request keeps its status and nurse; only the rejection is recorded.
+          await insertCareRequestLifecycleLog(client, {
+            requestId,
+            eventType: transitionOptions.eventType,
+            previousStatus: requestStatus,
+            nextStatus: requestStatus,
+            previousPaymentStatus: applicationResult.rows[0].request_payment_status,
+            nextPaymentStatus: applicationResult.rows[0].request_payment_status,
+            assignedNurseId: currentNurseId,
+            comment: transitionOptions.comment,
+            changedByUserId: transitionOptions.actor.userId,
+            changedByRole: transitionOptions.actor.role,
+            metadata: transitionOptions.metadata
+          });
+        }
 
         await client.query("COMMIT");
         client.release();
         client = null;
+        await finishCareRequestTransition(pool, outcome);
 
         setFlash(req, "success", "Application rejected.");
         return res.redirect(applicationsRedirectUrl);
@@ -2457,16 +2451,45 @@ function createAdminController() {
     }
   });
 
-  async function getCareRequestForUpdate(client, requestId) {
-    const requestResult = await client.query(
-      `SELECT id, status, payment_status, assigned_nurse_id
-     FROM care_requests
-     WHERE id = $1
-     FOR UPDATE`,
-      [requestId]
-    );
-    return requestResult.rows[0] || null;
-  }
+  router.post("/admin/care-requests/:id/contact-logged", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const redirectTarget = getCareRequestListRedirectTarget(req.body.redirect_to);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect(redirectTarget);
+    }
+
+    try {
+      const requestResult = await pool.query(
+        "SELECT id, status, payment_status, assigned_nurse_id FROM care_requests WHERE id = $1",
+        [requestId]
+      );
+      const careRequest = requestResult.rows[0];
+      if (!careRequest) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect(redirectTarget);
+      }
+
+      const actor = buildCareRequestLifecycleActor(req, "admin");
+      await insertCareRequestLifecycleLog(pool, {
+        requestId,
+        eventType: "family_contacted",
+        previousStatus: careRequest.status,
+        nextStatus: careRequest.status,
+        previousPaymentStatus: careRequest.payment_status,
+        nextPaymentStatus: careRequest.payment_status,
+        assignedNurseId: careRequest.assigned_nurse_id,
+        comment: normalizeAssignmentCommentInput(req.body.comment) || "Family contacted by admin.",
+        changedByUserId: actor.userId,
+        changedByRole: actor.role
+      });
+      setFlash(req, "success", "Contact with the family recorded.");
+    } catch (error) {
+      console.error("Admin contact log error:", error);
+      setFlash(req, "error", "Unable to record the contact right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
 
   router.post("/admin/care-requests/:id/payment-pending", requireRole("admin"), async (req, res) => {
     const requestId = Number.parseInt(req.params.id, 10);
@@ -2482,40 +2505,19 @@ function createAdminController() {
       client = await pool.connect();
       await client.query("BEGIN");
 
-      const currentRequest = await getCareRequestForUpdate(client, requestId);
-      if (!currentRequest) {
-        throw new Error("Care request not found.");
-      }
-      if (!currentRequest.assigned_nurse_id) {
-        throw new Error("Assign a nurse before moving to payment pending.");
-      }
-      assertCareRequestTransition(currentRequest.status, "payment_pending");
-      const actor = buildCareRequestLifecycleActor(req, "admin");
-
-      await client.query(
-        `UPDATE care_requests
-       SET status = 'payment_pending',
-           payment_status = 'pending',
-           assignment_comment = COALESCE($2, assignment_comment)
-       WHERE id = $1`,
-        [requestId, assignmentComment]
-      );
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
+      const outcome = await transitionCareRequest(client, requestId, "payment_pending", {
+        actor: buildCareRequestLifecycleActor(req, "admin"),
+        changes: assignmentComment
+          ? { payment_status: "pending", assignment_comment: assignmentComment }
+          : { payment_status: "pending" },
         eventType: "payment_marked_pending",
-        previousStatus: currentRequest.status,
-        nextStatus: "payment_pending",
-        previousPaymentStatus: currentRequest.payment_status,
-        nextPaymentStatus: "pending",
-        assignedNurseId: currentRequest.assigned_nurse_id,
-        comment: assignmentComment || "Request moved to payment_pending by admin.",
-        changedByUserId: actor.userId,
-        changedByRole: actor.role
+        comment: assignmentComment || "Request moved to payment_pending by admin."
       });
 
       await client.query("COMMIT");
       client.release();
       client = null;
+      await finishCareRequestTransition(pool, outcome);
       setFlash(req, "success", "Request moved to payment pending.");
       return res.redirect(redirectTarget);
     } catch (error) {
@@ -2547,45 +2549,32 @@ function createAdminController() {
       client = await pool.connect();
       await client.query("BEGIN");
 
-      const currentRequest = await getCareRequestForUpdate(client, requestId);
-      if (!currentRequest) {
-        throw new Error("Care request not found.");
-      }
-      if (!currentRequest.assigned_nurse_id) {
-        throw new Error("Assign a nurse before confirming payment.");
-      }
-      if (!["assigned", "payment_pending"].includes(currentRequest.status)) {
-        throw new Error("Payment can only be confirmed for assigned/payment_pending requests.");
-      }
-      assertCareRequestTransition(currentRequest.status, "active");
-      const actor = buildCareRequestLifecycleActor(req, "admin");
-
-      await client.query(
-        `UPDATE care_requests
-       SET status = 'active',
-           payment_status = 'paid',
-           assignment_comment = COALESCE($2, assignment_comment),
-           nurse_notified = FALSE
-       WHERE id = $1`,
-        [requestId, assignmentComment]
-      );
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
+      const outcome = await transitionCareRequest(client, requestId, "active", {
+        actor: buildCareRequestLifecycleActor(req, "admin"),
+        changes: assignmentComment
+          ? { payment_status: "paid", nurse_notified: false, assignment_comment: assignmentComment }
+          : { payment_status: "paid", nurse_notified: false },
         eventType: "payment_confirmed",
-        previousStatus: currentRequest.status,
-        nextStatus: "active",
-        previousPaymentStatus: currentRequest.payment_status,
-        nextPaymentStatus: "paid",
-        assignedNurseId: currentRequest.assigned_nurse_id,
-        comment: assignmentComment || "Payment confirmed by admin.",
-        changedByUserId: actor.userId,
-        changedByRole: actor.role
+        comment: assignmentComment || "Payment confirmed by admin."
       });
 
       await client.query("COMMIT");
       client.release();
       client = null;
-      setFlash(req, "success", "Payment confirmed. Request moved to active.");
+      await finishCareRequestTransition(pool, outcome);
+
+      const shiftOutcome = outcome.hooks.generate_shifts;
+      const invoiceResult = outcome.hooks.generate_invoice;
+      const shiftNote = shiftOutcome ? ` with ${shiftOutcome.created} shift(s) scheduled` : "";
+      let invoiceNote = "";
+      if (invoiceResult && !invoiceResult.invoice) {
+        invoiceNote = ` No invoice raised: ${invoiceResult.error}`;
+      } else if (invoiceResult && invoiceResult.delivery) {
+        invoiceNote = ` Invoice ${invoiceResult.invoice.invoiceNumber} emailed to ${invoiceResult.delivery.email}.`;
+      } else if (invoiceResult) {
+        invoiceNote = ` Invoice ${invoiceResult.invoice.invoiceNumber} generated; email not sent.`;
+      }
+      setFlash(req, "success", `Payment confirmed. Request moved to active${shiftNote}.${invoiceNote}`);
       return res.redirect(redirectTarget);
     } catch (error) {
       if (client) {
@@ -2615,41 +2604,16 @@ function createAdminController() {
       client = await pool.connect();
       await client.query("BEGIN");
 
-      const currentRequest = await getCareRequestForUpdate(client, requestId);
-      if (!currentRequest) {
-        throw new Error("Care request not found.");
-      }
-      assertCareRequestTransition(currentRequest.status, "completed");
-      const actor = buildCareRequestLifecycleActor(req, "admin");
-
-      await client.query(
-        `UPDATE care_requests
-       SET status = 'completed'
-       WHERE id = $1`,
-        [requestId]
-      );
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
+      const outcome = await transitionCareRequest(client, requestId, "completed", {
+        actor: buildCareRequestLifecycleActor(req, "admin"),
         eventType: "service_completed",
-        previousStatus: currentRequest.status,
-        nextStatus: "completed",
-        previousPaymentStatus: currentRequest.payment_status,
-        nextPaymentStatus: currentRequest.payment_status,
-        assignedNurseId: currentRequest.assigned_nurse_id,
-        comment: "Service marked completed by admin.",
-        changedByUserId: actor.userId,
-        changedByRole: actor.role
+        comment: "Service marked completed by admin."
       });
-      await upsertCareRequestEarnings(
-        client,
-        requestId,
-        actor,
-        "Earnings generated after service completion."
-      );
 
       await client.query("COMMIT");
       client.release();
       client = null;
+      await finishCareRequestTransition(pool, outcome);
       setFlash(req, "success", "Request marked as completed.");
       return res.redirect(redirectTarget);
     } catch (error) {
@@ -2682,51 +2646,22 @@ function createAdminController() {
       client = await pool.connect();
       await client.query("BEGIN");
 
-      const currentRequest = await getCareRequestForUpdate(client, requestId);
-      if (!currentRequest) {
-        throw new Error("Care request not found.");
-      }
-      if (!["assigned", "payment_pending", "active"].includes(currentRequest.status)) {
-        throw new Error("Only assigned/payment_pending/active requests can be reassigned.");
-      }
-      assertCareRequestTransition(currentRequest.status, "open");
-      const actor = buildCareRequestLifecycleActor(req, "admin");
-
-      await client.query(
-        `UPDATE care_requests
-       SET status = 'open',
-           assigned_nurse_id = NULL,
-           payment_status = 'pending',
-           assignment_comment = $2,
-           nurse_notified = FALSE
-       WHERE id = $1`,
-        [requestId, assignmentComment]
-      );
-      await client.query(
-        `UPDATE care_applications
-       SET status = 'rejected'
-       WHERE request_id = $1`,
-        [requestId]
-      );
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
+      const outcome = await transitionCareRequest(client, requestId, "open", {
+        actor: buildCareRequestLifecycleActor(req, "admin"),
+        changes: {
+          assigned_nurse_id: null,
+          payment_status: "pending",
+          assignment_comment: assignmentComment,
+          nurse_notified: false
+        },
         eventType: "request_reassigned",
-        previousStatus: currentRequest.status,
-        nextStatus: "open",
-        previousPaymentStatus: currentRequest.payment_status,
-        nextPaymentStatus: "pending",
-        assignedNurseId: null,
-        comment: assignmentComment,
-        changedByUserId: actor.userId,
-        changedByRole: actor.role,
-        metadata: {
-          previousAssignedNurseId: currentRequest.assigned_nurse_id
-        }
+        comment: assignmentComment
       });
 
       await client.query("COMMIT");
       client.release();
       client = null;
+      await finishCareRequestTransition(pool, outcome);
       setFlash(req, "success", "Request reassigned and reopened for marketplace applications.");
       return res.redirect(redirectTarget);
     } catch (error) {
@@ -2744,6 +2679,198 @@ function createAdminController() {
     }
   });
 
+  router.post(
+    [
+      "/admin/care-requests/:requestId/renew",
+      "/admin/marketplace/:requestId/renew",
+      "/admin/requests/:requestId/renew"
+    ],
+    requireRole("admin"),
+    async (req, res) => {
+      const requestId = Number.parseInt(req.params.requestId, 10);
+      const applicationsRedirectUrl = getCareRequestApplicationsRedirectUrl(req, requestId);
+      if (Number.isNaN(requestId)) {
+        setFlash(req, "error", "Invalid care request.");
+        return res.redirect(getCareRequestApplicationsBasePath(req));
+      }
+
+      let client;
+      try {
+        const input = normalizeRenewalInput(req.body);
+        const requestCode = await generateUniquePublicRequestCode();
+        const editToken = await generateUniqueCareRequestEditToken();
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const renewal = await createRenewalRequest(client, requestId, input, {
+          patientId: nextId(readStore(), "patient"),
+          requestCode,
+          editToken,
+          actor: buildCareRequestLifecycleActor(req, "admin")
+        });
+        await client.query("COMMIT");
+        client.release();
+        client = null;
+        dispatchNotificationDeliveries(pool, renewal.notificationDeliveryIds);
+        await finishCareRequestTransition(pool, renewal.outcome);
+
+        setFlash(
+          req,
+          "success",
+          renewal.keptNurse
+            ? `Renewed as ${requestCode} with ${renewal.source.assigned_nurse_name}.`
+            : `Renewed as ${requestCode}. It is open for a new nurse.`
+        );
+        return res.redirect(`${getCareRequestApplicationsBasePath(req)}/${renewal.renewal.id}/applications`);
+      } catch (error) {
+        if (client) {
+          try {
+            await client.query("ROLLBACK");
+          } catch (rollbackError) {
+            console.error("Admin renew request rollback error:", rollbackError);
+          }
+          client.release();
+        }
+        console.error("Admin renew request error:", error);
+        setFlash(req, "error", error.message || "Unable to renew the request right now.");
+        return res.redirect(applicationsRedirectUrl);
+      }
+    }
+  );
+
+  router.post(
+    [
+      "/admin/care-requests/:requestId/replace-nurse",
+      "/admin/marketplace/:requestId/replace-nurse",
+      "/admin/requests/:requestId/replace-nurse"
+    ],
+    requireRole("admin"),
+    async (req, res) => {
+      const requestId = Number.parseInt(req.params.requestId, 10);
+      const applicationsRedirectUrl = getCareRequestApplicationsRedirectUrl(req, requestId);
+      if (Number.isNaN(requestId)) {
+        setFlash(req, "error", "Invalid care request.");
+        return res.redirect(getCareRequestApplicationsBasePath(req));
+      }
+
+      let client;
+      const notificationDeliveryIds = [];
+      try {
+        const replacement = normalizeReplacementInput(req.body);
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const requestResult = await client.query(
+          "SELECT id, status, assigned_nurse_id FROM care_requests WHERE id = $1 FOR UPDATE",
+          [requestId]
+        );
+        const careRequest = requestResult.rows[0];
+        if (!careRequest) {
+          throw new Error("Care request not found.");
+        }
+        if (!["assigned", "payment_pending", "active"].includes(careRequest.status) || !careRequest.assigned_nurse_id) {
+          throw new Error("Only requests with an assigned nurse can have the nurse replaced.");
+        }
+        const outgoingNurseId = careRequest.assigned_nurse_id;
+        if (replacement.incomingNurseId === outgoingNurseId) {
+          throw new Error("Choose a different nurse from the one currently assigned.");
+        }
+        const incomingNurse = await findReplacementNurse(client, replacement.incomingNurseId);
+        const outgoingNurseResult = await client.query(
+          "SELECT id, full_name, user_id FROM nurses WHERE id = $1",
+          [outgoingNurseId]
+        );
+        const outgoingNurse = outgoingNurseResult.rows[0] || { id: outgoingNurseId, full_name: null, user_id: null };
+
+        const actor = buildCareRequestLifecycleActor(req, "admin");
+        const handover = await handOverAssignment(client, requestId, {
+          outgoingNurseId,
+          incomingNurseId: incomingNurse.id,
+          endsOn: replacement.endsOn,
+          startsOn: replacement.startsOn,
+          reason: replacement.reason,
+          note: replacement.note,
+          actorUserId: actor.userId
+        });
+        const reasonLabel = ASSIGNMENT_END_REASONS[replacement.reason];
+        const outcome = await transitionCareRequest(client, requestId, careRequest.status, {
+          actor,
+          update: "change_nurse",
+          changes: {
+            assigned_nurse_id: incomingNurse.id,
+            nurse_notified: false,
+            assignment_comment: replacement.note || reasonLabel
+          },
+          eventType: "nurse_replaced",
+          comment: `${outgoingNurse.full_name || `Nurse #${outgoingNurseId}`} replaced by ${incomingNurse.full_name} from ${replacement.startsOn}: ${reasonLabel}${replacement.note ? ` - ${replacement.note}` : ""}.`,
+          metadata: {
+            reason: replacement.reason,
+            note: replacement.note || null,
+            outgoingNurseId,
+            incomingNurseId: incomingNurse.id,
+            outgoingEndsOn: replacement.endsOn,
+            incomingStartsOn: replacement.startsOn,
+            movedShifts: handover.movedShifts,
+            cancelledShifts: handover.cancelledShifts
+          }
+        });
+
+        // The outgoing nurse is not told the reason; families and agents hear only the dates.
+        const recipients = await findCareRequestRecipients(client, requestId);
+        notificationDeliveryIds.push(...await notifyUsers(client, [outgoingNurse.user_id], {
+          eventType: "nurse_replaced",
+          title: "Assignment Ending",
+          message: `Your assignment on care request #${requestId} ends after ${replacement.endsOn}. Thank you for your care.`,
+          relatedRequestId: requestId,
+          actionPath: "/nurse/dashboard"
+        }));
+        notificationDeliveryIds.push(...await notifyUsers(client, [incomingNurse.user_id], {
+          eventType: "nurse_replaced",
+          title: "New Assignment",
+          message: `You are taking over care request #${requestId} from ${replacement.startsOn}. Check your shift calendar for timings.`,
+          relatedRequestId: requestId,
+          actionPath: "/nurse/dashboard"
+        }));
+        const familyNotice = {
+          title: "Replacement Nurse Assigned",
+          message: `${incomingNurse.full_name} will take over care for request #${requestId} from ${replacement.startsOn}.`
+        };
+        notificationDeliveryIds.push(...await notifyUsers(client, [recipients.patientUserId, recipients.agentUserId], {
+          eventType: "nurse_replaced",
+          ...familyNotice,
+          relatedRequestId: requestId,
+          actionPath: "/notifications-page"
+        }));
+
+        await client.query("COMMIT");
+        client.release();
+        client = null;
+        dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+        if (!recipients.patientUserId) {
+          await notifyFamilyContact(recipients.familyContact, familyNotice);
+        }
+        await finishCareRequestTransition(pool, outcome);
+
+        const shiftNote = handover.cancelledShifts
+          ? ` ${handover.movedShifts} shift(s) moved, ${handover.cancelledShifts} cancelled in the gap.`
+          : ` ${handover.movedShifts} shift(s) moved.`;
+        setFlash(req, "success", `${incomingNurse.full_name} takes over from ${replacement.startsOn}.${shiftNote}`);
+        return res.redirect(applicationsRedirectUrl);
+      } catch (error) {
+        if (client) {
+          try {
+            await client.query("ROLLBACK");
+          } catch (rollbackError) {
+            console.error("Admin replace nurse rollback error:", rollbackError);
+          }
+          client.release();
+        }
+        console.error("Admin replace nurse error:", error);
+        setFlash(req, "error", error.message || "Unable to replace the nurse right now.");
+        return res.redirect(applicationsRedirectUrl);
+      }
+    }
+  );
+
   router.post(
     ["/admin/care-requests/:id/cancel", "/admin/care-requests/:id/close"],
     requireRole("admin"),
@@ -2762,44 +2889,17 @@ function createAdminController() {
         client = await pool.connect();
         await client.query("BEGIN");
 
-        const currentRequest = await getCareRequestForUpdate(client, requestId);
-        if (!currentRequest) {
-          throw new Error("Care request not found.");
-        }
-        assertCareRequestTransition(currentRequest.status, "cancelled");
-        const actor = buildCareRequestLifecycleActor(req, "admin");
-
-        await client.query(
-          `UPDATE care_requests
-         SET status = 'cancelled',
-             marketplace_ready = FALSE,
-             assignment_comment = $2
-         WHERE id = $1`,
-          [requestId, assignmentComment]
-        );
-        await client.query(
-          `UPDATE care_applications
-         SET status = 'rejected'
-         WHERE request_id = $1
-           AND status <> 'rejected'`,
-          [requestId]
-        );
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        const outcome = await transitionCareRequest(client, requestId, "cancelled", {
+          actor: buildCareRequestLifecycleActor(req, "admin"),
+          changes: { assignment_comment: assignmentComment },
           eventType: "request_cancelled",
-          previousStatus: currentRequest.status,
-          nextStatus: "cancelled",
-          previousPaymentStatus: currentRequest.payment_status,
-          nextPaymentStatus: currentRequest.payment_status,
-          assignedNurseId: currentRequest.assigned_nurse_id,
-          comment: assignmentComment,
-          changedByUserId: actor.userId,
-          changedByRole: actor.role
+          comment: assignmentComment
         });
 
         await client.query("COMMIT");
         client.release();
         client = null;
+        await finishCareRequestTransition(pool, outcome);
         setFlash(req, "success", "Care request cancelled.");
         return res.redirect(redirectTarget);
       } catch (error) {
@@ -2879,6 +2979,10 @@ function createAdminController() {
           feedback = EXCLUDED.feedback,
           rated_by_user_id = EXCLUDED.rated_by_user_id,
           rated_by_role = EXCLUDED.rated_by_role,
+          review_status = 'approved',
+          moderation_note = NULL,
+          moderated_by_user_id = EXCLUDED.rated_by_user_id,
+          moderated_at = NOW(),
           updated_at = NOW()`,
         [
           requestId,
@@ -2962,6 +3066,12 @@ function createAdminController() {
       if (careRequest.status !== "completed") {
         throw new Error("Payout status can only be managed for completed requests.");
       }
+      const payoutBatch = await findEarningsPayoutBatch(client, requestId);
+      if (payoutBatch) {
+        throw new Error(payoutBatch.status === "paid"
+          ? `These earnings were paid in payout batch ${payoutBatch.batch_reference}.`
+          : `These earnings are in payout batch ${payoutBatch.batch_reference}. Settle or cancel the batch first.`);
+      }
 
       const actor = buildCareRequestLifecycleActor(req, "admin");
       const ensuredEarnings = await upsertCareRequestEarnings(
@@ -2987,6 +3097,9 @@ function createAdminController() {
         [requestId, payoutStatus, payoutReference, payoutNotes]
       );
       const earnings = earningsUpdateResult.rows[0];
+      if (payoutStatus === "cancelled" || previousPayoutStatus === "cancelled") {
+        await syncCareRequestCommissionAccruals(client, requestId, actor);
+      }
 
       await insertCareRequestLifecycleLog(client, {
         requestId,
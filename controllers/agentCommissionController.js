@@ -0,0 +1,209 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  buildAgentStatement,
+  buildAgentStatementCsv,
+  getCurrentStatementMonth,
+  listAgentStatementMonths,
+  listMonthlyCommissionSummary,
+  normalizeStatementMonthInput,
+  postCommissionAdjustment,
+  reconcileAgentStatement,
+  reverseCommissionEntry
+} = require("../services/agentCommissions");
+
+function createAgentCommissionController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  function getActorUserId(req) {
+    return req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null;
+  }
+
+  async function findAgent(agentIdParam) {
+    const agentId = Number.parseInt(agentIdParam, 10);
+    if (Number.isNaN(agentId)) return null;
+    const result = await pool.query(
+      "SELECT id, full_name, email, status FROM agents WHERE id = $1 LIMIT 1",
+      [agentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function runLedgerTransaction(req, res, redirectTarget, label, work) {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const outcome = await work(client);
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      return outcome;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error(`Agent commission ${label} rollback error:`, rollbackError);
+        }
+        client.release();
+      }
+      console.error(`Agent commission ${label} error:`, error);
+      setFlash(req, "error", error.message || "Unable to update the commission ledger right now.");
+      res.redirect(redirectTarget);
+      return null;
+    }
+  }
+
+  router.get("/admin/agent-commissions", requireRole("admin"), async (req, res) => {
+    const month = normalizeStatementMonthInput(req.query.month) || getCurrentStatementMonth();
+    try {
+      const summary = await listMonthlyCommissionSummary(pool, month);
+      return res.render("admin/agent-commissions", {
+        title: "Agent Commissions",
+        month,
+        isClosedMonth: month < getCurrentStatementMonth(),
+        summary
+      });
+    } catch (error) {
+      console.error("Admin agent commissions page error:", error);
+      setFlash(req, "error", "Unable to load agent commissions right now.");
+      return res.redirect("/admin");
+    }
+  });
+
+  router.get("/admin/agents/:agentId/commissions", requireRole("admin"), async (req, res) => {
+    const month = normalizeStatementMonthInput(req.query.month) || getCurrentStatementMonth();
+    try {
+      const agent = await findAgent(req.params.agentId);
+      if (!agent) {
+        setFlash(req, "error", "Agent not found.");
+        return res.redirect("/admin/agent-commissions");
+      }
+      const [statement, months] = await Promise.all([
+        buildAgentStatement(pool, agent.email, month),
+        listAgentStatementMonths(pool, agent.email)
+      ]);
+      return res.render("admin/agent-commission-statement", {
+        title: `Commissions: ${agent.full_name}`,
+        agent,
+        statement,
+        months: months.includes(month) ? months : [month, ...months]
+      });
+    } catch (error) {
+      console.error("Admin agent commission statement error:", error);
+      setFlash(req, "error", "Unable to load the commission statement right now.");
+      return res.redirect("/admin/agent-commissions");
+    }
+  });
+
+  router.get("/admin/agents/:agentId/commissions/:month/download", requireRole("admin"), async (req, res) => {
+    const month = normalizeStatementMonthInput(req.params.month);
+    try {
+      const agent = month ? await findAgent(req.params.agentId) : null;
+      if (!agent) {
+        return res.status(404).send("Statement not found");
+      }
+      const statement = await buildAgentStatement(pool, agent.email, month);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="commission-statement-agent-${agent.id}-${month}.csv"`);
+      return res.send(buildAgentStatementCsv(statement));
+    } catch (error) {
+      console.error("Admin agent commission download error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  router.post("/admin/agents/:agentId/commissions/adjustments", requireRole("admin"), async (req, res) => {
+    const agent = await findAgent(req.params.agentId).catch((error) => {
+      console.error("Agent commission adjustment lookup error:", error);
+      return null;
+    });
+    if (!agent) {
+      setFlash(req, "error", "Agent not found.");
+      return res.redirect("/admin/agent-commissions");
+    }
+    const redirectTarget = `/admin/agents/${agent.id}/commissions`;
+    const amount = Number.parseFloat(req.body.amount);
+    if (!Number.isFinite(amount)) {
+      setFlash(req, "error", "Enter a valid adjustment amount.");
+      return res.redirect(redirectTarget);
+    }
+
+    const entry = await runLedgerTransaction(req, res, redirectTarget, "adjustment", (client) => (
+      postCommissionAdjustment(client, {
+        agentEmail: agent.email,
+        amount,
+        description: req.body.description,
+        actorUserId: getActorUserId(req)
+      })
+    ));
+    if (!entry) return undefined;
+
+    setFlash(req, "success", `Adjustment of INR ${amount.toFixed(2)} posted for ${agent.full_name}.`);
+    return res.redirect(redirectTarget);
+  });
+
+  router.post("/admin/agents/:agentId/commissions/:entryId/reverse", requireRole("admin"), async (req, res) => {
+    const agent = await findAgent(req.params.agentId).catch((error) => {
+      console.error("Agent commission reversal lookup error:", error);
+      return null;
+    });
+    const entryId = Number.parseInt(req.params.entryId, 10);
+    if (!agent || Number.isNaN(entryId)) {
+      setFlash(req, "error", "Ledger entry not found.");
+      return res.redirect("/admin/agent-commissions");
+    }
+    const month = normalizeStatementMonthInput(req.body.month);
+    const redirectTarget = `/admin/agents/${agent.id}/commissions${month ? `?month=${month}` : ""}`;
+
+    const reversal = await runLedgerTransaction(req, res, redirectTarget, "reversal", (client) => (
+      reverseCommissionEntry(client, entryId, {
+        agentEmail: agent.email,
+        reason: req.body.reason,
+        actorUserId: getActorUserId(req)
+      })
+    ));
+    if (!reversal) return undefined;
+
+    setFlash(req, "success", `Entry #${entryId} reversed. The reversal is posted to the current month.`);
+    return res.redirect(redirectTarget);
+  });
+
+  router.post("/admin/agents/:agentId/commissions/:month/reconcile", requireRole("admin"), async (req, res) => {
+    const agent = await findAgent(req.params.agentId).catch((error) => {
+      console.error("Agent commission reconcile lookup error:", error);
+      return null;
+    });
+    const month = normalizeStatementMonthInput(req.params.month);
+    if (!agent || !month) {
+      setFlash(req, "error", "Statement not found.");
+      return res.redirect("/admin/agent-commissions");
+    }
+    const redirectTarget = `/admin/agents/${agent.id}/commissions?month=${month}`;
+
+    const statement = await runLedgerTransaction(req, res, redirectTarget, "reconcile", (client) => (
+      reconcileAgentStatement(client, agent.email, month, {
+        actorUserId: getActorUserId(req),
+        notes: req.body.notes
+      })
+    ));
+    if (!statement) return undefined;
+
+    setFlash(
+      req,
+      "success",
+      `${month} statement reconciled for ${agent.full_name}. Closing balance INR ${statement.closingBalance.toFixed(2)}.`
+    );
+    return res.redirect(redirectTarget);
+  });
+
+  return router;
+}
+
+module.exports = createAgentCommissionController;
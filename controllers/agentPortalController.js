@@ -1,5 +1,36 @@
 const express = require("express");
 const runtime = require("../services/runtimeContext");
+const { PATIENT_AUDIT_FIELDS, pickAuditFields, recordAuditEventSafely } = require("../services/auditLog");
+const {
+  NURSE_GENDER_PREFERENCES,
+  normalizeGenderPreferenceInput,
+  normalizeLanguageListInput,
+  rankNursesForRequest
+} = require("../services/nurseMatching");
+const {
+  buildAgentStatement,
+  buildAgentStatementCsv,
+  getCurrentStatementMonth,
+  listAgentStatementMonths,
+  normalizeStatementMonthInput
+} = require("../services/agentCommissions");
+const { dispatchNotificationDeliveries, notifyUsers } = require("../services/notifications");
+const { finishCareRequestTransition, transitionCareRequest } = require("../services/careRequestWorkflow");
+const { endNurseAssignmentPeriods } = require("../services/careRequestAssignments");
+const {
+  VISIT_WEEKDAYS,
+  VISIT_WEEKDAY_LABELS,
+  formatVisitDays,
+  normalizeTimeInput,
+  normalizeVisitDaysInput
+} = require("../services/careShifts");
+const {
+  buildRenewalDefaults,
+  createRenewalRequest,
+  loadRenewalSource,
+  normalizeRenewalInput
+} = require("../services/careRequestRenewals");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
 
 function createAgentPortalController() {
   const router = express.Router();
@@ -21,6 +52,7 @@ function createAgentPortalController() {
     getNurseByUserId,
     getNurseByEmail,
     getNurseByProfileSlug,
+    getAgentNurseOwnershipSql,
     createNurse,
     updateNurse,
     deleteNurse,
@@ -60,7 +92,6 @@ function createAgentPortalController() {
     CARE_REQUEST_MARKETPLACE_TABS,
     CARE_REQUEST_PAYMENT_STATUSES,
     CARE_REQUEST_STATUSES,
-    CARE_REQUEST_TRANSITIONS,
     CERTIFICATES_DIR,
     COMMISSION_TYPES,
     COMPANY_EMAIL,
@@ -96,7 +127,6 @@ function createAgentPortalController() {
     buildPublicNurseProfileView,
     calculateCommission,
     calculateProfileCompletion,
-    canTransitionCareRequestStatus,
     clearPatientFinancials,
     collectNurseAssetUrls,
     configureApp,
@@ -245,189 +275,33 @@ function createAgentPortalController() {
     return { store, patients, nurses };
   }
 
-  function getAgentNurseOwnershipSql(alias, emailParamRef, userIdParamRef) {
-    const rosterSql = userIdParamRef
-      ? `
-    OR EXISTS (
-      SELECT 1
-      FROM agent_nurse_roster anr
-      WHERE anr.nurse_id = ${alias}.id
-        AND anr.agent_id = ${userIdParamRef}
-    )`
-      : "";
-
-    return `(
-    LOWER(COALESCE(${alias}.agent_email, '')) = LOWER(${emailParamRef})
-    OR EXISTS (
-      SELECT 1
-      FROM unnest(COALESCE(${alias}.agent_emails, ARRAY[]::text[])) AS ae(agent_email)
-      WHERE LOWER(agent_email) = LOWER(${emailParamRef})
-    )${rosterSql}
-  )`;
-  }
-
   function normalizeAssignmentCommentInput(value) {
     const comment = String(value || "").trim();
     return comment || null;
   }
 
-  function assertCareRequestTransition(currentStatus, nextStatus) {
-    if (!normalizeCareRequestStatusInput(currentStatus)) {
-      throw new Error("Invalid current lifecycle state.");
-    }
-    if (!normalizeCareRequestStatusInput(nextStatus)) {
-      throw new Error("Invalid lifecycle transition target.");
-    }
-    if (!canTransitionCareRequestStatus(currentStatus, nextStatus)) {
-      throw new Error(`Cannot transition request from ${currentStatus} to ${nextStatus}.`);
-    }
-  }
-
-  function buildCareRequestLifecycleActor(req, fallbackRole = "system") {
+  // The store cache is not written back to Postgres; commission inputs are persisted so the
+  // earnings snapshot and the agent commission ledger see them at completion.
+  function buildPatientCommissionUpdate(patient) {
     return {
-      userId: req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null,
-      role: req && req.currentUser && req.currentUser.role ? req.currentUser.role : fallbackRole
+      agentEmail: patient.agentEmail,
+      nurseId: patient.nurseId,
+      nurseAmount: patient.nurseAmount,
+      commissionType: patient.commissionType,
+      commissionValue: patient.commissionValue,
+      commissionAmount: patient.commissionAmount,
+      nurseNetAmount: patient.nurseNetAmount,
+      referrerNurseId: patient.referrerNurseId,
+      referralCommissionPercent: patient.referralCommissionPercent,
+      referralCommissionAmount: patient.referralCommissionAmount,
+      transferMarginType: patient.transferMarginType,
+      transferMarginValue: patient.transferMarginValue,
+      transferMarginAmount: patient.transferMarginAmount,
+      lastTransferredAt: patient.lastTransferredAt || null,
+      lastTransferredBy: patient.lastTransferredBy || null
     };
   }
 
-  async function insertCareRequestLifecycleLog(client, payload) {
-    const metadata = payload && typeof payload.metadata === "object" && payload.metadata !== null
-      ? payload.metadata
-      : {};
-
-    await client.query(
-      `INSERT INTO care_request_lifecycle_logs (
-        request_id,
-        event_type,
-        previous_status,
-        next_status,
-        previous_payment_status,
-        next_payment_status,
-        assigned_nurse_id,
-        comment,
-        changed_by_user_id,
-        changed_by_role,
-        metadata
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb)`,
-      [
-        payload.requestId,
-        payload.eventType || "status_update",
-        payload.previousStatus || null,
-        payload.nextStatus || null,
-        payload.previousPaymentStatus || null,
-        payload.nextPaymentStatus || null,
-        typeof payload.assignedNurseId === "number" ? payload.assignedNurseId : null,
-        payload.comment || null,
-        typeof payload.changedByUserId === "number" ? payload.changedByUserId : null,
-        payload.changedByRole || "system",
-        JSON.stringify(metadata)
-      ]
-    );
-  }
-
-  async function upsertCareRequestEarnings(client, requestId, actor, note) {
-    const detailsResult = await client.query(
-      `SELECT
-        cr.id,
-        cr.patient_id,
-        cr.assigned_nurse_id,
-        COALESCE(
-          p.nurse_amount,
-          NULLIF(cr.budget_max, 0),
-          NULLIF(cr.budget_min, 0),
-          p.budget,
-          0
-        ) AS gross_amount,
-        COALESCE(p.commission_amount, 0) AS platform_fee,
-        COALESCE(p.referral_commission_amount, 0) AS referral_fee,
-        p.nurse_net_amount
-     FROM care_requests cr
-     LEFT JOIN patients p ON p.id = cr.patient_id
-     WHERE cr.id = $1
-     LIMIT 1`,
-      [requestId]
-    );
-    const details = detailsResult.rows[0];
-    if (!details || !details.assigned_nurse_id) {
-      return null;
-    }
-
-    const grossAmount = Number.parseFloat(details.gross_amount) || 0;
-    const platformFee = Number.parseFloat(details.platform_fee) || 0;
-    const referralFee = Number.parseFloat(details.referral_fee) || 0;
-    const rawNetAmount = details.nurse_net_amount !== null && typeof details.nurse_net_amount !== "undefined"
-      ? Number.parseFloat(details.nurse_net_amount) || 0
-      : grossAmount - platformFee - referralFee;
-    const netAmount = Math.max(Number(rawNetAmount.toFixed(2)), 0);
-
-    const earningsUpsertResult = await client.query(
-      `INSERT INTO care_request_earnings (
-        request_id,
-        nurse_id,
-        patient_id,
-        gross_amount,
-        platform_fee,
-        referral_fee,
-        net_amount,
-        payout_status,
-        notes,
-        generated_by_user_id,
-        generated_at,
-        updated_at
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,'pending',$8,$9,NOW(),NOW())
-      ON CONFLICT (request_id)
-      DO UPDATE SET
-        nurse_id = EXCLUDED.nurse_id,
-        patient_id = EXCLUDED.patient_id,
-        gross_amount = EXCLUDED.gross_amount,
-        platform_fee = EXCLUDED.platform_fee,
-        referral_fee = EXCLUDED.referral_fee,
-        net_amount = EXCLUDED.net_amount,
-        notes = EXCLUDED.notes,
-        generated_by_user_id = EXCLUDED.generated_by_user_id,
-        updated_at = NOW()
-      RETURNING *`,
-      [
-        requestId,
-        details.assigned_nurse_id,
-        details.patient_id || null,
-        Number(grossAmount.toFixed(2)),
-        Number(platformFee.toFixed(2)),
-        Number(referralFee.toFixed(2)),
-        netAmount,
-        note || "Earnings generated on completion.",
-        actor && typeof actor.userId === "number" ? actor.userId : null
-      ]
-    );
-
-    const earnings = earningsUpsertResult.rows[0] || null;
-    if (earnings) {
-      await insertCareRequestLifecycleLog(client, {
-        requestId,
-        eventType: "earnings_generated",
-        previousStatus: null,
-        nextStatus: null,
-        previousPaymentStatus: null,
-        nextPaymentStatus: null,
-        assignedNurseId: details.assigned_nurse_id,
-        comment: note || "Earnings generated/updated for completed request.",
-        changedByUserId: actor && typeof actor.userId === "number" ? actor.userId : null,
-        changedByRole: actor && actor.role ? actor.role : "system",
-        metadata: {
-          earningsId: earnings.id,
-          grossAmount: earnings.gross_amount,
-          platformFee: earnings.platform_fee,
-          referralFee: earnings.referral_fee,
-          netAmount: earnings.net_amount
-        }
-      });
-    }
-
-    return earnings;
-  }
-
   function buildAgentScopedPublicNurseUrl(agentRecord, nurse) {
     const nurseProfileSlug = String((nurse && (nurse.profileSlug || nurse.profile_slug)) || "").trim();
     const agentIdentifier = String(
@@ -485,10 +359,18 @@ function createAgentPortalController() {
               cr.assigned_nurse_id,
               COALESCE(NULLIF(assigned_nurse.full_name, ''), '-') AS assigned_nurse_name,
               COALESCE(NULLIF(assigned_nurse.unique_id, ''), CONCAT('PHCN-', LPAD(assigned_nurse.id::text, 3, '0'))) AS assigned_nurse_code,
+              COALESCE(cr.visit_days, ARRAY[]::text[]) AS visit_days,
+              COALESCE(cr.visit_time, '') AS visit_time,
+              COALESCE(previous.request_code, CONCAT('CR-', previous.id::text)) AS renewed_from_code,
+              COALESCE(renewal.request_code, CONCAT('CR-', renewal.id::text)) AS renewal_code,
               cr.created_at
            FROM care_requests cr
            LEFT JOIN patients p ON p.id = cr.patient_id
            LEFT JOIN nurses assigned_nurse ON assigned_nurse.id = cr.assigned_nurse_id
+           LEFT JOIN care_requests previous ON previous.id = cr.renewed_from_request_id
+           LEFT JOIN care_requests renewal
+             ON renewal.renewed_from_request_id = cr.id
+            AND renewal.status <> 'cancelled'
            WHERE LOWER(COALESCE(p.agent_email, '')) = LOWER($1)
            ORDER BY cr.created_at DESC`,
             [agentEmail]
@@ -512,11 +394,18 @@ function createAgentPortalController() {
         jobs = jobsResult.rows.map((row) => ({
           ...row,
           budget: Number.parseFloat(row.budget) || 0,
+          visitDaysLabel: formatVisitDays(row.visit_days),
           canEdit: !["active", "completed", "cancelled"].includes(String(row.status || "").toLowerCase()),
           canDelete: !["active", "completed"].includes(String(row.status || "").toLowerCase()),
           canAssign: String(row.status || "").toLowerCase() === "open",
           canStart: ["assigned", "payment_pending"].includes(String(row.status || "").toLowerCase()) && Boolean(row.assigned_nurse_id),
-          canComplete: String(row.status || "").toLowerCase() === "active"
+          canComplete: String(row.status || "").toLowerCase() === "active",
+          canViewShifts: ["active", "completed"].includes(String(row.status || "").toLowerCase()),
+          canViewCarePlan: String(row.status || "").toLowerCase() !== "cancelled",
+          canViewVitals: ["active", "completed"].includes(String(row.status || "").toLowerCase()),
+          canViewMedications: String(row.status || "").toLowerCase() !== "cancelled",
+          canReportIncident: ["assigned", "payment_pending", "active", "completed"].includes(String(row.status || "").toLowerCase()),
+          canRenew: ["active", "completed"].includes(String(row.status || "").toLowerCase()) && !row.renewal_code
         }));
         assignableNurses = nursesResult.rows;
       }
@@ -689,6 +578,7 @@ function createAgentPortalController() {
         [nurseId]
       );
 
+      await endNurseAssignmentPeriods(client, nurseId, { actorUserId: agentUserId });
       await client.query(
         `UPDATE care_requests
        SET assigned_nurse_id = NULL,
@@ -842,9 +732,29 @@ function createAgentPortalController() {
           COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General Care') AS care_type,
           cr.status,
           cr.payment_status,
+          next_shift.starts_at AS next_shift_at,
+          EXISTS (SELECT 1 FROM care_plans cp WHERE cp.request_id = cr.id) AS has_care_plan,
+          last_visit.visit_date AS last_visit_note_date,
+          last_visit.observations AS last_visit_observations,
           cr.created_at
        FROM care_requests cr
        JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN LATERAL (
+         SELECT s.starts_at
+         FROM care_request_shifts s
+         WHERE s.request_id = cr.id
+           AND s.status = 'scheduled'
+           AND s.ends_at >= NOW()
+         ORDER BY s.starts_at ASC
+         LIMIT 1
+       ) next_shift ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT to_char(v.visit_date, 'YYYY-MM-DD') AS visit_date, v.observations
+         FROM care_visit_notes v
+         WHERE v.request_id = cr.id
+         ORDER BY v.visit_date DESC, v.id DESC
+         LIMIT 1
+       ) last_visit ON TRUE
        WHERE LOWER(COALESCE(p.agent_email, '')) = LOWER($1)
        ORDER BY cr.created_at DESC
        LIMIT 100`,
@@ -862,6 +772,10 @@ function createAgentPortalController() {
         care_type: patient.careRequirement || patient.notes || "General Care",
         status: normalizeDashboardRequestStatus(patient.status),
         payment_status: "pending",
+        next_shift_at: null,
+        has_care_plan: false,
+        last_visit_note_date: null,
+        last_visit_observations: null,
         created_at: patient.createdAt || now()
       }));
       return res.json(fallbackRows);
@@ -953,6 +867,26 @@ function createAgentPortalController() {
   router.get("/agent/financials", requireRole("agent"), loadAgentProfile, async (req, res) => {
     const agentEmail = normalizeEmail(req.currentUser.email);
 
+    // Browsers get the commission statement page; API callers keep the JSON summary.
+    if (req.accepts(["json", "html"]) === "html") {
+      const month = normalizeStatementMonthInput(req.query.month) || getCurrentStatementMonth();
+      try {
+        const [statement, months] = await Promise.all([
+          buildAgentStatement(pool, agentEmail, month),
+          listAgentStatementMonths(pool, agentEmail)
+        ]);
+        return res.render("agent/financials", {
+          title: "Commission Statements",
+          statement,
+          months
+        });
+      } catch (error) {
+        console.error("Agent commission statement error:", error);
+        setFlash(req, "error", "Unable to load commission statements right now.");
+        return res.redirect("/agent/dashboard");
+      }
+    }
+
     try {
       const [summaryResult, rowsResult] = await Promise.all([
         pool.query(
@@ -1041,6 +975,24 @@ function createAgentPortalController() {
     }
   });
 
+  router.get("/agent/financials/statements/:month/download", requireRole("agent"), loadAgentProfile, async (req, res) => {
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    const month = normalizeStatementMonthInput(req.params.month);
+    if (!month) {
+      return res.status(400).send("Invalid statement month");
+    }
+
+    try {
+      const statement = await buildAgentStatement(pool, agentEmail, month);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="commission-statement-${month}.csv"`);
+      return res.send(buildAgentStatementCsv(statement));
+    } catch (error) {
+      console.error("Agent commission statement download error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
   router.get("/agent/dashboard/monthly", requireRole("agent"), loadAgentProfile, async (req, res) => {
     const agentEmail = normalizeEmail(req.currentUser.email);
     try {
@@ -1048,7 +1000,7 @@ function createAgentPortalController() {
         `SELECT
           date_trunc('month', cr.created_at) AS month_start,
           COALESCE(SUM(e.platform_fee), 0)::numeric(12,2) AS revenue,
-          COUNT(*) FILTER (WHERE cr.status = 'completed')::int AS completed_jobs,
+          COUNT(DISTINCT cr.id) FILTER (WHERE cr.status = 'completed')::int AS completed_jobs,
           COUNT(DISTINCT cr.assigned_nurse_id) FILTER (
             WHERE cr.status IN ('active', 'completed')
               AND cr.assigned_nurse_id IS NOT NULL
@@ -1121,10 +1073,9 @@ function createAgentPortalController() {
         return res.status(404).json({ error: "Request not found in your assigned records." });
       }
 
-      const currentStatus = normalizeCareRequestStatusInput(careRequest.status);
-      const currentPaymentStatus = normalizeCareRequestPaymentStatusInput(careRequest.payment_status);
       const actor = buildCareRequestLifecycleActor(req, "agent");
       let responseMessage = "";
+      let workflowOutcome = null;
 
       if (action === "assign") {
         const nurseId = Number.parseInt(req.body.nurseId, 10);
@@ -1154,32 +1105,18 @@ function createAgentPortalController() {
           throw new Error("Selected nurse must be approved and available.");
         }
 
-        const previousStatus = currentStatus || "open";
-        if (previousStatus !== "assigned") {
-          assertCareRequestTransition(previousStatus, "assigned");
-        }
-
-        await client.query(
-          `UPDATE care_requests
-         SET assigned_nurse_id = $2,
-             status = 'assigned',
-             payment_status = 'pending',
-             nurse_notified = TRUE,
-             assignment_comment = $3
-         WHERE id = $1`,
-          [requestId, nurseId, `Assigned from agent dashboard by ${agentEmail}`]
-        );
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        // Picking another nurse for an assigned request swaps the nurse without moving the request.
+        workflowOutcome = await transitionCareRequest(client, requestId, "assigned", {
+          actor,
+          update: careRequest.status === "assigned" ? "change_nurse" : null,
+          changes: {
+            assigned_nurse_id: nurseId,
+            payment_status: "pending",
+            nurse_notified: true,
+            assignment_comment: `Assigned from agent dashboard by ${agentEmail}`
+          },
           eventType: "agent_nurse_assigned",
-          previousStatus,
-          nextStatus: "assigned",
-          previousPaymentStatus: currentPaymentStatus || "pending",
-          nextPaymentStatus: "pending",
-          assignedNurseId: nurseId,
           comment: "Nurse assigned from agent dashboard.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
           metadata: {
             source: "agent_dashboard",
             nurseId
@@ -1189,86 +1126,46 @@ function createAgentPortalController() {
       }
 
       if (action === "start") {
-        if (!["assigned", "payment_pending"].includes(currentStatus)) {
-          throw new Error("Only assigned requests can be started.");
-        }
-        if (!careRequest.assigned_nurse_id) {
-          throw new Error("Assign a nurse before starting the job.");
-        }
-        assertCareRequestTransition(currentStatus, "active");
-
-        await client.query(
-          `UPDATE care_requests
-         SET status = 'active',
-             payment_status = 'paid'
-         WHERE id = $1`,
-          [requestId]
-        );
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        workflowOutcome = await transitionCareRequest(client, requestId, "active", {
+          actor,
+          changes: { payment_status: "paid" },
           eventType: "agent_job_started",
-          previousStatus: currentStatus,
-          nextStatus: "active",
-          previousPaymentStatus: currentPaymentStatus || "pending",
-          nextPaymentStatus: "paid",
-          assignedNurseId: careRequest.assigned_nurse_id,
           comment: "Job started from agent dashboard.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
           metadata: {
             source: "agent_dashboard"
           }
         });
-        responseMessage = "Job started.";
+        const shiftOutcome = workflowOutcome.hooks.generate_shifts;
+        responseMessage = shiftOutcome
+          ? `Job started. ${shiftOutcome.created} shift(s) scheduled.`
+          : "Job started.";
       }
 
       if (action === "complete") {
-        if (currentStatus !== "active") {
-          throw new Error("Only active jobs can be completed.");
-        }
-        assertCareRequestTransition(currentStatus, "completed");
-
-        await client.query(
-          `UPDATE care_requests
-         SET status = 'completed',
-             payment_status = 'paid'
-         WHERE id = $1`,
-          [requestId]
-        );
-        await insertCareRequestLifecycleLog(client, {
-          requestId,
+        workflowOutcome = await transitionCareRequest(client, requestId, "completed", {
+          actor,
+          changes: { payment_status: "paid" },
           eventType: "agent_job_completed",
-          previousStatus: "active",
-          nextStatus: "completed",
-          previousPaymentStatus: currentPaymentStatus || "paid",
-          nextPaymentStatus: "paid",
-          assignedNurseId: careRequest.assigned_nurse_id,
           comment: "Job completed from agent dashboard.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
           metadata: {
             source: "agent_dashboard"
           }
         });
-        await upsertCareRequestEarnings(client, requestId, actor, "Earnings updated from agent dashboard completion.");
         responseMessage = "Job marked as completed.";
       }
 
-      await client.query(
-        `INSERT INTO notifications (user_id, type, title, message, related_request_id)
-       VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.currentUser.id,
-          "agent_dashboard_action",
-          "Dashboard Action Applied",
-          responseMessage || "Action completed from dashboard.",
-          requestId
-        ]
-      );
+      // In-app only, so there is nothing to dispatch after COMMIT.
+      await notifyUsers(client, [req.currentUser.id], {
+        eventType: "agent_dashboard_action",
+        title: "Dashboard Action Applied",
+        message: responseMessage || "Action completed from dashboard.",
+        relatedRequestId: requestId
+      });
 
       await client.query("COMMIT");
       client.release();
       client = null;
+      await finishCareRequestTransition(pool, workflowOutcome);
       if (!acceptsJson) {
         setFlash(req, "success", responseMessage);
         return res.redirect("/agent/dashboard?tab=jobs");
@@ -1333,11 +1230,23 @@ function createAgentPortalController() {
         budget: job.budget || "",
         notes: job.notes || "",
         preferredNurseId: job.preferredNurseId || "",
+        preferredGender: job.preferredGender || "",
+        preferredLanguages: Array.isArray(job.preferredLanguages) ? job.preferredLanguages : [],
+        visitDays: Array.isArray(job.visitDays) ? job.visitDays : [],
+        visitTime: job.visitTime || "",
+        startsOn: job.startsOn || "",
+        endsOn: job.endsOn || "",
+        keepNurse: Boolean(job.keepNurse),
+        canKeepNurse: Boolean(job.canKeepNurse),
+        assignedNurseName: job.assignedNurseName || "",
         requestCode: job.requestCode || "",
         status: job.status || "open",
         visibilityStatus: job.visibilityStatus || "pending"
       },
-      assignableNurses
+      assignableNurses,
+      genderPreferenceOptions: NURSE_GENDER_PREFERENCES,
+      visitWeekdays: VISIT_WEEKDAYS,
+      visitWeekdayLabels: VISIT_WEEKDAY_LABELS
     });
   }
 
@@ -1387,6 +1296,11 @@ function createAgentPortalController() {
     const budget = Number.parseFloat(req.body.budget);
     const notes = String(req.body.notes || "").trim();
     const preferredNurseId = Number.parseInt(req.body.preferredNurseId, 10);
+    const preferredGender = normalizeGenderPreferenceInput(req.body.preferredGender);
+    const preferredLanguages = normalizeLanguageListInput(req.body.preferredLanguages);
+    const visitDays = normalizeVisitDaysInput(req.body.visitDays);
+    const visitTimeInput = String(req.body.visitTime || "").trim();
+    const visitTime = normalizeTimeInput(visitTimeInput);
     const agentEmail = normalizeEmail(req.currentUser.email);
 
     if (!fullName || !emailInput || !phoneInput || !city || !serviceSchedule) {
@@ -1422,6 +1336,11 @@ function createAgentPortalController() {
       return res.redirect("/agent/jobs/new");
     }
 
+    if (visitTimeInput && !visitTime) {
+      setFlash(req, "error", "Enter the visit time as HH:MM.");
+      return res.redirect("/agent/jobs/new");
+    }
+
     let createdPatient = null;
     try {
       const preferredNurse = await resolvePreferredAgentNurse(
@@ -1491,9 +1410,13 @@ function createAgentPortalController() {
           marketplace_ready,
           status,
           payment_status,
-          nurse_notified
+          nurse_notified,
+          preferred_nurse_gender,
+          preferred_languages,
+          visit_days,
+          visit_time
         )
-       VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, FALSE, 'open', 'pending', FALSE)
+       VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, FALSE, 'open', 'pending', FALSE, $9, $10::text[], $11::text[], $12)
       RETURNING id, status, payment_status, assigned_nurse_id`,
         [
           createdPatient.id,
@@ -1503,7 +1426,11 @@ function createAgentPortalController() {
           durationValue,
           durationUnit,
           budget,
-          budget
+          budget,
+          preferredGender || null,
+          preferredLanguages,
+          visitDays,
+          visitTime || null
         ]
       );
 
@@ -1543,6 +1470,27 @@ function createAgentPortalController() {
     }
   });
 
+  router.get("/agent/jobs/matches", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    try {
+      const shortlist = await rankNursesForRequest(pool, {
+        city: String(req.query.city || "").trim(),
+        careType: String(req.query.notes || "").trim(),
+        serviceSchedule: String(req.query.serviceSchedule || "").trim(),
+        preferredGender: normalizeGenderPreferenceInput(req.query.preferredGender),
+        preferredLanguages: normalizeLanguageListInput(req.query.preferredLanguages)
+      }, {
+        limit: 8,
+        scopeSql: getAgentNurseOwnershipSql("n", "$1", "$2"),
+        scopeParams: [agentEmail, req.currentUser.id]
+      });
+      return res.json({ shortlist });
+    } catch (error) {
+      console.error("Agent job matches error:", error);
+      return res.status(500).json({ error: "Unable to rank nurses right now." });
+    }
+  });
+
   router.get("/agent/jobs/:id/edit", requireRole("agent"), requireApprovedAgent, async (req, res) => {
     const requestId = Number.parseInt(req.params.id, 10);
     const agentEmail = normalizeEmail(req.currentUser.email);
@@ -1568,7 +1516,11 @@ function createAgentPortalController() {
           COALESCE(NULLIF(p.duration_unit, ''), cr.duration_unit, 'months') AS duration_unit,
           COALESCE(NULLIF(p.budget, 0), NULLIF(cr.budget_max, 0), NULLIF(cr.budget_min, 0), 0) AS budget,
           COALESCE(NULLIF(p.notes, ''), '') AS notes,
-          p.preferred_nurse_id
+          p.preferred_nurse_id,
+          COALESCE(cr.preferred_nurse_gender, '') AS preferred_nurse_gender,
+          COALESCE(cr.preferred_languages, ARRAY[]::text[]) AS preferred_languages,
+          COALESCE(cr.visit_days, ARRAY[]::text[]) AS visit_days,
+          COALESCE(cr.visit_time, '') AS visit_time
        FROM care_requests cr
        JOIN patients p ON p.id = cr.patient_id
        WHERE cr.id = $1
@@ -1603,6 +1555,10 @@ function createAgentPortalController() {
           budget: Number.parseFloat(job.budget) || "",
           notes: job.notes,
           preferredNurseId: job.preferred_nurse_id || "",
+          preferredGender: job.preferred_nurse_gender,
+          preferredLanguages: job.preferred_languages,
+          visitDays: normalizeVisitDaysInput(job.visit_days),
+          visitTime: job.visit_time,
           requestCode: job.request_code,
           status: job.status,
           visibilityStatus: job.visibility_status || "pending"
@@ -1627,6 +1583,11 @@ function createAgentPortalController() {
     const budget = Number.parseFloat(req.body.budget);
     const notes = String(req.body.notes || "").trim();
     const preferredNurseId = Number.parseInt(req.body.preferredNurseId, 10);
+    const preferredGender = normalizeGenderPreferenceInput(req.body.preferredGender);
+    const preferredLanguages = normalizeLanguageListInput(req.body.preferredLanguages);
+    const visitDays = normalizeVisitDaysInput(req.body.visitDays);
+    const visitTimeInput = String(req.body.visitTime || "").trim();
+    const visitTime = normalizeTimeInput(visitTimeInput);
     const agentEmail = normalizeEmail(req.currentUser.email);
 
     if (Number.isNaN(requestId) || requestId <= 0) {
@@ -1661,6 +1622,10 @@ function createAgentPortalController() {
       setFlash(req, "error", "Please enter a valid budget.");
       return res.redirect(`/agent/jobs/${requestId}/edit`);
     }
+    if (visitTimeInput && !visitTime) {
+      setFlash(req, "error", "Enter the visit time as HH:MM.");
+      return res.redirect(`/agent/jobs/${requestId}/edit`);
+    }
 
     let client;
     try {
@@ -1737,6 +1702,10 @@ function createAgentPortalController() {
            duration_unit = $4,
            budget_min = $5,
            budget_max = $6,
+           preferred_nurse_gender = $7,
+           preferred_languages = $8::text[],
+           visit_days = $9::text[],
+           visit_time = $10,
            visibility_status = 'pending'
        WHERE id = $1`,
         [
@@ -1745,7 +1714,11 @@ function createAgentPortalController() {
           durationValue,
           durationUnit,
           budget,
-          budget
+          budget,
+          preferredGender || null,
+          preferredLanguages,
+          visitDays,
+          visitTime || null
         ]
       );
 
@@ -1784,6 +1757,129 @@ function createAgentPortalController() {
     }
   });
 
+  async function loadOwnedRenewalSource(requestId, agentEmail) {
+    const source = await loadRenewalSource(pool, requestId);
+    if (!source || String(source.agent_email || "").toLowerCase() !== agentEmail) {
+      return null;
+    }
+    return source;
+  }
+
+  router.get("/agent/jobs/:id/renew", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+
+    if (Number.isNaN(requestId) || requestId <= 0) {
+      setFlash(req, "error", "Invalid job.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+
+    try {
+      const source = await loadOwnedRenewalSource(requestId, agentEmail);
+      if (!source) {
+        setFlash(req, "error", "Job not found.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      if (source.renewal_request_id) {
+        setFlash(req, "error", `This job was already renewed as ${source.renewal_request_code}.`);
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      if (!source.canRenew) {
+        setFlash(req, "error", "Only active or completed jobs can be renewed.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+
+      const patient = await getPatientById(source.patient_id);
+      const defaults = buildRenewalDefaults(source);
+      return await renderAgentJobForm(req, res, {
+        title: "Renew Job",
+        formMode: "renew",
+        formAction: `/agent/jobs/${requestId}/renew`,
+        job: {
+          id: source.id,
+          fullName: source.patient_name,
+          email: patient ? patient.email : "",
+          phoneNumber: patient ? patient.phoneNumber : "",
+          city: patient ? patient.city : "",
+          notes: patient ? patient.notes : "",
+          ...defaults,
+          canKeepNurse: Boolean(source.assigned_nurse_id && source.nurse_can_continue),
+          assignedNurseName: source.assigned_nurse_name,
+          endsOn: source.ends_on,
+          requestCode: source.request_code,
+          status: source.status
+        }
+      });
+    } catch (error) {
+      console.error("Agent job renew form error:", error);
+      setFlash(req, "error", "Unable to load the renewal form right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/jobs/:id/renew", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const serviceSchedule = String(req.body.serviceSchedule || "").trim();
+    const agentEmail = normalizeEmail(req.currentUser.email);
+
+    if (Number.isNaN(requestId) || requestId <= 0) {
+      setFlash(req, "error", "Invalid job.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    const scheduleValidation = validateServiceSchedule(serviceSchedule);
+    if (!scheduleValidation.valid) {
+      setFlash(req, "error", scheduleValidation.error);
+      return res.redirect(`/agent/jobs/${requestId}/renew`);
+    }
+
+    let client;
+    try {
+      const input = normalizeRenewalInput(req.body);
+      const source = await loadOwnedRenewalSource(requestId, agentEmail);
+      if (!source) {
+        throw new Error("Job not found.");
+      }
+
+      const requestCode = await generateUniquePublicRequestCode();
+      const editToken = await generateUniqueCareRequestEditToken();
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const renewal = await createRenewalRequest(client, requestId, input, {
+        patientId: nextId(readStore(), "patient"),
+        requestCode,
+        editToken,
+        serviceSchedule,
+        actor: buildCareRequestLifecycleActor(req, "agent")
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, renewal.notificationDeliveryIds);
+      await finishCareRequestTransition(pool, renewal.outcome);
+
+      setFlash(
+        req,
+        "success",
+        renewal.keptNurse
+          ? `Job renewed as ${requestCode} with ${source.assigned_nurse_name}.`
+          : `Job renewed as ${requestCode}. It goes to pending approval for a new nurse.`
+      );
+      return res.redirect("/agent/dashboard?tab=jobs");
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Agent job renew rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Agent job renew error:", error);
+      setFlash(req, "error", error.message || "Unable to renew the job right now.");
+      return res.redirect(`/agent/jobs/${requestId}/renew`);
+    }
+  });
+
   router.post("/agent/jobs/:id/delete", requireRole("agent"), requireApprovedAgent, async (req, res) => {
     const requestId = Number.parseInt(req.params.id, 10);
     const agentEmail = normalizeEmail(req.currentUser.email);
@@ -1865,7 +1961,7 @@ function createAgentPortalController() {
     return res.redirect(307, "/agent/jobs/new");
   });
 
-  router.post("/agent/patients/:id/financials", requireRole("agent"), requireApprovedAgent, (req, res) => {
+  router.post("/agent/patients/:id/financials", requireRole("agent"), requireApprovedAgent, async (req, res) => {
     const patientId = Number.parseInt(req.params.id, 10);
     const nurseIdRaw = String(req.body.nurseId || "").trim();
     const nurseAmount = parseMoney(req.body.nurseAmount);
@@ -1881,9 +1977,21 @@ function createAgentPortalController() {
       return res.redirect("/agent");
     }
 
+    const auditBefore = pickAuditFields(patient, PATIENT_AUDIT_FIELDS);
+    const recordFinancialsAudit = (summary) => recordAuditEventSafely(pool, req, {
+      action: "patient.update_financials",
+      entityType: "patient",
+      entityId: patient.id,
+      summary,
+      before: auditBefore,
+      after: pickAuditFields(patient, PATIENT_AUDIT_FIELDS)
+    });
+
     if (!nurseIdRaw) {
       clearPatientFinancials(patient);
       writeStore(store);
+      await updatePatient(patient.id, buildPatientCommissionUpdate(patient));
+      await recordFinancialsAudit("Cleared nurse and financial assignment");
       setFlash(req, "success", "Nurse and financial assignment cleared for this patient.");
       return res.redirect("/agent");
     }
@@ -1952,11 +2060,13 @@ function createAgentPortalController() {
     }
 
     writeStore(store);
+    await updatePatient(patient.id, buildPatientCommissionUpdate(patient));
+    await recordFinancialsAudit(`Assigned nurse ${nurse.fullName || nurse.id} with ${commissionType.toLowerCase()} commission`);
     setFlash(req, "success", "Patient assignment and commission saved.");
     return res.redirect("/agent");
   });
 
-  router.post("/agent/patients/:id/transfer", requireRole("agent"), requireApprovedAgent, (req, res) => {
+  router.post("/agent/patients/:id/transfer", requireRole("agent"), requireApprovedAgent, async (req, res) => {
     const patientId = Number.parseInt(req.params.id, 10);
     const targetAgentEmail = normalizeEmail(req.body.targetAgentEmail || "");
     const transferMarginType = String(req.body.transferMarginType || "").trim();
@@ -1992,6 +2102,7 @@ function createAgentPortalController() {
       return res.redirect("/agent");
     }
 
+    const auditBefore = pickAuditFields(patient, PATIENT_AUDIT_FIELDS);
     const marginValue = Number(transferMarginValue.toFixed(2));
     let transferMarginAmount = 0;
     if (typeof patient.nurseAmount === "number") {
@@ -2022,6 +2133,15 @@ function createAgentPortalController() {
     }
 
     writeStore(store);
+    await updatePatient(patient.id, buildPatientCommissionUpdate(patient));
+    await recordAuditEventSafely(pool, req, {
+      action: "patient.transfer",
+      entityType: "patient",
+      entityId: patient.id,
+      summary: `Transferred patient to ${targetAgentEmail}`,
+      before: auditBefore,
+      after: pickAuditFields(patient, PATIENT_AUDIT_FIELDS)
+    });
     setFlash(req, "success", "Patient transferred successfully.");
     return res.redirect("/agent");
   });
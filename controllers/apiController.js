@@ -0,0 +1,605 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { findUserByApiToken } = require("../services/apiTokens");
+
+const API_PREFIX = "/api/v1";
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const CARE_REQUEST_STATUSES = ["open", "assigned", "payment_pending", "active", "completed", "cancelled"];
+const PAYMENT_STATUSES = ["pending", "paid", "refunded"];
+const APPLICATION_STATUSES = ["pending", "accepted", "rejected"];
+const PAYOUT_STATUSES = ["pending", "approved", "paid", "on_hold", "cancelled"];
+
+const NURSE_COLUMNS = `
+  n.id,
+  COALESCE(NULLIF(n.unique_id, ''), CONCAT('PHCN-', LPAD(n.id::text, 3, '0'))) AS unique_id,
+  n.full_name,
+  n.gender,
+  n.city,
+  n.work_city,
+  COALESCE(n.experience_years, 0) AS experience_years,
+  COALESCE(n.skills, ARRAY[]::TEXT[]) AS skills,
+  COALESCE(n.languages, ARRAY[]::TEXT[]) AS languages,
+  ARRAY(
+    SELECT BTRIM(COALESCE(q->>'name', q #>> '{}'))
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(n.qualifications) = 'array' THEN n.qualifications ELSE '[]'::jsonb END
+    ) AS q
+  ) AS qualifications,
+  n.status,
+  n.profile_status,
+  COALESCE(n.is_available, TRUE) AS is_available,
+  n.availability_label,
+  n.duty_type,
+  n.profile_slug,
+  COALESCE(n.public_profile_enabled, FALSE) AS public_profile_enabled,
+  u.email,
+  u.phone_number,
+  n.created_at`;
+
+const CARE_REQUEST_COLUMNS = `
+  cr.id,
+  COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+  cr.status,
+  cr.payment_status,
+  cr.visibility_status,
+  cr.marketplace_ready,
+  cr.care_type,
+  cr.duration_value,
+  cr.duration_unit,
+  cr.budget_min,
+  cr.budget_max,
+  p.city,
+  p.service_schedule,
+  cr.preferred_nurse_gender,
+  COALESCE(cr.preferred_languages, ARRAY[]::TEXT[]) AS preferred_languages,
+  cr.assigned_nurse_id,
+  an.full_name AS assigned_nurse_name,
+  cr.patient_id,
+  p.full_name AS patient_name,
+  p.agent_email,
+  cr.created_at`;
+
+// Open marketplace listings shown to nurses who are not assigned; no patient identity.
+const MARKETPLACE_COLUMNS = `
+  cr.id,
+  COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+  cr.status,
+  cr.care_type,
+  cr.duration_value,
+  cr.duration_unit,
+  cr.budget_min,
+  cr.budget_max,
+  p.city,
+  p.service_schedule,
+  cr.preferred_nurse_gender,
+  COALESCE(cr.preferred_languages, ARRAY[]::TEXT[]) AS preferred_languages,
+  cr.created_at`;
+
+const PATIENT_COLUMNS = `
+  p.id,
+  p.request_id,
+  p.full_name,
+  p.email,
+  p.phone_number,
+  p.city,
+  p.service_schedule,
+  p.duration,
+  p.budget,
+  p.budget_min,
+  p.budget_max,
+  p.notes,
+  p.status,
+  p.agent_email,
+  p.nurse_id,
+  p.preferred_nurse_id,
+  p.created_at`;
+
+function createApiController() {
+  const router = express.Router();
+  const {
+    pool,
+    getAgentNurseOwnershipSql,
+    getAgentRecordForUser,
+    isApprovedAgentStatus
+  } = runtime;
+
+  function sendApiError(res, status, code, message) {
+    return res.status(status).json({ error: { code, message } });
+  }
+
+  function sendApiData(res, data, status = 200) {
+    return res.status(status).json({ data });
+  }
+
+  // The total comes from its own COUNT(*) so pages past the last one still report it.
+  async function sendApiPage(res, pagination, { columns, fromSql, orderBy, params }) {
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${fromSql}`, params);
+    const total = countResult.rows[0].total;
+    const result = await pool.query(
+      `SELECT ${columns}
+       ${fromSql}
+       ORDER BY ${orderBy}
+       LIMIT ${pagination.perPage} OFFSET ${pagination.offset}`,
+      params
+    );
+    return res.json({
+      data: result.rows,
+      meta: {
+        page: pagination.page,
+        per_page: pagination.perPage,
+        total,
+        total_pages: Math.max(1, Math.ceil(total / pagination.perPage))
+      }
+    });
+  }
+
+  function parsePagination(query) {
+    const page = Number.parseInt(query.page, 10);
+    const perPage = Number.parseInt(query.per_page, 10);
+    const safePage = Number.isInteger(page) && page > 0 ? page : 1;
+    const safePerPage = Number.isInteger(perPage) && perPage > 0 ? Math.min(perPage, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+    return { page: safePage, perPage: safePerPage, offset: (safePage - 1) * safePerPage };
+  }
+
+  function parseIdParam(value) {
+    const id = Number.parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+  }
+
+  function pickEnumFilter(value, allowed) {
+    const clean = String(value || "").trim().toLowerCase();
+    return allowed.includes(clean) ? clean : "";
+  }
+
+  // Collects WHERE clauses and their parameters; `add` returns the placeholder for a value.
+  function createSqlFilter() {
+    const params = [];
+    const clauses = [];
+    return {
+      params,
+      clauses,
+      add(value) {
+        params.push(value);
+        return `$${params.length}`;
+      },
+      where() {
+        return clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+      }
+    };
+  }
+
+  function addNurseScope(filter, apiUser) {
+    if (apiUser.role === "agent") {
+      filter.clauses.push(getAgentNurseOwnershipSql("n", filter.add(apiUser.agentEmail), filter.add(apiUser.id)));
+    } else if (apiUser.role === "nurse") {
+      filter.clauses.push(`n.id = ${filter.add(apiUser.nurseId)}`);
+    }
+  }
+
+  function addCareRequestScope(filter, apiUser) {
+    if (apiUser.role === "agent") {
+      filter.clauses.push(`LOWER(COALESCE(p.agent_email, '')) = LOWER(${filter.add(apiUser.agentEmail)})`);
+    } else if (apiUser.role === "nurse") {
+      filter.clauses.push(`cr.assigned_nurse_id = ${filter.add(apiUser.nurseId)}`);
+    }
+  }
+
+  function addPatientScope(filter, apiUser) {
+    if (apiUser.role === "agent") {
+      filter.clauses.push(`LOWER(COALESCE(p.agent_email, '')) = LOWER(${filter.add(apiUser.agentEmail)})`);
+    }
+  }
+
+  function requireApiRole(...roles) {
+    return (req, res, next) => {
+      if (!roles.includes(req.apiUser.role)) {
+        return sendApiError(res, 403, "forbidden", "Your account cannot access this resource.");
+      }
+      return next();
+    };
+  }
+
+  async function authenticateApiRequest(req, res, next) {
+    res.set("Cache-Control", "no-store");
+    const header = String(req.get("authorization") || "");
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      res.set("WWW-Authenticate", "Bearer");
+      return sendApiError(res, 401, "unauthorized", "Send an API token in the Authorization header: Bearer <token>.");
+    }
+
+    try {
+      const user = await findUserByApiToken(pool, match[1]);
+      if (!user) {
+        res.set("WWW-Authenticate", "Bearer error=\"invalid_token\"");
+        return sendApiError(res, 401, "invalid_token", "The API token is invalid, expired or revoked.");
+      }
+
+      const apiUser = { id: user.id, role: user.role, email: user.email, nurseId: null, nurseStatus: "", agentEmail: "" };
+      if (user.role === "nurse") {
+        const nurseResult = await pool.query("SELECT id, status FROM nurses WHERE user_id = $1 LIMIT 1", [user.id]);
+        if (!nurseResult.rows.length) {
+          return sendApiError(res, 403, "profile_missing", "No nurse profile is linked to this account.");
+        }
+        apiUser.nurseId = nurseResult.rows[0].id;
+        apiUser.nurseStatus = nurseResult.rows[0].status || "Pending";
+      } else if (user.role === "agent") {
+        const agentRecord = await getAgentRecordForUser(user.id);
+        if (!agentRecord || !isApprovedAgentStatus(agentRecord.status)) {
+          return sendApiError(res, 403, "account_not_approved", "Your agent account is not approved yet.");
+        }
+        apiUser.agentEmail = agentRecord.email || user.email;
+      }
+
+      req.apiUser = apiUser;
+      return next();
+    } catch (error) {
+      console.error("API authentication error:", error);
+      return sendApiError(res, 500, "server_error", "Unable to authenticate the request right now.");
+    }
+  }
+
+  // Wraps a handler so unexpected failures return the JSON error envelope instead of HTML.
+  function apiHandler(label, handler) {
+    return async (req, res) => {
+      try {
+        return await handler(req, res);
+      } catch (error) {
+        console.error(`API ${label} error:`, error);
+        return sendApiError(res, 500, "server_error", "Something went wrong. Please try again.");
+      }
+    };
+  }
+
+  router.use(API_PREFIX, authenticateApiRequest);
+
+  router.get(`${API_PREFIX}/me`, apiHandler("me", async (req, res) => {
+    const { apiUser } = req;
+    const result = await pool.query(
+      `SELECT
+          u.id,
+          u.email,
+          u.phone_number,
+          u.role,
+          u.status,
+          COALESCE(u.email_verified, FALSE) AS email_verified,
+          COALESCE(n.full_name, a.full_name) AS full_name,
+          n.id AS nurse_id,
+          a.id AS agent_id,
+          u.created_at
+       FROM users u
+       LEFT JOIN nurses n ON n.user_id = u.id
+       LEFT JOIN agents a ON a.user_id = u.id
+       WHERE u.id = $1
+       LIMIT 1`,
+      [apiUser.id]
+    );
+    return sendApiData(res, result.rows[0]);
+  }));
+
+  router.get(`${API_PREFIX}/nurses`, apiHandler("nurses list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = createSqlFilter();
+    filter.clauses.push("(u.id IS NULL OR COALESCE(u.is_deleted, FALSE) = FALSE)");
+    addNurseScope(filter, req.apiUser);
+
+    const status = String(req.query.status || "").trim().toLowerCase();
+    if (["pending", "approved", "rejected"].includes(status)) {
+      filter.clauses.push(`LOWER(COALESCE(n.status, 'pending')) = ${filter.add(status)}`);
+    }
+    if (req.query.available === "true" || req.query.available === "false") {
+      filter.clauses.push(`COALESCE(n.is_available, TRUE) = ${filter.add(req.query.available === "true")}`);
+    }
+    const city = String(req.query.city || "").trim().slice(0, 60);
+    if (city) {
+      const ref = filter.add(city);
+      filter.clauses.push(`(LOWER(n.city) = LOWER(${ref}) OR LOWER(n.work_city) = LOWER(${ref}))`);
+    }
+    const q = String(req.query.q || "").trim().slice(0, 80);
+    if (q) {
+      filter.clauses.push(`POSITION(LOWER(${filter.add(q)}) IN LOWER(CONCAT_WS(' ', n.full_name, n.unique_id, u.email, u.phone_number))) > 0`);
+    }
+
+    return sendApiPage(res, pagination, {
+      columns: NURSE_COLUMNS,
+      fromSql: `FROM nurses n
+       LEFT JOIN users u ON u.id = n.user_id
+       ${filter.where()}`,
+      orderBy: "n.created_at DESC, n.id DESC",
+      params: filter.params
+    });
+  }));
+
+  router.get(`${API_PREFIX}/nurses/:id`, apiHandler("nurse detail", async (req, res) => {
+    const nurseId = parseIdParam(req.params.id);
+    if (!nurseId) return sendApiError(res, 404, "not_found", "Nurse not found.");
+
+    const filter = createSqlFilter();
+    filter.clauses.push(`n.id = ${filter.add(nurseId)}`);
+    filter.clauses.push("(u.id IS NULL OR COALESCE(u.is_deleted, FALSE) = FALSE)");
+    addNurseScope(filter, req.apiUser);
+
+    const result = await pool.query(
+      `SELECT ${NURSE_COLUMNS}
+       FROM nurses n
+       LEFT JOIN users u ON u.id = n.user_id
+       ${filter.where()}
+       LIMIT 1`,
+      filter.params
+    );
+    if (!result.rows.length) return sendApiError(res, 404, "not_found", "Nurse not found.");
+    return sendApiData(res, result.rows[0]);
+  }));
+
+  router.get(`${API_PREFIX}/care-requests`, apiHandler("care requests list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = createSqlFilter();
+    const marketplace = req.apiUser.role === "nurse" && req.query.scope === "open";
+
+    if (marketplace) {
+      filter.clauses.push("cr.status = 'open'");
+      filter.clauses.push("COALESCE(cr.visibility_status, 'pending') = 'approved'");
+    } else {
+      addCareRequestScope(filter, req.apiUser);
+      const status = pickEnumFilter(req.query.status, CARE_REQUEST_STATUSES);
+      if (status) filter.clauses.push(`cr.status = ${filter.add(status)}`);
+      const paymentStatus = pickEnumFilter(req.query.payment_status, PAYMENT_STATUSES);
+      if (paymentStatus) filter.clauses.push(`cr.payment_status = ${filter.add(paymentStatus)}`);
+    }
+
+    return sendApiPage(res, pagination, {
+      columns: marketplace ? MARKETPLACE_COLUMNS : CARE_REQUEST_COLUMNS,
+      fromSql: `FROM care_requests cr
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN nurses an ON an.id = cr.assigned_nurse_id
+       ${filter.where()}`,
+      orderBy: "cr.created_at DESC, cr.id DESC",
+      params: filter.params
+    });
+  }));
+
+  router.get(`${API_PREFIX}/care-requests/:id`, apiHandler("care request detail", async (req, res) => {
+    const requestId = parseIdParam(req.params.id);
+    if (!requestId) return sendApiError(res, 404, "not_found", "Care request not found.");
+
+    const filter = createSqlFilter();
+    filter.clauses.push(`cr.id = ${filter.add(requestId)}`);
+    addCareRequestScope(filter, req.apiUser);
+
+    const result = await pool.query(
+      `SELECT ${CARE_REQUEST_COLUMNS}
+       FROM care_requests cr
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN nurses an ON an.id = cr.assigned_nurse_id
+       ${filter.where()}
+       LIMIT 1`,
+      filter.params
+    );
+    if (!result.rows.length) return sendApiError(res, 404, "not_found", "Care request not found.");
+    return sendApiData(res, result.rows[0]);
+  }));
+
+  router.get(
+    `${API_PREFIX}/care-requests/:id/applications`,
+    requireApiRole("admin", "agent"),
+    apiHandler("care request applications", async (req, res) => {
+      const requestId = parseIdParam(req.params.id);
+      if (!requestId) return sendApiError(res, 404, "not_found", "Care request not found.");
+
+      const filter = createSqlFilter();
+      filter.clauses.push(`cr.id = ${filter.add(requestId)}`);
+      addCareRequestScope(filter, req.apiUser);
+      const requestResult = await pool.query(
+        `SELECT cr.id FROM care_requests cr LEFT JOIN patients p ON p.id = cr.patient_id ${filter.where()} LIMIT 1`,
+        filter.params
+      );
+      if (!requestResult.rows.length) return sendApiError(res, 404, "not_found", "Care request not found.");
+
+      const result = await pool.query(
+        `SELECT
+            ca.id,
+            ca.request_id,
+            ca.nurse_id,
+            n.full_name AS nurse_name,
+            COALESCE(NULLIF(n.unique_id, ''), CONCAT('PHCN-', LPAD(n.id::text, 3, '0'))) AS nurse_unique_id,
+            n.city AS nurse_city,
+            COALESCE(n.experience_years, 0) AS nurse_experience_years,
+            ca.status,
+            ca.applied_at
+         FROM care_applications ca
+         JOIN nurses n ON n.id = ca.nurse_id
+         WHERE ca.request_id = $1
+         ORDER BY ca.applied_at ASC, ca.id ASC`,
+        [requestId]
+      );
+      return sendApiData(res, result.rows);
+    })
+  );
+
+  router.post(
+    `${API_PREFIX}/care-requests/:id/applications`,
+    requireApiRole("nurse"),
+    apiHandler("care request apply", async (req, res) => {
+      const requestId = parseIdParam(req.params.id);
+      if (!requestId) return sendApiError(res, 404, "not_found", "Care request not found.");
+      if (req.apiUser.nurseStatus !== "Approved") {
+        return sendApiError(res, 403, "account_not_approved", "Your nurse profile must be approved before applying.");
+      }
+
+      const result = await pool.query(
+        `INSERT INTO care_applications (request_id, nurse_id)
+         SELECT $1, $2
+         WHERE EXISTS (
+           SELECT 1
+           FROM care_requests
+           WHERE id = $1
+             AND status = 'open'
+             AND COALESCE(visibility_status, 'pending') = 'approved'
+         )
+         ON CONFLICT (request_id, nurse_id) DO NOTHING
+         RETURNING id, request_id, nurse_id, status, applied_at`,
+        [requestId, req.apiUser.nurseId]
+      );
+      if (result.rows.length) return sendApiData(res, result.rows[0], 201);
+
+      const existing = await pool.query(
+        "SELECT id, request_id, nurse_id, status, applied_at FROM care_applications WHERE request_id = $1 AND nurse_id = $2",
+        [requestId, req.apiUser.nurseId]
+      );
+      if (existing.rows.length) {
+        return sendApiError(res, 409, "already_applied", "You have already applied to this care request.");
+      }
+      return sendApiError(res, 422, "not_open", "This care request is not open for applications.");
+    })
+  );
+
+  router.get(`${API_PREFIX}/applications`, apiHandler("applications list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = createSqlFilter();
+    if (req.apiUser.role === "nurse") {
+      filter.clauses.push(`ca.nurse_id = ${filter.add(req.apiUser.nurseId)}`);
+    } else {
+      addCareRequestScope(filter, req.apiUser);
+    }
+    const status = pickEnumFilter(req.query.status, APPLICATION_STATUSES);
+    if (status) filter.clauses.push(`ca.status = ${filter.add(status)}`);
+
+    return sendApiPage(res, pagination, {
+      columns: `
+          ca.id,
+          ca.request_id,
+          COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+          cr.status AS request_status,
+          ca.nurse_id,
+          n.full_name AS nurse_name,
+          ca.status,
+          ca.applied_at`,
+      fromSql: `FROM care_applications ca
+       JOIN care_requests cr ON cr.id = ca.request_id
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN nurses n ON n.id = ca.nurse_id
+       ${filter.where()}`,
+      orderBy: "ca.applied_at DESC, ca.id DESC",
+      params: filter.params
+    });
+  }));
+
+  router.get(`${API_PREFIX}/patients`, requireApiRole("admin", "agent"), apiHandler("patients list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = createSqlFilter();
+    addPatientScope(filter, req.apiUser);
+    const q = String(req.query.q || "").trim().slice(0, 80);
+    if (q) {
+      filter.clauses.push(`POSITION(LOWER(${filter.add(q)}) IN LOWER(CONCAT_WS(' ', p.full_name, p.request_id, p.email, p.phone_number))) > 0`);
+    }
+
+    return sendApiPage(res, pagination, {
+      columns: PATIENT_COLUMNS,
+      fromSql: `FROM patients p
+       ${filter.where()}`,
+      orderBy: "p.created_at DESC, p.id DESC",
+      params: filter.params
+    });
+  }));
+
+  router.get(`${API_PREFIX}/patients/:id`, requireApiRole("admin", "agent"), apiHandler("patient detail", async (req, res) => {
+    const patientId = parseIdParam(req.params.id);
+    if (!patientId) return sendApiError(res, 404, "not_found", "Patient not found.");
+
+    const filter = createSqlFilter();
+    filter.clauses.push(`p.id = ${filter.add(patientId)}`);
+    addPatientScope(filter, req.apiUser);
+
+    const result = await pool.query(
+      `SELECT ${PATIENT_COLUMNS}
+       FROM patients p
+       ${filter.where()}
+       LIMIT 1`,
+      filter.params
+    );
+    if (!result.rows.length) return sendApiError(res, 404, "not_found", "Patient not found.");
+    return sendApiData(res, result.rows[0]);
+  }));
+
+  router.get(`${API_PREFIX}/earnings`, apiHandler("earnings list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = createSqlFilter();
+    if (req.apiUser.role === "nurse") {
+      filter.clauses.push(`ce.nurse_id = ${filter.add(req.apiUser.nurseId)}`);
+    } else {
+      addCareRequestScope(filter, req.apiUser);
+    }
+    const payoutStatus = pickEnumFilter(req.query.payout_status, PAYOUT_STATUSES);
+    if (payoutStatus) filter.clauses.push(`ce.payout_status = ${filter.add(payoutStatus)}`);
+
+    return sendApiPage(res, pagination, {
+      columns: `
+          ce.id,
+          ce.request_id,
+          COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+          ce.nurse_id,
+          n.full_name AS nurse_name,
+          ce.gross_amount,
+          ce.platform_fee,
+          ce.referral_fee,
+          ce.net_amount,
+          ce.currency,
+          ce.payout_status,
+          ce.payout_reference,
+          ce.paid_at,
+          ce.generated_at`,
+      fromSql: `FROM care_request_earnings ce
+       JOIN care_requests cr ON cr.id = ce.request_id
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN nurses n ON n.id = ce.nurse_id
+       ${filter.where()}`,
+      orderBy: "ce.generated_at DESC, ce.id DESC",
+      params: filter.params
+    });
+  }));
+
+  router.get(`${API_PREFIX}/notifications`, apiHandler("notifications list", async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const unreadOnly = req.query.unread === "true";
+    return sendApiPage(res, pagination, {
+      columns: "id, type, title, message, related_request_id, is_read, created_at",
+      fromSql: `FROM notifications
+       WHERE user_id = $1
+         ${unreadOnly ? "AND is_read = FALSE" : ""}`,
+      orderBy: "created_at DESC, id DESC",
+      params: [req.apiUser.id]
+    });
+  }));
+
+  router.post(`${API_PREFIX}/notifications/read-all`, apiHandler("notifications read-all", async (req, res) => {
+    const result = await pool.query(
+      "UPDATE notifications SET is_read = TRUE WHERE user_id = $1 AND is_read = FALSE",
+      [req.apiUser.id]
+    );
+    return sendApiData(res, { updated: result.rowCount });
+  }));
+
+  router.post(`${API_PREFIX}/notifications/:id/read`, apiHandler("notification read", async (req, res) => {
+    const notificationId = parseIdParam(req.params.id);
+    if (!notificationId) return sendApiError(res, 404, "not_found", "Notification not found.");
+
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = TRUE
+       WHERE id = $1
+         AND user_id = $2
+       RETURNING id, type, title, message, related_request_id, is_read, created_at`,
+      [notificationId, req.apiUser.id]
+    );
+    if (!result.rows.length) return sendApiError(res, 404, "not_found", "Notification not found.");
+    return sendApiData(res, result.rows[0]);
+  }));
+
+  router.use(API_PREFIX, (req, res) => sendApiError(res, 404, "not_found", "Unknown API endpoint."));
+
+  return router;
+}
+
+module.exports = createApiController;
@@ -0,0 +1,67 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { API_TOKEN_ROLES, issueApiToken, revokeApiToken } = require("../services/apiTokens");
+
+const PROFILE_PATH_BY_ROLE = {
+  admin: "/admin/profile",
+  agent: "/agent/profile",
+  nurse: "/nurse/profile"
+};
+
+function createApiTokenController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireAuth,
+    setFlash
+  } = runtime;
+
+  function requireApiTokenRole(req, res, next) {
+    if (!API_TOKEN_ROLES.includes(req.currentUser.role)) {
+      return res.status(403).render("shared/forbidden", { title: "Access Restricted" });
+    }
+    return next();
+  }
+
+  router.post("/account/api-tokens", requireAuth, requireApiTokenRole, async (req, res) => {
+    const redirectTarget = `${PROFILE_PATH_BY_ROLE[req.currentUser.role]}#api-tokens`;
+    try {
+      const issued = await issueApiToken(pool, req.currentUser.id, {
+        name: req.body.name,
+        expiresInDays: req.body.expires_in_days
+      });
+      req.session.issuedApiToken = { id: issued.id, name: issued.name, token: issued.token };
+      setFlash(req, "success", `API token "${issued.name}" created. Copy it now; it will not be shown again.`);
+    } catch (error) {
+      console.error("API token issue error:", error);
+      setFlash(req, "error", error.message || "Unable to create an API token right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  router.post("/account/api-tokens/:id/revoke", requireAuth, requireApiTokenRole, async (req, res) => {
+    const redirectTarget = `${PROFILE_PATH_BY_ROLE[req.currentUser.role]}#api-tokens`;
+    const tokenId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(tokenId)) {
+      setFlash(req, "error", "Invalid API token.");
+      return res.redirect(redirectTarget);
+    }
+
+    try {
+      const revoked = await revokeApiToken(pool, req.currentUser.id, tokenId);
+      if (revoked) {
+        setFlash(req, "success", `API token "${revoked.name}" revoked.`);
+      } else {
+        setFlash(req, "error", "API token not found or already revoked.");
+      }
+    } catch (error) {
+      console.error("API token revoke error:", error);
+      setFlash(req, "error", "Unable to revoke the API token right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  return router;
+}
+
+module.exports = createApiTokenController;
@@ -0,0 +1,47 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  AUDIT_ENTITY_TYPES,
+  buildAuditLogHref,
+  listAuditActors,
+  listAuditLogs,
+  parseAuditLogFilters
+} = require("../services/auditLog");
+
+function createAuditLogController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireRole
+  } = runtime;
+
+  router.get("/admin/audit-log", requireRole("admin"), async (req, res) => {
+    const filters = parseAuditLogFilters(req.query);
+    const viewModel = {
+      title: "Audit Log",
+      filters,
+      entityTypes: AUDIT_ENTITY_TYPES,
+      buildAuditLogHref: (overrides) => buildAuditLogHref(filters, overrides)
+    };
+
+    try {
+      const [auditLog, actors] = await Promise.all([
+        listAuditLogs(pool, filters),
+        listAuditActors(pool)
+      ]);
+      return res.render("admin/audit-log", { ...viewModel, auditLog, actors, auditLogError: "" });
+    } catch (error) {
+      console.error("Admin audit log load error:", error);
+      return res.render("admin/audit-log", {
+        ...viewModel,
+        auditLog: { entries: [], total: 0, page: 1, pageCount: 1, pageSize: 0 },
+        actors: [],
+        auditLogError: "Unable to load the audit log right now."
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuditLogController;
@@ -0,0 +1,254 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  CARE_PLAN_EDITABLE_STATUSES,
+  createVisitNote,
+  getCarePlan,
+  listVisitNotes,
+  normalizeCarePlanInput,
+  normalizeVisitNoteInput,
+  saveCarePlan
+} = require("../services/carePlans");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createCarePlanController() {
+  const router = express.Router();
+  const {
+    pool,
+    normalizeEmail,
+    requireApprovedAgent,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  // Agents only see requests for patients they own; admins pass a null agentEmail.
+  async function loadCarePlanRequestSummary(requestId, agentEmail = null) {
+    const result = await pool.query(
+      `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location,
+        COALESCE(NULLIF(p.service_schedule, ''), '-') AS service_schedule,
+        cr.status,
+        cr.assigned_nurse_id,
+        n.full_name AS assigned_nurse_name
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+       AND ($2::text IS NULL OR LOWER(COALESCE(p.agent_email, '')) = LOWER($2))
+     LIMIT 1`,
+      [requestId, agentEmail]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function renderCarePlan(req, res, options) {
+    const { requestItem, view, actionPath, backHref } = options;
+    const [carePlan, visitNotes] = await Promise.all([
+      getCarePlan(pool, requestItem.id),
+      listVisitNotes(pool, requestItem.id)
+    ]);
+
+    return res.render(view, {
+      title: "Care Plan",
+      requestItem,
+      carePlan,
+      visitNotes,
+      canEditPlan: CARE_PLAN_EDITABLE_STATUSES.includes(requestItem.status),
+      carePlanAction: actionPath,
+      backHref
+    });
+  }
+
+  async function handleSaveCarePlan(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    let client;
+    try {
+      const requestItem = await loadCarePlanRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+      if (!CARE_PLAN_EDITABLE_STATUSES.includes(requestItem.status)) {
+        throw new Error("The care plan can no longer be changed for this request.");
+      }
+      const plan = normalizeCarePlanInput(req.body);
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const outcome = await saveCarePlan(client, requestId, plan, actor.userId);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: outcome.created ? "care_plan_created" : "care_plan_updated",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: `Care plan ${outcome.created ? "created" : "updated"}: ${plan.shiftTasks.length} task(s), ${plan.medications.length} medication(s).`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: {
+          shiftTasks: plan.shiftTasks.length,
+          medications: plan.medications.map((medication) => medication.name)
+        }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", "Care plan saved.");
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Care plan rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Care plan save error:", error);
+      setFlash(req, "error", error.message || "Unable to save the care plan right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.get("/admin/care-requests/:id/care-plan", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const requestItem = await loadCarePlanRequestSummary(requestId);
+      if (!requestItem) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return await renderCarePlan(req, res, {
+        requestItem,
+        view: "admin/care-plan",
+        actionPath: `/admin/care-requests/${requestId}/care-plan`,
+        backHref: `/admin/care-requests/${requestId}/applications`
+      });
+    } catch (error) {
+      console.error("Admin care plan error:", error);
+      setFlash(req, "error", "Unable to load the care plan right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.post("/admin/care-requests/:id/care-plan", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleSaveCarePlan(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/care-plan`
+    });
+  });
+
+  router.get("/agent/requests/:id/care-plan", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+
+    try {
+      const requestItem = await loadCarePlanRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        setFlash(req, "error", "Request not found in your assigned records.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      return await renderCarePlan(req, res, {
+        requestItem,
+        view: "agent/care-plan",
+        actionPath: `/agent/requests/${requestId}/care-plan`,
+        backHref: "/agent/dashboard?tab=jobs"
+      });
+    } catch (error) {
+      console.error("Agent care plan error:", error);
+      setFlash(req, "error", "Unable to load the care plan right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/requests/:id/care-plan", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleSaveCarePlan(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/care-plan`
+    });
+  });
+
+  router.post("/nurse/care-requests/:id/visit-notes", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const redirectTarget = "/nurse/dashboard#care-plans";
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(requestId) || !nurseId) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    try {
+      const carePlan = await getCarePlan(pool, requestId);
+      const note = normalizeVisitNoteInput(req.body, carePlan);
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [requestId]);
+
+      const created = await createVisitNote(client, {
+        requestId,
+        nurseId,
+        userId: req.currentUser.id,
+        note
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "visit_note_added",
+        assignedNurseId: nurseId,
+        comment: `Visit note for ${note.visitDate}: ${note.tasksCompleted.length} task(s) completed.`,
+        changedByUserId: req.currentUser.id,
+        changedByRole: "nurse",
+        metadata: { visitNoteId: created.id, shiftId: created.shiftId, visitDate: note.visitDate }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", `Visit note for ${note.visitDate} saved.`);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Visit note rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Visit note error:", error);
+      setFlash(req, "error", error.message || "Unable to save the visit note right now.");
+      return res.redirect(redirectTarget);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCarePlanController;
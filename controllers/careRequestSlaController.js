@@ -0,0 +1,70 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  SLA_MAX_TARGET_HOURS,
+  SLA_REPORT_DAYS,
+  buildSlaComplianceReport,
+  loadSlaPolicies,
+  normalizeSlaPolicyInput,
+  parseSlaReportFilters,
+  saveSlaPolicies
+} = require("../services/careRequestSla");
+
+function createCareRequestSlaController() {
+  const router = express.Router();
+  const { pool, requireRole, setFlash } = runtime;
+
+  router.get("/admin/sla", requireRole("admin"), async (req, res) => {
+    const filters = parseSlaReportFilters(req.query);
+    try {
+      const policies = await loadSlaPolicies(pool);
+      const report = await buildSlaComplianceReport(pool, policies, filters);
+      return res.render("admin/care-request-sla", {
+        title: "SLA Compliance",
+        filters,
+        reportDays: SLA_REPORT_DAYS,
+        maxTargetHours: SLA_MAX_TARGET_HOURS,
+        policies,
+        report,
+        loadError: null
+      });
+    } catch (error) {
+      console.error("SLA report error:", error);
+      return res.render("admin/care-request-sla", {
+        title: "SLA Compliance",
+        filters,
+        reportDays: SLA_REPORT_DAYS,
+        maxTargetHours: SLA_MAX_TARGET_HOURS,
+        policies: [],
+        report: { days: filters.days, summaries: [], overdue: [] },
+        loadError: "Unable to load the SLA report right now."
+      });
+    }
+  });
+
+  router.post("/admin/sla/policies", requireRole("admin"), async (req, res) => {
+    try {
+      const targets = normalizeSlaPolicyInput(req.body);
+      const before = await loadSlaPolicies(pool);
+      await saveSlaPolicies(pool, targets, req.currentUser.id);
+      await recordAuditEventSafely(pool, req, {
+        action: "care_request_sla.updated",
+        entityType: "care_request_sla",
+        entityId: null,
+        summary: "Updated care request SLA targets",
+        before: Object.fromEntries(before.map((policy) => [policy.key, { targetHours: policy.targetHours, enabled: policy.enabled }])),
+        after: targets
+      });
+      setFlash(req, "success", "SLA targets saved.");
+    } catch (error) {
+      console.error("SLA policy save error:", error);
+      setFlash(req, "error", error.message || "Unable to save SLA targets.");
+    }
+    return res.redirect("/admin/sla");
+  });
+
+  return router;
+}
+
+module.exports = createCareRequestSlaController;
@@ -0,0 +1,49 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  WORKFLOW_GUARDS,
+  WORKFLOW_HOOKS,
+  buildWorkflowDiagram,
+  loadCareRequestWorkflow
+} = require("../services/careRequestWorkflow");
+
+function createCareRequestWorkflowController() {
+  const router = express.Router();
+  const { pool, requireRole, setFlash } = runtime;
+
+  router.get("/admin/workflow", requireRole("admin"), (req, res) => {
+    const workflow = loadCareRequestWorkflow();
+    return res.render("admin/care-request-workflow", {
+      title: "Care Request Workflow",
+      workflow,
+      diagram: buildWorkflowDiagram(workflow),
+      guards: WORKFLOW_GUARDS,
+      hooks: WORKFLOW_HOOKS
+    });
+  });
+
+  router.post("/admin/workflow/reload", requireRole("admin"), async (req, res) => {
+    const before = loadCareRequestWorkflow();
+    try {
+      const workflow = loadCareRequestWorkflow({ reload: true });
+      await recordAuditEventSafely(pool, req, {
+        action: "care_request_workflow.reloaded",
+        entityType: "care_request_workflow",
+        entityId: null,
+        summary: `Reloaded the care request workflow from ${workflow.source}.`,
+        before: { source: before.source, transitions: before.transitions.length },
+        after: { source: workflow.source, transitions: workflow.transitions.length }
+      });
+      setFlash(req, "success", `Workflow reloaded with ${workflow.transitions.length} transitions.`);
+    } catch (error) {
+      console.error("Care request workflow reload error:", error);
+      setFlash(req, "error", `${error.message} The previous workflow is still in use.`);
+    }
+    return res.redirect("/admin/workflow");
+  });
+
+  return router;
+}
+
+module.exports = createCareRequestWorkflowController;
@@ -0,0 +1,442 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  SHIFT_STATUSES,
+  formatLocalDate,
+  generateCareRequestShifts,
+  listCareRequestShifts,
+  summarizeShifts,
+  updateCareRequestShift
+} = require("../services/careShifts");
+const {
+  SITE_RADIUS_METERS,
+  listAttendanceFlags,
+  recordShiftCheckIn,
+  recordShiftCheckOut,
+  updateServiceSiteLocation
+} = require("../services/shiftAttendance");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createCareShiftController() {
+  const router = express.Router();
+  const {
+    pool,
+    normalizeEmail,
+    requireApprovedAgent,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  // Agents only see requests for patients they own; admins pass a null agentEmail.
+  async function loadShiftRequestSummary(requestId, agentEmail = null) {
+    const result = await pool.query(
+      `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location,
+        COALESCE(NULLIF(p.service_schedule, ''), '-') AS service_schedule,
+        COALESCE(p.duration_value, cr.duration_value) AS duration_value,
+        COALESCE(NULLIF(p.duration_unit, ''), cr.duration_unit, 'months') AS duration_unit,
+        cr.status,
+        cr.payment_status,
+        cr.assigned_nurse_id,
+        cr.service_latitude,
+        cr.service_longitude,
+        n.full_name AS assigned_nurse_name
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+       AND ($2::text IS NULL OR LOWER(COALESCE(p.agent_email, '')) = LOWER($2))
+     LIMIT 1`,
+      [requestId, agentEmail]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function renderShiftCalendar(req, res, options) {
+    const { requestItem, view, basePath, backHref } = options;
+    const shifts = (await listCareRequestShifts(pool, requestItem.id))
+      .map((shift) => ({ ...shift, attendanceBadges: listAttendanceFlags(shift) }));
+
+    return res.render(view, {
+      title: "Shift Calendar",
+      requestItem,
+      shifts,
+      shiftSummary: summarizeShifts(shifts),
+      shiftStatuses: SHIFT_STATUSES,
+      shiftActionBase: basePath,
+      canGenerate: requestItem.status === "active" && Boolean(requestItem.assigned_nurse_id),
+      canEditShifts: ["active", "completed"].includes(requestItem.status),
+      defaultStartDate: formatLocalDate(new Date()),
+      siteRadiusMeters: SITE_RADIUS_METERS,
+      backHref
+    });
+  }
+
+  async function handleGenerateShifts(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    let client;
+    try {
+      const requestItem = await loadShiftRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [requestId]);
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const outcome = await generateCareRequestShifts(client, requestId, {
+        startDate: req.body.start_date,
+        actorUserId: actor.userId
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "shifts_generated",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: `Shift calendar generated from ${outcome.startDate} to ${outcome.endDate}.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: outcome
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", `${outcome.created} shift(s) scheduled from ${outcome.startDate} to ${outcome.endDate}.`);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Shift generation rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Shift generation error:", error);
+      setFlash(req, "error", error.message || "Unable to generate shifts right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  async function handleUpdateShift(req, res, options) {
+    const { requestId, shiftId, agentEmail, redirectTarget } = options;
+    if (Number.isNaN(shiftId)) {
+      setFlash(req, "error", "Invalid shift.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    try {
+      const requestItem = await loadShiftRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+      if (!["active", "completed"].includes(requestItem.status)) {
+        throw new Error("Shifts can only be edited for active or completed requests.");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const updated = await updateCareRequestShift(client, requestId, shiftId, {
+        shiftDate: req.body.shift_date,
+        startTime: req.body.start_time,
+        endTime: req.body.end_time,
+        status: req.body.status,
+        notes: req.body.notes
+      }, actor.userId);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "shift_updated",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: `Shift #${shiftId} set to ${updated.status} (${updated.startsAt} - ${updated.endsAt}).`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { shiftId, ...updated }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", "Shift updated.");
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Shift update rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Shift update error:", error);
+      setFlash(req, "error", error.message || "Unable to update shift right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+  async function handleSiteLocation(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    let client;
+    try {
+      const requestItem = await loadShiftRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const site = await updateServiceSiteLocation(client, requestId, {
+        latitude: req.body.service_latitude,
+        longitude: req.body.service_longitude
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "site_location_updated",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: site
+          ? `Site location set to ${site.latitude}, ${site.longitude}.`
+          : "Site location cleared; check-ins will be recorded as unverified.",
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { site }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", site ? "Site location saved. Check-ins are now verified against it." : "Site location cleared.");
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Site location rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Site location error:", error);
+      setFlash(req, "error", error.message || "Unable to save the site location right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.get("/admin/care-requests/:id/shifts", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const requestItem = await loadShiftRequestSummary(requestId);
+      if (!requestItem) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return await renderShiftCalendar(req, res, {
+        requestItem,
+        view: "admin/care-request-shifts",
+        basePath: `/admin/care-requests/${requestId}/shifts`,
+        backHref: `/admin/care-requests/${requestId}/applications`
+      });
+    } catch (error) {
+      console.error("Admin shift calendar error:", error);
+      setFlash(req, "error", "Unable to load the shift calendar right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.post("/admin/care-requests/:id/shifts/generate", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleGenerateShifts(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/shifts`
+    });
+  });
+
+  router.post("/admin/care-requests/:id/shifts/:shiftId/update", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleUpdateShift(req, res, {
+      requestId,
+      shiftId: Number.parseInt(req.params.shiftId, 10),
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/shifts`
+    });
+  });
+
+  router.post("/admin/care-requests/:id/shifts/site-location", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleSiteLocation(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/shifts`
+    });
+  });
+
+  router.get("/agent/requests/:id/shifts", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+
+    try {
+      const requestItem = await loadShiftRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        setFlash(req, "error", "Request not found in your assigned records.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      return await renderShiftCalendar(req, res, {
+        requestItem,
+        view: "agent/request-shifts",
+        basePath: `/agent/requests/${requestId}/shifts`,
+        backHref: "/agent/dashboard?tab=jobs"
+      });
+    } catch (error) {
+      console.error("Agent shift calendar error:", error);
+      setFlash(req, "error", "Unable to load the shift calendar right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/requests/:id/shifts/generate", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleGenerateShifts(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/shifts`
+    });
+  });
+
+  router.post("/agent/requests/:id/shifts/:shiftId/update", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleUpdateShift(req, res, {
+      requestId,
+      shiftId: Number.parseInt(req.params.shiftId, 10),
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/shifts`
+    });
+  });
+
+  router.post("/agent/requests/:id/shifts/site-location", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleSiteLocation(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/shifts`
+    });
+  });
+
+  async function handleNurseAttendance(req, res, action) {
+    const shiftId = Number.parseInt(req.params.shiftId, 10);
+    const redirectTarget = "/nurse/dashboard#upcoming-shifts";
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(shiftId) || !nurseId) {
+      setFlash(req, "error", "Invalid shift.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const geoInput = {
+        latitude: req.body.latitude,
+        longitude: req.body.longitude,
+        accuracy: req.body.accuracy
+      };
+      const outcome = action === "check_in"
+        ? await recordShiftCheckIn(client, nurseId, shiftId, geoInput)
+        : await recordShiftCheckOut(client, nurseId, shiftId, geoInput);
+
+      await insertCareRequestLifecycleLog(client, {
+        requestId: outcome.requestId,
+        eventType: action === "check_in" ? "shift_checked_in" : "shift_checked_out",
+        assignedNurseId: nurseId,
+        comment: outcome.flags.length
+          ? `Shift #${shiftId} ${action === "check_in" ? "check-in" : "check-out"} flagged: ${outcome.flags.join(", ")}.`
+          : `Shift #${shiftId} ${action === "check_in" ? "check-in" : "check-out"} recorded.`,
+        changedByUserId: req.currentUser.id,
+        changedByRole: "nurse",
+        metadata: { shiftId, ...outcome }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+
+      if (action === "check_in") {
+        setFlash(req, "success", outcome.flags.includes("late")
+          ? `Checked in. Marked late by ${outcome.lateMinutes} minute(s).`
+          : "Checked in.");
+      } else {
+        setFlash(req, "success", outcome.flags.includes("early_exit")
+          ? `Checked out. Marked as early exit by ${outcome.earlyExitMinutes} minute(s).`
+          : "Checked out. Shift marked completed.");
+      }
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Shift attendance rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Shift attendance error:", error);
+      setFlash(req, "error", error.message || "Unable to record attendance right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.post("/nurse/shifts/:shiftId/check-in", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    return handleNurseAttendance(req, res, "check_in");
+  });
+
+  router.post("/nurse/shifts/:shiftId/check-out", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    return handleNurseAttendance(req, res, "check_out");
+  });
+
+  return router;
+}
+
+module.exports = createCareShiftController;
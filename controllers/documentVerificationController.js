@@ -0,0 +1,120 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  DOCUMENT_REVIEW_STATUSES,
+  EXPIRING_SOON_DAYS,
+  countDocumentQueue,
+  listDocumentReviews,
+  parseDocumentQueueFilters,
+  reviewNurseDocument,
+  syncNurseDocuments
+} = require("../services/documentVerification");
+const { dispatchNotificationDeliveries, notifyUsers } = require("../services/notifications");
+
+function createDocumentVerificationController() {
+  const router = express.Router();
+  const { pool, requireRole, setFlash } = runtime;
+
+  function buildReviewMessage(outcome) {
+    if (outcome.status === "approved") {
+      return outcome.expiresOn
+        ? `Your ${outcome.label} is verified until ${outcome.expiresOn}.`
+        : `Your ${outcome.label} is verified.`;
+    }
+    const prefix = outcome.status === "rejected"
+      ? `Your ${outcome.label} was rejected`
+      : `Please upload your ${outcome.label} again`;
+    return `${prefix}: ${outcome.note}`;
+  }
+
+  router.get("/admin/documents", requireRole("admin"), async (req, res) => {
+    const filters = parseDocumentQueueFilters(req.query);
+    try {
+      await syncNurseDocuments(pool);
+      const [result, counts] = await Promise.all([
+        listDocumentReviews(pool, filters),
+        countDocumentQueue(pool)
+      ]);
+      return res.render("admin/document-verifications", {
+        title: "Document Verification",
+        filters,
+        result,
+        counts,
+        statusLabels: DOCUMENT_REVIEW_STATUSES,
+        expiringSoonDays: EXPIRING_SOON_DAYS,
+        loadError: null
+      });
+    } catch (error) {
+      console.error("Document verification queue error:", error);
+      return res.render("admin/document-verifications", {
+        title: "Document Verification",
+        filters,
+        result: { documents: [], total: 0, page: 1, pageCount: 1 },
+        counts: { pending: 0, expiring: 0, expired: 0 },
+        statusLabels: DOCUMENT_REVIEW_STATUSES,
+        expiringSoonDays: EXPIRING_SOON_DAYS,
+        loadError: "Unable to load the verification queue right now."
+      });
+    }
+  });
+
+  router.post("/admin/documents/:id/review", requireRole("admin"), async (req, res) => {
+    const reviewId = Number.parseInt(req.params.id, 10);
+    const returnView = parseDocumentQueueFilters({ view: req.body.view }).view;
+    const redirectTarget = `/admin/documents?view=${returnView}`;
+    if (Number.isNaN(reviewId)) {
+      setFlash(req, "error", "Invalid document.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const outcome = await reviewNurseDocument(client, reviewId, {
+        decision: String(req.body.decision || "").trim(),
+        expiresOn: req.body.expires_on,
+        note: req.body.review_note,
+        documentUrl: req.body.document_url,
+        actor: { userId: req.currentUser && req.currentUser.id }
+      });
+      const notificationDeliveryIds = await notifyUsers(client, [outcome.nurseUserId], {
+        eventType: "document_reviewed",
+        title: outcome.status === "approved" ? "Certificate Verified" : "Certificate Needs Attention",
+        message: buildReviewMessage(outcome),
+        actionPath: "/nurse/profile"
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+
+      await recordAuditEventSafely(pool, req, {
+        action: `nurse_document.${req.body.decision}`,
+        entityType: "nurse",
+        entityId: outcome.nurseId,
+        summary: `${DOCUMENT_REVIEW_STATUSES[outcome.status]}: ${outcome.label}`,
+        before: { status: outcome.previousStatus },
+        after: { status: outcome.status, expiresOn: outcome.expiresOn }
+      });
+      setFlash(req, "success", `${outcome.label} marked ${DOCUMENT_REVIEW_STATUSES[outcome.status].toLowerCase()}.`);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Document review rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Document review error:", error);
+      setFlash(req, "error", error.message || "Unable to save the review right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  return router;
+}
+
+module.exports = createDocumentVerificationController;
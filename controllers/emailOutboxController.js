@@ -0,0 +1,145 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  EMAIL_OUTBOX_STATUSES,
+  buildEmailOutboxHref,
+  getOutboxEmail,
+  listOutboxEmails,
+  parseEmailOutboxFilters,
+  processDueEmails,
+  requeueFailedEmails,
+  resendOutboxEmail,
+  summarizeOutbox
+} = require("../services/emailOutbox");
+const { getEmailTransportName } = require("../src/emailTransport");
+
+function createEmailOutboxController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  function getOutboxRedirectTarget(value) {
+    const target = String(value || "").trim();
+    return target.startsWith("/admin/email-outbox") ? target : "/admin/email-outbox";
+  }
+
+  router.get("/admin/email-outbox", requireRole("admin"), async (req, res) => {
+    const filters = parseEmailOutboxFilters(req.query);
+    const viewModel = {
+      title: "Email Outbox",
+      filters,
+      statuses: EMAIL_OUTBOX_STATUSES,
+      transportName: getEmailTransportName(),
+      currentHref: buildEmailOutboxHref(filters, { page: filters.page }),
+      buildEmailOutboxHref: (overrides) => buildEmailOutboxHref(filters, overrides)
+    };
+
+    try {
+      const [outbox, summary] = await Promise.all([
+        listOutboxEmails(pool, filters),
+        summarizeOutbox(pool)
+      ]);
+      return res.render("admin/email-outbox", { ...viewModel, outbox, summary, outboxError: "" });
+    } catch (error) {
+      console.error("Admin email outbox load error:", error);
+      return res.render("admin/email-outbox", {
+        ...viewModel,
+        outbox: { emails: [], total: 0, page: 1, pageCount: 1, pageSize: 0 },
+        summary: { counts: {}, categories: [] },
+        outboxError: "Unable to load the email outbox right now."
+      });
+    }
+  });
+
+  router.get("/admin/email-outbox/:id", requireRole("admin"), async (req, res) => {
+    const emailId = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(emailId) || emailId <= 0) {
+      setFlash(req, "error", "Invalid email.");
+      return res.redirect("/admin/email-outbox");
+    }
+
+    try {
+      const email = await getOutboxEmail(pool, emailId);
+      if (!email) {
+        setFlash(req, "error", "Email not found.");
+        return res.redirect("/admin/email-outbox");
+      }
+      return res.render("admin/email-outbox-detail", {
+        title: `Email #${email.id}`,
+        email
+      });
+    } catch (error) {
+      console.error("Admin email outbox detail error:", error);
+      setFlash(req, "error", "Unable to load that email right now.");
+      return res.redirect("/admin/email-outbox");
+    }
+  });
+
+  router.post("/admin/email-outbox/:id/resend", requireRole("admin"), async (req, res) => {
+    const emailId = Number.parseInt(req.params.id, 10);
+    const redirectTarget = getOutboxRedirectTarget(req.body.redirect_to);
+    if (!Number.isInteger(emailId) || emailId <= 0) {
+      setFlash(req, "error", "Invalid email.");
+      return res.redirect(redirectTarget);
+    }
+
+    try {
+      const result = await resendOutboxEmail(pool, emailId, req.currentUser.id);
+      await recordAuditEventSafely(pool, req, {
+        action: "email.resend",
+        entityType: "email",
+        entityId: emailId,
+        summary: result.success ? "Resent outbox email" : `Resend attempt failed: ${result.error}`
+      });
+      if (result.success) {
+        setFlash(req, "success", `Email #${emailId} sent.`);
+      } else {
+        setFlash(
+          req,
+          "error",
+          result.queued
+            ? `Email #${emailId} failed again and will be retried: ${result.error}`
+            : `Email #${emailId} could not be sent: ${result.error}`
+        );
+      }
+    } catch (error) {
+      console.error("Admin email resend error:", error);
+      setFlash(req, "error", error.message || "Unable to resend that email right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  router.post("/admin/email-outbox/resend-failed", requireRole("admin"), async (req, res) => {
+    try {
+      const requeuedCount = await requeueFailedEmails(pool);
+      await recordAuditEventSafely(pool, req, {
+        action: "email.requeue_failed",
+        entityType: "email",
+        summary: `Requeued ${requeuedCount} failed email${requeuedCount === 1 ? "" : "s"}`
+      });
+      // Start the sends now instead of waiting for the next worker pass.
+      processDueEmails(pool).catch((error) => {
+        console.error("Email outbox requeue processing error:", error);
+      });
+      setFlash(
+        req,
+        "success",
+        requeuedCount
+          ? `${requeuedCount} failed email${requeuedCount === 1 ? "" : "s"} queued for another attempt.`
+          : "There are no failed emails that can be resent."
+      );
+    } catch (error) {
+      console.error("Admin email requeue error:", error);
+      setFlash(req, "error", "Unable to requeue failed emails right now.");
+    }
+    return res.redirect("/admin/email-outbox?status=failed");
+  });
+
+  return router;
+}
+
+module.exports = createEmailOutboxController;
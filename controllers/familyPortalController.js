@@ -0,0 +1,360 @@
+const crypto = require("crypto");
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { listCareRequestShifts, summarizeShifts, SHIFT_STATUSES } = require("../services/careShifts");
+const {
+  FAMILY_OTP_MAX_ATTEMPTS,
+  FAMILY_OTP_TTL_MINUTES,
+  countPatientsForContact,
+  getFamilyRequestDetails,
+  isFamilyPatient,
+  linkFamilyPatients,
+  listFamilyRequests,
+  maskFamilyContact,
+  saveFamilyRating
+} = require("../services/familyPortal");
+const { listCareRequestInvoices } = require("../services/invoices");
+const {
+  hasRenewalRequest,
+  isRenewalDue,
+  loadRenewalSource,
+  requestCareRenewal
+} = require("../services/careRequestRenewals");
+const {
+  dispatchNotificationDeliveries,
+  findAdminUserIds,
+  loadNotificationPreferences,
+  notifyUsers
+} = require("../services/notifications");
+const { sendFamilyLoginOtpEmail } = require("../src/email");
+const { sendWhatsAppText, toWhatsAppNumber } = require("../src/whatsapp");
+const { insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createFamilyPortalController() {
+  const router = express.Router();
+  const {
+    pool,
+    bcrypt,
+    createUser,
+    generateOtp,
+    getNurseById,
+    getPublicCareRequestRecordByRequestCode,
+    getSessionUserPayload,
+    getUserByEmail,
+    getUserByPhone,
+    buildPublicNurseProfileView,
+    loginRateLimiter,
+    normalizePhone,
+    requireRole,
+    setFlash,
+    validateEmail
+  } = runtime;
+
+  function parseFamilyContact(value) {
+    const clean = String(value || "").trim();
+    if (!clean) return null;
+    if (clean.includes("@")) {
+      const emailValidation = validateEmail(clean);
+      return emailValidation.valid ? { type: "email", value: emailValidation.value } : null;
+    }
+    const phone = normalizePhone(clean);
+    return phone ? { type: "phone", value: phone } : null;
+  }
+
+  function findUserForContact(contact) {
+    return contact.type === "email" ? getUserByEmail(contact.value) : getUserByPhone(contact.value);
+  }
+
+  async function sendFamilyOtp(contact, otp) {
+    if (contact.type === "email") {
+      await sendFamilyLoginOtpEmail(contact.value, otp);
+    } else {
+      await sendWhatsAppText(
+        toWhatsAppNumber(contact.value),
+        `Your Prisha Home Care family login OTP is ${otp}. It expires in ${FAMILY_OTP_TTL_MINUTES} minutes.`
+      );
+    }
+    if (process.env.NODE_ENV !== "production") {
+      console.log(`Family login OTP sent to ${maskFamilyContact(contact)}.`);
+    }
+  }
+
+  function regenerateSession(req) {
+    return new Promise((resolve, reject) => {
+      req.session.regenerate((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async function loadOwnedRequest(req, res) {
+    const requestRecord = await getPublicCareRequestRecordByRequestCode(req.params.code);
+    if (!requestRecord || !(await isFamilyPatient(pool, req.currentUser.id, requestRecord.patientId))) {
+      setFlash(req, "error", "Care request not found.");
+      res.redirect("/family");
+      return null;
+    }
+    return requestRecord;
+  }
+
+  router.get("/family/login", (req, res) => {
+    if (req.currentUser && req.currentUser.role === "user") {
+      return res.redirect("/family");
+    }
+    return res.render("family/login", { title: "Family Login", contact: "" });
+  });
+
+  router.post("/family/login", loginRateLimiter, async (req, res) => {
+    const contact = parseFamilyContact(req.body.contact);
+    if (!contact) {
+      setFlash(req, "error", "Enter the phone number or email used on your care request.");
+      return res.redirect("/family/login");
+    }
+
+    try {
+      // Staff contacts get no code but the same reply, so the form cannot tell them apart.
+      const existingUser = await findUserForContact(contact);
+      const isStaffContact = Boolean(existingUser && existingUser.role !== "user");
+      const patientCount = isStaffContact ? 0 : await countPatientsForContact(pool, contact);
+      if (patientCount > 0) {
+        const otp = generateOtp();
+        req.session.familyLogin = {
+          type: contact.type,
+          value: contact.value,
+          otp,
+          otpExpiresAt: new Date(Date.now() + FAMILY_OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+          attempts: 0
+        };
+        await sendFamilyOtp(contact, otp);
+      } else {
+        delete req.session.familyLogin;
+      }
+    } catch (error) {
+      console.error("Family login OTP error:", error);
+      setFlash(req, "error", "Unable to send the login code right now. Please try again.");
+      return res.redirect("/family/login");
+    }
+
+    // The same reply whether or not a family request matched, so contacts cannot be probed.
+    setFlash(req, "success", `If a care request uses ${maskFamilyContact(contact)}, we have sent a 6-digit code to it.`);
+    return res.redirect("/family/verify");
+  });
+
+  router.get("/family/verify", (req, res) => {
+    return res.render("family/verify", {
+      title: "Enter Login Code",
+      maskedContact: req.session.familyLogin ? maskFamilyContact(req.session.familyLogin) : ""
+    });
+  });
+
+  router.post("/family/verify", loginRateLimiter, async (req, res) => {
+    const otp = String(req.body.otp || "").trim();
+    const pending = req.session.familyLogin;
+    const isExpired = !pending || !pending.otpExpiresAt || new Date() > new Date(pending.otpExpiresAt);
+
+    if (!pending || isExpired || pending.attempts >= FAMILY_OTP_MAX_ATTEMPTS) {
+      delete req.session.familyLogin;
+      setFlash(req, "error", "Your login code has expired. Please request a new one.");
+      return res.redirect("/family/login");
+    }
+    if (!otp || otp !== String(pending.otp)) {
+      pending.attempts += 1;
+      setFlash(req, "error", "Invalid login code.");
+      return res.redirect("/family/verify");
+    }
+
+    const contact = { type: pending.type, value: pending.value };
+    try {
+      let user = await findUserForContact(contact);
+      if (user && user.role !== "user") {
+        delete req.session.familyLogin;
+        setFlash(req, "error", "Your login code has expired. Please request a new one.");
+        return res.redirect("/family/login");
+      }
+      if (!user) {
+        user = await createUser({
+          email: contact.type === "email" ? contact.value : null,
+          phoneNumber: contact.type === "phone" ? contact.value : null,
+          passwordHash: bcrypt.hashSync(crypto.randomBytes(24).toString("hex"), 10),
+          role: "user",
+          status: "Approved",
+          emailVerified: contact.type === "email",
+          createdAt: new Date().toISOString()
+        });
+        if (!user) {
+          throw new Error("Family account could not be created.");
+        }
+      }
+
+      await linkFamilyPatients(pool, user.id, contact);
+      // A fresh session id on login, so an id planted before it cannot ride the family session.
+      await regenerateSession(req);
+
+      req.session.userId = user.id;
+      req.session.role = user.role;
+      req.session.user = await getSessionUserPayload(user);
+      setFlash(req, "success", "Welcome. Here are your care requests.");
+      return res.redirect("/family");
+    } catch (error) {
+      console.error("Family login verification error:", error);
+      setFlash(req, "error", "Unable to log you in right now. Please try again.");
+      return res.redirect("/family/verify");
+    }
+  });
+
+  router.get("/family", requireRole("user"), async (req, res) => {
+    try {
+      const [requests, notificationPreferences] = await Promise.all([
+        listFamilyRequests(pool, req.currentUser.id),
+        loadNotificationPreferences(pool, req.currentUser)
+      ]);
+      return res.render("family/dashboard", {
+        title: "My Care Requests",
+        requests,
+        notificationPreferences,
+        loadError: null
+      });
+    } catch (error) {
+      console.error("Family dashboard error:", error);
+      return res.render("family/dashboard", {
+        title: "My Care Requests",
+        requests: [],
+        notificationPreferences: null,
+        loadError: "Unable to load your care requests right now."
+      });
+    }
+  });
+
+  router.get("/family/requests/:code", requireRole("user"), async (req, res) => {
+    try {
+      const request = await loadOwnedRequest(req, res);
+      if (!request) return undefined;
+
+      const [details, shifts, invoices, renewal, renewalRequested] = await Promise.all([
+        getFamilyRequestDetails(pool, request.careRequestId),
+        listCareRequestShifts(pool, request.careRequestId),
+        listCareRequestInvoices(pool, request.careRequestId),
+        loadRenewalSource(pool, request.careRequestId),
+        hasRenewalRequest(pool, request.careRequestId)
+      ]);
+      const nurse = details && details.assigned_nurse_id
+        ? await getNurseById(details.assigned_nurse_id)
+        : null;
+
+      return res.render("family/request", {
+        title: `Request ${request.requestCode}`,
+        request,
+        nurse: nurse ? buildPublicNurseProfileView(nurse) : null,
+        rating: details && details.rating ? details : null,
+        canRate: request.status === "completed"
+          && Boolean(details && details.assigned_nurse_id)
+          && (!details.rated_by_user_id || details.rated_by_user_id === req.currentUser.id),
+        shifts,
+        shiftSummary: summarizeShifts(shifts),
+        shiftStatuses: SHIFT_STATUSES,
+        invoices,
+        renewal,
+        canRequestRenewal: isRenewalDue(renewal) && !renewalRequested,
+        renewalRequested
+      });
+    } catch (error) {
+      console.error("Family request detail error:", error);
+      setFlash(req, "error", "Unable to load this care request right now.");
+      return res.redirect("/family");
+    }
+  });
+
+  router.post("/family/requests/:code/rating", requireRole("user"), async (req, res) => {
+    const requestPath = `/family/requests/${encodeURIComponent(req.params.code)}`;
+    let client;
+    try {
+      const request = await loadOwnedRequest(req, res);
+      if (!request) return undefined;
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const saved = await saveFamilyRating(client, {
+        requestId: request.careRequestId,
+        userId: req.currentUser.id,
+        rating: req.body.rating,
+        feedback: req.body.feedback
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId: request.careRequestId,
+        eventType: "rating_recorded",
+        assignedNurseId: saved.nurseId,
+        comment: saved.feedback || null,
+        changedByUserId: req.currentUser.id,
+        changedByRole: "user",
+        metadata: { rating: saved.rating }
+      });
+      const notificationDeliveryIds = await notifyUsers(client, await findAdminUserIds(client), {
+        eventType: "review_submitted",
+        title: "Review Awaiting Moderation",
+        message: `A family rated the nurse ${saved.rating}/5 on request ${request.requestCode}.`,
+        relatedRequestId: request.careRequestId,
+        actionPath: "/admin/reviews"
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+      setFlash(req, "success", "Thank you for rating your nurse. Your review will appear on the profile once approved.");
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Family rating rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Family rating error:", error);
+      setFlash(req, "error", error.message || "Unable to save your rating right now.");
+    }
+    return res.redirect(requestPath);
+  });
+
+  router.post("/family/requests/:code/renew", requireRole("user"), async (req, res) => {
+    const requestPath = `/family/requests/${encodeURIComponent(req.params.code)}`;
+    let client;
+    try {
+      const request = await loadOwnedRequest(req, res);
+      if (!request) return undefined;
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [request.careRequestId]);
+      const source = await loadRenewalSource(client, request.careRequestId);
+      if (!source || !source.canRenew) {
+        throw new Error("This care request cannot be renewed.");
+      }
+      if (await hasRenewalRequest(client, request.careRequestId)) {
+        throw new Error("You have already asked to renew this care. Your agent will be in touch.");
+      }
+      const notificationDeliveryIds = await requestCareRenewal(client, source, {
+        userId: req.currentUser.id,
+        note: req.body.note
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+      setFlash(req, "success", "Thank you. Your agent will confirm the renewal and the new dates.");
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Family renewal rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Family renewal error:", error);
+      setFlash(req, "error", error.message || "Unable to send your renewal request right now.");
+    }
+    return res.redirect(requestPath);
+  });
+
+  return router;
+}
+
+module.exports = createFamilyPortalController;
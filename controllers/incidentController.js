@@ -0,0 +1,535 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  URGENT_INCIDENT_SEVERITIES,
+  addCorrectiveAction,
+  addIncidentNote,
+  completeCorrectiveAction,
+  createIncidentReport,
+  escalateIncident,
+  getIncident,
+  liftListingSuspension,
+  listIncidentTimeline,
+  listIncidents,
+  normalizeIncidentInput,
+  parseIncidentFilters,
+  updateIncidentStatus
+} = require("../services/incidents");
+const {
+  dispatchNotificationDeliveries,
+  findAdminUserIds,
+  findCareRequestRecipients,
+  notifyUsers
+} = require("../services/notifications");
+
+function createIncidentController() {
+  const router = express.Router();
+  const {
+    pool,
+    normalizeEmail,
+    requireApprovedAgent,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  function buildIncidentActor(req, fallbackRole = "system") {
+    return {
+      userId: req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null,
+      role: req && req.currentUser && req.currentUser.role ? req.currentUser.role : fallbackRole
+    };
+  }
+
+  function buildIncidentFormOptions() {
+    return {
+      incidentCategories: INCIDENT_CATEGORIES,
+      incidentSeverities: INCIDENT_SEVERITIES,
+      incidentStatuses: INCIDENT_STATUSES
+    };
+  }
+
+  // Requests an agent can file against: their own patients' jobs once a nurse is involved.
+  async function listAgentIncidentRequests(agentEmail) {
+    const result = await pool.query(
+      `SELECT
+          cr.id,
+          COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+          COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+          n.full_name AS nurse_name
+       FROM care_requests cr
+       JOIN patients p ON p.id = cr.patient_id
+       LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+       WHERE LOWER(COALESCE(p.agent_email, '')) = LOWER($1)
+         AND cr.status IN ('assigned', 'payment_pending', 'active', 'completed')
+       ORDER BY cr.created_at DESC
+       LIMIT 200`,
+      [agentEmail]
+    );
+    return result.rows;
+  }
+
+  async function listNurseIncidentRequests(nurseId) {
+    const result = await pool.query(
+      `SELECT
+          cr.id,
+          COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+          COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+          NULL AS nurse_name
+       FROM care_requests cr
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       WHERE cr.assigned_nurse_id = $1
+         AND cr.status IN ('assigned', 'payment_pending', 'active', 'completed')
+       ORDER BY cr.created_at DESC
+       LIMIT 100`,
+      [nurseId]
+    );
+    return result.rows;
+  }
+
+  async function findRequestIdByCode(code) {
+    const clean = String(code || "").trim();
+    if (!clean) return null;
+    const result = await pool.query(
+      `SELECT cr.id
+       FROM care_requests cr
+       LEFT JOIN patients p ON p.id = cr.patient_id
+       WHERE LOWER(COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text))) = LOWER($1)
+       LIMIT 1`,
+      [clean]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
+  async function fileIncident(req, res, { requestId, role, redirectTarget, detailPath }) {
+    let client;
+    try {
+      const report = normalizeIncidentInput(req.body);
+      if (!requestId) {
+        throw new Error("Choose the care request this incident happened on.");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildIncidentActor(req, role);
+      const created = await createIncidentReport(client, { requestId, report, reporter: actor });
+      await addIncidentNote(client, created.id, {
+        noteType: "status_change",
+        body: `Reported as ${INCIDENT_SEVERITIES[report.severity].toLowerCase()} severity ${INCIDENT_CATEGORIES[report.category].toLowerCase()}.`,
+        actor
+      });
+
+      const message = `${created.referenceCode} (${INCIDENT_SEVERITIES[report.severity]}): ${report.title}`;
+      const notificationDeliveryIds = [];
+      const adminIds = (await findAdminUserIds(client)).filter((id) => id !== actor.userId);
+      notificationDeliveryIds.push(...await notifyUsers(client, adminIds, {
+        eventType: "incident_reported",
+        title: "Incident Reported",
+        message,
+        relatedRequestId: requestId,
+        actionPath: `/admin/incidents/${created.id}`
+      }));
+      if (URGENT_INCIDENT_SEVERITIES.includes(report.severity)) {
+        const recipients = await findCareRequestRecipients(client, requestId);
+        if (recipients.agentUserId !== actor.userId) {
+          notificationDeliveryIds.push(...await notifyUsers(client, [recipients.agentUserId], {
+            eventType: "incident_reported",
+            title: "Incident Reported",
+            message,
+            relatedRequestId: requestId,
+            actionPath: `/agent/incidents/${created.id}`
+          }));
+        }
+      }
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+
+      await recordAuditEventSafely(pool, req, {
+        action: "incident.reported",
+        entityType: "incident",
+        entityId: created.id,
+        summary: `Reported ${created.referenceCode}: ${report.title}`
+      });
+      setFlash(req, "success", `Incident ${created.referenceCode} reported. The admin team has been notified.`);
+      return res.redirect(detailPath ? `${detailPath}/${created.id}` : redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Incident report rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Incident report error:", error);
+      setFlash(req, "error", error.message || "Unable to file the incident right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  // Tell the person who filed the incident about progress, unless they made the change.
+  async function notifyIncidentReporter(client, incident, actor, message) {
+    if (!incident.reported_by_user_id || incident.reported_by_user_id === actor.userId) return [];
+    if (!["agent", "nurse"].includes(incident.reported_by_role)) return [];
+    return notifyUsers(client, [incident.reported_by_user_id], {
+      eventType: "incident_updated",
+      title: `Incident ${incident.reference_code}`,
+      message,
+      relatedRequestId: incident.request_id,
+      actionPath: incident.reported_by_role === "agent" ? `/agent/incidents/${incident.id}` : "/nurse/incidents"
+    });
+  }
+
+  // Runs an admin action on one incident inside a transaction and redirects back to it.
+  async function runAdminIncidentAction(req, res, { successMessage, failureMessage, audit, action }) {
+    const incidentId = Number.parseInt(req.params.id, 10);
+    const redirectTarget = `/admin/incidents/${incidentId}`;
+    if (Number.isNaN(incidentId)) {
+      setFlash(req, "error", "Invalid incident.");
+      return res.redirect("/admin/incidents");
+    }
+
+    let client;
+    try {
+      const incident = await getIncident(pool, incidentId);
+      if (!incident) {
+        setFlash(req, "error", "Incident not found.");
+        return res.redirect("/admin/incidents");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const actor = buildIncidentActor(req, "admin");
+      const outcome = await action(client, incident, actor);
+      const notificationDeliveryIds = outcome && outcome.reporterMessage
+        ? await notifyIncidentReporter(client, incident, actor, outcome.reporterMessage)
+        : [];
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+
+      if (audit) {
+        await recordAuditEventSafely(pool, req, {
+          entityType: "incident",
+          entityId: incidentId,
+          ...audit(incident, outcome)
+        });
+      }
+      setFlash(req, "success", typeof successMessage === "function" ? successMessage(outcome) : successMessage);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Incident action rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Incident action error:", error);
+      setFlash(req, "error", error.message || failureMessage);
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.get("/admin/incidents", requireRole("admin"), async (req, res) => {
+    const filters = parseIncidentFilters(req.query);
+    try {
+      const result = await listIncidents(pool, filters);
+      return res.render("admin/incidents", {
+        title: "Incidents",
+        filters,
+        result,
+        loadError: null,
+        ...buildIncidentFormOptions()
+      });
+    } catch (error) {
+      console.error("Admin incidents error:", error);
+      return res.render("admin/incidents", {
+        title: "Incidents",
+        filters,
+        result: { incidents: [], total: 0, page: 1, pageCount: 1 },
+        loadError: "Unable to load incidents right now.",
+        ...buildIncidentFormOptions()
+      });
+    }
+  });
+
+  router.post("/admin/incidents", requireRole("admin"), async (req, res) => {
+    try {
+      const requestId = await findRequestIdByCode(req.body.request_code);
+      return await fileIncident(req, res, {
+        requestId,
+        role: "admin",
+        redirectTarget: "/admin/incidents",
+        detailPath: "/admin/incidents"
+      });
+    } catch (error) {
+      console.error("Admin incident report error:", error);
+      setFlash(req, "error", "Unable to file the incident right now.");
+      return res.redirect("/admin/incidents");
+    }
+  });
+
+  router.get("/admin/incidents/:id", requireRole("admin"), async (req, res) => {
+    const incidentId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(incidentId)) {
+      setFlash(req, "error", "Invalid incident.");
+      return res.redirect("/admin/incidents");
+    }
+
+    try {
+      const incident = await getIncident(pool, incidentId);
+      if (!incident) {
+        setFlash(req, "error", "Incident not found.");
+        return res.redirect("/admin/incidents");
+      }
+      const timeline = await listIncidentTimeline(pool, incidentId);
+      return res.render("admin/incident-detail", {
+        title: `Incident ${incident.reference_code}`,
+        incident,
+        timeline,
+        ...buildIncidentFormOptions()
+      });
+    } catch (error) {
+      console.error("Admin incident detail error:", error);
+      setFlash(req, "error", "Unable to load the incident right now.");
+      return res.redirect("/admin/incidents");
+    }
+  });
+
+  router.post("/admin/incidents/:id/notes", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: "Investigation note added.",
+    failureMessage: "Unable to add the note right now.",
+    action: async (client, incident, actor) => {
+      await addIncidentNote(client, incident.id, { body: req.body.body, actor });
+      return null;
+    }
+  }));
+
+  router.post("/admin/incidents/:id/status", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: "Incident status updated.",
+    failureMessage: "Unable to update the incident right now.",
+    action: async (client, incident, actor) => {
+      const status = String(req.body.status || "").trim();
+      const outcome = await updateIncidentStatus(client, incident.id, {
+        status,
+        resolutionSummary: req.body.resolution_summary,
+        actor
+      });
+      return {
+        ...outcome,
+        status,
+        reporterMessage: `Incident ${incident.reference_code} is now ${INCIDENT_STATUSES[status].toLowerCase()}.`
+      };
+    },
+    audit: (incident, outcome) => ({
+      action: "incident.status",
+      summary: `${incident.reference_code} moved from ${outcome.previousStatus} to ${outcome.status}`,
+      before: { status: outcome.previousStatus },
+      after: { status: outcome.status }
+    })
+  }));
+
+  router.post("/admin/incidents/:id/actions", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: "Corrective action added.",
+    failureMessage: "Unable to add the corrective action right now.",
+    action: async (client, incident, actor) => {
+      await addCorrectiveAction(client, incident.id, req.body, actor);
+      return null;
+    }
+  }));
+
+  router.post("/admin/incidents/:id/actions/:actionId/complete", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: "Corrective action marked done.",
+    failureMessage: "Unable to update the corrective action right now.",
+    action: async (client, incident, actor) => {
+      const actionId = Number.parseInt(req.params.actionId, 10);
+      if (Number.isNaN(actionId)) throw new Error("Invalid corrective action.");
+      const description = await completeCorrectiveAction(client, incident.id, actionId, actor);
+      await addIncidentNote(client, incident.id, { body: `Corrective action done: ${description}`, actor });
+      return null;
+    }
+  }));
+
+  router.post("/admin/incidents/:id/escalate", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: (outcome) => (outcome.suspended
+      ? "Incident escalated and the nurse's public listing suspended."
+      : "Incident escalated."),
+    failureMessage: "Unable to escalate the incident right now.",
+    action: async (client, incident, actor) => {
+      const outcome = await escalateIncident(client, incident.id, {
+        note: req.body.note,
+        suspendListing: req.body.suspend_listing === "1",
+        actor
+      });
+      return {
+        ...outcome,
+        reporterMessage: `Incident ${incident.reference_code} has been escalated for admin review.`
+      };
+    },
+    audit: (incident, outcome) => ({
+      action: outcome.suspended ? "incident.suspend_listing" : "incident.escalate",
+      summary: outcome.suspended
+        ? `Escalated ${incident.reference_code} and suspended ${incident.nurse_name || "nurse"}'s public listing`
+        : `Escalated ${incident.reference_code}`,
+      after: { nurseId: outcome.nurseId, listingSuspended: outcome.suspended }
+    })
+  }));
+
+  router.post("/admin/incidents/:id/lift-suspension", requireRole("admin"), (req, res) => runAdminIncidentAction(req, res, {
+    successMessage: (outcome) => {
+      if (outcome.stillSuspended) return "Suspension lifted here, but another incident still holds the nurse's listing.";
+      return outcome.restored ? "Suspension lifted. The nurse is public again." : "Suspension lifted. The nurse's profile stays private as it was before.";
+    },
+    failureMessage: "Unable to lift the suspension right now.",
+    action: (client, incident, actor) => liftListingSuspension(client, incident.id, { note: req.body.note, actor }),
+    audit: (incident, outcome) => ({
+      action: "incident.lift_suspension",
+      summary: `Lifted the listing suspension from ${incident.reference_code}`,
+      after: { nurseId: outcome.nurseId, public: outcome.restored }
+    })
+  }));
+
+  router.get("/agent/incidents", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    const filters = parseIncidentFilters(req.query);
+    try {
+      const [result, requestOptions] = await Promise.all([
+        listIncidents(pool, filters, { agentEmail, userId: req.currentUser.id }),
+        listAgentIncidentRequests(agentEmail)
+      ]);
+      return res.render("agent/incidents", {
+        title: "Incidents",
+        filters,
+        result,
+        requestOptions,
+        selectedRequestId: Number.parseInt(req.query.request, 10) || null,
+        ...buildIncidentFormOptions()
+      });
+    } catch (error) {
+      console.error("Agent incidents error:", error);
+      setFlash(req, "error", "Unable to load incidents right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/incidents", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    try {
+      const requestId = Number.parseInt(req.body.request_id, 10);
+      const allowed = await listAgentIncidentRequests(agentEmail);
+      return await fileIncident(req, res, {
+        requestId: allowed.some((item) => item.id === requestId) ? requestId : null,
+        role: "agent",
+        redirectTarget: "/agent/incidents",
+        detailPath: "/agent/incidents"
+      });
+    } catch (error) {
+      console.error("Agent incident report error:", error);
+      setFlash(req, "error", "Unable to file the incident right now.");
+      return res.redirect("/agent/incidents");
+    }
+  });
+
+  router.get("/agent/incidents/:id", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const incidentId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    try {
+      const incident = Number.isNaN(incidentId)
+        ? null
+        : await getIncident(pool, incidentId, { agentEmail, userId: req.currentUser.id });
+      if (!incident) {
+        setFlash(req, "error", "Incident not found.");
+        return res.redirect("/agent/incidents");
+      }
+      const timeline = await listIncidentTimeline(pool, incidentId);
+      return res.render("agent/incident-detail", {
+        title: `Incident ${incident.reference_code}`,
+        incident,
+        timeline
+      });
+    } catch (error) {
+      console.error("Agent incident detail error:", error);
+      setFlash(req, "error", "Unable to load the incident right now.");
+      return res.redirect("/agent/incidents");
+    }
+  });
+
+  router.post("/agent/incidents/:id/notes", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const incidentId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    const redirectTarget = `/agent/incidents/${incidentId}`;
+    try {
+      const incident = Number.isNaN(incidentId)
+        ? null
+        : await getIncident(pool, incidentId, { agentEmail, userId: req.currentUser.id });
+      if (!incident) {
+        setFlash(req, "error", "Incident not found.");
+        return res.redirect("/agent/incidents");
+      }
+      if (incident.status === "closed") {
+        throw new Error("This incident is closed.");
+      }
+      await addIncidentNote(pool, incidentId, { body: req.body.body, actor: buildIncidentActor(req, "agent") });
+      setFlash(req, "success", "Note added.");
+    } catch (error) {
+      console.error("Agent incident note error:", error);
+      setFlash(req, "error", error.message || "Unable to add the note right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  router.get("/nurse/incidents", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    const filters = parseIncidentFilters(req.query);
+    try {
+      const [result, requestOptions] = await Promise.all([
+        listIncidents(pool, filters, { reporterUserId: req.currentUser.id }),
+        nurseId ? listNurseIncidentRequests(nurseId) : []
+      ]);
+      return res.render("nurse/incidents", {
+        title: "Incident Reports",
+        filters,
+        result,
+        requestOptions,
+        selectedRequestId: Number.parseInt(req.query.request, 10) || null,
+        ...buildIncidentFormOptions()
+      });
+    } catch (error) {
+      console.error("Nurse incidents error:", error);
+      setFlash(req, "error", "Unable to load incident reports right now.");
+      return res.redirect("/nurse/dashboard");
+    }
+  });
+
+  router.post("/nurse/incidents", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    try {
+      const requestId = Number.parseInt(req.body.request_id, 10);
+      const allowed = nurseId ? await listNurseIncidentRequests(nurseId) : [];
+      return await fileIncident(req, res, {
+        requestId: allowed.some((item) => item.id === requestId) ? requestId : null,
+        role: "nurse",
+        redirectTarget: "/nurse/incidents",
+        detailPath: null
+      });
+    } catch (error) {
+      console.error("Nurse incident report error:", error);
+      setFlash(req, "error", "Unable to file the incident right now.");
+      return res.redirect("/nurse/incidents");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createIncidentController;
@@ -0,0 +1,274 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  INVOICE_STATUSES,
+  buildInvoiceFileName,
+  createCareRequestInvoice,
+  emailCareRequestInvoice,
+  getInvoiceWithItems,
+  normalizeGstinInput,
+  normalizeInvoiceStatusInput,
+  normalizeMoneyInput,
+  updateInvoiceStatus
+} = require("../services/invoices");
+const { renderInvoicePdf } = require("../services/invoicePdf");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createInvoiceController() {
+  const router = express.Router();
+  const {
+    pool,
+    getPublicCareRequestRecordByRequestCode,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  async function sendInvoicePdf(res, invoice) {
+    const pdfBuffer = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${buildInvoiceFileName(invoice)}"`);
+    return res.send(pdfBuffer);
+  }
+
+  // Public invoice links are scoped by the request code, the same key /track-request uses.
+  async function loadPublicInvoice(req) {
+    const invoiceId = Number.parseInt(req.params.invoiceId, 10);
+    const requestCode = String(req.query.requestId || "").trim();
+    if (Number.isNaN(invoiceId) || !requestCode) return null;
+
+    const requestRecord = await getPublicCareRequestRecordByRequestCode(requestCode);
+    if (!requestRecord) return null;
+
+    const invoice = await getInvoiceWithItems(pool, invoiceId);
+    if (!invoice || invoice.request_id !== requestRecord.careRequestId) return null;
+    return { invoice, requestCode: requestRecord.requestCode };
+  }
+
+  router.post("/admin/care-requests/:id/invoices", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    const redirectTarget = `/admin/care-requests/${requestId}/applications`;
+
+    const discountAmount = normalizeMoneyInput(req.body.discount_amount);
+    const platformFee = normalizeMoneyInput(req.body.platform_fee);
+    const gstPercent = normalizeMoneyInput(req.body.gst_percent);
+    const customerGstin = normalizeGstinInput(req.body.customer_gstin);
+    if (Number.isNaN(discountAmount) || Number.isNaN(platformFee)) {
+      setFlash(req, "error", "Discount and platform fee must be non-negative amounts.");
+      return res.redirect(redirectTarget);
+    }
+    if (Number.isNaN(gstPercent) || (gstPercent !== null && gstPercent > 28)) {
+      setFlash(req, "error", "GST rate must be between 0 and 28 percent.");
+      return res.redirect(redirectTarget);
+    }
+    if (customerGstin === null) {
+      setFlash(req, "error", "Customer GSTIN is not in a valid format.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    let created;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const requestResult = await client.query(
+        "SELECT id, status FROM care_requests WHERE id = $1 FOR UPDATE",
+        [requestId]
+      );
+      const careRequest = requestResult.rows[0];
+      if (!careRequest) {
+        throw new Error("Care request not found.");
+      }
+      if (!["active", "completed"].includes(careRequest.status)) {
+        throw new Error("Invoices can only be generated after payment is confirmed.");
+      }
+
+      const actor = buildCareRequestLifecycleActor(req, "admin");
+      created = await createCareRequestInvoice(client, requestId, {
+        discountAmount: discountAmount === null ? undefined : discountAmount,
+        platformFee: platformFee === null ? undefined : platformFee,
+        gstPercent: gstPercent === null ? undefined : gstPercent,
+        customerGstin: customerGstin || null,
+        placeOfSupply: req.body.place_of_supply,
+        notes: req.body.notes,
+        actorUserId: actor.userId
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "invoice_generated",
+        comment: `Invoice ${created.invoiceNumber} generated.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: created
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Invoice generation rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Invoice generation error:", error);
+      setFlash(req, "error", error.message || "Unable to generate the invoice right now.");
+      return res.redirect(redirectTarget);
+    }
+
+    let message = `Invoice ${created.invoiceNumber} generated.`;
+    if (req.body.send_email === "1") {
+      try {
+        const delivery = await emailCareRequestInvoice(pool, created.id);
+        message = `Invoice ${created.invoiceNumber} generated and emailed to ${delivery.email}.`;
+      } catch (emailError) {
+        console.error("Invoice email error:", emailError);
+        message = `Invoice ${created.invoiceNumber} generated, but the email failed: ${emailError.message}`;
+      }
+    }
+    setFlash(req, "success", message);
+    return res.redirect(redirectTarget);
+  });
+
+  router.get("/admin/invoices/:invoiceId", requireRole("admin"), async (req, res) => {
+    const invoiceId = Number.parseInt(req.params.invoiceId, 10);
+    if (Number.isNaN(invoiceId)) {
+      setFlash(req, "error", "Invalid invoice.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const invoice = await getInvoiceWithItems(pool, invoiceId);
+      if (!invoice) {
+        setFlash(req, "error", "Invoice not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return res.render("shared/invoice", {
+        title: `Invoice ${invoice.invoice_number}`,
+        invoice,
+        pdfHref: `/admin/invoices/${invoiceId}/pdf`,
+        backHref: `/admin/care-requests/${invoice.request_id}/applications`
+      });
+    } catch (error) {
+      console.error("Admin invoice view error:", error);
+      setFlash(req, "error", "Unable to load the invoice right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.get("/admin/invoices/:invoiceId/pdf", requireRole("admin"), async (req, res) => {
+    const invoiceId = Number.parseInt(req.params.invoiceId, 10);
+    try {
+      const invoice = Number.isNaN(invoiceId) ? null : await getInvoiceWithItems(pool, invoiceId);
+      if (!invoice) {
+        return res.status(404).send("Invoice not found");
+      }
+      return await sendInvoicePdf(res, invoice);
+    } catch (error) {
+      console.error("Admin invoice PDF error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  router.post("/admin/invoices/:invoiceId/email", requireRole("admin"), async (req, res) => {
+    const invoiceId = Number.parseInt(req.params.invoiceId, 10);
+    if (Number.isNaN(invoiceId)) {
+      setFlash(req, "error", "Invalid invoice.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    let redirectTarget = "/admin/care-requests";
+    try {
+      const invoice = await getInvoiceWithItems(pool, invoiceId);
+      if (!invoice) {
+        throw new Error("Invoice not found.");
+      }
+      redirectTarget = `/admin/care-requests/${invoice.request_id}/applications`;
+      const delivery = await emailCareRequestInvoice(pool, invoiceId);
+      setFlash(req, "success", `Invoice ${delivery.invoiceNumber} emailed to ${delivery.email}.`);
+    } catch (error) {
+      console.error("Invoice email error:", error);
+      setFlash(req, "error", error.message || "Unable to email the invoice right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  router.post("/admin/invoices/:invoiceId/status", requireRole("admin"), async (req, res) => {
+    const invoiceId = Number.parseInt(req.params.invoiceId, 10);
+    const status = normalizeInvoiceStatusInput(req.body.status);
+    if (Number.isNaN(invoiceId) || !status) {
+      setFlash(req, "error", `Invoice status must be one of: ${INVOICE_STATUSES.join(", ")}.`);
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const updated = await updateInvoiceStatus(pool, invoiceId, status);
+      if (!updated) {
+        setFlash(req, "error", "Invoice not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      const actor = buildCareRequestLifecycleActor(req, "admin");
+      await insertCareRequestLifecycleLog(pool, {
+        requestId: updated.request_id,
+        eventType: "invoice_status_updated",
+        comment: `Invoice ${updated.invoice_number} marked ${status}.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { invoiceId, status }
+      });
+      setFlash(req, "success", `Invoice ${updated.invoice_number} marked ${status}.`);
+      return res.redirect(`/admin/care-requests/${updated.request_id}/applications`);
+    } catch (error) {
+      console.error("Invoice status update error:", error);
+      setFlash(req, "error", "Unable to update the invoice right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.get("/track-request/invoices/:invoiceId", async (req, res) => {
+    try {
+      const found = await loadPublicInvoice(req);
+      if (!found) {
+        return res.status(404).render("public/track-request", {
+          title: "Track Request",
+          requestId: String(req.query.requestId || ""),
+          error: "Invoice not found."
+        });
+      }
+      const query = `requestId=${encodeURIComponent(found.requestCode)}`;
+      return res.render("shared/invoice", {
+        title: `Invoice ${found.invoice.invoice_number}`,
+        invoice: found.invoice,
+        pdfHref: `/track-request/invoices/${found.invoice.id}/pdf?${query}`,
+        backHref: `/track-request?${query}`
+      });
+    } catch (error) {
+      console.error("Public invoice view error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  router.get("/track-request/invoices/:invoiceId/pdf", async (req, res) => {
+    try {
+      const found = await loadPublicInvoice(req);
+      if (!found) {
+        return res.status(404).send("Invoice not found");
+      }
+      return await sendInvoicePdf(res, found.invoice);
+    } catch (error) {
+      console.error("Public invoice PDF error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createInvoiceController;
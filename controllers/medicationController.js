@@ -0,0 +1,457 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  DOSE_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_SCHEDULE_EDITABLE_STATUSES,
+  createMedicationSchedule,
+  listMarEntries,
+  listMedicationSchedules,
+  normalizeDoseInput,
+  normalizeMarRange,
+  normalizeMedicationScheduleInput,
+  recordMedicationDose,
+  stopMedicationSchedule,
+  summarizeMar
+} = require("../services/medications");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createMedicationController() {
+  const router = express.Router();
+  const {
+    pool,
+    getPublicCareRequestRecordByEditToken,
+    normalizeEmail,
+    requireApprovedAgent,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  // Agents only see requests for patients they own; admins pass a null agentEmail.
+  async function loadMedicationRequestSummary(requestId, agentEmail = null) {
+    const result = await pool.query(
+      `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location,
+        cr.status,
+        cr.assigned_nurse_id,
+        n.full_name AS assigned_nurse_name
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+       AND ($2::text IS NULL OR LOWER(COALESCE(p.agent_email, '')) = LOWER($2))
+     LIMIT 1`,
+      [requestId, agentEmail]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function renderMedications(req, res, options) {
+    const { requestItem, view, basePath, backHref } = options;
+    const range = normalizeMarRange(req.query);
+    const [schedules, entries] = await Promise.all([
+      listMedicationSchedules(pool, requestItem.id),
+      listMarEntries(pool, requestItem.id, range)
+    ]);
+
+    return res.render(view, {
+      title: "Medications",
+      requestItem,
+      schedules,
+      mar: summarizeMar(entries),
+      range,
+      medicationRoutes: MEDICATION_ROUTES,
+      canEditSchedule: MEDICATION_SCHEDULE_EDITABLE_STATUSES.includes(requestItem.status),
+      basePath,
+      backHref
+    });
+  }
+
+  async function renderMarReport(res, options) {
+    const { requestItem, range, backHref, reportPath } = options;
+    const [schedules, entries] = await Promise.all([
+      listMedicationSchedules(pool, requestItem.id),
+      listMarEntries(pool, requestItem.id, range)
+    ]);
+    return res.render("shared/mar-report", {
+      title: `MAR ${requestItem.public_request_code}`,
+      requestItem,
+      schedules,
+      mar: summarizeMar(entries),
+      range,
+      reportPath,
+      backHref
+    });
+  }
+
+  async function handleAddSchedule(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    let client;
+    try {
+      const requestItem = await loadMedicationRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+      if (!MEDICATION_SCHEDULE_EDITABLE_STATUSES.includes(requestItem.status)) {
+        throw new Error("Medications can no longer be changed for this request.");
+      }
+      const schedule = normalizeMedicationScheduleInput(req.body);
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const scheduleId = await createMedicationSchedule(client, requestId, schedule, actor.userId);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "medication_scheduled",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: `${schedule.medicationName} ${schedule.dosage} scheduled at ${schedule.doseTimes.join(", ")} from ${schedule.startDate}.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { scheduleId, doseTimes: schedule.doseTimes, endDate: schedule.endDate }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", `${schedule.medicationName} added to the medication schedule.`);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Medication schedule rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Medication schedule save error:", error);
+      setFlash(req, "error", error.message || "Unable to save the medication right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  async function handleStopSchedule(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    const scheduleId = Number.parseInt(req.params.scheduleId, 10);
+    let client;
+    try {
+      const requestItem = await loadMedicationRequestSummary(requestId, agentEmail);
+      if (!requestItem || Number.isNaN(scheduleId)) {
+        throw new Error("Medication not found.");
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      const medicationName = await stopMedicationSchedule(client, requestId, scheduleId, actor.userId);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "medication_stopped",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: `${medicationName} stopped.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { scheduleId }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", `${medicationName} stopped. Past doses stay on the MAR.`);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Medication stop rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Medication stop error:", error);
+      setFlash(req, "error", error.message || "Unable to stop the medication right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.get("/admin/care-requests/:id/medications", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const requestItem = await loadMedicationRequestSummary(requestId);
+      if (!requestItem) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return await renderMedications(req, res, {
+        requestItem,
+        view: "admin/care-request-medications",
+        basePath: `/admin/care-requests/${requestId}/medications`,
+        backHref: `/admin/care-requests/${requestId}/applications`
+      });
+    } catch (error) {
+      console.error("Admin medications error:", error);
+      setFlash(req, "error", "Unable to load medications right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.post("/admin/care-requests/:id/medications", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleAddSchedule(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/medications`
+    });
+  });
+
+  router.post("/admin/care-requests/:id/medications/:scheduleId/stop", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleStopSchedule(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/medications`
+    });
+  });
+
+  router.get("/admin/care-requests/:id/medications/report", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    try {
+      const requestItem = Number.isNaN(requestId) ? null : await loadMedicationRequestSummary(requestId);
+      if (!requestItem) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return await renderMarReport(res, {
+        requestItem,
+        range: normalizeMarRange(req.query, 30),
+        reportPath: `/admin/care-requests/${requestId}/medications/report`,
+        backHref: `/admin/care-requests/${requestId}/medications`
+      });
+    } catch (error) {
+      console.error("Admin MAR report error:", error);
+      setFlash(req, "error", "Unable to load the MAR report right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.get("/agent/requests/:id/medications", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+
+    try {
+      const requestItem = await loadMedicationRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        setFlash(req, "error", "Request not found in your assigned records.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      return await renderMedications(req, res, {
+        requestItem,
+        view: "agent/request-medications",
+        basePath: `/agent/requests/${requestId}/medications`,
+        backHref: "/agent/dashboard?tab=jobs"
+      });
+    } catch (error) {
+      console.error("Agent medications error:", error);
+      setFlash(req, "error", "Unable to load medications right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/requests/:id/medications", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleAddSchedule(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/medications`
+    });
+  });
+
+  router.post("/agent/requests/:id/medications/:scheduleId/stop", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleStopSchedule(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/medications`
+    });
+  });
+
+  router.get("/agent/requests/:id/medications/report", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    try {
+      const requestItem = Number.isNaN(requestId)
+        ? null
+        : await loadMedicationRequestSummary(requestId, normalizeEmail(req.currentUser.email));
+      if (!requestItem) {
+        setFlash(req, "error", "Request not found in your assigned records.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      return await renderMarReport(res, {
+        requestItem,
+        range: normalizeMarRange(req.query, 30),
+        reportPath: `/agent/requests/${requestId}/medications/report`,
+        backHref: `/agent/requests/${requestId}/medications`
+      });
+    } catch (error) {
+      console.error("Agent MAR report error:", error);
+      setFlash(req, "error", "Unable to load the MAR report right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  // Families reach the report through the private edit link sent when they requested care.
+  router.get("/edit-request/:token/mar", async (req, res) => {
+    const token = String(req.params.token || "").trim();
+    try {
+      const requestRecord = await getPublicCareRequestRecordByEditToken(token);
+      const requestItem = requestRecord && requestRecord.careRequestId
+        ? await loadMedicationRequestSummary(requestRecord.careRequestId)
+        : null;
+      if (!requestItem) {
+        setFlash(req, "error", "Invalid edit link.");
+        return res.redirect("/track-request");
+      }
+      return await renderMarReport(res, {
+        requestItem,
+        range: normalizeMarRange(req.query, 30),
+        reportPath: `/edit-request/${encodeURIComponent(token)}/mar`,
+        backHref: `/edit-request/${encodeURIComponent(token)}`
+      });
+    } catch (error) {
+      console.error("Public MAR report error:", error);
+      setFlash(req, "error", "Unable to load the medication record right now.");
+      return res.redirect("/track-request");
+    }
+  });
+
+  router.get("/nurse/care-requests/:id/medications", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(requestId) || !nurseId) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+
+    try {
+      const requestItem = await loadMedicationRequestSummary(requestId);
+      if (!requestItem || requestItem.assigned_nurse_id !== nurseId) {
+        setFlash(req, "error", "Care request not found in your assignments.");
+        return res.redirect("/nurse/dashboard#care-plans");
+      }
+      // Yesterday and today, so late entries for overnight doses can still be made.
+      const range = normalizeMarRange({}, 2);
+      const [schedules, entries] = await Promise.all([
+        listMedicationSchedules(pool, requestId),
+        listMarEntries(pool, requestId, range)
+      ]);
+      return res.render("nurse/medications", {
+        title: "Medications",
+        requestItem,
+        schedules: schedules.filter((schedule) => schedule.is_current),
+        mar: summarizeMar(entries),
+        doseStatuses: DOSE_STATUSES,
+        canRecordDoses: requestItem.status === "active",
+        backHref: "/nurse/dashboard#care-plans"
+      });
+    } catch (error) {
+      console.error("Nurse medications error:", error);
+      setFlash(req, "error", "Unable to load medications right now.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+  });
+
+  router.post("/nurse/care-requests/:id/medications/doses", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(requestId) || !nurseId) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+    const redirectTarget = `/nurse/care-requests/${requestId}/medications`;
+
+    let client;
+    try {
+      const dose = normalizeDoseInput(req.body);
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [requestId]);
+
+      const recorded = await recordMedicationDose(client, {
+        requestId,
+        nurseId,
+        userId: req.currentUser.id,
+        dose
+      });
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "medication_dose_recorded",
+        assignedNurseId: nurseId,
+        comment: `${recorded.medication_name} ${recorded.dosage} (${dose.scheduledFor}) marked ${dose.status}.`,
+        changedByUserId: req.currentUser.id,
+        changedByRole: "nurse",
+        metadata: {
+          doseId: recorded.id,
+          scheduleId: dose.scheduleId,
+          scheduledFor: dose.scheduledFor,
+          status: dose.status,
+          administeredAt: dose.administeredAt
+        }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", `${recorded.medication_name} at ${dose.scheduledFor.slice(11)} marked ${dose.status}.`);
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Medication dose rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Medication dose error:", error);
+      setFlash(req, "error", error.message || "Unable to record the dose right now.");
+      return res.redirect(redirectTarget);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMedicationController;
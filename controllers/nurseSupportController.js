@@ -1,5 +1,31 @@
 const express = require("express");
 const runtime = require("../services/runtimeContext");
+const { formatLocalDate, listUpcomingNurseShifts } = require("../services/careShifts");
+const { getCarePlan, listNurseCarePlanAssignments, listVisitNotes } = require("../services/carePlans");
+const { listAttendanceFlags } = require("../services/shiftAttendance");
+const { listNurseDocumentReviews, syncNurseDocuments } = require("../services/documentVerification");
+const { loadApiTokenPanel } = require("../services/apiTokens");
+const {
+  loadSessionPanel,
+  revokeAllUserSessions,
+  revokeOtherUserSessions
+} = require("../services/userSessions");
+const { recordAuditEvent, recordAuditEventSafely } = require("../services/auditLog");
+const {
+  dispatchNotificationDeliveries,
+  findAdminUserIds,
+  loadNotificationPreferences,
+  notifyUsers,
+  notifyUsersNow
+} = require("../services/notifications");
+const {
+  HARD_PROFILE_FIELDS,
+  PROFILE_CHANGE_STATUSES,
+  buildProfileChangeDiff,
+  getLatestReviewedProfileChange,
+  getPendingProfileChange,
+  stageProfileChanges
+} = require("../services/profileChangeRequests");
 
 function createNurseSupportController() {
   const router = express.Router();
@@ -60,7 +86,6 @@ function createNurseSupportController() {
     CARE_REQUEST_MARKETPLACE_TABS,
     CARE_REQUEST_PAYMENT_STATUSES,
     CARE_REQUEST_STATUSES,
-    CARE_REQUEST_TRANSITIONS,
     CERTIFICATES_DIR,
     COMMISSION_TYPES,
     COMPANY_EMAIL,
@@ -96,7 +121,6 @@ function createNurseSupportController() {
     buildPublicNurseProfileView,
     calculateCommission,
     calculateProfileCompletion,
-    canTransitionCareRequestStatus,
     clearPatientFinancials,
     collectNurseAssetUrls,
     configureApp,
@@ -209,6 +233,93 @@ function createNurseSupportController() {
     return String(uploadedAsset?.secure_url || "").trim();
   }
 
+  // Staged hard-field values are shown back in the edit form under the nurse view keys.
+  const PROFILE_CHANGE_VIEW_KEYS = {
+    aadhaar_number: ["aadhaarNumber", "aadharNumber"],
+    experience_years: ["experienceYears"],
+    experience_months: ["experienceMonths"],
+    skills: ["skills"],
+    height_text: ["height", "heightText"],
+    weight_kg: ["weight", "weightKg"],
+    duty_type: ["dutyType"]
+  };
+
+  function overlayPendingProfileChanges(nurse, pendingChange) {
+    if (!pendingChange) return nurse;
+    const overlaid = { ...nurse };
+    Object.entries(pendingChange.changes || {}).forEach(([field, change]) => {
+      (PROFILE_CHANGE_VIEW_KEYS[field] || []).forEach((key) => {
+        overlaid[key] = change.to;
+      });
+    });
+    return overlaid;
+  }
+
+  async function loadProfileChangeStatus(nurseId) {
+    const [pending, latestReview] = await Promise.all([
+      getPendingProfileChange(pool, nurseId),
+      getLatestReviewedProfileChange(pool, nurseId)
+    ]);
+    return {
+      pendingChange: pending,
+      status: {
+        pending: pending
+          ? { submittedOn: pending.submitted_on, rows: buildProfileChangeDiff(pending) }
+          : null,
+        latestReview: latestReview
+          ? {
+            statusLabel: PROFILE_CHANGE_STATUSES[latestReview.status],
+            reviewedOn: latestReview.reviewed_on,
+            reason: latestReview.review_reason,
+            rows: buildProfileChangeDiff(latestReview)
+          }
+          : null
+      }
+    };
+  }
+
+  /**
+   * Stage hard-field edits from an approved nurse and tell admins when a new change set opens.
+   */
+  async function stageNurseProfileChanges(nurse, liveRow, proposed) {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const staged = await stageProfileChanges(client, nurse.id, liveRow, proposed);
+      const notificationDeliveryIds = staged && staged.isNew
+        ? await notifyUsers(client, await findAdminUserIds(client), {
+          eventType: "profile_change_submitted",
+          title: "Profile Change Awaiting Review",
+          message: `${nurse.fullName || "A nurse"} changed ${staged.fields.map((field) => HARD_PROFILE_FIELDS[field]).join(", ")}.`,
+          actionPath: `/admin/profile-changes/${staged.id}`
+        })
+        : [];
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+      return staged;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Profile change staging rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      throw error;
+    }
+  }
+
+  function describeStagedProfileChanges(staged) {
+    if (!staged) return "";
+    if (staged.status === "withdrawn") return " Your pending profile change request was withdrawn.";
+    const labels = staged.fields.map((field) => HARD_PROFILE_FIELDS[field]).join(", ");
+    return ` Changes to ${labels} are awaiting admin review.`;
+  }
+
   function getManagedNurseOwnershipSql(alias, emailParamRef, userIdParamRef) {
     return `(
     LOWER(COALESCE(${alias}.agent_email, '')) = LOWER(${emailParamRef})
@@ -439,6 +550,22 @@ function createNurseSupportController() {
       .filter((patient) => patient.referrerNurseId === nurse.id && typeof patient.referralCommissionAmount === "number")
       .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
     const referralTotal = referralPatients.reduce((sum, patient) => sum + (patient.referralCommissionAmount || 0), 0);
+    const apiTokenPanel = await loadApiTokenPanel(pool, req).catch((error) => {
+      console.error("Nurse API token panel error:", error);
+      return null;
+    });
+    const sessionPanel = await loadSessionPanel(pool, req).catch((error) => {
+      console.error("Nurse session panel error:", error);
+      return null;
+    });
+    const profileChange = await loadProfileChangeStatus(nurse.id).catch((error) => {
+      console.error("Nurse profile change status error:", error);
+      return null;
+    });
+    const notificationPreferences = await loadNotificationPreferences(pool, req.currentUser).catch((error) => {
+      console.error("Nurse notification preferences error:", error);
+      return null;
+    });
 
     return res.render("nurse/profile", {
       title: "Nurse Profile",
@@ -452,7 +579,11 @@ function createNurseSupportController() {
       referredNurses,
       referralPatients,
       referralTotal: Number(referralTotal.toFixed(2)),
-      referralLink: `/agent/nurses/new?ref=${encodeURIComponent(nurse.referralCode || "")}`
+      referralLink: `/agent/nurses/new?ref=${encodeURIComponent(nurse.referralCode || "")}`,
+      apiTokenPanel,
+      sessionPanel,
+      notificationPreferences,
+      profileChangeStatus: profileChange ? profileChange.status : null
     });
   });
 
@@ -490,11 +621,20 @@ function createNurseSupportController() {
              AND COALESCE(visibility_status, 'pending') = 'approved') AS marketplace_open`,
         [nurseId]
       );
+      const upcomingShifts = (await listUpcomingNurseShifts(pool, nurseId, 10))
+        .map((shift) => ({ ...shift, attendanceBadges: listAttendanceFlags(shift) }));
+      const carePlanAssignments = await listNurseCarePlanAssignments(pool, nurseId);
+      await syncNurseDocuments(pool, [nurseId]);
+      const documentReviews = await listNurseDocumentReviews(pool, nurseId);
 
       return res.render("nurse/dashboard", {
         title: "Nurse Dashboard",
         user: req.session.user,
         stats: statsResult.rows[0],
+        upcomingShifts,
+        carePlanAssignments,
+        documentReviews,
+        todayDate: formatLocalDate(new Date()),
         profileCard: nurseProfile
           ? buildPublicNurseProfileView({
             ...nurseProfile,
@@ -690,7 +830,15 @@ function createNurseSupportController() {
       return res.redirect("/nurse/profile");
     }
 
-    setFlash(req, "success", "Password updated successfully.");
+    const signedOutCount = await revokeOtherUserSessions(pool, req.currentUser.id, req.sessionID).catch((error) => {
+      console.error("Nurse password change session revoke error:", error);
+      return 0;
+    });
+    setFlash(
+      req,
+      "success",
+      signedOutCount ? "Password updated successfully. Your other devices have been signed out." : "Password updated successfully."
+    );
     return res.redirect("/nurse/profile");
   });
 
@@ -928,10 +1076,15 @@ END,
     if (!nurse) {
       return res.status(404).render("shared/not-found", { title: "Nurse Not Found" });
     }
+    const profileChange = await loadProfileChangeStatus(nurse.id).catch((error) => {
+      console.error("Nurse profile change status error:", error);
+      return null;
+    });
 
     return res.render("nurse/profile-edit", {
       title: "Update Profile",
-      nurse,
+      nurse: overlayPendingProfileChanges(nurse, profileChange && profileChange.pendingChange),
+      profileChangeStatus: profileChange ? profileChange.status : null,
       profileSkillOptions: PROFILE_SKILL_OPTIONS,
       qualificationOptions: PROFILE_QUALIFICATION_OPTIONS,
       currentStatusOptions: PROFILE_CURRENT_STATUS_OPTIONS
@@ -1073,7 +1226,6 @@ END,
     setIfDefined("weight_kg", weightKg);
     setIfDefined("languages", languages);
     setIfDefined("duty_type", dutyType);
-    setIfDefined("is_verified", String(nurse.status || "").toLowerCase() === "approved");
     setIfDefined("skills", selectedSkills);
     setIfDefined("work_locations", normalizedWorkLocations);
 
@@ -1119,6 +1271,7 @@ END,
     }
 
 
+    let stagedProfileChange = null;
     try {
       if (normalizedPhone) {
         await pool.query(
@@ -1138,39 +1291,23 @@ END,
       );
       const existingNurse = existingRows[0] || {};
 
-      // Helper to safely sort arrays for comparison
-      const safeSort = (arr) => (Array.isArray(arr) ? [...arr].sort() : []);
-
-      // 2. Determine if any HARD fields changed (handling nulls and array order)
-      const hardFieldChanged =
-        (existingNurse.aadhaar_number || "") !== aadhaarDigits ||
-        (existingNurse.experience_years || 0) !== experienceYears ||
-        (existingNurse.experience_months || 0) !== experienceMonths ||
-        JSON.stringify(safeSort(existingNurse.skills)) !== JSON.stringify(safeSort(selectedSkills)) ||
-        (existingNurse.height_text || "") !== heightText ||
-        Number(existingNurse.weight_kg || 0) !== Number(weightKg || 0) ||
-        (existingNurse.duty_type || "") !== dutyType;
-
-      // 3. Apply cooldown and status lock
-      if (existingNurse.profile_status === "approved" && hardFieldChanged) {
-        if (existingNurse.last_edit_request) {
-          const daysSinceLastEdit =
-            (new Date() - new Date(existingNurse.last_edit_request)) / (1000 * 60 * 60 * 24);
-
-          if (daysSinceLastEdit < 7) {
-            setFlash(
-              req,
-              "error",
-              "You can request profile changes only once every 7 days after approval."
-            );
-            return res.redirect("/nurse/profile/edit");
+      // 2. Approved profiles stage HARD field edits for admin review instead of writing them
+      if (existingNurse.profile_status === "approved") {
+        const proposed = {};
+        Object.keys(HARD_PROFILE_FIELDS).forEach((field) => {
+          if (Object.prototype.hasOwnProperty.call(updateData, field)) {
+            proposed[field] = updateData[field];
+            delete updateData[field];
           }
-        }
+        });
 
-        await pool.query(
-          "UPDATE nurses SET profile_status = $1, last_edit_request = NOW() WHERE id = $2",
-          ["pending", nurse.id]
-        );
+        try {
+          stagedProfileChange = await stageNurseProfileChanges(nurse, existingNurse, proposed);
+        } catch (error) {
+          console.error("Nurse profile change staging error:", error);
+          setFlash(req, "error", error.message || "Unable to submit your profile changes right now.");
+          return res.redirect("/nurse/profile/edit");
+        }
       }
 
       await pool.query(
@@ -1252,7 +1389,7 @@ END,
       Object.assign(cachedNurse, updatedNurse);
     }
 
-    setFlash(req, "success", "Profile updated successfully.");
+    setFlash(req, "success", `Profile updated successfully.${describeStagedProfileChanges(stagedProfileChange)}`);
     return res.redirect("/nurse/profile");
   });
 
@@ -1351,29 +1488,20 @@ END,
       );
 
       const existing = rows[0] || {};
-      const safeSort = (arr) => (Array.isArray(arr) ? [...arr].sort() : []);
-
-      const changed =
-        JSON.stringify(safeSort(existing.skills)) !==
-        JSON.stringify(safeSort(cleanedSkills));
-
-      if (existing.profile_status === "approved" && changed) {
-        if (existing.last_edit_request) {
-          const days =
-            (new Date() - new Date(existing.last_edit_request)) /
-            (1000 * 60 * 60 * 24);
-          if (days < 7) {
-            return res.status(400).json({
-              error:
-                "You can request hard field changes only once every 7 days."
-            });
-          }
-        }
 
-        await pool.query(
-          "UPDATE nurses SET profile_status = $1, last_edit_request = NOW() WHERE id = $2",
-          ["pending", nurse.id]
-        );
+      // Approved profiles stage the new skills for admin review; the live list stays as is.
+      if (existing.profile_status === "approved") {
+        let staged;
+        try {
+          staged = await stageNurseProfileChanges(nurse, existing, { skills: cleanedSkills });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        return res.json({
+          success: true,
+          skills: cleanedSkills,
+          pendingReview: Boolean(staged && staged.status === "pending")
+        });
       }
 
       await pool.query(
@@ -1726,6 +1854,7 @@ END,
          AND COALESCE(is_deleted, false) = false`,
         [passwordHash, resetUserId]
       );
+      await revokeAllUserSessions(pool, resetUserId);
     } catch (error) {
       console.error("Password reset update error:", error);
       setFlash(req, "error", "Unable to reset password right now. Please try again.");
@@ -1884,11 +2013,23 @@ END,
       return res.redirect(`/admin/concerns?status=${encodeURIComponent(statusFilter)}`);
     }
 
+    const replyChanged = Boolean(adminReply) && adminReply !== String(concern.adminReply || "").trim();
     concern.status = status;
     concern.adminReply = adminReply;
     concern.updatedAt = now();
     writeStore(store);
 
+    if (replyChanged && Number.isInteger(concern.userId)) {
+      notifyUsersNow(pool, [concern.userId], {
+        eventType: "concern_replied",
+        title: "Reply to Your Concern",
+        message: `The support team replied to "${concern.subject || "your concern"}": ${adminReply}`,
+        actionPath: "/my-concerns"
+      }).catch((error) => {
+        console.error("Concern reply notification error:", error);
+      });
+    }
+
     setFlash(req, "success", "Concern updated successfully.");
     return res.redirect(`/admin/concerns?status=${encodeURIComponent(statusFilter)}`);
   });
@@ -1968,10 +2109,19 @@ END,
         return res.redirect("/track-request");
       }
 
+      const [carePlan, visitNotes] = requestRecord.careRequestId
+        ? await Promise.all([
+          getCarePlan(pool, requestRecord.careRequestId),
+          listVisitNotes(pool, requestRecord.careRequestId, 30)
+        ])
+        : [null, []];
+
       return res.render("public/request-edit", {
         title: "Edit Request",
         request: requestRecord,
-        serviceScheduleOptions: SERVICE_SCHEDULE_OPTIONS
+        serviceScheduleOptions: SERVICE_SCHEDULE_OPTIONS,
+        carePlan,
+        visitNotes
       });
     } catch (error) {
       console.error("Public edit request page error:", error);
@@ -2049,6 +2199,64 @@ END,
     return res.status(404).render("shared/not-found", { title: "Not Found" });
   });
 
+  // Signing a user out is a side effect of an admin password change; failing it must not undo the change.
+  async function revokeUserSessionsAfterAdminChange(userId) {
+    try {
+      return await revokeAllUserSessions(pool, userId);
+    } catch (error) {
+      console.error("Admin user session revoke error:", error);
+      return 0;
+    }
+  }
+
+  // Admin force-logout: end every session of the user
+  router.post("/admin/user/:id/force-logout", requireRole("admin"), async (req, res) => {
+    const userId = Number.parseInt(req.params.id, 10);
+    const redirectTo = String(req.body.redirectTo || "").startsWith("/admin/")
+      ? String(req.body.redirectTo)
+      : null;
+
+    if (Number.isNaN(userId)) {
+      setFlash(req, "error", "Invalid user.");
+      return res.redirect("/admin/nurses");
+    }
+    if (userId === req.currentUser.id) {
+      setFlash(req, "error", "Use Logout or your profile page to end your own sessions.");
+      return res.redirect(redirectTo || "/admin/profile");
+    }
+
+    const user = await getUserById(userId);
+    if (!user) {
+      setFlash(req, "error", "User not found.");
+      return res.redirect("/admin/nurses");
+    }
+
+    try {
+      const revokedCount = await revokeAllUserSessions(pool, userId);
+      await recordAuditEventSafely(pool, req, {
+        action: "user.force_logout",
+        entityType: "user",
+        entityId: userId,
+        summary: `Signed ${user.email || userId} out of ${revokedCount} session${revokedCount === 1 ? "" : "s"}`
+      });
+      setFlash(
+        req,
+        "success",
+        revokedCount
+          ? `Signed the user out of ${revokedCount} session${revokedCount === 1 ? "" : "s"}.`
+          : "The user had no active sessions."
+      );
+    } catch (error) {
+      console.error("Admin force logout error:", error);
+      setFlash(req, "error", "Unable to sign the user out right now.");
+    }
+
+    if (redirectTo) return res.redirect(redirectTo);
+    if (user.role === "nurse") return res.redirect("/admin/nurses");
+    if (user.role === "agent") return res.redirect("/admin/agents");
+    return res.redirect("/admin");
+  });
+
   // Admin reset user password
   router.post("/admin/user/:id/reset-password", requireRole("admin"), async (req, res) => {
     const userId = Number.parseInt(req.params.id, 10);
@@ -2075,8 +2283,20 @@ END,
       setFlash(req, "error", "Unable to reset password right now.");
       return res.redirect(redirectTo || "/admin/nurses");
     }
+    const signedOutCount = await revokeUserSessionsAfterAdminChange(user.id);
+    await recordAuditEventSafely(pool, req, {
+      action: "user.reset_password",
+      entityType: "user",
+      entityId: user.id,
+      summary: `Issued a temporary password to ${user.email || user.id}`,
+      changes: { password: { from: "[redacted]", to: "[redacted]" } }
+    });
 
-    setFlash(req, "success", `Password reset complete. Temporary password: ${tempPassword}`);
+    setFlash(
+      req,
+      "success",
+      `Password reset complete. Temporary password: ${tempPassword}${signedOutCount ? ". The user has been signed out of all devices." : ""}`
+    );
     if (redirectTo) {
       return res.redirect(redirectTo);
     }
@@ -2119,8 +2339,20 @@ END,
       setFlash(req, "error", "Unable to change password right now.");
       return res.redirect(redirectTo || "/admin/nurses");
     }
+    const signedOutCount = await revokeUserSessionsAfterAdminChange(userId);
+    await recordAuditEventSafely(pool, req, {
+      action: "user.change_password",
+      entityType: "user",
+      entityId: userId,
+      summary: `Changed the password of ${user.email || userId}`,
+      changes: { password: { from: "[redacted]", to: "[redacted]" } }
+    });
 
-    setFlash(req, "success", "Password changed successfully.");
+    setFlash(
+      req,
+      "success",
+      signedOutCount ? "Password changed successfully. The user has been signed out of all devices." : "Password changed successfully."
+    );
     if (redirectTo) {
       return res.redirect(redirectTo);
     }
@@ -2149,6 +2381,14 @@ END,
     // Toggle email verified status
     user.emailVerified = !user.emailVerified;
     writeStore(store);
+    recordAuditEventSafely(pool, req, {
+      action: "user.toggle_email_verified",
+      entityType: "user",
+      entityId: user.id,
+      summary: `Marked ${user.email || user.id} as ${user.emailVerified ? "verified" : "unverified"}`,
+      before: { email_verified: !user.emailVerified },
+      after: { email_verified: user.emailVerified }
+    });
 
     const status = user.emailVerified ? "verified" : "unverified";
     setFlash(req, "success", `Email ${status} status updated.`);
@@ -2172,7 +2412,7 @@ END,
       await client.query("BEGIN");
 
       const userResult = await client.query(
-        `SELECT id, role, COALESCE(is_deleted, false) AS is_deleted
+        `SELECT id, role, email, COALESCE(is_deleted, false) AS is_deleted
        FROM users
        WHERE id = $1
        FOR UPDATE`,
@@ -2209,6 +2449,17 @@ END,
         throw new Error("Unable to archive user account.");
       }
 
+      await revokeAllUserSessions(client, userId);
+
+      await recordAuditEvent(client, req, {
+        action: "user.archive",
+        entityType: "user",
+        entityId: userId,
+        summary: `Archived ${user.role} account ${user.email || userId}`,
+        before: { is_deleted: false },
+        after: { is_deleted: true }
+      });
+
       await client.query("COMMIT");
 
       const cache = readStore();
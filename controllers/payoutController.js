@@ -0,0 +1,266 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  buildPayoutBatchCsv,
+  cancelPayoutBatch,
+  createPayoutBatch,
+  getPayoutBatch,
+  listNursePayoutHistory,
+  listPayoutBatches,
+  markPayoutBatchPaid,
+  maskAccountNumber,
+  normalizeAccountNumberInput,
+  normalizeIfscInput,
+  previewPayoutBatch,
+  resolvePayoutPeriod
+} = require("../services/payoutBatches");
+
+function createPayoutController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  function buildActor(req, fallbackRole = "system") {
+    return {
+      userId: req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null,
+      role: req && req.currentUser && req.currentUser.role ? req.currentUser.role : fallbackRole
+    };
+  }
+
+  async function runBatchTransaction(req, res, batchId, label, work) {
+    const redirectTarget = `/admin/payouts/${batchId}`;
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const outcome = await work(client);
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      return outcome;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error(`Payout batch ${label} rollback error:`, rollbackError);
+        }
+        client.release();
+      }
+      console.error(`Payout batch ${label} error:`, error);
+      setFlash(req, "error", error.message || "Unable to update the payout batch right now.");
+      res.redirect(redirectTarget);
+      return null;
+    }
+  }
+
+  router.get("/admin/payouts", requireRole("admin"), async (req, res) => {
+    let period;
+    try {
+      period = resolvePayoutPeriod({ periodStart: req.query.from, periodEnd: req.query.to });
+    } catch (error) {
+      setFlash(req, "error", error.message);
+      return res.redirect("/admin/payouts");
+    }
+
+    try {
+      const [preview, batches] = await Promise.all([
+        previewPayoutBatch(pool, period),
+        listPayoutBatches(pool)
+      ]);
+      return res.render("admin/payouts", {
+        title: "Payout Runs",
+        preview,
+        batches
+      });
+    } catch (error) {
+      console.error("Admin payouts page error:", error);
+      setFlash(req, "error", "Unable to load payout runs right now.");
+      return res.redirect("/admin");
+    }
+  });
+
+  router.post("/admin/payouts", requireRole("admin"), async (req, res) => {
+    let period;
+    try {
+      period = resolvePayoutPeriod({ periodStart: req.body.period_start, periodEnd: req.body.period_end });
+    } catch (error) {
+      setFlash(req, "error", error.message);
+      return res.redirect("/admin/payouts");
+    }
+    const previewHref = `/admin/payouts?from=${period.periodStart}&to=${period.periodEnd}`;
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const batch = await createPayoutBatch(client, period, {
+        notes: req.body.notes,
+        actorUserId: buildActor(req, "admin").userId
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+
+      const skippedNote = batch.skippedNurses
+        ? ` ${batch.skippedNurses} nurse(s) skipped for missing bank details.`
+        : "";
+      setFlash(
+        req,
+        "success",
+        `Payout batch ${batch.batchReference} created for ${batch.nurseCount} nurse(s), INR ${batch.totalAmount.toFixed(2)}.${skippedNote}`
+      );
+      return res.redirect(`/admin/payouts/${batch.id}`);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Payout batch create rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Payout batch create error:", error);
+      setFlash(req, "error", error.message || "Unable to create the payout batch right now.");
+      return res.redirect(previewHref);
+    }
+  });
+
+  router.get("/admin/payouts/:batchId", requireRole("admin"), async (req, res) => {
+    const batchId = Number.parseInt(req.params.batchId, 10);
+    if (Number.isNaN(batchId)) {
+      setFlash(req, "error", "Invalid payout batch.");
+      return res.redirect("/admin/payouts");
+    }
+
+    try {
+      const batch = await getPayoutBatch(pool, batchId);
+      if (!batch) {
+        setFlash(req, "error", "Payout batch not found.");
+        return res.redirect("/admin/payouts");
+      }
+      return res.render("admin/payout-batch", {
+        title: `Payout Batch ${batch.batch_reference}`,
+        batch
+      });
+    } catch (error) {
+      console.error("Admin payout batch view error:", error);
+      setFlash(req, "error", "Unable to load the payout batch right now.");
+      return res.redirect("/admin/payouts");
+    }
+  });
+
+  router.get("/admin/payouts/:batchId/sheet.csv", requireRole("admin"), async (req, res) => {
+    const batchId = Number.parseInt(req.params.batchId, 10);
+    try {
+      const batch = Number.isNaN(batchId) ? null : await getPayoutBatch(pool, batchId);
+      if (!batch) {
+        return res.status(404).send("Payout batch not found");
+      }
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${batch.batch_reference}.csv"`);
+      return res.send(buildPayoutBatchCsv(batch));
+    } catch (error) {
+      console.error("Admin payout sheet error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  router.post("/admin/payouts/:batchId/mark-paid", requireRole("admin"), async (req, res) => {
+    const batchId = Number.parseInt(req.params.batchId, 10);
+    if (Number.isNaN(batchId)) {
+      setFlash(req, "error", "Invalid payout batch.");
+      return res.redirect("/admin/payouts");
+    }
+
+    const outcome = await runBatchTransaction(req, res, batchId, "mark-paid", (client) => (
+      markPayoutBatchPaid(client, batchId, buildActor(req, "admin"))
+    ));
+    if (!outcome) return undefined;
+
+    setFlash(req, "success", `Payout batch ${outcome.batchReference} marked paid (${outcome.earningsCount} earnings row(s)).`);
+    return res.redirect(`/admin/payouts/${batchId}`);
+  });
+
+  router.post("/admin/payouts/:batchId/cancel", requireRole("admin"), async (req, res) => {
+    const batchId = Number.parseInt(req.params.batchId, 10);
+    if (Number.isNaN(batchId)) {
+      setFlash(req, "error", "Invalid payout batch.");
+      return res.redirect("/admin/payouts");
+    }
+
+    const outcome = await runBatchTransaction(req, res, batchId, "cancel", (client) => (
+      cancelPayoutBatch(client, batchId)
+    ));
+    if (!outcome) return undefined;
+
+    setFlash(req, "success", `Payout batch ${outcome.batchReference} cancelled. Its earnings are available for the next run.`);
+    return res.redirect(`/admin/payouts/${batchId}`);
+  });
+
+  router.get("/nurse/payouts", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    try {
+      const nurse = req.nurseRecord;
+      const bankResult = await pool.query(
+        "SELECT bank_account_name, bank_account_number, bank_ifsc FROM nurses WHERE id = $1",
+        [nurse.id]
+      );
+      const bank = bankResult.rows[0] || {};
+      const history = await listNursePayoutHistory(pool, nurse.id);
+
+      return res.render("nurse/payouts", {
+        title: "My Payouts",
+        history,
+        bankDetails: {
+          accountName: bank.bank_account_name || "",
+          maskedAccountNumber: maskAccountNumber(bank.bank_account_number),
+          ifsc: bank.bank_ifsc || ""
+        }
+      });
+    } catch (error) {
+      console.error("Nurse payouts page error:", error);
+      return res.status(500).send("Server Error");
+    }
+  });
+
+  router.post("/nurse/payouts/bank-details", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const accountName = String(req.body.bank_account_name || "").trim().slice(0, 100);
+    const accountNumber = normalizeAccountNumberInput(req.body.bank_account_number);
+    const ifsc = normalizeIfscInput(req.body.bank_ifsc);
+
+    if (!accountName || !accountNumber || !ifsc) {
+      setFlash(
+        req,
+        "error",
+        accountNumber === null || ifsc === null
+          ? "Enter a valid account number (9-18 digits) and IFSC code (e.g. SBIN0001234)."
+          : "Account holder name, account number and IFSC are required."
+      );
+      return res.redirect("/nurse/payouts");
+    }
+
+    try {
+      await pool.query(
+        `UPDATE nurses
+         SET bank_account_name = $2,
+             bank_account_number = $3,
+             bank_ifsc = $4
+         WHERE id = $1`,
+        [req.nurseRecord.id, accountName, accountNumber, ifsc]
+      );
+      setFlash(req, "success", "Bank details saved. They will be used for your next payout.");
+    } catch (error) {
+      console.error("Nurse bank details update error:", error);
+      setFlash(req, "error", "Unable to save bank details right now.");
+    }
+    return res.redirect("/nurse/payouts");
+  });
+
+  return router;
+}
+
+module.exports = createPayoutController;
@@ -0,0 +1,165 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const { dispatchNotificationDeliveries, notifyUsers } = require("../services/notifications");
+const {
+  HARD_PROFILE_FIELDS,
+  PROFILE_CHANGE_STATUSES,
+  buildProfileChangeDiff,
+  countPendingProfileChanges,
+  getProfileChangeRequest,
+  listProfileChangeRequests,
+  parseProfileChangeQueueFilters,
+  reviewProfileChange
+} = require("../services/profileChangeRequests");
+
+function createProfileChangeController() {
+  const router = express.Router();
+  const {
+    pool,
+    calculateProfileCompletion,
+    getNurseById,
+    readStore,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  function describeReviewOutcome(outcome) {
+    const labels = (fields) => fields.map((field) => HARD_PROFILE_FIELDS[field]).join(", ");
+    if (outcome.status === "approved") {
+      return `Your changes to ${labels(outcome.approvedFields)} were approved and are now on your profile.`;
+    }
+    const approvedText = outcome.approvedFields.length ? `Approved: ${labels(outcome.approvedFields)}. ` : "";
+    return `${approvedText}Not approved: ${labels(outcome.rejectedFields)}. Reason: ${outcome.reason}`;
+  }
+
+  router.get("/admin/profile-changes", requireRole("admin"), async (req, res) => {
+    const filters = parseProfileChangeQueueFilters(req.query);
+    try {
+      const [result, pendingCount] = await Promise.all([
+        listProfileChangeRequests(pool, filters),
+        countPendingProfileChanges(pool)
+      ]);
+      return res.render("admin/profile-changes", {
+        title: "Profile Changes",
+        filters,
+        result,
+        pendingCount,
+        loadError: null
+      });
+    } catch (error) {
+      console.error("Profile change queue error:", error);
+      return res.render("admin/profile-changes", {
+        title: "Profile Changes",
+        filters,
+        result: { changeRequests: [], total: 0, page: 1, pageCount: 1 },
+        pendingCount: 0,
+        loadError: "Unable to load profile changes right now."
+      });
+    }
+  });
+
+  router.get("/admin/profile-changes/:id", requireRole("admin"), async (req, res) => {
+    const changeRequestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(changeRequestId)) {
+      setFlash(req, "error", "Invalid profile change request.");
+      return res.redirect("/admin/profile-changes");
+    }
+
+    try {
+      const changeRequest = await getProfileChangeRequest(pool, changeRequestId);
+      if (!changeRequest) {
+        setFlash(req, "error", "Profile change request not found.");
+        return res.redirect("/admin/profile-changes");
+      }
+      return res.render("admin/profile-change-detail", {
+        title: `Profile Change #${changeRequest.id}`,
+        changeRequest,
+        diffRows: buildProfileChangeDiff(changeRequest)
+      });
+    } catch (error) {
+      console.error("Profile change detail error:", error);
+      setFlash(req, "error", "Unable to load this profile change right now.");
+      return res.redirect("/admin/profile-changes");
+    }
+  });
+
+  router.post("/admin/profile-changes/:id/review", requireRole("admin"), async (req, res) => {
+    const changeRequestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(changeRequestId)) {
+      setFlash(req, "error", "Invalid profile change request.");
+      return res.redirect("/admin/profile-changes");
+    }
+    const detailPath = `/admin/profile-changes/${changeRequestId}`;
+    const decision = String(req.body.decision || "").trim();
+
+    let client;
+    let outcome;
+    let notificationDeliveryIds = [];
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      outcome = await reviewProfileChange(client, changeRequestId, {
+        decision,
+        fields: req.body.fields,
+        reason: req.body.review_reason,
+        actor: { userId: req.currentUser && req.currentUser.id }
+      });
+      if (outcome.approvedFields.length) {
+        const { rows } = await client.query("SELECT * FROM nurses WHERE id = $1", [outcome.nurseId]);
+        await client.query(
+          "UPDATE nurses SET profile_completion = $1 WHERE id = $2",
+          [calculateProfileCompletion(rows[0]), outcome.nurseId]
+        );
+      }
+      if (outcome.nurseUserId) {
+        notificationDeliveryIds = await notifyUsers(client, [outcome.nurseUserId], {
+          eventType: "profile_change_reviewed",
+          title: `Profile Change ${PROFILE_CHANGE_STATUSES[outcome.status]}`,
+          message: describeReviewOutcome(outcome),
+          actionPath: "/nurse/profile"
+        });
+      }
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Profile change review rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Profile change review error:", error);
+      setFlash(req, "error", error.message || "Unable to review the profile change right now.");
+      return res.redirect(detailPath);
+    }
+
+    dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+
+    if (outcome.approvedFields.length) {
+      const updatedNurse = await getNurseById(outcome.nurseId);
+      const cachedNurse = updatedNurse ? readStore().nurses.find((item) => item.id === updatedNurse.id) : null;
+      if (cachedNurse) {
+        Object.assign(cachedNurse, updatedNurse);
+      }
+    }
+
+    await recordAuditEventSafely(pool, req, {
+      action: `nurse_profile_change.${decision}`,
+      entityType: "nurse",
+      entityId: outcome.nurseId,
+      summary: `${PROFILE_CHANGE_STATUSES[outcome.status]} profile change #${changeRequestId} for ${outcome.nurseName || "nurse"}`,
+      before: Object.fromEntries(Object.entries(outcome.changes).map(([field, change]) => [field, change.from])),
+      after: Object.fromEntries(outcome.approvedFields.map((field) => [field, outcome.changes[field].to]))
+    });
+    setFlash(req, "success", `Profile change ${PROFILE_CHANGE_STATUSES[outcome.status].toLowerCase()}.`);
+    return res.redirect(detailPath);
+  });
+
+  return router;
+}
+
+module.exports = createProfileChangeController;
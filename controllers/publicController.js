@@ -1,12 +1,20 @@
 const express = require("express");
 const runtime = require("../services/runtimeContext");
+const { listCareRequestInvoices } = require("../services/invoices");
+const {
+  NURSE_DIRECTORY_SORTS,
+  buildNurseDirectoryHref,
+  countActiveDirectoryFilters,
+  parseNurseDirectoryFilters,
+  searchNurseDirectory
+} = require("../services/nurseDirectory");
+const { getNurseRatingSummary, listPublicNurseReviews } = require("../services/nurseReviews");
+const { buildCareRequestLifecycleActor } = require("../services/careRequestLifecycle");
 
 function createPublicController() {
   const router = express.Router();
   const {
-    readStore,
     writeStore,
-    nextId,
     initializeStore,
     getPatientByRequestId,
     getUserById,
@@ -32,22 +40,18 @@ function createPublicController() {
     deleteAgent,
     getAgents,
     getPatientById,
-    createPatient,
     updatePatient,
-    deletePatient,
     getPatients,
     getConcernById,
     createConcern,
     updateConcern,
     deleteConcern,
     getConcerns,
-    sendCareRequestEmail,
     sendVerificationEmail,
     sendVerificationOtpEmail,
     sendAgentVerificationOtpEmail,
     sendResetPasswordEmail,
     sendConcernNotification,
-    sendAdminCareRequestNotification,
     sendAdminNurseSignupNotification,
     initializeDatabase,
     pool,
@@ -60,7 +64,6 @@ function createPublicController() {
     CARE_REQUEST_MARKETPLACE_TABS,
     CARE_REQUEST_PAYMENT_STATUSES,
     CARE_REQUEST_STATUSES,
-    CARE_REQUEST_TRANSITIONS,
     CERTIFICATES_DIR,
     COMMISSION_TYPES,
     COMPANY_EMAIL,
@@ -96,13 +99,15 @@ function createPublicController() {
     buildPublicNurseProfileView,
     calculateCommission,
     calculateProfileCompletion,
-    canTransitionCareRequestStatus,
     clearPatientFinancials,
     collectNurseAssetUrls,
     configureApp,
     consumeFlash,
     createAgentUnderAgent,
     createNurseUnderAgent,
+    createPublicCareRequest,
+    sendCareRequestSubmissionEmails,
+    validateCareRequestSubmission,
     crypto,
     dedupeNormalizedEmails,
     deleteCloudinaryAssetByUrl,
@@ -118,8 +123,6 @@ function createPublicController() {
     generateRequestId,
     generateTempPassword,
     generateToken,
-    generateUniqueCareRequestEditToken,
-    generateUniquePublicRequestCode,
     getAgentRecordForUser,
     getAllConcerns,
     getAppBaseUrl,
@@ -182,7 +185,6 @@ function createPublicController() {
     uploadBufferToCloudinary,
     uploadCertificate,
     uploadNurseProfileFiles,
-    validateEmail,
     validateIndiaPhone,
     validateRequest,
     validateServiceSchedule,
@@ -236,21 +238,15 @@ function createPublicController() {
   }
 
   async function buildPublicNurseProfilePageModel(req, nurse, options = {}) {
-    const ratingsResult = await pool.query(
-      `SELECT
-          COALESCE(ROUND(AVG(rating)::numeric, 1), 0)::numeric(3,1) AS average_rating,
-          COUNT(*)::int AS review_count
-       FROM care_request_ratings
-       WHERE nurse_id = $1`,
-      [nurse.id]
-    );
-    const ratingRow = ratingsResult.rows[0] || {};
+    const [ratingSummary, reviews] = await Promise.all([
+      getNurseRatingSummary(pool, nurse.id),
+      listPublicNurseReviews(pool, nurse.id)
+    ]);
     const publicNurse = {
       ...buildPublicNurseProfileView(nurse),
-      ratingAverage: Number.parseFloat(ratingRow.average_rating) || 0,
-      reviewCount: Number.parseInt(ratingRow.review_count, 10) || 0
+      ...ratingSummary
     };
-    const isVerified = nurse.status === "Approved";
+    const isVerified = nurse.isVerified === true;
     const profileUrl = new URL(req.originalUrl || publicNurse.publicUrl, `${getAppBaseUrl(req)}/`).toString();
     const defaultContactContext = buildNurseContactContext(nurse, req.currentUser, {
       forceCompanyContact: true,
@@ -304,6 +300,7 @@ function createPublicController() {
 
     return {
       publicNurse,
+      reviews,
       isVerified,
       contactContext,
       contactOwner,
@@ -326,59 +323,6 @@ function createPublicController() {
     return isApprovedProfileStatus(profileStatus);
   }
 
-  function isNurseListedPublicly(nurse) {
-    const profileStatus = nurse.profileStatus || nurse.profile_status || "";
-
-    // ✅ For listing: must be approved + public enabled
-    return (
-      isApprovedProfileStatus(profileStatus) &&
-      nurse.publicProfileEnabled === true
-    );
-  }
-
-  function buildCareRequestLifecycleActor(req, fallbackRole = "system") {
-    return {
-      userId: req && req.currentUser && Number.isInteger(req.currentUser.id) ? req.currentUser.id : null,
-      role: req && req.currentUser && req.currentUser.role ? req.currentUser.role : fallbackRole
-    };
-  }
-
-  async function insertCareRequestLifecycleLog(client, payload) {
-    const metadata = payload && typeof payload.metadata === "object" && payload.metadata !== null
-      ? payload.metadata
-      : {};
-
-    await client.query(
-      `INSERT INTO care_request_lifecycle_logs (
-        request_id,
-        event_type,
-        previous_status,
-        next_status,
-        previous_payment_status,
-        next_payment_status,
-        assigned_nurse_id,
-        comment,
-        changed_by_user_id,
-        changed_by_role,
-        metadata
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb)`,
-      [
-        payload.requestId,
-        payload.eventType || "status_update",
-        payload.previousStatus || null,
-        payload.nextStatus || null,
-        payload.previousPaymentStatus || null,
-        payload.nextPaymentStatus || null,
-        typeof payload.assignedNurseId === "number" ? payload.assignedNurseId : null,
-        payload.comment || null,
-        typeof payload.changedByUserId === "number" ? payload.changedByUserId : null,
-        payload.changedByRole || "system",
-        JSON.stringify(metadata)
-      ]
-    );
-  }
-
   router.get("/health", (req, res) => {
     res.status(200).json({ ok: true, service: "home-care-coordination", ts: now() });
   });
@@ -392,34 +336,55 @@ function createPublicController() {
   });
 
   router.get("/nurses", async (req, res) => {
-    const includeUnavailable = String(req.query.show || "").trim().toLowerCase() === "all";
-    const nursesFromDb = await getNurses();
-
-    const nurses = nursesFromDb
-      .filter((nurse) => isNurseListedPublicly(nurse))
-      .filter((nurse) => (includeUnavailable ? true : nurse.isAvailable !== false))
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
-      .map((nurse) => {
-        const publicNurse = buildPublicNurse(nurse);
-        const profileUrl = new URL(publicNurse.publicUrl, `${getAppBaseUrl(req)}/`).toString();
-
-        return {
-          ...publicNurse,
-          contactContext: {
-            ...buildNurseContactContext(nurse, req.currentUser, {
-              forceCompanyContact: true,
-              profileUrl
-            }),
-            contactLabel: "Contact via Prisha Home Care",
-            buttonLabel: "I'm Interested"
-          }
-        };
+    const optionLists = {
+      skillOptions: MASTER_SKILL_OPTIONS,
+      qualificationOptions: PROFILE_QUALIFICATION_OPTIONS
+    };
+    const filters = parseNurseDirectoryFilters(req.query, optionLists);
+
+    let directory;
+    try {
+      directory = await searchNurseDirectory(pool, filters, optionLists);
+    } catch (error) {
+      console.error("Public nurse directory error:", error);
+      return res.status(500).render("public/nurses", {
+        title: "Find Nurses",
+        nurses: [],
+        filters,
+        directory: null,
+        directoryError: "Unable to load nurses right now. Please try again shortly.",
+        sortOptions: NURSE_DIRECTORY_SORTS,
+        activeFilterCount: countActiveDirectoryFilters(filters),
+        buildDirectoryHref: (overrides) => buildNurseDirectoryHref(filters, overrides)
       });
+    }
+
+    const nurses = directory.nurses.map((nurse) => {
+      const publicNurse = buildPublicNurse(nurse);
+      const profileUrl = new URL(publicNurse.publicUrl, `${getAppBaseUrl(req)}/`).toString();
+
+      return {
+        ...publicNurse,
+        contactContext: {
+          ...buildNurseContactContext(nurse, req.currentUser, {
+            forceCompanyContact: true,
+            profileUrl
+          }),
+          contactLabel: "Contact via Prisha Home Care",
+          buttonLabel: "I'm Interested"
+        }
+      };
+    });
 
     return res.render("public/nurses", {
       title: "Find Nurses",
       nurses,
-      includeUnavailable
+      filters,
+      directory,
+      directoryError: "",
+      sortOptions: NURSE_DIRECTORY_SORTS,
+      activeFilterCount: countActiveDirectoryFilters(filters),
+      buildDirectoryHref: (overrides) => buildNurseDirectoryHref(filters, overrides)
     });
   });
 
@@ -467,6 +432,7 @@ function createPublicController() {
 
     const {
       publicNurse,
+      reviews,
       isVerified,
       contactContext,
       contactOwner,
@@ -478,6 +444,7 @@ function createPublicController() {
       metaTitle: `${publicNurse.fullName} | ${isVerified ? "Verified" : "Verification Pending"} Nurse | Prisha Home Care`,
       metaDescription: `View the public profile for ${publicNurse.fullName} at Prisha Home Care.`,
       nurse: publicNurse,
+      reviews,
       isVerified,
       contactContext,
       contactOwner,
@@ -502,6 +469,7 @@ function createPublicController() {
 
     const {
       publicNurse,
+      reviews,
       isVerified,
       contactContext,
       contactOwner,
@@ -513,6 +481,7 @@ function createPublicController() {
       metaTitle: `${publicNurse.fullName} | ${isVerified ? "Verified" : "Verification Pending"} Nurse | Prisha Home Care`,
       metaDescription: `View the public profile for ${publicNurse.fullName} at Prisha Home Care.`,
       nurse: publicNurse,
+      reviews,
       isVerified,
       contactContext,
       contactOwner,
@@ -616,66 +585,16 @@ function createPublicController() {
 
 
   router.post("/request-care", async (req, res) => {
-    const fullName = String(req.body.fullName || "").trim();
-    const email = normalizeEmail(req.body.email);
-    const phoneNumber = String(req.body.phoneNumber || "").trim();
-    const city = String(req.body.city || "").trim();
-    const serviceSchedule = String(req.body.serviceSchedule || "").trim();
-
-    // Validate required fields
-    if (!fullName || !email || !phoneNumber || !city || !serviceSchedule) {
-      setFlash(req, "error", "Please complete all required fields.");
-      return res.redirect("/request-care");
-    }
-
-    // Validate India phone number
-    const phoneValidation = validateIndiaPhone(phoneNumber);
-    if (!phoneValidation.valid) {
-      setFlash(req, "error", phoneValidation.error);
-      return res.redirect("/request-care");
-    }
-
-    // Validate email
-    const emailValidation = validateEmail(email);
-    if (!emailValidation.valid) {
-      setFlash(req, "error", emailValidation.error);
-      return res.redirect("/request-care");
-    }
-
-    // Validate service schedule
-    const scheduleValidation = validateServiceSchedule(serviceSchedule);
-    if (!scheduleValidation.valid) {
-      setFlash(req, "error", scheduleValidation.error);
-      return res.redirect("/request-care");
-    }
-
-    // Parse duration type and budget
-    const durationUnit = String(req.body.durationUnit || "").trim();
-    const durationValue = Number(req.body.durationValue);
-    const budget = Number(req.body.budget);
-
-    if (!durationUnit || !["days", "weeks", "months"].includes(durationUnit)) {
-      setFlash(req, "error", "Please select a valid duration unit.");
-      return res.redirect("/request-care");
-    }
-
-    if (!durationValue || isNaN(durationValue) || durationValue < 1) {
-      setFlash(req, "error", "Please enter a valid duration value.");
-      return res.redirect("/request-care");
-    }
-
-    // Create duration string for storage
-    const duration = `${durationValue} ${durationUnit}`;
-
-    if (!budget || isNaN(budget) || budget <= 0) {
-      setFlash(req, "error", "Please enter a valid budget.");
+    const submissionValidation = validateCareRequestSubmission(req.body);
+    if (!submissionValidation.valid) {
+      setFlash(req, "error", submissionValidation.error);
       return res.redirect("/request-care");
     }
+    const submission = submissionValidation.value;
 
     const preferredNurseIdRaw = String(req.body.preferredNurseId || "").trim();
     const preferredNurseId = preferredNurseIdRaw ? Number.parseInt(preferredNurseIdRaw, 10) : Number.NaN;
 
-    const store = readStore();
     let preferredNurseName = "";
     let preferredNurseValue = null;
 
@@ -695,156 +614,26 @@ function createPublicController() {
       preferredNurseValue = preferredNurse.id;
     }
 
-    const patientId = nextId(store, "patient");
-    const referenceId = await generateUniquePublicRequestCode();
-    const editToken = await generateUniqueCareRequestEditToken();
-    const serviceScheduleLabel = req.app.locals.serviceScheduleOptions?.find((s) => s.value === serviceSchedule)?.label || serviceSchedule;
-    const preferredDate = String(req.body.preferredDate || "").trim();
-    const patientCondition = String(req.body.patientCondition || req.body.notes || "").trim();
-    const agentEmail = req.currentUser && req.currentUser.role === "agent"
-      ? normalizeEmail(req.currentUser.email)
-      : "";
-
-    // Default status is "Requested"
-    const defaultStatus = "New";
-
-    const patient = {
-      id: patientId,
-      requestId: referenceId,
-      userId: req.currentUser ? req.currentUser.id : null,
-      fullName,
-      email,
-      phoneNumber,
-      city,
-      serviceSchedule,
-      notes: req.body.notes || "",
-      status: defaultStatus,
-      agentEmail,
-      nurseId: null,
-      nurseAmount: null,
-      commissionType: "Percent",
-      commissionValue: 0,
-      commissionAmount: 0,
-      nurseNetAmount: null,
-      referrerNurseId: null,
-      referralCommissionPercent: 0,
-      referralCommissionAmount: 0,
-      preferredNurseId: preferredNurseValue,
-      preferredNurseName,
-      transferMarginType: "Percent",
-      transferMarginValue: 0,
-      transferMarginAmount: 0,
-      lastTransferredAt: "",
-      lastTransferredBy: "",
-      duration: duration,
-      budget: budget,
-      createdAt: now()
-    };
-
-    let createdPatient = null;
+    let createdRequest;
     try {
-      createdPatient = await createPatient(patient);
-      const createdCareRequestResult = await pool.query(
-        `INSERT INTO care_requests
-        (
-          patient_id,
-          request_code,
-          edit_token,
-          care_type,
-          duration_value,
-          duration_unit,
-          budget_min,
-          budget_max,
-          marketplace_ready,
-          status,
-          payment_status,
-          nurse_notified
-        )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, FALSE, 'open', 'pending', FALSE)
-       RETURNING id, status, payment_status, assigned_nurse_id`,
-        [
-          createdPatient.id,
-          referenceId,
-          editToken,
-          patientCondition || serviceScheduleLabel || "General care support required",
-          durationValue,
-          durationUnit,
-          budget,
-          budget
-        ]
-      );
-
-      try {
-        const createdCareRequest = createdCareRequestResult.rows[0];
-        const actor = buildCareRequestLifecycleActor(req, "patient");
-        await insertCareRequestLifecycleLog(pool, {
-          requestId: createdCareRequest.id,
-          eventType: "created_by_patient",
-          previousStatus: null,
-          nextStatus: createdCareRequest.status,
-          previousPaymentStatus: null,
-          nextPaymentStatus: createdCareRequest.payment_status,
-          assignedNurseId: createdCareRequest.assigned_nurse_id,
-          comment: "Care request created by patient/user submission.",
-          changedByUserId: actor.userId,
-          changedByRole: actor.role,
-          metadata: {
-            source: "request-care",
-            patientId: createdPatient.id || null
-          }
-        });
-      } catch (logError) {
-        console.error("Care request lifecycle log creation failed (patient flow):", logError);
-      }
+      createdRequest = await createPublicCareRequest(submission, {
+        userId: req.currentUser ? req.currentUser.id : null,
+        agentEmail: req.currentUser && req.currentUser.role === "agent"
+          ? normalizeEmail(req.currentUser.email)
+          : "",
+        preferredNurseId: preferredNurseValue,
+        preferredNurseName,
+        actor: buildCareRequestLifecycleActor(req, "patient"),
+        source: "request-care"
+      });
     } catch (error) {
-      if (createdPatient && createdPatient.id) {
-        try {
-          await deletePatient(createdPatient.id);
-        } catch (rollbackError) {
-          console.error("Patient rollback after care request insert failure:", rollbackError);
-        }
-      }
       console.error("Request care persistence error:", error);
       setFlash(req, "error", "Unable to submit care request right now. Please try again.");
       return res.redirect("/request-care");
     }
 
-    // Send confirmation email asynchronously (do not block request submission).
-    const userEmail = email;
-
-    try {
-      const emailResult = await sendCareRequestEmail(
-        userEmail,
-        referenceId,
-        editToken
-      );
-
-      if (emailResult && emailResult.success === false) {
-        throw new Error(emailResult.error || "Unknown email error");
-      }
-    } catch (error) {
-      console.error(`Email failed for reference ${referenceId}:`, error);
-    }
-
-    try {
-      const adminEmailResult = await sendAdminCareRequestNotification(referenceId, {
-        fullName,
-        email,
-        phone: phoneNumber,
-        city,
-        serviceType: serviceScheduleLabel,
-        preferredDate,
-        patientCondition,
-        budget,
-        duration
-      });
-
-      if (adminEmailResult && adminEmailResult.success === false) {
-        throw new Error(adminEmailResult.error || "Unknown admin notification email error");
-      }
-    } catch (error) {
-      console.error(`Admin notification failed for reference ${referenceId}:`, error);
-    }
+    const { referenceId, editToken } = createdRequest;
+    await sendCareRequestSubmissionEmails(submission, referenceId, editToken);
 
     return res.redirect(`/request-success?requestId=${encodeURIComponent(referenceId)}`);
   });
@@ -880,6 +669,9 @@ function createPublicController() {
       } else {
         delete requestRecord.editToken;
         renderData.request = requestRecord;
+        renderData.invoices = requestRecord.careRequestId
+          ? await listCareRequestInvoices(pool, requestRecord.careRequestId)
+          : [];
       }
     } catch (error) {
       console.error("Track request error:", error);
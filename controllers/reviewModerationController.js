@@ -0,0 +1,91 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  REVIEW_STATUSES,
+  countPendingReviews,
+  listReviewQueue,
+  moderateReview,
+  parseReviewQueueFilters
+} = require("../services/nurseReviews");
+
+function createReviewModerationController() {
+  const router = express.Router();
+  const { pool, requireRole, setFlash } = runtime;
+
+  router.get("/admin/reviews", requireRole("admin"), async (req, res) => {
+    const filters = parseReviewQueueFilters(req.query);
+    try {
+      const [result, pendingCount] = await Promise.all([
+        listReviewQueue(pool, filters),
+        countPendingReviews(pool)
+      ]);
+      return res.render("admin/review-moderation", {
+        title: "Review Moderation",
+        filters,
+        result,
+        pendingCount,
+        loadError: null
+      });
+    } catch (error) {
+      console.error("Review moderation queue error:", error);
+      return res.render("admin/review-moderation", {
+        title: "Review Moderation",
+        filters,
+        result: { reviews: [], total: 0, page: 1, pageCount: 1 },
+        pendingCount: 0,
+        loadError: "Unable to load reviews right now."
+      });
+    }
+  });
+
+  router.post("/admin/reviews/:id/moderate", requireRole("admin"), async (req, res) => {
+    const reviewId = Number.parseInt(req.params.id, 10);
+    const returnView = parseReviewQueueFilters({ view: req.body.view }).view;
+    const redirectTarget = `/admin/reviews?view=${returnView}`;
+    if (Number.isNaN(reviewId)) {
+      setFlash(req, "error", "Invalid review.");
+      return res.redirect(redirectTarget);
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query("BEGIN");
+      const outcome = await moderateReview(client, reviewId, {
+        decision: String(req.body.decision || "").trim(),
+        note: req.body.moderation_note,
+        actor: { userId: req.currentUser && req.currentUser.id }
+      });
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+
+      await recordAuditEventSafely(pool, req, {
+        action: `nurse_review.${req.body.decision}`,
+        entityType: "nurse",
+        entityId: outcome.nurseId,
+        summary: `${REVIEW_STATUSES[outcome.status]} ${outcome.rating}/5 review on care request #${outcome.requestId}`,
+        before: { status: outcome.previousStatus },
+        after: { status: outcome.status }
+      });
+      setFlash(req, "success", `Review ${REVIEW_STATUSES[outcome.status].toLowerCase()}.`);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Review moderation rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Review moderation error:", error);
+      setFlash(req, "error", error.message || "Unable to moderate the review right now.");
+    }
+    return res.redirect(redirectTarget);
+  });
+
+  return router;
+}
+
+module.exports = createReviewModerationController;
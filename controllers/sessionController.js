@@ -1,5 +1,12 @@
 const express = require("express");
 const runtime = require("../services/runtimeContext");
+const { loadApiTokenPanel } = require("../services/apiTokens");
+const { loadSessionPanel, revokeOtherUserSessions, revokeUserSession } = require("../services/userSessions");
+const {
+  listDeliveriesForNotifications,
+  loadNotificationPreferences,
+  saveNotificationPreferences
+} = require("../services/notifications");
 
 function createSessionController() {
   const router = express.Router();
@@ -60,7 +67,6 @@ function createSessionController() {
     CARE_REQUEST_MARKETPLACE_TABS,
     CARE_REQUEST_PAYMENT_STATUSES,
     CARE_REQUEST_STATUSES,
-    CARE_REQUEST_TRANSITIONS,
     CERTIFICATES_DIR,
     COMMISSION_TYPES,
     COMPANY_EMAIL,
@@ -96,7 +102,6 @@ function createSessionController() {
     buildPublicNurseProfileView,
     calculateCommission,
     calculateProfileCompletion,
-    canTransitionCareRequestStatus,
     clearPatientFinancials,
     collectNurseAssetUrls,
     configureApp,
@@ -560,8 +565,63 @@ function createSessionController() {
     });
   });
 
-  router.get("/admin/profile", requireRole("admin"), (req, res) => {
-    return res.redirect("/admin/dashboard");
+  function getSessionsRedirectTarget(role) {
+    const profilePaths = { admin: "/admin/profile", agent: "/agent/profile", nurse: "/nurse/profile" };
+    return profilePaths[role] ? `${profilePaths[role]}#sessions` : redirectByRole(role);
+  }
+
+  router.post("/account/sessions/revoke-others", requireAuth, async (req, res) => {
+    try {
+      const revokedCount = await revokeOtherUserSessions(pool, req.currentUser.id, req.sessionID);
+      setFlash(
+        req,
+        "success",
+        revokedCount ? `Signed out ${revokedCount} other device${revokedCount === 1 ? "" : "s"}.` : "No other devices were signed in."
+      );
+    } catch (error) {
+      console.error("Revoke other sessions error:", error);
+      setFlash(req, "error", "Unable to sign out other devices right now.");
+    }
+    return res.redirect(getSessionsRedirectTarget(req.currentUser.role));
+  });
+
+  router.post("/account/sessions/:id/revoke", requireAuth, async (req, res) => {
+    const sessionId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(sessionId)) {
+      setFlash(req, "error", "Invalid session.");
+      return res.redirect(getSessionsRedirectTarget(req.currentUser.role));
+    }
+
+    try {
+      const revoked = await revokeUserSession(pool, req.currentUser.id, sessionId, req.sessionID);
+      if (revoked) {
+        setFlash(req, "success", "Device signed out.");
+      } else {
+        setFlash(req, "error", "Session not found or already signed out.");
+      }
+    } catch (error) {
+      console.error("Revoke session error:", error);
+      setFlash(req, "error", "Unable to sign out that device right now.");
+    }
+    return res.redirect(getSessionsRedirectTarget(req.currentUser.role));
+  });
+
+  router.get("/admin/profile", requireRole("admin"), async (req, res) => {
+    try {
+      const [apiTokenPanel, sessionPanel] = await Promise.all([
+        loadApiTokenPanel(pool, req),
+        loadSessionPanel(pool, req)
+      ]);
+      return res.render("admin/profile", {
+        title: "My Profile",
+        apiTokenPanel,
+        sessionPanel
+      });
+    } catch (error) {
+      console.error("Admin profile load error:", error);
+      setFlash(req, "error", "Unable to load your profile right now.");
+      return res.redirect("/admin/dashboard");
+    }
   });
 
   router.get("/agent/profile", requireRole("agent"), loadAgentProfile, (req, res) => {
@@ -576,9 +636,11 @@ function createSessionController() {
        WHERE LOWER(COALESCE(p.agent_email, '')) = LOWER($1)
          AND cr.status = 'completed'`,
         [agentEmail]
-      )
+      ),
+      loadApiTokenPanel(pool, req),
+      loadSessionPanel(pool, req)
     ])
-      .then(([nurses, completedJobsResult]) => {
+      .then(([nurses, completedJobsResult, apiTokenPanel, sessionPanel]) => {
         const ownedNurses = nurses
           .filter((item) => nurseHasAgent(item, agentEmail))
           .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
@@ -606,7 +668,9 @@ function createSessionController() {
             rejectedNurses: approvalBreakdown.rejected
           },
           featuredNurses,
-          profileShareUrl: ""
+          profileShareUrl: "",
+          apiTokenPanel,
+          sessionPanel
         });
       })
       .catch((error) => {
@@ -821,9 +885,15 @@ function createSessionController() {
        LIMIT 100`,
         [req.currentUser.id]
       );
+      const [deliveriesByNotification, notificationPreferences] = await Promise.all([
+        listDeliveriesForNotifications(pool, req.currentUser.id, result.rows.map((row) => row.id)),
+        loadNotificationPreferences(pool, req.currentUser)
+      ]);
       return res.render("notifications", {
         title: "Notifications",
-        notifications: result.rows
+        notifications: result.rows,
+        deliveriesByNotification,
+        notificationPreferences
       });
     } catch (error) {
       console.error("Notifications page load error:", error);
@@ -831,6 +901,24 @@ function createSessionController() {
     }
   });
 
+  // Nurses and families edit their preferences on their own pages; everyone else uses the
+  // notifications page.
+  function getPreferencesRedirectTarget(role) {
+    const preferencePaths = { nurse: "/nurse/profile", user: "/family" };
+    return `${preferencePaths[role] || "/notifications-page"}#notification-preferences`;
+  }
+
+  router.post("/account/notification-preferences", requireAuth, async (req, res) => {
+    try {
+      await saveNotificationPreferences(pool, req.currentUser, req.body.preferences);
+      setFlash(req, "success", "Notification preferences saved.");
+    } catch (error) {
+      console.error("Save notification preferences error:", error);
+      setFlash(req, "error", "Unable to save notification preferences right now.");
+    }
+    return res.redirect(getPreferencesRedirectTarget(req.currentUser.role));
+  });
+
   router.get("/notifications/unread-count", async (req, res) => {
     if (!req.session.user) {
       return res.status(401).send("Unauthorized");
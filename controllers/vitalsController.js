@@ -0,0 +1,357 @@
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const {
+  VITAL_METRICS,
+  VITALS_RECORDING_STATUSES,
+  buildVitalCharts,
+  describeVitalAlerts,
+  listVitalReadings,
+  loadVitalAlertRanges,
+  normalizeVitalAlertRangeInput,
+  normalizeVitalsInput,
+  recordVitalReading,
+  saveVitalAlertRanges
+} = require("../services/vitals");
+const {
+  dispatchNotificationDeliveries,
+  findAdminUserIds,
+  findCareRequestRecipients,
+  notifyUsers
+} = require("../services/notifications");
+const { buildCareRequestLifecycleActor, insertCareRequestLifecycleLog } = require("../services/careRequestLifecycle");
+
+function createVitalsController() {
+  const router = express.Router();
+  const {
+    pool,
+    normalizeEmail,
+    requireApprovedAgent,
+    requireApprovedNurse,
+    requireRole,
+    setFlash
+  } = runtime;
+
+  // Agents only see requests for patients they own; admins pass a null agentEmail.
+  async function loadVitalsRequestSummary(requestId, agentEmail = null) {
+    const result = await pool.query(
+      `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location,
+        cr.status,
+        cr.assigned_nurse_id,
+        n.full_name AS assigned_nurse_name
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+       AND ($2::text IS NULL OR LOWER(COALESCE(p.agent_email, '')) = LOWER($2))
+     LIMIT 1`,
+      [requestId, agentEmail]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function renderVitals(req, res, options) {
+    const { requestItem, view, rangesAction, backHref } = options;
+    const [readings, alertRanges] = await Promise.all([
+      listVitalReadings(pool, requestItem.id),
+      loadVitalAlertRanges(pool, requestItem.id)
+    ]);
+
+    return res.render(view, {
+      title: "Vitals Chart",
+      requestItem,
+      readings,
+      charts: buildVitalCharts(readings, alertRanges),
+      alertRanges,
+      vitalMetrics: VITAL_METRICS,
+      rangesAction,
+      canRecordVitals: VITALS_RECORDING_STATUSES.includes(requestItem.status),
+      backHref
+    });
+  }
+
+  async function handleSaveRequestRanges(req, res, options) {
+    const { requestId, agentEmail, redirectTarget } = options;
+    let client;
+    try {
+      const requestItem = await loadVitalsRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        throw new Error("Care request not found.");
+      }
+      const ranges = normalizeVitalAlertRangeInput(req.body, { allowInherit: true });
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const actor = buildCareRequestLifecycleActor(req, agentEmail ? "agent" : "admin");
+      await saveVitalAlertRanges(client, requestId, ranges, actor.userId);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "vital_ranges_updated",
+        assignedNurseId: requestItem.assigned_nurse_id,
+        comment: Object.keys(ranges).length
+          ? `Custom vitals alert ranges set for ${Object.keys(ranges).length} reading(s).`
+          : "Vitals alert ranges reset to the defaults.",
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: { ranges }
+      });
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", "Alert ranges saved.");
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Vitals ranges rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Vitals ranges save error:", error);
+      setFlash(req, "error", error.message || "Unable to save the alert ranges right now.");
+      return res.redirect(redirectTarget);
+    }
+  }
+
+  router.get("/nurse/care-requests/:id/vitals", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(requestId) || !nurseId) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+
+    try {
+      const requestItem = await loadVitalsRequestSummary(requestId);
+      if (!requestItem || requestItem.assigned_nurse_id !== nurseId) {
+        setFlash(req, "error", "Care request not found in your assignments.");
+        return res.redirect("/nurse/dashboard#care-plans");
+      }
+      return await renderVitals(req, res, {
+        requestItem,
+        view: "nurse/vitals",
+        rangesAction: null,
+        backHref: "/nurse/dashboard#care-plans"
+      });
+    } catch (error) {
+      console.error("Nurse vitals error:", error);
+      setFlash(req, "error", "Unable to load the vitals chart right now.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+  });
+
+  router.post("/nurse/care-requests/:id/vitals", requireRole("nurse"), requireApprovedNurse, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const nurseId = req.nurseRecord && Number.isInteger(req.nurseRecord.id) ? req.nurseRecord.id : null;
+    if (Number.isNaN(requestId) || !nurseId) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/nurse/dashboard#care-plans");
+    }
+    const redirectTarget = `/nurse/care-requests/${requestId}/vitals`;
+
+    let client;
+    try {
+      const reading = normalizeVitalsInput(req.body);
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [requestId]);
+
+      const created = await recordVitalReading(client, {
+        requestId,
+        nurseId,
+        userId: req.currentUser.id,
+        reading
+      });
+      const alertSummary = describeVitalAlerts(created.alerts);
+      await insertCareRequestLifecycleLog(client, {
+        requestId,
+        eventType: "vitals_recorded",
+        assignedNurseId: nurseId,
+        comment: alertSummary
+          ? `Vitals recorded for ${reading.recordedAt} with alerts: ${alertSummary}.`
+          : `Vitals recorded for ${reading.recordedAt}.`,
+        changedByUserId: req.currentUser.id,
+        changedByRole: "nurse",
+        metadata: { readingId: created.id, shiftId: created.shiftId, alerts: created.alerts }
+      });
+
+      const notificationDeliveryIds = [];
+      if (created.alerts.length) {
+        const requestItem = await loadVitalsRequestSummary(requestId);
+        const message = `${requestItem.patient_name} (${requestItem.public_request_code}): ${alertSummary}, recorded ${reading.recordedAt}.`;
+        const recipients = await findCareRequestRecipients(client, requestId);
+        notificationDeliveryIds.push(...await notifyUsers(client, [recipients.agentUserId], {
+          eventType: "vitals_alert",
+          title: "Vitals Out of Range",
+          message,
+          relatedRequestId: requestId,
+          actionPath: `/agent/requests/${requestId}/vitals`
+        }));
+        notificationDeliveryIds.push(...await notifyUsers(client, await findAdminUserIds(client), {
+          eventType: "vitals_alert",
+          title: "Vitals Out of Range",
+          message,
+          relatedRequestId: requestId,
+          actionPath: `/admin/care-requests/${requestId}/vitals`
+        }));
+      }
+
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      dispatchNotificationDeliveries(pool, notificationDeliveryIds);
+
+      if (created.alerts.length) {
+        setFlash(req, "error", `Readings saved. Out of range: ${alertSummary}. The agent and admin have been alerted.`);
+      } else {
+        setFlash(req, "success", "Readings saved.");
+      }
+      return res.redirect(redirectTarget);
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Vitals rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Vitals record error:", error);
+      setFlash(req, "error", error.message || "Unable to save the readings right now.");
+      return res.redirect(redirectTarget);
+    }
+  });
+
+  router.get("/admin/care-requests/:id/vitals", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+
+    try {
+      const requestItem = await loadVitalsRequestSummary(requestId);
+      if (!requestItem) {
+        setFlash(req, "error", "Care request not found.");
+        return res.redirect("/admin/care-requests");
+      }
+      return await renderVitals(req, res, {
+        requestItem,
+        view: "admin/care-request-vitals",
+        rangesAction: `/admin/care-requests/${requestId}/vitals/alert-ranges`,
+        backHref: `/admin/care-requests/${requestId}/applications`
+      });
+    } catch (error) {
+      console.error("Admin vitals error:", error);
+      setFlash(req, "error", "Unable to load the vitals chart right now.");
+      return res.redirect("/admin/care-requests");
+    }
+  });
+
+  router.post("/admin/care-requests/:id/vitals/alert-ranges", requireRole("admin"), async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid care request.");
+      return res.redirect("/admin/care-requests");
+    }
+    return handleSaveRequestRanges(req, res, {
+      requestId,
+      agentEmail: null,
+      redirectTarget: `/admin/care-requests/${requestId}/vitals`
+    });
+  });
+
+  router.get("/agent/requests/:id/vitals", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    const agentEmail = normalizeEmail(req.currentUser.email);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+
+    try {
+      const requestItem = await loadVitalsRequestSummary(requestId, agentEmail);
+      if (!requestItem) {
+        setFlash(req, "error", "Request not found in your assigned records.");
+        return res.redirect("/agent/dashboard?tab=jobs");
+      }
+      return await renderVitals(req, res, {
+        requestItem,
+        view: "agent/request-vitals",
+        rangesAction: `/agent/requests/${requestId}/vitals/alert-ranges`,
+        backHref: "/agent/dashboard?tab=jobs"
+      });
+    } catch (error) {
+      console.error("Agent vitals error:", error);
+      setFlash(req, "error", "Unable to load the vitals chart right now.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+  });
+
+  router.post("/agent/requests/:id/vitals/alert-ranges", requireRole("agent"), requireApprovedAgent, async (req, res) => {
+    const requestId = Number.parseInt(req.params.id, 10);
+    if (Number.isNaN(requestId)) {
+      setFlash(req, "error", "Invalid request ID.");
+      return res.redirect("/agent/dashboard?tab=jobs");
+    }
+    return handleSaveRequestRanges(req, res, {
+      requestId,
+      agentEmail: normalizeEmail(req.currentUser.email),
+      redirectTarget: `/agent/requests/${requestId}/vitals`
+    });
+  });
+
+  router.get("/admin/vitals/alert-ranges", requireRole("admin"), async (req, res) => {
+    try {
+      const alertRanges = await loadVitalAlertRanges(pool, null);
+      return res.render("admin/vital-alert-ranges", {
+        title: "Vitals Alert Ranges",
+        alertRanges,
+        vitalMetrics: VITAL_METRICS
+      });
+    } catch (error) {
+      console.error("Vitals alert ranges error:", error);
+      setFlash(req, "error", "Unable to load the alert ranges right now.");
+      return res.redirect("/admin/dashboard");
+    }
+  });
+
+  router.post("/admin/vitals/alert-ranges", requireRole("admin"), async (req, res) => {
+    let client;
+    try {
+      const ranges = normalizeVitalAlertRangeInput(req.body);
+      client = await pool.connect();
+      await client.query("BEGIN");
+      await saveVitalAlertRanges(client, null, ranges, req.currentUser.id);
+      await client.query("COMMIT");
+      client.release();
+      client = null;
+      setFlash(req, "success", "Default alert ranges saved.");
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Vitals alert ranges rollback error:", rollbackError);
+        }
+        client.release();
+      }
+      console.error("Vitals alert ranges save error:", error);
+      setFlash(req, "error", error.message || "Unable to save the alert ranges right now.");
+    }
+    return res.redirect("/admin/vitals/alert-ranges");
+  });
+
+  return router;
+}
+
+module.exports = createVitalsController;
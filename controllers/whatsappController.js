@@ -0,0 +1,608 @@
+const crypto = require("crypto");
+const express = require("express");
+const runtime = require("../services/runtimeContext");
+const { recordAuditEventSafely } = require("../services/auditLog");
+const {
+  getConversationSession,
+  getConversationTranscript,
+  isValidWebhookSignature,
+  listConversations,
+  markConversationHandled,
+  parseConversationFilters,
+  parseIncomingMessage,
+  recordWhatsAppMessage,
+  saveConversationSession
+} = require("../services/whatsappConversations");
+const { sendWhatsAppButtons, sendWhatsAppList, sendWhatsAppText } = require("../src/whatsapp");
+const { normalizePhone } = require("../utils/phone");
+
+const MAIN_MENU_ROWS = [
+  { id: "nurse_register", title: "Apply as Nurse", description: "Create your nurse profile" },
+  { id: "need_nurse", title: "Need a Nurse", description: "Request home care for a patient" },
+  { id: "track_request", title: "Track My Request", description: "Check status with your request code" },
+  { id: "talk_admin", title: "Talk to Admin", description: "Ask our team to contact you" }
+];
+const RESTART_KEYWORDS = new Set(["hi", "hello", "menu", "start", "restart", "cancel"]);
+const CONFIRM_BUTTONS = [
+  { id: "confirm_yes", title: "Submit" },
+  { id: "confirm_no", title: "Start Over" }
+];
+const DURATION_PATTERN = /^(\d{1,3})\s*(day|week|month)s?$/i;
+
+function createWhatsAppController() {
+  const router = express.Router();
+  const {
+    pool,
+    requireRole,
+    setFlash,
+    getAppBaseUrl,
+    validateEmail,
+    getUserByEmail,
+    validateCareRequestSubmission,
+    createPublicCareRequest,
+    sendCareRequestSubmissionEmails,
+    validateNurseSignupContact,
+    createNurseAccount,
+    updateNurse,
+    sendVerificationOtpEmail,
+    sendAdminNurseSignupNotification,
+    getPublicCareRequestRecordByRequestCode,
+    SERVICE_SCHEDULE_OPTIONS
+  } = runtime;
+
+  // ============================================================
+  // OUTBOUND REPLIES (every reply is written to the transcript)
+  // ============================================================
+
+  async function reply(phone, context, body, send) {
+    let status = "sent";
+    let errorMessage = null;
+    try {
+      await send();
+    } catch (error) {
+      status = "failed";
+      errorMessage = error.response && error.response.data
+        ? JSON.stringify(error.response.data)
+        : error.message;
+      console.error("WhatsApp reply failed:", errorMessage);
+    }
+
+    try {
+      await recordWhatsAppMessage(pool, {
+        phone,
+        direction: "outbound",
+        messageType: context.messageType || "text",
+        body,
+        flow: context.flow || null,
+        step: context.step || null,
+        status,
+        error: errorMessage
+      });
+    } catch (error) {
+      console.error("WhatsApp transcript write failed:", error);
+    }
+  }
+
+  function replyText(phone, context, text) {
+    return reply(phone, { ...context, messageType: "text" }, text, () => sendWhatsAppText(phone, text));
+  }
+
+  function replyButtons(phone, context, text, buttons) {
+    const body = `${text}\n[${buttons.map((button) => button.title).join(" | ")}]`;
+    return reply(phone, { ...context, messageType: "buttons" }, body, () => sendWhatsAppButtons(phone, text, buttons));
+  }
+
+  function replyList(phone, context, text, buttonLabel, rows) {
+    const body = `${text}\n[${rows.map((row) => row.title).join(" | ")}]`;
+    return reply(phone, { ...context, messageType: "list" }, body, () => sendWhatsAppList(phone, text, buttonLabel, rows));
+  }
+
+  async function sendMainMenu(phone, intro) {
+    await saveConversationSession(pool, phone, {});
+    return replyList(
+      phone,
+      {},
+      `${intro || "Welcome to Prisha Home Care."}\n\nPlease choose an option:`,
+      "Choose",
+      MAIN_MENU_ROWS
+    );
+  }
+
+  async function goToStep(phone, flow, step, data) {
+    await saveConversationSession(pool, phone, { flow, step, data });
+    return { flow, step };
+  }
+
+  // ============================================================
+  // NURSE SIGNUP FLOW
+  // ============================================================
+
+  async function startNurseFlow(phone) {
+    const context = await goToStep(phone, "nurse", "ask_full_name", {});
+    return replyText(phone, context, "Great! Let's create your nurse profile.\n\nPlease enter your full name:");
+  }
+
+  async function finishNurseSignup(req, phone, data, context) {
+    const contactValidation = await validateNurseSignupContact(data.email, normalizePhone(phone));
+    if (!contactValidation.valid) {
+      await saveConversationSession(pool, phone, {});
+      return replyText(phone, {}, `${contactValidation.error}\n\nType "menu" to start again.`);
+    }
+
+    const otpCode = crypto.randomInt(1000, 10000).toString();
+    const otpExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    // The nurse sets a real password through /forgot-password after verifying their email.
+    const createdAccount = await createNurseAccount({
+      email: contactValidation.email,
+      normalizedPhone: contactValidation.normalizedPhone,
+      password: crypto.randomBytes(24).toString("hex"),
+      fullName: data.fullName,
+      city: data.city,
+      gender: data.gender,
+      currentStatus: "Available for Work",
+      agentManaged: false,
+      otpCode,
+      otpExpiry
+    });
+    if (!createdAccount) {
+      return replyText(phone, context, "We could not create your profile right now. Please reply \"Submit\" again in a few minutes.");
+    }
+
+    const { nurse } = createdAccount;
+    const updatedNurse = await updateNurse(nurse.id, { experienceYears: data.experienceYears });
+    if (!updatedNurse) {
+      console.error(`WhatsApp nurse signup could not save experience for nurse ${nurse.id}`);
+    }
+    await saveConversationSession(pool, phone, { nurseId: nurse.id });
+
+    try {
+      const adminNurseEmailResult = await sendAdminNurseSignupNotification({
+        fullName: data.fullName,
+        email: contactValidation.email,
+        phone: contactValidation.normalizedPhone,
+        city: data.city,
+        experienceYears: data.experienceYears,
+        experienceMonths: 0,
+        skills: [],
+        currentStatus: "Available for Work"
+      });
+      if (adminNurseEmailResult && adminNurseEmailResult.success === false) {
+        throw new Error(adminNurseEmailResult.error || "Unknown admin nurse notification email error");
+      }
+    } catch (error) {
+      console.error(`Admin nurse signup email failed for ${contactValidation.email}:`, error);
+    }
+    await sendVerificationOtpEmail(contactValidation.email, data.fullName, otpCode);
+
+    const baseUrl = getAppBaseUrl(req);
+    return replyText(
+      phone,
+      {},
+      [
+        `Thank you, ${data.fullName}! Your nurse profile has been created and is pending admin approval.`,
+        `1. Verify your email with the code we sent to ${contactValidation.email}: ${baseUrl}/verify-otp?email=${encodeURIComponent(contactValidation.email)}`,
+        `2. Set your password at ${baseUrl}/forgot-password`,
+        nurse.uniqueId ? `Your login ID is ${nurse.uniqueId}.` : ""
+      ].filter(Boolean).join("\n")
+    );
+  }
+
+  async function continueNurseFlow(req, phone, session, incoming) {
+    const data = session.temp_data || {};
+    const text = incoming.text;
+    const current = { flow: session.current_flow, step: session.step };
+
+    switch (session.step) {
+      case "ask_full_name": {
+        if (text.length < 2 || text.length > 120) {
+          return replyText(phone, current, "Please enter your full name:");
+        }
+        const context = await goToStep(phone, "nurse", "ask_gender", { ...data, fullName: text });
+        return replyButtons(phone, context, "Please select your gender:", [
+          { id: "gender_male", title: "Male" },
+          { id: "gender_female", title: "Female" }
+        ]);
+      }
+      case "ask_gender": {
+        const answer = (incoming.replyId || text).toLowerCase().replace(/^gender_/, "");
+        if (!["male", "female"].includes(answer)) {
+          return replyButtons(phone, current, "Please choose Male or Female:", [
+            { id: "gender_male", title: "Male" },
+            { id: "gender_female", title: "Female" }
+          ]);
+        }
+        const gender = answer === "male" ? "Male" : "Female";
+        const context = await goToStep(phone, "nurse", "ask_city", { ...data, gender });
+        return replyText(phone, context, "Which city are you currently in?");
+      }
+      case "ask_city": {
+        if (!text) {
+          return replyText(phone, current, "Which city are you currently in?");
+        }
+        const context = await goToStep(phone, "nurse", "ask_experience", { ...data, city: text });
+        return replyText(phone, context, "How many years of experience do you have? (example: 3)");
+      }
+      case "ask_experience": {
+        const experienceYears = Number.parseInt(text, 10);
+        if (!/^\d+$/.test(text) || experienceYears < 0 || experienceYears > 60) {
+          return replyText(phone, current, "Experience should be a number between 0 and 60.");
+        }
+        const context = await goToStep(phone, "nurse", "ask_email", { ...data, experienceYears });
+        return replyText(phone, context, "Please enter your email address. We will send a verification code there.");
+      }
+      case "ask_email": {
+        // Only the email is checked here; the WhatsApp number is checked again on submit.
+        const emailValidation = validateEmail(text);
+        const emailError = !emailValidation.valid
+          ? emailValidation.error
+          : (await getUserByEmail(emailValidation.value) ? "This email already has a registered account." : null);
+        if (emailError) {
+          return replyText(phone, current, `${emailError}\n\nPlease enter another email address, or type "menu" to stop.`);
+        }
+        const nextData = { ...data, email: emailValidation.value };
+        const context = await goToStep(phone, "nurse", "confirm", nextData);
+        return replyButtons(
+          phone,
+          context,
+          [
+            "Please confirm your details:",
+            `Name: ${nextData.fullName}`,
+            `Gender: ${nextData.gender}`,
+            `City: ${nextData.city}`,
+            `Experience: ${nextData.experienceYears} years`,
+            `Email: ${nextData.email}`
+          ].join("\n"),
+          CONFIRM_BUTTONS
+        );
+      }
+      case "confirm": {
+        if (incoming.replyId === "confirm_no") return startNurseFlow(phone);
+        if (incoming.replyId !== "confirm_yes" && text.toLowerCase() !== "submit") {
+          return replyButtons(phone, current, "Reply Submit to create your profile or Start Over to change your details.", CONFIRM_BUTTONS);
+        }
+        return finishNurseSignup(req, phone, data, current);
+      }
+      default:
+        return sendMainMenu(phone);
+    }
+  }
+
+  // ============================================================
+  // CARE REQUEST FLOW
+  // ============================================================
+
+  async function startCareFlow(phone) {
+    const context = await goToStep(phone, "care_request", "ask_patient_name", {});
+    return replyText(phone, context, "We'll help you find a nurse.\n\nPlease enter the patient's name:");
+  }
+
+  function askServiceSchedule(phone, context) {
+    return replyList(
+      phone,
+      context,
+      "What kind of care schedule do you need?",
+      "Select schedule",
+      SERVICE_SCHEDULE_OPTIONS.map((option, index) => ({ id: `schedule_${index}`, title: option.label }))
+    );
+  }
+
+  async function finishCareRequest(req, phone, data, context) {
+    const validation = validateCareRequestSubmission({ ...data, phoneNumber: normalizePhone(phone) });
+    if (!validation.valid) {
+      await saveConversationSession(pool, phone, {});
+      return replyText(phone, {}, `${validation.error}\n\nType "menu" to start again.`);
+    }
+
+    let created;
+    try {
+      created = await createPublicCareRequest(validation.value, {
+        actor: { userId: null, role: "patient" },
+        source: "whatsapp",
+        comment: "Care request created through the WhatsApp bot."
+      });
+    } catch (error) {
+      console.error("WhatsApp care request creation failed:", error);
+      return replyText(phone, context, "We could not submit your request right now. Please reply \"Submit\" again in a few minutes.");
+    }
+
+    await saveConversationSession(pool, phone, { lastRequestCode: created.referenceId });
+    await sendCareRequestSubmissionEmails(validation.value, created.referenceId, created.editToken);
+
+    return replyText(
+      phone,
+      {},
+      [
+        `Thank you! Your care request has been submitted. Request code: ${created.referenceId}`,
+        "",
+        `Track it any time at ${getAppBaseUrl(req)}/track-request?requestId=${encodeURIComponent(created.referenceId)} or choose "Track My Request" from the menu.`
+      ].join("\n")
+    );
+  }
+
+  async function continueCareFlow(req, phone, session, incoming) {
+    const data = session.temp_data || {};
+    const text = incoming.text;
+    const current = { flow: session.current_flow, step: session.step };
+
+    switch (session.step) {
+      case "ask_patient_name": {
+        if (text.length < 2 || text.length > 120) {
+          return replyText(phone, current, "Please enter the patient's name:");
+        }
+        const context = await goToStep(phone, "care_request", "ask_city", { ...data, fullName: text });
+        return replyText(phone, context, "Which city is the patient in?");
+      }
+      case "ask_city": {
+        if (!text) {
+          return replyText(phone, current, "Which city is the patient in?");
+        }
+        const context = await goToStep(phone, "care_request", "ask_service_schedule", { ...data, city: text });
+        return askServiceSchedule(phone, context);
+      }
+      case "ask_service_schedule": {
+        const optionIndex = Number.parseInt(String(incoming.replyId).replace(/^schedule_/, ""), 10);
+        const option = SERVICE_SCHEDULE_OPTIONS[optionIndex]
+          || SERVICE_SCHEDULE_OPTIONS.find((item) => item.label.toLowerCase() === text.toLowerCase());
+        if (!option) return askServiceSchedule(phone, current);
+        const context = await goToStep(phone, "care_request", "ask_duration", { ...data, serviceSchedule: option.value });
+        return replyText(phone, context, "For how long do you need care? (example: 10 days, 2 weeks, 3 months)");
+      }
+      case "ask_duration": {
+        const match = DURATION_PATTERN.exec(text);
+        if (!match || Number(match[1]) < 1) {
+          return replyText(phone, current, "Please reply with a number and days, weeks or months (example: 2 weeks).");
+        }
+        const context = await goToStep(phone, "care_request", "ask_budget", {
+          ...data,
+          durationValue: Number(match[1]),
+          durationUnit: `${match[2].toLowerCase()}s`
+        });
+        return replyText(phone, context, "What is your budget in rupees? (example: 25000)");
+      }
+      case "ask_budget": {
+        const budget = Number(text.replace(/[₹,\s]|rs\.?/gi, ""));
+        if (!budget || budget <= 0) {
+          return replyText(phone, current, "Please enter your budget as a number (example: 25000).");
+        }
+        const context = await goToStep(phone, "care_request", "ask_condition", { ...data, budget });
+        return replyButtons(
+          phone,
+          context,
+          "Briefly describe the patient's condition or care needs, or tap Skip.",
+          [{ id: "condition_skip", title: "Skip" }]
+        );
+      }
+      case "ask_condition": {
+        const patientCondition = incoming.replyId === "condition_skip" ? "" : text.slice(0, 1000);
+        const context = await goToStep(phone, "care_request", "ask_email", { ...data, patientCondition, notes: patientCondition });
+        return replyText(phone, context, "Please enter your email address. We will send your request details there.");
+      }
+      case "ask_email": {
+        const emailValidation = validateEmail(text);
+        if (!emailValidation.valid) {
+          return replyText(phone, current, emailValidation.error);
+        }
+        const nextData = { ...data, email: emailValidation.value };
+        const context = await goToStep(phone, "care_request", "confirm", nextData);
+        const scheduleOption = SERVICE_SCHEDULE_OPTIONS.find((option) => option.value === nextData.serviceSchedule) || {};
+        return replyButtons(
+          phone,
+          context,
+          [
+            "Please confirm your request:",
+            `Patient: ${nextData.fullName}`,
+            `City: ${nextData.city}`,
+            `Schedule: ${scheduleOption.label || nextData.serviceSchedule}`,
+            `Duration: ${nextData.durationValue} ${nextData.durationUnit}`,
+            `Budget: Rs. ${nextData.budget}`,
+            nextData.patientCondition ? `Condition: ${nextData.patientCondition}` : "",
+            `Email: ${nextData.email}`
+          ].filter(Boolean).join("\n"),
+          CONFIRM_BUTTONS
+        );
+      }
+      case "confirm": {
+        if (incoming.replyId === "confirm_no") return startCareFlow(phone);
+        if (incoming.replyId !== "confirm_yes" && text.toLowerCase() !== "submit") {
+          return replyButtons(phone, current, "Reply Submit to send your request or Start Over to change the details.", CONFIRM_BUTTONS);
+        }
+        return finishCareRequest(req, phone, data, current);
+      }
+      default:
+        return sendMainMenu(phone);
+    }
+  }
+
+  // ============================================================
+  // REQUEST TRACKING FLOW
+  // ============================================================
+
+  async function startTrackFlow(phone, session) {
+    const context = await goToStep(phone, "track_request", "ask_request_code", {});
+    const hint = session && session.last_request_code ? ` Your last request code was ${session.last_request_code}.` : "";
+    return replyText(phone, context, `Please enter your request code.${hint}`);
+  }
+
+  async function continueTrackFlow(req, phone, session, incoming) {
+    const current = { flow: session.current_flow, step: session.step };
+    const requestCode = incoming.text.slice(0, 40);
+    const requestRecord = requestCode ? await getPublicCareRequestRecordByRequestCode(requestCode) : null;
+    if (!requestRecord) {
+      return replyText(phone, current, "We couldn't find a request with that code. Please check it and try again, or type \"menu\".");
+    }
+
+    await saveConversationSession(pool, phone, { lastRequestCode: requestRecord.requestCode });
+    const lines = [
+      `Request ${requestRecord.requestCode}`,
+      `Status: ${String(requestRecord.status).replace(/_/g, " ")}`,
+      `Payment: ${String(requestRecord.paymentStatus).replace(/_/g, " ")}`
+    ];
+    if (requestRecord.duration) lines.push(`Duration: ${requestRecord.duration}`);
+    lines.push("", `Details: ${getAppBaseUrl(req)}/track-request?requestId=${encodeURIComponent(requestRecord.requestCode)}`);
+    return replyText(phone, {}, lines.join("\n"));
+  }
+
+  // ============================================================
+  // WEBHOOK
+  // ============================================================
+
+  async function handleIncomingMessage(req, message, profileName) {
+    const incoming = parseIncomingMessage(message);
+    if (!incoming.from) return;
+
+    const phone = incoming.from;
+    const session = await getConversationSession(pool, phone);
+    const isNewMessage = await recordWhatsAppMessage(pool, {
+      phone,
+      direction: "inbound",
+      messageType: incoming.type,
+      body: incoming.text || `[${incoming.type}]`,
+      waMessageId: incoming.id,
+      flow: session ? session.current_flow : null,
+      step: session ? session.step : null,
+      profileName
+    });
+    if (!isNewMessage) return;
+
+    if (RESTART_KEYWORDS.has(incoming.text.toLowerCase())) {
+      return sendMainMenu(phone);
+    }
+
+    switch (incoming.replyId) {
+      case "nurse_register":
+        return startNurseFlow(phone);
+      case "need_nurse":
+        return startCareFlow(phone);
+      case "track_request":
+        return startTrackFlow(phone, session);
+      case "talk_admin":
+        await saveConversationSession(pool, phone, { needsAdmin: true });
+        return replyText(phone, {}, "Thank you. Our admin team has been notified and will contact you shortly.");
+      default:
+        break;
+    }
+
+    if (!session || !session.current_flow) {
+      return sendMainMenu(phone);
+    }
+    if (session.current_flow === "nurse") {
+      return continueNurseFlow(req, phone, session, incoming);
+    }
+    if (session.current_flow === "care_request") {
+      return continueCareFlow(req, phone, session, incoming);
+    }
+    if (session.current_flow === "track_request") {
+      return continueTrackFlow(req, phone, session, incoming);
+    }
+    return sendMainMenu(phone);
+  }
+
+  // Meta webhook verification handshake
+  router.get("/webhook/whatsapp", (req, res) => {
+    const mode = req.query["hub.mode"];
+    const token = req.query["hub.verify_token"];
+    const challenge = req.query["hub.challenge"];
+
+    if (mode === "subscribe" && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+      return res.status(200).send(challenge);
+    }
+    return res.sendStatus(403);
+  });
+
+  router.post("/webhook/whatsapp", async (req, res) => {
+    if (!isValidWebhookSignature(req.rawBody, req.get("x-hub-signature-256"))) {
+      return res.sendStatus(401);
+    }
+    // Acknowledge straight away; Meta retries deliveries that take too long.
+    res.sendStatus(200);
+
+    const changes = (Array.isArray(req.body.entry) ? req.body.entry : [])
+      .flatMap((entry) => (Array.isArray(entry.changes) ? entry.changes : []));
+
+    for (const change of changes) {
+      const value = change.value || {};
+      const contacts = Array.isArray(value.contacts) ? value.contacts : [];
+      for (const message of Array.isArray(value.messages) ? value.messages : []) {
+        const contact = contacts.find((item) => item.wa_id === message.from);
+        const profileName = contact && contact.profile ? String(contact.profile.name || "").slice(0, 120) : null;
+        try {
+          await handleIncomingMessage(req, message, profileName);
+        } catch (error) {
+          console.error("WhatsApp webhook error:", error);
+        }
+      }
+    }
+  });
+
+  // ============================================================
+  // ADMIN TRANSCRIPTS
+  // ============================================================
+
+  router.get("/admin/whatsapp", requireRole("admin"), async (req, res) => {
+    const filters = parseConversationFilters(req.query);
+    try {
+      const result = await listConversations(pool, filters);
+      return res.render("admin/whatsapp-conversations", {
+        title: "WhatsApp Conversations",
+        filters,
+        result,
+        loadError: ""
+      });
+    } catch (error) {
+      console.error("Admin WhatsApp conversations load error:", error);
+      return res.render("admin/whatsapp-conversations", {
+        title: "WhatsApp Conversations",
+        filters,
+        result: { conversations: [], total: 0, page: 1, pageCount: 1, pageSize: 0 },
+        loadError: "Unable to load WhatsApp conversations right now."
+      });
+    }
+  });
+
+  router.get("/admin/whatsapp/:phone", requireRole("admin"), async (req, res) => {
+    const phone = String(req.params.phone || "").replace(/\D/g, "");
+    try {
+      const transcript = phone ? await getConversationTranscript(pool, phone) : null;
+      if (!transcript) {
+        setFlash(req, "error", "Conversation not found.");
+        return res.redirect("/admin/whatsapp");
+      }
+      return res.render("admin/whatsapp-transcript", {
+        title: `WhatsApp +${phone}`,
+        phone,
+        session: transcript.session,
+        messages: transcript.messages
+      });
+    } catch (error) {
+      console.error("Admin WhatsApp transcript error:", error);
+      setFlash(req, "error", "Unable to load that conversation right now.");
+      return res.redirect("/admin/whatsapp");
+    }
+  });
+
+  router.post("/admin/whatsapp/:phone/handled", requireRole("admin"), async (req, res) => {
+    const phone = String(req.params.phone || "").replace(/\D/g, "");
+    try {
+      const updated = phone ? await markConversationHandled(pool, phone) : false;
+      if (!updated) {
+        setFlash(req, "error", "Conversation not found.");
+        return res.redirect("/admin/whatsapp");
+      }
+      await recordAuditEventSafely(pool, req, {
+        action: "whatsapp.handled",
+        entityType: "whatsapp_conversation",
+        entityId: phone,
+        summary: `Marked WhatsApp conversation +${phone} as handled`
+      });
+      setFlash(req, "success", "Conversation marked as handled.");
+    } catch (error) {
+      console.error("Admin WhatsApp handled error:", error);
+      setFlash(req, "error", "Unable to update that conversation right now.");
+    }
+    return res.redirect(`/admin/whatsapp/${phone}`);
+  });
+
+  return router;
+}
+
+module.exports = createWhatsAppController;
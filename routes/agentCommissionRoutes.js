@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/agentCommissionController");
+
+module.exports = function createAgentCommissionRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/apiController");
+
+module.exports = function createApiRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/apiTokenController");
+
+module.exports = function createApiTokenRoutes() {
+  return createRouter();
+};
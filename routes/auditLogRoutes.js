@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/auditLogController");
+
+module.exports = function createAuditLogRoutes() {
+  return createRouter();
+};
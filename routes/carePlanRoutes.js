@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/carePlanController");
+
+module.exports = function createCarePlanRoutes() {
+  return createRouter();
+};
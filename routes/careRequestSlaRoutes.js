@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/careRequestSlaController");
+
+module.exports = function createCareRequestSlaRoutes() {
+  return createRouter();
+};
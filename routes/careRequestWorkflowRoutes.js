@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/careRequestWorkflowController");
+
+module.exports = function createCareRequestWorkflowRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/careShiftController");
+
+module.exports = function createCareShiftRoutes() {
+  return createRouter();
+};
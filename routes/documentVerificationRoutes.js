@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/documentVerificationController");
+
+module.exports = function createDocumentVerificationRoutes() {
+  return createRouter();
+};
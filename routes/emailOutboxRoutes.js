@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/emailOutboxController");
+
+module.exports = function createEmailOutboxRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/familyPortalController");
+
+module.exports = function createFamilyPortalRoutes() {
+  return createRouter();
+};
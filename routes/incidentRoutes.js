@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/incidentController");
+
+module.exports = function createIncidentRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/invoiceController");
+
+module.exports = function createInvoiceRoutes() {
+  return createRouter();
+};
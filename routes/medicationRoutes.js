@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/medicationController");
+
+module.exports = function createMedicationRoutes() {
+  return createRouter();
+};
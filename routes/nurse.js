@@ -8,6 +8,7 @@ const { requireRole, requireApprovedNurse } = require("../middlewares/auth");
 const { setFlash } = require("../utils/flash");
 const { uploadBufferToCloudinary } = require("../utils/cloudinary");
 const { normalizePhone } = require("../utils/phone");
+const { syncNurseDocuments } = require("../services/documentVerification");
 
 const PROFILE_QUALIFICATION_OPTIONS = [
   "10th (SSC)",
@@ -231,8 +232,8 @@ router.get("/care-requests", requireVerifiedNurse, async (req, res) => {
          FROM care_requests cr
          LEFT JOIN patients p ON p.id = cr.patient_id
          LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
-         LEFT JOIN care_request_earnings ce ON ce.request_id = cr.id
-         WHERE cr.assigned_nurse_id = $1
+         LEFT JOIN care_request_earnings ce ON ce.request_id = cr.id AND ce.nurse_id = $1
+         WHERE (cr.assigned_nurse_id = $1 OR ce.id IS NOT NULL)
            AND cr.status = 'completed'
          ORDER BY cr.created_at DESC`,
         [req.nurseId]
@@ -829,7 +830,7 @@ router.post(
       }
 
       const { rows } = await pool.query(
-        "SELECT qualifications FROM nurses WHERE user_id = $1 LIMIT 1",
+        "SELECT id, qualifications FROM nurses WHERE user_id = $1 LIMIT 1",
         [userId]
       );
       if (!rows.length) {
@@ -877,8 +878,9 @@ router.post(
       if (updateResult.rowCount !== 1) {
         throw new Error("Unable to update qualification document right now.");
       }
+      await syncNurseDocuments(pool, [rows[0].id]);
 
-      setFlash(req, "success", "Qualification document uploaded successfully.");
+      setFlash(req, "success", "Qualification document uploaded. An admin will verify it shortly.");
       return res.redirect("/nurse/profile");
     } catch (error) {
       console.error("Qualification document upload error:", error);
@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/payoutController");
+
+module.exports = function createPayoutRoutes() {
+  return createRouter();
+};
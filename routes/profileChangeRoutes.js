@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/profileChangeController");
+
+module.exports = function createProfileChangeRoutes() {
+  return createRouter();
+};
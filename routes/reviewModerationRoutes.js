@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/reviewModerationController");
+
+module.exports = function createReviewModerationRoutes() {
+  return createRouter();
+};
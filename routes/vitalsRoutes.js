@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/vitalsController");
+
+module.exports = function createVitalsRoutes() {
+  return createRouter();
+};
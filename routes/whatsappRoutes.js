@@ -0,0 +1,5 @@
+const createRouter = require("../controllers/whatsappController");
+
+module.exports = function createWhatsAppRoutes() {
+  return createRouter();
+};
@@ -0,0 +1,96 @@
+/**
+ * Local WhatsApp Graph API Stub
+ * Stands in for Meta so the bot flows can be exercised without a WhatsApp Business account.
+ *
+ * 1. Start the stub:  node scripts/whatsapp-graph-stub.js
+ * 2. Start the app with:
+ *      WHATSAPP_API_BASE_URL=http://localhost:4010
+ *      WHATSAPP_PHONE_NUMBER_ID=stub  WHATSAPP_ACCESS_TOKEN=stub
+ * 3. Play the user's side:
+ *      curl -X POST localhost:4010/simulate -H "Content-Type: application/json" \
+ *        -d '{"from":"919876543210","text":"hi"}'
+ *      curl -X POST localhost:4010/simulate -H "Content-Type: application/json" \
+ *        -d '{"from":"919876543210","replyId":"need_nurse"}'
+ *
+ * Outgoing bot replies are printed to the console.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+
+const STUB_PORT = Number(process.env.WHATSAPP_STUB_PORT || 4010);
+const WEBHOOK_URL = process.env.WHATSAPP_STUB_WEBHOOK_URL || "http://localhost:10000/webhook/whatsapp";
+
+const app = express();
+app.use(express.json());
+
+function describeOutgoingMessage(body) {
+  if (body.type === "text") return body.text.body;
+  const interactive = body.interactive || {};
+  const options = interactive.type === "list"
+    ? interactive.action.sections.flatMap((section) => section.rows).map((row) => `${row.id}: ${row.title}`)
+    : (interactive.action.buttons || []).map((button) => `${button.reply.id}: ${button.reply.title}`);
+  return `${interactive.body ? interactive.body.text : ""}\n  options -> ${options.join(", ")}`;
+}
+
+// Graph API send endpoint used by src/whatsapp.js
+app.post("/:version/:phoneNumberId/messages", (req, res) => {
+  const messageId = `wamid.stub.${crypto.randomBytes(8).toString("hex")}`;
+  console.log(`\n[to +${req.body.to}] ${describeOutgoingMessage(req.body)}`);
+  return res.json({ messaging_product: "whatsapp", messages: [{ id: messageId }] });
+});
+
+// Deliver a user message to the app's webhook in the shape Meta uses.
+app.post("/simulate", async (req, res) => {
+  const from = String(req.body.from || "").replace(/\D/g, "");
+  const text = String(req.body.text || "");
+  const replyId = String(req.body.replyId || "");
+  if (!from || (!text && !replyId)) {
+    return res.status(400).json({ error: "Send { from, text } or { from, replyId }." });
+  }
+
+  const message = {
+    from,
+    id: `wamid.stub.in.${crypto.randomBytes(8).toString("hex")}`,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+  if (replyId) {
+    message.type = "interactive";
+    message.interactive = { type: "button_reply", button_reply: { id: replyId, title: text || replyId } };
+  } else {
+    message.type = "text";
+    message.text = { body: text };
+  }
+
+  const payload = JSON.stringify({
+    object: "whatsapp_business_account",
+    entry: [{
+      id: "stub",
+      changes: [{
+        field: "messages",
+        value: {
+          messaging_product: "whatsapp",
+          contacts: [{ wa_id: from, profile: { name: req.body.name || "Stub User" } }],
+          messages: [message]
+        }
+      }]
+    }]
+  });
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.WHATSAPP_APP_SECRET) {
+    headers["X-Hub-Signature-256"] = `sha256=${crypto.createHmac("sha256", process.env.WHATSAPP_APP_SECRET).update(payload).digest("hex")}`;
+  }
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, payload, { headers, timeout: 10000 });
+    return res.json({ delivered: true, status: response.status, messageId: message.id });
+  } catch (error) {
+    return res.status(502).json({ delivered: false, error: error.message });
+  }
+});
+
+app.listen(STUB_PORT, () => {
+  console.log(`WhatsApp Graph API stub listening on http://localhost:${STUB_PORT}`);
+  console.log(`Forwarding simulated messages to ${WEBHOOK_URL}`);
+});
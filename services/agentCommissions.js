@@ -0,0 +1,465 @@
+const { buildCsv } = require("../utils/csv");
+
+const COMMISSION_ENTRY_LABELS = {
+  patient_commission: "Patient commission",
+  transfer_margin: "Transfer margin",
+  referral: "Agent referral",
+  adjustment: "Adjustment",
+  reversal: "Reversal"
+};
+const ACCRUAL_ENTRY_TYPES = ["patient_commission", "transfer_margin", "referral"];
+
+function parsePercentEnv(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  if (Number.isNaN(parsed) || parsed < 0 || parsed > 100) return fallback;
+  return Number(parsed.toFixed(2));
+}
+
+// Share of a recruited agent's patient commission credited to the agent who onboarded them.
+const AGENT_REFERRAL_PERCENT = parsePercentEnv(process.env.AGENT_REFERRAL_COMMISSION_PERCENT, 5);
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function normalizeAgentEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function getCurrentStatementMonth() {
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function normalizeStatementMonthInput(value) {
+  const clean = String(value || "").trim();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(clean)) return "";
+  return clean;
+}
+
+/**
+ * Work out the ledger accruals a completed request should carry. Pure, so the same rules
+ * drive first-time accrual and re-syncs after the earnings change.
+ */
+function buildCareRequestAccruals(source) {
+  if (!source || source.request_status !== "completed" || !source.has_earnings || source.payout_status === "cancelled") {
+    return [];
+  }
+
+  const owner = normalizeAgentEmail(source.agent_email);
+  const commission = roundMoney(source.platform_fee);
+  const entries = [];
+  if (owner && commission > 0) {
+    entries.push({
+      agentEmail: owner,
+      entryType: "patient_commission",
+      amount: commission,
+      description: `Commission on ${source.request_code}`
+    });
+  }
+
+  const transferredBy = normalizeAgentEmail(source.last_transferred_by);
+  const margin = roundMoney(source.transfer_margin_amount);
+  if (owner && transferredBy && transferredBy !== owner && margin > 0) {
+    entries.push({
+      agentEmail: transferredBy,
+      entryType: "transfer_margin",
+      amount: margin,
+      description: `Transfer margin on ${source.request_code} from ${owner}`
+    });
+    entries.push({
+      agentEmail: owner,
+      entryType: "transfer_margin",
+      amount: -margin,
+      description: `Transfer margin on ${source.request_code} payable to ${transferredBy}`
+    });
+  }
+
+  const referrer = normalizeAgentEmail(source.referrer_agent_email);
+  const referral = roundMoney(commission * AGENT_REFERRAL_PERCENT / 100);
+  if (owner && referrer && referrer !== owner && referral > 0) {
+    entries.push({
+      agentEmail: referrer,
+      entryType: "referral",
+      amount: referral,
+      description: `${AGENT_REFERRAL_PERCENT}% referral on ${source.request_code} (${owner})`
+    });
+  }
+  return entries;
+}
+
+async function insertLedgerEntry(db, entry) {
+  const result = await db.query(
+    `INSERT INTO agent_commission_ledger (
+      agent_email,
+      entry_type,
+      amount,
+      request_id,
+      patient_id,
+      source_type,
+      source_id,
+      reverses_entry_id,
+      description,
+      created_by_user_id
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    RETURNING id`,
+    [
+      normalizeAgentEmail(entry.agentEmail),
+      entry.entryType,
+      roundMoney(entry.amount),
+      entry.requestId || null,
+      entry.patientId || null,
+      entry.sourceType,
+      entry.sourceId === null || typeof entry.sourceId === "undefined" ? null : String(entry.sourceId),
+      entry.reversesEntryId || null,
+      entry.description || null,
+      typeof entry.actorUserId === "number" ? entry.actorUserId : null
+    ]
+  );
+  return result.rows[0].id;
+}
+
+async function reverseLedgerRow(db, row, reason, actorUserId) {
+  return insertLedgerEntry(db, {
+    agentEmail: row.agent_email,
+    entryType: "reversal",
+    amount: -Number(row.amount),
+    requestId: row.request_id,
+    patientId: row.patient_id,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    reversesEntryId: row.id,
+    description: reason || `Reversal of ${COMMISSION_ENTRY_LABELS[row.entry_type] || row.entry_type} #${row.id}`,
+    actorUserId
+  });
+}
+
+/**
+ * Bring a request's ledger accruals in line with its current earnings. Accruals that no longer
+ * match are reversed and the correct ones re-posted, so history is never edited in place.
+ */
+async function syncCareRequestCommissionAccruals(db, requestId, actor = {}) {
+  // A replaced nurse leaves one earnings row per nurse; cancelled rows earn no commission.
+  const sourceResult = await db.query(
+    `SELECT
+        cr.id,
+        cr.status AS request_status,
+        cr.patient_id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+        (ce.request_id IS NOT NULL) AS has_earnings,
+        ce.payout_status,
+        COALESCE(ce.platform_fee, 0) AS platform_fee,
+        p.agent_email,
+        p.last_transferred_by,
+        COALESCE(p.transfer_margin_amount, 0) AS transfer_margin_amount,
+        a.created_by_agent_email AS referrer_agent_email
+     FROM care_requests cr
+     LEFT JOIN (
+       SELECT
+         request_id,
+         CASE WHEN BOOL_AND(payout_status = 'cancelled') THEN 'cancelled' ELSE 'pending' END AS payout_status,
+         SUM(platform_fee) FILTER (WHERE payout_status <> 'cancelled') AS platform_fee
+       FROM care_request_earnings
+       GROUP BY request_id
+     ) ce ON ce.request_id = cr.id
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN agents a ON LOWER(a.email) = LOWER(COALESCE(p.agent_email, ''))
+     WHERE cr.id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  const source = sourceResult.rows[0];
+  if (!source) return { posted: 0, reversed: 0 };
+
+  const existingResult = await db.query(
+    `SELECT l.*
+     FROM agent_commission_ledger l
+     WHERE l.source_type = 'care_request'
+       AND l.source_id = $1
+       AND l.entry_type = ANY($2::text[])
+       AND NOT EXISTS (
+         SELECT 1 FROM agent_commission_ledger r WHERE r.reverses_entry_id = l.id
+       )
+     ORDER BY l.id ASC
+     FOR UPDATE OF l`,
+    [String(requestId), ACCRUAL_ENTRY_TYPES]
+  );
+
+  const entryKey = (agentEmail, entryType, amount) => `${normalizeAgentEmail(agentEmail)}|${entryType}|${roundMoney(amount).toFixed(2)}`;
+  const expected = buildCareRequestAccruals(source);
+  const unmatched = [...existingResult.rows];
+  const toPost = [];
+  expected.forEach((entry) => {
+    const key = entryKey(entry.agentEmail, entry.entryType, entry.amount);
+    const index = unmatched.findIndex((row) => entryKey(row.agent_email, row.entry_type, row.amount) === key);
+    if (index >= 0) {
+      unmatched.splice(index, 1);
+    } else {
+      toPost.push(entry);
+    }
+  });
+
+  const actorUserId = typeof actor.userId === "number" ? actor.userId : null;
+  for (const row of unmatched) {
+    await reverseLedgerRow(db, row, `Recalculated: ${row.description || COMMISSION_ENTRY_LABELS[row.entry_type]}`, actorUserId);
+  }
+  for (const entry of toPost) {
+    await insertLedgerEntry(db, {
+      ...entry,
+      requestId: source.id,
+      patientId: source.patient_id,
+      sourceType: "care_request",
+      sourceId: source.id,
+      actorUserId
+    });
+  }
+  return { posted: toPost.length, reversed: unmatched.length };
+}
+
+async function postCommissionAdjustment(db, { agentEmail, amount, description, actorUserId }) {
+  const cleanAmount = roundMoney(amount);
+  if (!normalizeAgentEmail(agentEmail)) throw new Error("Agent is required.");
+  if (!cleanAmount) throw new Error("Adjustment amount cannot be zero.");
+  if (!String(description || "").trim()) throw new Error("Add a reason for the adjustment.");
+
+  return insertLedgerEntry(db, {
+    agentEmail,
+    entryType: "adjustment",
+    amount: cleanAmount,
+    sourceType: "manual",
+    description: String(description).trim().slice(0, 300),
+    actorUserId
+  });
+}
+
+async function reverseCommissionEntry(db, entryId, { agentEmail, reason, actorUserId }) {
+  const result = await db.query(
+    `SELECT l.*,
+            EXISTS (SELECT 1 FROM agent_commission_ledger r WHERE r.reverses_entry_id = l.id) AS is_reversed
+     FROM agent_commission_ledger l
+     WHERE l.id = $1
+       AND LOWER(l.agent_email) = LOWER($2)
+     FOR UPDATE`,
+    [entryId, agentEmail]
+  );
+  const row = result.rows[0];
+  if (!row) throw new Error("Ledger entry not found.");
+  if (row.entry_type === "reversal") throw new Error("Reversal entries cannot be reversed.");
+  if (row.is_reversed) throw new Error("This entry has already been reversed.");
+
+  const reasonText = String(reason || "").trim().slice(0, 300);
+  return reverseLedgerRow(db, row, reasonText ? `Reversal of #${row.id}: ${reasonText}` : null, actorUserId);
+}
+
+/**
+ * Monthly statement for one agent: opening balance carried from earlier months, the month's
+ * entries in posting order and the closing balance.
+ */
+async function buildAgentStatement(db, agentEmail, month) {
+  const monthStart = `${month}-01`;
+  const [openingResult, entriesResult, reconciliationResult] = await Promise.all([
+    db.query(
+      `SELECT COALESCE(SUM(amount), 0)::numeric(12,2) AS balance
+       FROM agent_commission_ledger
+       WHERE LOWER(agent_email) = LOWER($1)
+         AND statement_month < $2::date`,
+      [agentEmail, monthStart]
+    ),
+    db.query(
+      `SELECT
+          l.id,
+          l.entry_type,
+          l.amount,
+          l.request_id,
+          l.source_type,
+          l.source_id,
+          l.reverses_entry_id,
+          l.description,
+          to_char(l.created_at, 'YYYY-MM-DD HH24:MI') AS posted_at,
+          COALESCE(cr.request_code, CASE WHEN l.request_id IS NULL THEN NULL ELSE CONCAT('CR-', l.request_id::text) END) AS request_code,
+          EXISTS (SELECT 1 FROM agent_commission_ledger r WHERE r.reverses_entry_id = l.id) AS is_reversed
+       FROM agent_commission_ledger l
+       LEFT JOIN care_requests cr ON cr.id = l.request_id
+       WHERE LOWER(l.agent_email) = LOWER($1)
+         AND l.statement_month = $2::date
+       ORDER BY l.created_at ASC, l.id ASC`,
+      [agentEmail, monthStart]
+    ),
+    db.query(
+      `SELECT
+          s.closing_balance,
+          s.entry_count,
+          s.notes,
+          to_char(s.reconciled_at, 'YYYY-MM-DD HH24:MI') AS reconciled_at,
+          u.email AS reconciled_by
+       FROM agent_commission_statements s
+       LEFT JOIN users u ON u.id = s.reconciled_by_user_id
+       WHERE LOWER(s.agent_email) = LOWER($1)
+         AND s.statement_month = $2::date`,
+      [agentEmail, monthStart]
+    )
+  ]);
+
+  const openingBalance = Number(openingResult.rows[0].balance);
+  const totalsByType = Object.keys(COMMISSION_ENTRY_LABELS).reduce((totals, key) => ({ ...totals, [key]: 0 }), {});
+  let running = openingBalance;
+  const entries = entriesResult.rows.map((row) => {
+    const amount = Number(row.amount);
+    totalsByType[row.entry_type] = roundMoney(totalsByType[row.entry_type] + amount);
+    running = roundMoney(running + amount);
+    return { ...row, amount, balance: running, label: COMMISSION_ENTRY_LABELS[row.entry_type] || row.entry_type };
+  });
+
+  return {
+    agentEmail: normalizeAgentEmail(agentEmail),
+    month,
+    openingBalance,
+    entries,
+    totalsByType,
+    totalAccruals: roundMoney(ACCRUAL_ENTRY_TYPES.reduce((sum, key) => sum + totalsByType[key], 0)),
+    closingBalance: running,
+    isClosed: month < getCurrentStatementMonth(),
+    reconciliation: reconciliationResult.rows[0] || null
+  };
+}
+
+async function listAgentStatementMonths(db, agentEmail) {
+  const result = await db.query(
+    `SELECT DISTINCT to_char(statement_month, 'YYYY-MM') AS month
+     FROM agent_commission_ledger
+     WHERE LOWER(agent_email) = LOWER($1)
+     ORDER BY month DESC
+     LIMIT 36`,
+    [agentEmail]
+  );
+  const months = result.rows.map((row) => row.month);
+  const current = getCurrentStatementMonth();
+  return months.includes(current) ? months : [current, ...months];
+}
+
+function buildAgentStatementCsv(statement) {
+  const rows = [
+    ["Agent", statement.agentEmail],
+    ["Statement Month", statement.month],
+    ["Opening Balance", statement.openingBalance.toFixed(2)],
+    [],
+    ["Entry", "Posted", "Type", "Request", "Description", "Amount", "Balance"],
+    ...statement.entries.map((entry) => [
+      entry.id,
+      entry.posted_at,
+      entry.label,
+      entry.request_code || "",
+      entry.description || "",
+      entry.amount.toFixed(2),
+      entry.balance.toFixed(2)
+    ]),
+    [],
+    ...Object.keys(COMMISSION_ENTRY_LABELS).map((key) => [COMMISSION_ENTRY_LABELS[key], statement.totalsByType[key].toFixed(2)]),
+    ["Closing Balance", statement.closingBalance.toFixed(2)],
+    ["Reconciled", statement.reconciliation ? statement.reconciliation.reconciled_at : "No"]
+  ];
+  return buildCsv(rows);
+}
+
+/**
+ * Per-agent totals for one month across every agent with ledger activity, for admin review.
+ */
+async function listMonthlyCommissionSummary(db, month) {
+  const monthStart = `${month}-01`;
+  const result = await db.query(
+    `WITH agent_emails AS (
+       SELECT DISTINCT LOWER(agent_email) AS agent_email
+       FROM agent_commission_ledger
+       WHERE statement_month <= $1::date
+     )
+     SELECT
+        ae.agent_email,
+        ag.id AS agent_id,
+        COALESCE(ag.full_name, ae.agent_email) AS agent_name,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.statement_month < $1::date), 0)::numeric(12,2) AS opening_balance,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.statement_month = $1::date AND l.entry_type IN ('patient_commission','transfer_margin','referral')), 0)::numeric(12,2) AS accruals,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.statement_month = $1::date AND l.entry_type = 'adjustment'), 0)::numeric(12,2) AS adjustments,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.statement_month = $1::date AND l.entry_type = 'reversal'), 0)::numeric(12,2) AS reversals,
+        COUNT(l.id) FILTER (WHERE l.statement_month = $1::date)::int AS entry_count,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.statement_month <= $1::date), 0)::numeric(12,2) AS closing_balance,
+        to_char(s.reconciled_at, 'YYYY-MM-DD HH24:MI') AS reconciled_at,
+        s.closing_balance AS reconciled_closing_balance
+     FROM agent_emails ae
+     LEFT JOIN agents ag ON LOWER(ag.email) = ae.agent_email
+     LEFT JOIN agent_commission_ledger l ON LOWER(l.agent_email) = ae.agent_email
+     LEFT JOIN agent_commission_statements s
+       ON LOWER(s.agent_email) = ae.agent_email
+      AND s.statement_month = $1::date
+     GROUP BY ae.agent_email, ag.id, ag.full_name, s.reconciled_at, s.closing_balance
+     ORDER BY agent_name ASC`,
+    [monthStart]
+  );
+  return result.rows;
+}
+
+/**
+ * Snapshot a closed month's statement as reconciled. Re-reconciling refreshes the snapshot,
+ * which is how late reversals posted against a month are acknowledged.
+ */
+async function reconcileAgentStatement(db, agentEmail, month, { actorUserId, notes } = {}) {
+  if (month >= getCurrentStatementMonth()) {
+    throw new Error("Only closed months can be reconciled.");
+  }
+  const statement = await buildAgentStatement(db, agentEmail, month);
+  await db.query(
+    `INSERT INTO agent_commission_statements (
+      agent_email,
+      statement_month,
+      opening_balance,
+      total_accruals,
+      total_adjustments,
+      total_reversals,
+      closing_balance,
+      entry_count,
+      notes,
+      reconciled_by_user_id
+    )
+    VALUES ($1,$2::date,$3,$4,$5,$6,$7,$8,$9,$10)
+    ON CONFLICT (agent_email, statement_month)
+    DO UPDATE SET
+      opening_balance = EXCLUDED.opening_balance,
+      total_accruals = EXCLUDED.total_accruals,
+      total_adjustments = EXCLUDED.total_adjustments,
+      total_reversals = EXCLUDED.total_reversals,
+      closing_balance = EXCLUDED.closing_balance,
+      entry_count = EXCLUDED.entry_count,
+      notes = EXCLUDED.notes,
+      reconciled_by_user_id = EXCLUDED.reconciled_by_user_id,
+      reconciled_at = NOW()`,
+    [
+      statement.agentEmail,
+      `${month}-01`,
+      statement.openingBalance,
+      statement.totalAccruals,
+      statement.totalsByType.adjustment,
+      statement.totalsByType.reversal,
+      statement.closingBalance,
+      statement.entries.length,
+      String(notes || "").trim().slice(0, 300) || null,
+      typeof actorUserId === "number" ? actorUserId : null
+    ]
+  );
+  return statement;
+}
+
+module.exports = {
+  AGENT_REFERRAL_PERCENT,
+  COMMISSION_ENTRY_LABELS,
+  buildAgentStatement,
+  buildAgentStatementCsv,
+  buildCareRequestAccruals,
+  getCurrentStatementMonth,
+  listAgentStatementMonths,
+  listMonthlyCommissionSummary,
+  normalizeStatementMonthInput,
+  postCommissionAdjustment,
+  reconcileAgentStatement,
+  reverseCommissionEntry,
+  syncCareRequestCommissionAccruals
+};
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+
+const API_TOKEN_PREFIX = "phc_";
+const API_TOKEN_ROLES = ["admin", "agent", "nurse"];
+const MAX_ACTIVE_TOKENS_PER_USER = 10;
+const API_TOKEN_EXPIRY_OPTIONS = [30, 90, 365];
+// Skip rewriting last_used_at on every request; minute precision is enough for the profile page.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+function hashApiToken(rawToken) {
+  return crypto.createHash("sha256").update(String(rawToken || "")).digest("hex");
+}
+
+function normalizeTokenNameInput(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").slice(0, 80);
+}
+
+function normalizeTokenExpiryInput(value) {
+  const days = Number.parseInt(value, 10);
+  return API_TOKEN_EXPIRY_OPTIONS.includes(days) ? days : null;
+}
+
+/**
+ * Create a token for the user. The plain token is returned once and never stored.
+ */
+async function issueApiToken(db, userId, { name, expiresInDays } = {}) {
+  const tokenName = normalizeTokenNameInput(name);
+  if (!tokenName) throw new Error("Give the token a name, e.g. the app or integration using it.");
+
+  const activeResult = await db.query(
+    `SELECT COUNT(*)::int AS count
+     FROM api_tokens
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [userId]
+  );
+  if (activeResult.rows[0].count >= MAX_ACTIVE_TOKENS_PER_USER) {
+    throw new Error(`You can have at most ${MAX_ACTIVE_TOKENS_PER_USER} active tokens. Revoke one first.`);
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const days = normalizeTokenExpiryInput(expiresInDays);
+  const result = await db.query(
+    `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + ($5::int * INTERVAL '1 day') END)
+     RETURNING id, name, token_prefix, expires_at`,
+    [userId, tokenName, token.slice(0, 12), hashApiToken(token), days]
+  );
+
+  return { ...result.rows[0], token };
+}
+
+async function listUserApiTokens(db, userId) {
+  const result = await db.query(
+    `SELECT
+        id,
+        name,
+        token_prefix,
+        to_char(created_at, 'YYYY-MM-DD HH24:MI') AS created_at,
+        to_char(last_used_at, 'YYYY-MM-DD HH24:MI') AS last_used_at,
+        to_char(expires_at, 'YYYY-MM-DD') AS expires_on,
+        to_char(revoked_at, 'YYYY-MM-DD HH24:MI') AS revoked_at,
+        CASE
+          WHEN revoked_at IS NOT NULL THEN 'revoked'
+          WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+          ELSE 'active'
+        END AS status
+     FROM api_tokens
+     WHERE user_id = $1
+     ORDER BY (revoked_at IS NULL) DESC, created_at DESC
+     LIMIT 25`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function revokeApiToken(db, userId, tokenId) {
+  const result = await db.query(
+    `UPDATE api_tokens
+     SET revoked_at = NOW()
+     WHERE id = $1
+       AND user_id = $2
+       AND revoked_at IS NULL
+     RETURNING id, name`,
+    [tokenId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Data for the API token section on profile pages. A token issued on the previous request is
+ * kept in the session just long enough to be shown once.
+ */
+async function loadApiTokenPanel(db, req) {
+  const issuedToken = req.session.issuedApiToken || null;
+  delete req.session.issuedApiToken;
+  return {
+    tokens: await listUserApiTokens(db, req.currentUser.id),
+    issuedToken,
+    expiryOptions: API_TOKEN_EXPIRY_OPTIONS
+  };
+}
+
+/**
+ * Resolve a bearer token to its active, non-deleted user, or null.
+ */
+async function findUserByApiToken(db, rawToken) {
+  const token = String(rawToken || "").trim();
+  if (!token.startsWith(API_TOKEN_PREFIX)) return null;
+
+  const result = await db.query(
+    `SELECT
+        t.id AS token_id,
+        t.last_used_at,
+        u.id,
+        u.email,
+        u.phone_number,
+        u.role,
+        u.status
+     FROM api_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = $1
+       AND t.revoked_at IS NULL
+       AND (t.expires_at IS NULL OR t.expires_at > NOW())
+       AND COALESCE(u.is_deleted, FALSE) = FALSE
+     LIMIT 1`,
+    [hashApiToken(token)]
+  );
+  const row = result.rows[0];
+  if (!row || !API_TOKEN_ROLES.includes(row.role)) return null;
+
+  const lastUsedAt = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+    await db.query("UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1", [row.token_id]);
+  }
+
+  return {
+    id: row.id,
+    email: row.email || "",
+    phoneNumber: row.phone_number || "",
+    role: row.role,
+    status: row.status,
+    tokenId: row.token_id
+  };
+}
+
+module.exports = {
+  API_TOKEN_EXPIRY_OPTIONS,
+  API_TOKEN_ROLES,
+  findUserByApiToken,
+  issueApiToken,
+  listUserApiTokens,
+  loadApiTokenPanel,
+  revokeApiToken
+};
@@ -0,0 +1,350 @@
+const AUDIT_LOG_PAGE_SIZE = 50;
+const AUDITED_ROLES = ["admin", "agent"];
+const AUDITED_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const REDACTED_VALUE = "[redacted]";
+const SENSITIVE_FIELD_PATTERN = /password|token|otp|secret|aadha?r|account_number|accountnumber|ifsc/i;
+const MAX_METADATA_STRING_LENGTH = 200;
+const MAX_METADATA_FIELDS = 40;
+
+// Requests that change nothing worth auditing, or are audited by their own handler
+const FALLBACK_SKIPPED_PATHS = [/^\/logout$/, /^\/notifications\//, /^\/api\//];
+
+// First URL segment naming the record a fallback entry is about, e.g. /admin/care-requests/12/complete
+const ENTITY_TYPE_BY_PATH_SEGMENT = {
+  nurses: "nurse",
+  nurse: "nurse",
+  agents: "agent",
+  patients: "patient",
+  "care-requests": "care_request",
+  "care-request": "care_request",
+  requests: "care_request",
+  jobs: "care_request",
+  "pending-requests": "care_request",
+  user: "user",
+  invoices: "invoice",
+  payouts: "payout_batch",
+  concerns: "concern",
+  "api-tokens": "api_token",
+  "email-outbox": "email",
+  whatsapp: "whatsapp_conversation"
+};
+
+// Patient assignment and money fields (store shape) compared by patient audit entries
+const PATIENT_AUDIT_FIELDS = [
+  "status",
+  "agentEmail",
+  "nurseId",
+  "nurseAmount",
+  "commissionType",
+  "commissionValue",
+  "commissionAmount",
+  "nurseNetAmount",
+  "referrerNurseId",
+  "referralCommissionPercent",
+  "referralCommissionAmount",
+  "transferMarginType",
+  "transferMarginValue",
+  "transferMarginAmount"
+];
+
+const AUDIT_ENTITY_TYPES = [...new Set(Object.values(ENTITY_TYPE_BY_PATH_SEGMENT)), "other"].sort();
+
+function isSensitiveAuditField(field) {
+  return SENSITIVE_FIELD_PATTERN.test(String(field || ""));
+}
+
+function normalizeAuditValue(value) {
+  if (typeof value === "undefined" || value === null) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (typeof value === "object") return JSON.parse(JSON.stringify(value));
+  return value;
+}
+
+/**
+ * Copy only the listed fields from a record, so snapshots stay small and comparable.
+ */
+function pickAuditFields(source, fields) {
+  if (!source) return null;
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = normalizeAuditValue(source[field]);
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Field-level diff between two snapshots: { field: { from, to } } for every changed field.
+ * Sensitive values are replaced so the log records that they changed, not what they are.
+ */
+function diffAuditSnapshots(before, after) {
+  const previous = before || {};
+  const next = after || {};
+  const changes = {};
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((field) => {
+    const from = normalizeAuditValue(previous[field]);
+    const to = normalizeAuditValue(next[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes[field] = isSensitiveAuditField(field)
+      ? { from: from === null ? null : REDACTED_VALUE, to: to === null ? null : REDACTED_VALUE }
+      : { from, to };
+  });
+
+  return changes;
+}
+
+function sanitizeAuditMetadataValue(key, value) {
+  if (isSensitiveAuditField(key)) return REDACTED_VALUE;
+  if (Array.isArray(value)) return value.slice(0, 20).map((item) => sanitizeAuditMetadataValue(key, item));
+  if (typeof value === "string") return value.slice(0, MAX_METADATA_STRING_LENGTH);
+  if (typeof value === "number" || typeof value === "boolean" || value === null) return value;
+  return undefined;
+}
+
+function sanitizeAuditRequestBody(body) {
+  if (!body || typeof body !== "object") return {};
+  return Object.keys(body)
+    .filter((key) => key !== "_csrf")
+    .slice(0, MAX_METADATA_FIELDS)
+    .reduce((fields, key) => {
+      const value = sanitizeAuditMetadataValue(key, body[key]);
+      if (typeof value !== "undefined") fields[key] = value;
+      return fields;
+    }, {});
+}
+
+function parseEntityId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isSafeInteger(parsed) && String(parsed) === String(value).trim() ? parsed : null;
+}
+
+/**
+ * Write one audit entry. Pass the transaction client as `db` when the change runs in a
+ * transaction so the entry commits or rolls back with it; errors are thrown to the caller.
+ */
+async function recordAuditEvent(db, req, {
+  action,
+  entityType,
+  entityId = null,
+  summary = "",
+  before = null,
+  after = null,
+  changes = null,
+  metadata = {}
+}) {
+  const actor = req && req.currentUser ? req.currentUser : null;
+  const recordedChanges = changes || diffAuditSnapshots(before, after);
+  // Claim the request up front so the fallback middleware never double-logs it.
+  if (req) req.auditRecorded = true;
+
+  await db.query(
+    `INSERT INTO audit_logs (
+      actor_user_id,
+      actor_role,
+      actor_email,
+      action,
+      entity_type,
+      entity_id,
+      summary,
+      changes,
+      metadata,
+      ip_address,
+      user_agent
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8::jsonb,$9::jsonb,$10,$11)`,
+    [
+      actor && Number.isInteger(actor.id) ? actor.id : null,
+      actor && actor.role ? actor.role : "system",
+      actor && actor.email ? actor.email : null,
+      String(action).slice(0, 80),
+      String(entityType).slice(0, 40),
+      parseEntityId(entityId),
+      summary ? String(summary).slice(0, 500) : null,
+      JSON.stringify(recordedChanges),
+      JSON.stringify(metadata || {}),
+      req && req.ip ? String(req.ip).slice(0, 64) : null,
+      req && typeof req.get === "function" ? String(req.get("user-agent") || "").slice(0, 400) || null : null
+    ]
+  );
+}
+
+/**
+ * Same as recordAuditEvent for changes that are already saved; a failed audit write is
+ * logged instead of failing the request.
+ */
+async function recordAuditEventSafely(db, req, event) {
+  try {
+    await recordAuditEvent(db, req, event);
+  } catch (error) {
+    console.error("Audit log write error:", error);
+  }
+}
+
+function describeFallbackRequest(req) {
+  const segments = req.path.split("/").filter(Boolean);
+  const resourceIndex = segments.findIndex((segment) => ENTITY_TYPE_BY_PATH_SEGMENT[segment]);
+  const entityType = resourceIndex === -1 ? "other" : ENTITY_TYPE_BY_PATH_SEGMENT[segments[resourceIndex]];
+  const entityId = resourceIndex === -1 ? null : parseEntityId(segments[resourceIndex + 1]);
+  const lastSegment = segments[segments.length - 1] || "";
+  const verb = parseEntityId(lastSegment) !== null || resourceIndex === segments.length - 1
+    ? "create"
+    : lastSegment;
+
+  return {
+    entityType,
+    entityId,
+    action: `${entityType}.${verb.replace(/-/g, "_") || "update"}`
+  };
+}
+
+/**
+ * Catch-all for admin and agent mutations whose handlers do not write their own audit entry.
+ * Entries carry the route and submitted fields instead of a diff. Requests that ended with an
+ * error status or an error flash are skipped because nothing was changed.
+ */
+function createAuditTrailMiddleware(db) {
+  return (req, res, next) => {
+    const user = req.currentUser;
+    if (!AUDITED_METHODS.has(req.method) || !user || !AUDITED_ROLES.includes(user.role)) return next();
+    if (FALLBACK_SKIPPED_PATHS.some((pattern) => pattern.test(req.path))) return next();
+
+    res.on("finish", () => {
+      if (req.auditRecorded || res.statusCode >= 400) return;
+      const flash = req.session && req.session.flash;
+      if (flash && flash.type === "error") return;
+
+      const { entityType, entityId, action } = describeFallbackRequest(req);
+      recordAuditEventSafely(db, req, {
+        action,
+        entityType,
+        entityId,
+        summary: flash && flash.message ? flash.message : "",
+        metadata: {
+          route: `${req.method} ${req.originalUrl.split("?")[0]}`,
+          fields: sanitizeAuditRequestBody(req.body)
+        }
+      });
+    });
+
+    return next();
+  };
+}
+
+function parseAuditLogFilters(query = {}) {
+  const readText = (value, maxLength) => String(Array.isArray(value) ? value[0] : value || "").trim().slice(0, maxLength);
+  const page = Number.parseInt(query.page, 10);
+  const entityType = readText(query.entity, 40);
+  const actorUserId = parseEntityId(readText(query.actor, 12));
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const from = readText(query.from, 10);
+  const to = readText(query.to, 10);
+
+  return {
+    entityType: AUDIT_ENTITY_TYPES.includes(entityType) ? entityType : "",
+    entityId: parseEntityId(readText(query.entity_id, 18)),
+    actorUserId,
+    action: readText(query.action, 80).toLowerCase(),
+    from: isDate(from) ? from : "",
+    to: isDate(to) ? to : "",
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+function buildAuditLogHref(filters, overrides = {}) {
+  const merged = { ...filters, page: 1, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.entityType) params.set("entity", merged.entityType);
+  if (merged.entityId !== null && typeof merged.entityId !== "undefined") params.set("entity_id", String(merged.entityId));
+  if (merged.actorUserId) params.set("actor", String(merged.actorUserId));
+  if (merged.action) params.set("action", merged.action);
+  if (merged.from) params.set("from", merged.from);
+  if (merged.to) params.set("to", merged.to);
+  if (merged.page > 1) params.set("page", String(merged.page));
+  const query = params.toString();
+  return query ? `/admin/audit-log?${query}` : "/admin/audit-log";
+}
+
+async function listAuditLogs(db, filters) {
+  const params = [];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (filters.entityType) addCondition("l.entity_type = ?", filters.entityType);
+  if (filters.entityId !== null) addCondition("l.entity_id = ?", filters.entityId);
+  if (filters.actorUserId) addCondition("l.actor_user_id = ?", filters.actorUserId);
+  if (filters.action) addCondition("l.action LIKE ?", `${filters.action.replace(/[\\%_]/g, "\\$&")}%`);
+  if (filters.from) addCondition("l.created_at >= ?::date", filters.from);
+  if (filters.to) addCondition("l.created_at < ?::date + INTERVAL '1 day'", filters.to);
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM audit_logs l ${whereClause}`, params);
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / AUDIT_LOG_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+
+  const result = await db.query(
+    `SELECT
+        l.id,
+        l.actor_user_id,
+        l.actor_role,
+        COALESCE(u.email, l.actor_email) AS actor_email,
+        COALESCE(a.full_name, n.full_name) AS actor_name,
+        l.action,
+        l.entity_type,
+        l.entity_id,
+        l.summary,
+        l.changes,
+        l.metadata,
+        l.ip_address,
+        l.user_agent,
+        to_char(l.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
+     FROM audit_logs l
+     LEFT JOIN users u ON u.id = l.actor_user_id
+     LEFT JOIN agents a ON a.user_id = l.actor_user_id
+     LEFT JOIN nurses n ON n.user_id = l.actor_user_id
+     ${whereClause}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ${AUDIT_LOG_PAGE_SIZE} OFFSET ${(page - 1) * AUDIT_LOG_PAGE_SIZE}`,
+    params
+  );
+
+  return {
+    entries: result.rows,
+    total,
+    page,
+    pageCount,
+    pageSize: AUDIT_LOG_PAGE_SIZE
+  };
+}
+
+async function listAuditActors(db) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (l.actor_user_id)
+        l.actor_user_id AS id,
+        l.actor_role AS role,
+        COALESCE(u.email, l.actor_email) AS email
+     FROM audit_logs l
+     LEFT JOIN users u ON u.id = l.actor_user_id
+     WHERE l.actor_user_id IS NOT NULL
+     ORDER BY l.actor_user_id, l.created_at DESC
+     LIMIT 500`
+  );
+  return result.rows.sort((a, b) => String(a.email || "").localeCompare(String(b.email || "")));
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  PATIENT_AUDIT_FIELDS,
+  buildAuditLogHref,
+  createAuditTrailMiddleware,
+  diffAuditSnapshots,
+  listAuditActors,
+  listAuditLogs,
+  parseAuditLogFilters,
+  pickAuditFields,
+  recordAuditEvent,
+  recordAuditEventSafely
+};
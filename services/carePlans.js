@@ -0,0 +1,264 @@
+const { formatLocalDate, normalizeDateInput } = require("./careShifts");
+
+// Requests whose plan can still be edited; completed/cancelled plans stay as a read-only record.
+const CARE_PLAN_EDITABLE_STATUSES = ["open", "assigned", "payment_pending", "active"];
+const MAX_SHIFT_TASKS = 30;
+const MAX_MEDICATIONS = 20;
+const MAX_TEXT_LENGTH = 4000;
+
+// Form arrays keep blank entries so parallel medication columns stay aligned.
+function listFormValues(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item || "").trim());
+}
+
+function clampText(value, maxLength = MAX_TEXT_LENGTH) {
+  return String(value || "").trim().slice(0, maxLength);
+}
+
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Read the care plan form. Tasks come one per line; medications come as parallel
+ * name/dosage/frequency/instructions columns and rows without a name are dropped.
+ */
+function normalizeCarePlanInput(body = {}) {
+  const shiftTasks = String(body.shift_tasks || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^[-*\d.)\s]+/, "").trim().slice(0, 200))
+    .filter(Boolean);
+  const uniqueTasks = [...new Set(shiftTasks)];
+  if (uniqueTasks.length > MAX_SHIFT_TASKS) {
+    throw new Error(`A care plan can have at most ${MAX_SHIFT_TASKS} shift tasks.`);
+  }
+
+  const names = listFormValues(body.medication_name);
+  const dosages = listFormValues(body.medication_dosage);
+  const frequencies = listFormValues(body.medication_frequency);
+  const instructions = listFormValues(body.medication_instructions);
+  const medications = names
+    .map((name, index) => ({
+      name: name.slice(0, 120),
+      dosage: (dosages[index] || "").slice(0, 80),
+      frequency: (frequencies[index] || "").slice(0, 80),
+      instructions: (instructions[index] || "").slice(0, 300)
+    }))
+    .filter((medication) => medication.name);
+  if (medications.length > MAX_MEDICATIONS) {
+    throw new Error(`A care plan can list at most ${MAX_MEDICATIONS} medications.`);
+  }
+
+  const plan = {
+    goals: clampText(body.goals),
+    shiftTasks: uniqueTasks,
+    medications,
+    precautions: clampText(body.precautions)
+  };
+  if (!plan.goals && !plan.shiftTasks.length && !plan.medications.length && !plan.precautions) {
+    throw new Error("Add at least one goal, task, medication or precaution.");
+  }
+  return plan;
+}
+
+function mapCarePlanRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    requestId: row.request_id,
+    goals: row.goals || "",
+    shiftTasks: parseJsonArray(row.shift_tasks).map(String),
+    medications: parseJsonArray(row.medications),
+    precautions: row.precautions || "",
+    updatedAt: row.updated_at_label || "",
+    updatedByName: row.updated_by_name || ""
+  };
+}
+
+async function getCarePlan(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cp.*,
+        to_char(cp.updated_at, 'YYYY-MM-DD HH24:MI') AS updated_at_label,
+        COALESCE(n.full_name, a.full_name, u.email) AS updated_by_name
+     FROM care_plans cp
+     LEFT JOIN users u ON u.id = cp.updated_by_user_id
+     LEFT JOIN agents a ON a.user_id = u.id
+     LEFT JOIN nurses n ON n.user_id = u.id
+     WHERE cp.request_id = $1`,
+    [requestId]
+  );
+  return mapCarePlanRow(result.rows[0]);
+}
+
+/**
+ * Create or replace the plan for a request.
+ * @returns {Promise<{created: boolean}>}
+ */
+async function saveCarePlan(db, requestId, plan, actorUserId = null) {
+  const userId = typeof actorUserId === "number" ? actorUserId : null;
+  const result = await db.query(
+    `INSERT INTO care_plans (request_id, goals, shift_tasks, medications, precautions, created_by_user_id, updated_by_user_id)
+     VALUES ($1, NULLIF($2, ''), $3::jsonb, $4::jsonb, NULLIF($5, ''), $6, $6)
+     ON CONFLICT (request_id)
+     DO UPDATE SET
+       goals = EXCLUDED.goals,
+       shift_tasks = EXCLUDED.shift_tasks,
+       medications = EXCLUDED.medications,
+       precautions = EXCLUDED.precautions,
+       updated_by_user_id = EXCLUDED.updated_by_user_id,
+       updated_at = NOW()
+     RETURNING (xmax = 0) AS created`,
+    [
+      requestId,
+      plan.goals,
+      JSON.stringify(plan.shiftTasks),
+      JSON.stringify(plan.medications),
+      plan.precautions,
+      userId
+    ]
+  );
+  return { created: Boolean(result.rows[0] && result.rows[0].created) };
+}
+
+async function listVisitNotes(db, requestId, limit = 60) {
+  const result = await db.query(
+    `SELECT
+        v.id,
+        v.request_id,
+        v.nurse_id,
+        n.full_name AS nurse_name,
+        v.shift_id,
+        s.shift_label,
+        to_char(v.visit_date, 'YYYY-MM-DD') AS visit_date,
+        to_char(v.visit_date, 'Dy') AS visit_weekday,
+        v.tasks_completed,
+        v.observations,
+        v.notes,
+        to_char(v.created_at, 'YYYY-MM-DD HH24:MI') AS created_at
+     FROM care_visit_notes v
+     LEFT JOIN nurses n ON n.id = v.nurse_id
+     LEFT JOIN care_request_shifts s ON s.id = v.shift_id
+     WHERE v.request_id = $1
+     ORDER BY v.visit_date DESC, v.id DESC
+     LIMIT $2`,
+    [requestId, limit]
+  );
+  return result.rows.map((row) => ({ ...row, tasks_completed: parseJsonArray(row.tasks_completed).map(String) }));
+}
+
+/**
+ * Validate a nurse's visit note against the plan: ticked tasks must come from the plan and the
+ * visit date cannot be in the future.
+ */
+function normalizeVisitNoteInput(body = {}, plan = null) {
+  const visitDate = normalizeDateInput(body.visit_date) || formatLocalDate(new Date());
+  if (visitDate > formatLocalDate(new Date())) {
+    throw new Error("Visit notes cannot be dated in the future.");
+  }
+
+  const planTasks = plan ? plan.shiftTasks : [];
+  const tasksCompleted = [...new Set(listFormValues(body.tasks_completed))]
+    .filter((task) => planTasks.includes(task));
+  const observations = clampText(body.observations, 2000);
+  const notes = clampText(body.notes, 2000);
+
+  if (!tasksCompleted.length && !observations && !notes) {
+    throw new Error("Tick the tasks you completed or add observations before saving the visit note.");
+  }
+  return { visitDate, tasksCompleted, observations, notes };
+}
+
+/**
+ * Store a visit note for the nurse's active assignment. The note is linked to the nurse's shift
+ * on that date when one exists.
+ */
+async function createVisitNote(db, { requestId, nurseId, userId, note }) {
+  const requestResult = await db.query(
+    "SELECT id, status, assigned_nurse_id FROM care_requests WHERE id = $1",
+    [requestId]
+  );
+  const requestItem = requestResult.rows[0];
+  if (!requestItem || requestItem.assigned_nurse_id !== nurseId) {
+    throw new Error("You can only add visit notes for your own assignments.");
+  }
+  if (requestItem.status !== "active") {
+    throw new Error("Visit notes can only be added while the job is active.");
+  }
+
+  const shiftResult = await db.query(
+    `SELECT id
+     FROM care_request_shifts
+     WHERE request_id = $1
+       AND nurse_id = $2
+       AND shift_date = $3::date
+       AND status <> 'cancelled'
+     ORDER BY starts_at ASC
+     LIMIT 1`,
+    [requestId, nurseId, note.visitDate]
+  );
+  const shiftId = shiftResult.rows[0] ? shiftResult.rows[0].id : null;
+
+  const result = await db.query(
+    `INSERT INTO care_visit_notes (request_id, nurse_id, shift_id, visit_date, tasks_completed, observations, notes, created_by_user_id)
+     VALUES ($1, $2, $3, $4::date, $5::jsonb, NULLIF($6, ''), NULLIF($7, ''), $8)
+     RETURNING id`,
+    [
+      requestId,
+      nurseId,
+      shiftId,
+      note.visitDate,
+      JSON.stringify(note.tasksCompleted),
+      note.observations,
+      note.notes,
+      typeof userId === "number" ? userId : null
+    ]
+  );
+  return { id: result.rows[0].id, shiftId };
+}
+
+/**
+ * Active assignments of a nurse with their care plan and most recent visit notes, for the
+ * nurse dashboard.
+ */
+async function listNurseCarePlanAssignments(db, nurseId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     WHERE cr.assigned_nurse_id = $1
+       AND cr.status = 'active'
+     ORDER BY cr.created_at DESC
+     LIMIT 20`,
+    [nurseId]
+  );
+
+  return Promise.all(result.rows.map(async (row) => ({
+    ...row,
+    carePlan: await getCarePlan(db, row.id),
+    recentNotes: await listVisitNotes(db, row.id, 3)
+  })));
+}
+
+module.exports = {
+  CARE_PLAN_EDITABLE_STATUSES,
+  createVisitNote,
+  getCarePlan,
+  listNurseCarePlanAssignments,
+  listVisitNotes,
+  normalizeCarePlanInput,
+  normalizeVisitNoteInput,
+  saveCarePlan
+};
@@ -0,0 +1,324 @@
+const { addDays, formatLocalDate, normalizeDateInput } = require("./careShifts");
+
+// Why a nurse's period on a request ended. The first five are the replacement reasons admins
+// pick from; the rest are recorded by the care request workflow.
+const ASSIGNMENT_END_REASONS = {
+  nurse_sick: "Nurse fell sick",
+  family_complaint: "Family complaint",
+  nurse_unavailable: "Nurse unavailable",
+  performance: "Performance concern",
+  other: "Other",
+  reassigned: "Reopened for reassignment",
+  completed: "Service completed",
+  cancelled: "Request cancelled",
+  nurse_removed: "Nurse account deleted"
+};
+const REPLACEMENT_REASONS = ["nurse_sick", "family_complaint", "nurse_unavailable", "performance", "other"];
+// Longest gap allowed between the outgoing nurse's last day and the incoming nurse's first.
+const MAX_HANDOVER_GAP_DAYS = 14;
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Read the replacement form. The outgoing nurse's last day defaults to today and the incoming
+ * nurse starts the next day unless a start date is given.
+ */
+function normalizeReplacementInput(body = {}) {
+  const incomingNurseId = Number.parseInt(body.incoming_nurse_id, 10);
+  if (!Number.isInteger(incomingNurseId) || incomingNurseId <= 0) {
+    throw new Error("Choose the replacement nurse.");
+  }
+  const reason = String(body.reason || "").trim();
+  if (!REPLACEMENT_REASONS.includes(reason)) {
+    throw new Error("Choose why the nurse is being replaced.");
+  }
+  const note = String(body.note || "").trim().slice(0, 1000);
+  if (reason === "other" && !note) {
+    throw new Error("Describe the reason for the replacement.");
+  }
+
+  const endsOn = normalizeDateInput(body.ends_on) || formatLocalDate(new Date());
+  const startsOn = normalizeDateInput(body.starts_on) || addDays(endsOn, 1);
+  const gap = daysBetween(endsOn, startsOn);
+  if (gap < 0) {
+    throw new Error("The replacement cannot start before the outgoing nurse's last day.");
+  }
+  if (gap > MAX_HANDOVER_GAP_DAYS) {
+    throw new Error(`The replacement should start within ${MAX_HANDOVER_GAP_DAYS} days of the outgoing nurse's last day.`);
+  }
+
+  return { incomingNurseId, reason, note, endsOn, startsOn };
+}
+
+async function getOpenAssignment(db, requestId) {
+  const result = await db.query(
+    `SELECT id, nurse_id, to_char(starts_on, 'YYYY-MM-DD') AS starts_on
+     FROM care_request_assignments
+     WHERE request_id = $1
+       AND ends_on IS NULL
+     FOR UPDATE`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Close the request's open assignment period on `endsOn` (today by default). A period never
+ * ends before it started.
+ */
+async function endAssignmentPeriod(db, requestId, { endsOn = null, reason, note = null, actorUserId = null } = {}) {
+  const result = await db.query(
+    `UPDATE care_request_assignments
+     SET ends_on = GREATEST(starts_on, COALESCE($2::date, CURRENT_DATE)),
+         end_reason = $3,
+         end_note = $4,
+         ended_by_user_id = $5,
+         updated_at = NOW()
+     WHERE request_id = $1
+       AND ends_on IS NULL
+     RETURNING id, nurse_id, to_char(starts_on, 'YYYY-MM-DD') AS starts_on, to_char(ends_on, 'YYYY-MM-DD') AS ends_on`,
+    [requestId, endsOn, reason, note || null, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Open an assignment period for the nurse now assigned to the request. Nothing changes when
+ * that nurse's period is already open; another nurse's open period is closed first.
+ */
+async function startAssignmentPeriod(db, requestId, nurseId, { startsOn = null, actorUserId = null } = {}) {
+  if (!Number.isInteger(nurseId)) return null;
+  const open = await getOpenAssignment(db, requestId);
+  if (open && open.nurse_id === nurseId) return open;
+  if (open) {
+    await endAssignmentPeriod(db, requestId, { reason: "reassigned", actorUserId });
+  }
+
+  const result = await db.query(
+    `INSERT INTO care_request_assignments (request_id, nurse_id, starts_on, created_by_user_id)
+     VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4)
+     RETURNING id, nurse_id, to_char(starts_on, 'YYYY-MM-DD') AS starts_on`,
+    [requestId, nurseId, startsOn, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Bring the request's assignment periods in line with its assigned nurse after the nurse
+ * changed: open a period for the new nurse, or close the open one when the nurse was cleared.
+ */
+async function syncAssignmentPeriod(db, requestId, nurseId, { reason = "reassigned", actorUserId = null } = {}) {
+  if (Number.isInteger(nurseId)) {
+    return startAssignmentPeriod(db, requestId, nurseId, { actorUserId });
+  }
+  return endAssignmentPeriod(db, requestId, { reason, actorUserId });
+}
+
+/**
+ * Close every open period of a nurse whose account is being deleted, on every request.
+ */
+async function endNurseAssignmentPeriods(db, nurseId, { actorUserId = null } = {}) {
+  const result = await db.query(
+    `UPDATE care_request_assignments
+     SET ends_on = GREATEST(starts_on, CURRENT_DATE),
+         end_reason = 'nurse_removed',
+         ended_by_user_id = $2,
+         updated_at = NOW()
+     WHERE nurse_id = $1
+       AND ends_on IS NULL`,
+    [nurseId, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  return result.rowCount || 0;
+}
+
+/**
+ * Requests assigned before assignment periods were recorded get one for their current nurse,
+ * starting on that nurse's first shift or, failing that, the day they were assigned.
+ */
+async function ensureOpenAssignment(db, requestId, nurseId) {
+  const open = await getOpenAssignment(db, requestId);
+  if (open) return open;
+
+  const startResult = await db.query(
+    `SELECT to_char(COALESCE(
+        (SELECT MIN(s.shift_date) FROM care_request_shifts s WHERE s.request_id = $1 AND s.nurse_id = $2),
+        (
+          SELECT MAX(l.created_at)::date
+          FROM care_request_lifecycle_logs l
+          WHERE l.request_id = $1
+            AND l.assigned_nurse_id = $2
+            AND l.next_status = 'assigned'
+        ),
+        (SELECT cr.created_at::date FROM care_requests cr WHERE cr.id = $1),
+        CURRENT_DATE
+      ), 'YYYY-MM-DD') AS starts_on`,
+    [requestId, nurseId]
+  );
+  return startAssignmentPeriod(db, requestId, nurseId, { startsOn: startResult.rows[0].starts_on });
+}
+
+/**
+ * The approved nurse taking over a request, or an error explaining why they cannot.
+ */
+async function findReplacementNurse(db, nurseId) {
+  const result = await db.query(
+    `SELECT n.id, n.full_name, n.user_id, n.status
+     FROM nurses n
+     LEFT JOIN users u ON u.id = n.user_id
+     WHERE n.id = $1
+       AND (u.id IS NULL OR COALESCE(u.is_deleted, FALSE) = FALSE)
+     LIMIT 1`,
+    [nurseId]
+  );
+  const nurse = result.rows[0];
+  if (!nurse) throw new Error("Replacement nurse not found.");
+  if (nurse.status !== "Approved") {
+    throw new Error(`${nurse.full_name || "This nurse"} is not an approved nurse.`);
+  }
+  return nurse;
+}
+
+/**
+ * Hand a request over from its current nurse to another inside the caller's transaction: end
+ * the outgoing period on `endsOn`, start the incoming one on `startsOn` and move the untouched
+ * scheduled shifts from that day onward. Shifts that fall in a gap between the two are
+ * cancelled. The caller updates care_requests.assigned_nurse_id.
+ */
+async function handOverAssignment(db, requestId, { outgoingNurseId, incomingNurseId, endsOn, startsOn, reason, note, actorUserId = null }) {
+  const open = await ensureOpenAssignment(db, requestId, outgoingNurseId);
+  if (endsOn < open.starts_on) {
+    throw new Error(`The outgoing nurse's last day cannot be before their assignment started on ${open.starts_on}.`);
+  }
+
+  const outgoing = await endAssignmentPeriod(db, requestId, { endsOn, reason, note, actorUserId });
+  const incoming = await startAssignmentPeriod(db, requestId, incomingNurseId, { startsOn, actorUserId });
+
+  const movedResult = await db.query(
+    `UPDATE care_request_shifts
+     SET nurse_id = $3,
+         updated_by_user_id = $4,
+         updated_at = NOW()
+     WHERE request_id = $1
+       AND shift_date >= $2::date
+       AND status = 'scheduled'
+       AND check_in_at IS NULL`,
+    [requestId, startsOn, incomingNurseId, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  const cancelledResult = await db.query(
+    `UPDATE care_request_shifts
+     SET status = 'cancelled',
+         notes = CONCAT_WS(' ', NULLIF(notes, ''), 'Cancelled: no nurse between handover dates.'),
+         updated_by_user_id = $4,
+         updated_at = NOW()
+     WHERE request_id = $1
+       AND shift_date > $2::date
+       AND shift_date < $3::date
+       AND status = 'scheduled'
+       AND check_in_at IS NULL`,
+    [requestId, endsOn, startsOn, typeof actorUserId === "number" ? actorUserId : null]
+  );
+
+  return {
+    outgoing,
+    incoming,
+    movedShifts: movedResult.rowCount || 0,
+    cancelledShifts: cancelledResult.rowCount || 0
+  };
+}
+
+/**
+ * Assignment history for the request detail page, oldest first, with the reason each period
+ * ended and how many shifts the nurse worked in it.
+ */
+async function listCareRequestAssignments(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        a.id,
+        a.nurse_id,
+        n.full_name AS nurse_name,
+        to_char(a.starts_on, 'YYYY-MM-DD') AS starts_on,
+        to_char(a.ends_on, 'YYYY-MM-DD') AS ends_on,
+        (COALESCE(a.ends_on, CURRENT_DATE) - a.starts_on + 1)::int AS days,
+        a.end_reason,
+        a.end_note,
+        ended_by.email AS ended_by_email,
+        (
+          SELECT COUNT(*)::int
+          FROM care_request_shifts s
+          WHERE s.request_id = a.request_id
+            AND s.nurse_id = a.nurse_id
+            AND s.shift_date BETWEEN a.starts_on AND COALESCE(a.ends_on, s.shift_date)
+            AND ((s.check_in_at IS NOT NULL AND s.check_out_at IS NOT NULL) OR s.status = 'completed')
+        ) AS worked_shifts
+     FROM care_request_assignments a
+     LEFT JOIN nurses n ON n.id = a.nurse_id
+     LEFT JOIN users ended_by ON ended_by.id = a.ended_by_user_id
+     WHERE a.request_id = $1
+     ORDER BY a.starts_on ASC, a.id ASC`,
+    [requestId]
+  );
+  return result.rows.map((row) => ({
+    ...row,
+    end_reason_label: row.end_reason ? ASSIGNMENT_END_REASONS[row.end_reason] || row.end_reason : null
+  }));
+}
+
+/**
+ * Days each nurse covered on the request, for splitting earnings when there is no shift
+ * roster. Only days inside the service window count: from the first scheduled shift (or the
+ * service start date) to the last one, and never past `untilDate` (today by default). A nurse
+ * whose period ended before service began covers zero days.
+ * @returns {Promise<Array<{nurseId: number, days: number}>>}
+ */
+async function summarizeAssignmentDays(db, requestId, untilDate = null) {
+  const result = await db.query(
+    `WITH service_window AS (
+        SELECT
+          COALESCE(
+            (SELECT MIN(s.shift_date) FROM care_request_shifts s WHERE s.request_id = cr.id AND s.status <> 'cancelled'),
+            cr.service_starts_on,
+            (SELECT MIN(a.starts_on) FROM care_request_assignments a WHERE a.request_id = cr.id)
+          ) AS starts_on,
+          LEAST(
+            COALESCE($2::date, CURRENT_DATE),
+            COALESCE(
+              (SELECT MAX(s.shift_date) FROM care_request_shifts s WHERE s.request_id = cr.id AND s.status <> 'cancelled'),
+              COALESCE($2::date, CURRENT_DATE)
+            )
+          ) AS ends_on
+        FROM care_requests cr
+        WHERE cr.id = $1
+      )
+     SELECT
+        a.nurse_id,
+        SUM(GREATEST(
+          LEAST(COALESCE(a.ends_on, w.ends_on), w.ends_on) - GREATEST(a.starts_on, w.starts_on) + 1,
+          0
+        ))::int AS days
+     FROM care_request_assignments a
+     CROSS JOIN service_window w
+     WHERE a.request_id = $1
+       AND a.nurse_id IS NOT NULL
+     GROUP BY a.nurse_id
+     ORDER BY MIN(a.starts_on) ASC`,
+    [requestId, untilDate]
+  );
+  return result.rows.map((row) => ({ nurseId: row.nurse_id, days: row.days }));
+}
+
+module.exports = {
+  ASSIGNMENT_END_REASONS,
+  MAX_HANDOVER_GAP_DAYS,
+  REPLACEMENT_REASONS,
+  endAssignmentPeriod,
+  endNurseAssignmentPeriods,
+  findReplacementNurse,
+  handOverAssignment,
+  listCareRequestAssignments,
+  normalizeReplacementInput,
+  startAssignmentPeriod,
+  summarizeAssignmentDays,
+  syncAssignmentPeriod
+};
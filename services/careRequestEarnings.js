@@ -0,0 +1,240 @@
+const { syncCareRequestCommissionAccruals } = require("./agentCommissions");
+const { summarizeAssignmentDays } = require("./careRequestAssignments");
+const { resolveAttendanceEarnings, summarizeAttendanceByNurse } = require("./shiftAttendance");
+const { insertCareRequestLifecycleLog } = require("./careRequestLifecycle");
+
+// One row per request summing its earnings rows. A request carries a row per nurse once a
+// nurse has been replaced; the payout status reads "mixed" while those rows disagree.
+const CARE_REQUEST_EARNINGS_TOTALS_SQL = `
+  SELECT
+    request_id,
+    MIN(id) AS id,
+    COUNT(*)::int AS nurse_count,
+    SUM(gross_amount) AS gross_amount,
+    SUM(platform_fee) AS platform_fee,
+    SUM(referral_fee) AS referral_fee,
+    SUM(net_amount) AS net_amount,
+    CASE WHEN COUNT(DISTINCT payout_status) = 1 THEN MIN(payout_status) ELSE 'mixed' END AS payout_status,
+    MAX(payout_reference) AS payout_reference,
+    (ARRAY_AGG(notes ORDER BY updated_at DESC))[1] AS notes,
+    MAX(updated_at) AS updated_at
+  FROM care_request_earnings
+  GROUP BY request_id
+`;
+
+// Split `total` by `shares` to the paisa, giving the rounding remainder to the last nurse.
+function splitAmount(total, shares) {
+  const round = (value) => Number(value.toFixed(2));
+  let allocated = 0;
+  return shares.map((share, index) => {
+    if (index === shares.length - 1) return round(total - allocated);
+    const amount = round(total * share);
+    allocated += amount;
+    return amount;
+  });
+}
+
+/**
+ * How the request's earnings divide between nurses. A request served by one nurse pays that
+ * nurse in full. After a replacement each nurse is paid for the minutes they worked on the
+ * roster, or for the days of their assignment period inside the service window when there is
+ * no roster. A nurse replaced before service began gets nothing.
+ */
+async function resolveEarningsSplit(client, requestId, assignedNurseId, attendance) {
+  const periods = await summarizeAssignmentDays(client, requestId);
+  if (periods.length <= 1) {
+    return [{ nurseId: assignedNurseId, share: 1, basis: "single_nurse" }];
+  }
+
+  if (attendance) {
+    const worked = (await summarizeAttendanceByNurse(client, requestId))
+      .filter((item) => item.workedMinutes > 0);
+    const totalMinutes = worked.reduce((sum, item) => sum + item.workedMinutes, 0);
+    if (totalMinutes > 0) {
+      return worked.map((item) => ({
+        nurseId: item.nurseId,
+        share: item.workedMinutes / totalMinutes,
+        basis: "worked_minutes",
+        workedMinutes: item.workedMinutes
+      }));
+    }
+  }
+
+  const served = periods.filter((item) => item.days > 0);
+  if (served.length <= 1) {
+    return [{ nurseId: served.length ? served[0].nurseId : assignedNurseId, share: 1, basis: "single_nurse" }];
+  }
+  const totalDays = served.reduce((sum, item) => sum + item.days, 0);
+  return served
+    .map((item) => ({
+      nurseId: item.nurseId,
+      share: item.days / totalDays,
+      basis: "assignment_days",
+      days: item.days
+    }));
+}
+
+/**
+ * Snapshot the nurses' earnings for a completed request and accrue agent commissions. When a
+ * nurse was replaced mid-service the earnings are split between the nurses who served. Rows
+ * already included in a payout batch are left untouched.
+ * @returns {Promise<object|null>} The assigned nurse's earnings row, or the first one written.
+ */
+async function upsertCareRequestEarnings(client, requestId, actor, note) {
+  const detailsResult = await client.query(
+    `SELECT
+      cr.id,
+      cr.patient_id,
+      cr.assigned_nurse_id,
+      COALESCE(
+        p.nurse_amount,
+        NULLIF(cr.budget_max, 0),
+        NULLIF(cr.budget_min, 0),
+        p.budget,
+        0
+      ) AS gross_amount,
+      COALESCE(p.commission_amount, 0) AS platform_fee,
+      COALESCE(p.referral_commission_amount, 0) AS referral_fee,
+      p.nurse_net_amount
+   FROM care_requests cr
+   LEFT JOIN patients p ON p.id = cr.patient_id
+   WHERE cr.id = $1
+   LIMIT 1`,
+    [requestId]
+  );
+  const details = detailsResult.rows[0];
+  if (!details || !details.assigned_nurse_id) {
+    return null;
+  }
+
+  // Scale the contracted amounts by the attended share of the shift roster.
+  const resolved = await resolveAttendanceEarnings(client, requestId, {
+    grossAmount: details.gross_amount,
+    platformFee: details.platform_fee,
+    referralFee: details.referral_fee,
+    nurseNetAmount: details.nurse_net_amount
+  });
+  const { grossAmount, platformFee, referralFee, netAmount } = resolved;
+
+  const split = await resolveEarningsSplit(client, requestId, details.assigned_nurse_id, resolved.attendance);
+  const shares = split.map((item) => item.share);
+  const grossShares = splitAmount(grossAmount, shares);
+  const platformFeeShares = splitAmount(platformFee, shares);
+  const referralFeeShares = splitAmount(referralFee, shares);
+  const netShares = splitAmount(netAmount, shares);
+  const actorUserId = actor && typeof actor.userId === "number" ? actor.userId : null;
+
+  const rows = [];
+  for (const [index, portion] of split.entries()) {
+    const earningsUpsertResult = await client.query(
+      `INSERT INTO care_request_earnings (
+        request_id,
+        nurse_id,
+        patient_id,
+        gross_amount,
+        platform_fee,
+        referral_fee,
+        net_amount,
+        payout_status,
+        notes,
+        generated_by_user_id,
+        generated_at,
+        updated_at
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,'pending',$8,$9,NOW(),NOW())
+      ON CONFLICT (request_id, nurse_id)
+      DO UPDATE SET
+        patient_id = EXCLUDED.patient_id,
+        gross_amount = EXCLUDED.gross_amount,
+        platform_fee = EXCLUDED.platform_fee,
+        referral_fee = EXCLUDED.referral_fee,
+        net_amount = EXCLUDED.net_amount,
+        notes = EXCLUDED.notes,
+        generated_by_user_id = EXCLUDED.generated_by_user_id,
+        updated_at = NOW()
+      WHERE care_request_earnings.payout_batch_id IS NULL
+      RETURNING *`,
+      [
+        requestId,
+        portion.nurseId,
+        details.patient_id || null,
+        grossShares[index],
+        platformFeeShares[index],
+        referralFeeShares[index],
+        Math.max(netShares[index], 0),
+        note || "Earnings generated on completion.",
+        actorUserId
+      ]
+    );
+    const earnings = earningsUpsertResult.rows[0];
+    if (!earnings) continue;
+    rows.push(earnings);
+
+    await insertCareRequestLifecycleLog(client, {
+      requestId,
+      eventType: "earnings_generated",
+      assignedNurseId: portion.nurseId,
+      comment: note || "Earnings generated/updated for completed request.",
+      changedByUserId: actorUserId,
+      changedByRole: actor && actor.role ? actor.role : "system",
+      metadata: {
+        earningsId: earnings.id,
+        grossAmount: grossShares[index],
+        platformFee: platformFeeShares[index],
+        referralFee: referralFeeShares[index],
+        netAmount: Math.max(netShares[index], 0),
+        basis: resolved.basis,
+        attendance: resolved.attendance,
+        split: split.length > 1 ? portion : null
+      }
+    });
+  }
+
+  // Drop unbatched rows for nurses no longer part of the split, e.g. after a reassignment.
+  await client.query(
+    `DELETE FROM care_request_earnings
+     WHERE request_id = $1
+       AND payout_batch_id IS NULL
+       AND NOT (nurse_id = ANY($2::int[]))`,
+    [requestId, split.map((item) => item.nurseId)]
+  );
+
+  if (rows.length) {
+    await syncCareRequestCommissionAccruals(client, requestId, actor);
+  }
+
+  return rows.find((row) => row.nurse_id === details.assigned_nurse_id) || rows[0] || null;
+}
+
+/**
+ * Earnings rows for the request detail page, one per nurse who served.
+ */
+async function listCareRequestEarnings(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        ce.id,
+        ce.nurse_id,
+        n.full_name AS nurse_name,
+        ce.gross_amount,
+        ce.platform_fee,
+        ce.referral_fee,
+        ce.net_amount,
+        ce.payout_status,
+        ce.payout_batch_id,
+        ce.updated_at
+     FROM care_request_earnings ce
+     LEFT JOIN nurses n ON n.id = ce.nurse_id
+     WHERE ce.request_id = $1
+     ORDER BY ce.generated_at ASC, ce.id ASC`,
+    [requestId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  CARE_REQUEST_EARNINGS_TOTALS_SQL,
+  listCareRequestEarnings,
+  resolveEarningsSplit,
+  splitAmount,
+  upsertCareRequestEarnings
+};
@@ -0,0 +1,493 @@
+const { transitionCareRequest } = require("./careRequestWorkflow");
+const {
+  addDays,
+  formatLocalDate,
+  normalizeDateInput,
+  normalizeTimeInput,
+  normalizeVisitDaysInput
+} = require("./careShifts");
+const {
+  findAdminUserIds,
+  findCareRequestRecipients,
+  notifyUsers,
+  notifyUsersNow
+} = require("./notifications");
+const { insertCareRequestLifecycleLog } = require("./careRequestLifecycle");
+
+// Families and agents are prompted this many days before the last scheduled shift.
+const RENEWAL_NOTICE_DAYS = 7;
+const RENEWAL_WORKER_INTERVAL_MS = 60 * 60 * 1000;
+const RENEWABLE_STATUSES = ["active", "completed"];
+const RENEWAL_DURATION_UNITS = ["days", "weeks", "months"];
+
+// A request and what a renewal would carry over. The request ends on its last shift that was
+// not cancelled; requests without a roster have no end date.
+const RENEWAL_SOURCE_SQL = `
+  SELECT
+    cr.id,
+    cr.status,
+    cr.patient_id,
+    cr.assigned_nurse_id,
+    n.full_name AS assigned_nurse_name,
+    n.user_id AS assigned_nurse_user_id,
+    (n.status = 'Approved' AND COALESCE(nu.is_deleted, FALSE) = FALSE) AS nurse_can_continue,
+    COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+    COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS patient_name,
+    p.agent_email,
+    COALESCE(NULLIF(p.service_schedule, ''), '') AS service_schedule,
+    COALESCE(p.duration_value, cr.duration_value) AS duration_value,
+    COALESCE(NULLIF(p.duration_unit, ''), cr.duration_unit, 'months') AS duration_unit,
+    COALESCE(NULLIF(p.budget, 0), NULLIF(cr.budget_max, 0), NULLIF(cr.budget_min, 0), 0)::numeric(12,2) AS budget,
+    COALESCE(cr.visit_days, ARRAY[]::text[]) AS visit_days,
+    COALESCE(cr.visit_time, '') AS visit_time,
+    cr.renewal_prompted_at,
+    cr.renewed_from_request_id,
+    COALESCE(previous.request_code, CONCAT('CR-', previous.id::text)) AS renewed_from_code,
+    to_char(ends.last_shift_date, 'YYYY-MM-DD') AS ends_on,
+    renewal.id AS renewal_request_id,
+    COALESCE(renewal.request_code, CONCAT('CR-', renewal.id::text)) AS renewal_request_code,
+    renewal.status AS renewal_status
+  FROM care_requests cr
+  LEFT JOIN patients p ON p.id = cr.patient_id
+  LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+  LEFT JOIN users nu ON nu.id = n.user_id
+  LEFT JOIN care_requests previous ON previous.id = cr.renewed_from_request_id
+  LEFT JOIN care_requests renewal
+    ON renewal.renewed_from_request_id = cr.id
+   AND renewal.status <> 'cancelled'
+  LEFT JOIN LATERAL (
+    SELECT MAX(s.shift_date) AS last_shift_date
+    FROM care_request_shifts s
+    WHERE s.request_id = cr.id
+      AND s.status <> 'cancelled'
+  ) ends ON TRUE`;
+
+function describeRenewalSource(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    budget: Number.parseFloat(row.budget) || 0,
+    visit_days: normalizeVisitDaysInput(row.visit_days),
+    canRenew: RENEWABLE_STATUSES.includes(row.status) && !row.renewal_request_id
+  };
+}
+
+/**
+ * The request with its end date, renewal link and the terms a renewal starts from.
+ */
+async function loadRenewalSource(db, requestId) {
+  const result = await db.query(`${RENEWAL_SOURCE_SQL} WHERE cr.id = $1 LIMIT 1`, [requestId]);
+  return describeRenewalSource(result.rows[0]);
+}
+
+/**
+ * Whether the family should be offered a renewal now: the request is renewable and active
+ * care ends within the notice window, or care has already been completed.
+ */
+function isRenewalDue(source, today = formatLocalDate(new Date())) {
+  if (!source || !source.canRenew) return false;
+  if (source.status === "completed") return true;
+  return Boolean(source.ends_on) && source.ends_on <= addDays(today, RENEWAL_NOTICE_DAYS);
+}
+
+/**
+ * Prefill for the renewal form: the same schedule, length and budget, starting the day after
+ * the current request ends, with the same nurse.
+ */
+function buildRenewalDefaults(source) {
+  const today = formatLocalDate(new Date());
+  const dayAfterEnd = source.ends_on ? addDays(source.ends_on, 1) : today;
+  return {
+    serviceSchedule: source.service_schedule,
+    durationValue: source.duration_value || "",
+    durationUnit: source.duration_unit || "months",
+    budget: source.budget || "",
+    visitDays: source.visit_days,
+    visitTime: source.visit_time,
+    startsOn: dayAfterEnd > today ? dayAfterEnd : today,
+    keepNurse: Boolean(source.assigned_nurse_id && source.nurse_can_continue)
+  };
+}
+
+/**
+ * Read the renewal terms. The service schedule is validated by the caller, which knows the
+ * configured schedule options.
+ */
+function normalizeRenewalInput(body = {}) {
+  const durationValue = Number.parseInt(body.durationValue, 10);
+  const durationUnit = String(body.durationUnit || "").trim();
+  if (!RENEWAL_DURATION_UNITS.includes(durationUnit) || Number.isNaN(durationValue) || durationValue < 1) {
+    throw new Error("Please enter a valid duration.");
+  }
+  const budget = Number.parseFloat(body.budget);
+  if (Number.isNaN(budget) || budget <= 0) {
+    throw new Error("Please enter a valid budget.");
+  }
+  const startsOn = normalizeDateInput(body.startsOn);
+  if (!startsOn) {
+    throw new Error("Enter the date the renewed care starts.");
+  }
+  const visitTimeInput = String(body.visitTime || "").trim();
+  const visitTime = normalizeTimeInput(visitTimeInput);
+  if (visitTimeInput && !visitTime) {
+    throw new Error("Enter the visit time as HH:MM.");
+  }
+
+  return {
+    durationValue,
+    durationUnit,
+    budget,
+    startsOn,
+    visitDays: normalizeVisitDaysInput(body.visitDays),
+    visitTime,
+    keepNurse: ["1", "true", "on", "yes"].includes(String(body.keepNurse || "").trim().toLowerCase()),
+    notes: String(body.notes || "").trim()
+  };
+}
+
+/**
+ * Create the follow-on request inside the caller's transaction. The patient record is copied
+ * with the new terms, the care plan, alert ranges and ongoing medications carry over, and the
+ * same nurse is assigned straight away when asked for and still approved. The original request
+ * and its history are left as they are. The caller allocates the ids and codes and runs
+ * finishCareRequestTransition and the notifications after COMMIT.
+ */
+async function createRenewalRequest(client, sourceId, input, { patientId, requestCode, editToken, serviceSchedule, actor }) {
+  await client.query("SELECT id FROM care_requests WHERE id = $1 FOR UPDATE", [sourceId]);
+  const source = await loadRenewalSource(client, sourceId);
+  if (!source) {
+    throw new Error("Care request not found.");
+  }
+  if (source.renewal_request_id) {
+    throw new Error(`This request was already renewed as ${source.renewal_request_code}.`);
+  }
+  if (!RENEWABLE_STATUSES.includes(source.status)) {
+    throw new Error("Only active or completed requests can be renewed.");
+  }
+
+  const keepNurse = input.keepNurse && Boolean(source.assigned_nurse_id) && source.nurse_can_continue;
+  const schedule = serviceSchedule || source.service_schedule;
+  // Agreed payouts and commissions only carry over when the price is unchanged.
+  const sameTerms = Number(input.budget) === Number(source.budget);
+
+  await client.query(
+    `INSERT INTO patients (
+      id, user_id, request_id, full_name, email, phone_number, city,
+      service_schedule, duration, duration_unit, duration_value,
+      budget_type, budget_min, budget_max, budget, notes, status, agent_email,
+      nurse_id, nurse_amount, commission_type, commission_value, commission_amount, nurse_net_amount,
+      referrer_nurse_id, referral_commission_percent, referral_commission_amount,
+      preferred_nurse_id, preferred_nurse_name,
+      transfer_margin_type, transfer_margin_value, transfer_margin_amount,
+      last_transferred_at, last_transferred_by, created_at
+    )
+    SELECT
+      $2, p.user_id, $3, p.full_name, p.email, p.phone_number, p.city,
+      $4, CONCAT($5::int, ' ', $6::text), $6, $5,
+      p.budget_type, $7, $7, $7, COALESCE(NULLIF($8, ''), p.notes), 'New', p.agent_email,
+      CASE WHEN $10 THEN $11::int ELSE NULL END,
+      CASE WHEN $9 THEN p.nurse_amount ELSE NULL END,
+      p.commission_type, p.commission_value,
+      CASE WHEN $9 THEN p.commission_amount ELSE 0 END,
+      CASE WHEN $9 THEN p.nurse_net_amount ELSE NULL END,
+      p.referrer_nurse_id, p.referral_commission_percent,
+      CASE WHEN $9 THEN p.referral_commission_amount ELSE 0 END,
+      CASE WHEN $10 THEN $11::int ELSE p.preferred_nurse_id END,
+      CASE WHEN $10 THEN $12 ELSE p.preferred_nurse_name END,
+      p.transfer_margin_type, p.transfer_margin_value,
+      CASE WHEN $9 THEN p.transfer_margin_amount ELSE 0 END,
+      p.last_transferred_at, p.last_transferred_by, NOW()
+    FROM patients p
+    WHERE p.id = $1`,
+    [
+      source.patient_id,
+      patientId,
+      requestCode,
+      schedule,
+      input.durationValue,
+      input.durationUnit,
+      input.budget,
+      input.notes,
+      sameTerms,
+      keepNurse,
+      source.assigned_nurse_id,
+      source.assigned_nurse_name || ""
+    ]
+  );
+
+  const requestResult = await client.query(
+    `INSERT INTO care_requests (
+      patient_id, request_code, edit_token, visibility_status, care_type,
+      duration_value, duration_unit, budget_min, budget_max,
+      marketplace_ready, status, payment_status, nurse_notified,
+      preferred_nurse_gender, preferred_languages, service_latitude, service_longitude,
+      renewed_from_request_id, service_starts_on, visit_days, visit_time
+    )
+    SELECT
+      $2, $3, $4, cr.visibility_status, COALESCE(NULLIF($10, ''), cr.care_type),
+      $5, $6, $7, $7,
+      FALSE, 'open', 'pending', FALSE,
+      cr.preferred_nurse_gender, cr.preferred_languages, cr.service_latitude, cr.service_longitude,
+      cr.id, $8::date, $9::text[], NULLIF($11, '')
+    FROM care_requests cr
+    WHERE cr.id = $1
+    RETURNING id, status, payment_status, assigned_nurse_id`,
+    [
+      sourceId,
+      patientId,
+      requestCode,
+      editToken,
+      input.durationValue,
+      input.durationUnit,
+      input.budget,
+      input.startsOn,
+      input.visitDays,
+      input.notes,
+      input.visitTime
+    ]
+  );
+  const renewal = requestResult.rows[0];
+
+  await client.query(
+    `INSERT INTO care_plans (request_id, goals, shift_tasks, medications, precautions, created_by_user_id, updated_by_user_id)
+     SELECT $2, goals, shift_tasks, medications, precautions, $3, $3
+     FROM care_plans
+     WHERE request_id = $1`,
+    [sourceId, renewal.id, typeof actor.userId === "number" ? actor.userId : null]
+  );
+  await client.query(
+    `INSERT INTO vital_alert_ranges (request_id, metric, low_value, high_value, updated_by_user_id)
+     SELECT $2, metric, low_value, high_value, $3
+     FROM vital_alert_ranges
+     WHERE request_id = $1`,
+    [sourceId, renewal.id, typeof actor.userId === "number" ? actor.userId : null]
+  );
+  const medicationsResult = await client.query(
+    `INSERT INTO medication_schedules (
+      request_id, patient_id, medication_name, dosage, route, dose_times, instructions,
+      start_date, end_date, created_by_user_id, updated_by_user_id
+    )
+    SELECT $2, $3, medication_name, dosage, route, dose_times, instructions, $4::date, end_date, $5, $5
+    FROM medication_schedules
+    WHERE request_id = $1
+      AND stopped_at IS NULL
+      AND (end_date IS NULL OR end_date >= $4::date)`,
+    [sourceId, renewal.id, patientId, input.startsOn, typeof actor.userId === "number" ? actor.userId : null]
+  );
+
+  const summary = `${input.durationValue} ${input.durationUnit} from ${input.startsOn}`;
+  await insertCareRequestLifecycleLog(client, {
+    requestId: renewal.id,
+    eventType: "created_as_renewal",
+    nextStatus: renewal.status,
+    comment: `Renewal of ${source.request_code}: ${summary}.`,
+    changedByUserId: actor.userId,
+    changedByRole: actor.role,
+    metadata: {
+      renewedFromRequestId: sourceId,
+      visitDays: input.visitDays,
+      visitTime: input.visitTime || null,
+      carriedMedications: medicationsResult.rowCount || 0
+    }
+  });
+  await insertCareRequestLifecycleLog(client, {
+    requestId: sourceId,
+    eventType: "renewal_created",
+    assignedNurseId: source.assigned_nurse_id,
+    comment: `Renewed as ${requestCode}: ${summary}.`,
+    changedByUserId: actor.userId,
+    changedByRole: actor.role,
+    metadata: { renewalRequestId: renewal.id }
+  });
+
+  let outcome = null;
+  if (keepNurse) {
+    outcome = await transitionCareRequest(client, renewal.id, "assigned", {
+      actor,
+      changes: {
+        assigned_nurse_id: source.assigned_nurse_id,
+        marketplace_ready: false,
+        payment_status: "pending",
+        nurse_notified: false
+      },
+      eventType: "renewal_nurse_continued",
+      comment: `${source.assigned_nurse_name || "The nurse"} continues from ${source.request_code}.`,
+      metadata: { renewedFromRequestId: sourceId }
+    });
+  }
+
+  const recipients = await findCareRequestRecipients(client, renewal.id);
+  const notificationDeliveryIds = [];
+  notificationDeliveryIds.push(...await notifyUsers(client, [recipients.patientUserId], {
+    eventType: "renewal_created",
+    title: "Care Renewed",
+    message: `Care for ${source.patient_name} continues as request ${requestCode}: ${summary}.`,
+    relatedRequestId: renewal.id,
+    actionPath: `/family/requests/${encodeURIComponent(requestCode)}`
+  }));
+  notificationDeliveryIds.push(...await notifyUsers(client, [recipients.agentUserId], {
+    eventType: "renewal_created",
+    title: "Care Renewed",
+    message: `${source.request_code} was renewed as ${requestCode}: ${summary}.`,
+    relatedRequestId: renewal.id,
+    actionPath: "/agent/dashboard?tab=jobs"
+  }));
+  if (keepNurse) {
+    notificationDeliveryIds.push(...await notifyUsers(client, [source.assigned_nurse_user_id], {
+      eventType: "renewal_created",
+      title: "Assignment Renewed",
+      message: `Your care for ${source.patient_name} continues as request ${requestCode}: ${summary}.`,
+      relatedRequestId: renewal.id,
+      actionPath: "/nurse/dashboard"
+    }));
+  }
+
+  return {
+    renewal: { ...renewal, request_code: requestCode },
+    source,
+    keptNurse: keepNurse,
+    outcome,
+    notificationDeliveryIds
+  };
+}
+
+/**
+ * Record a family's wish to continue care and tell the agent and admins, who create the
+ * renewal. Call inside a transaction and dispatch the returned deliveries after COMMIT.
+ */
+async function requestCareRenewal(client, source, { userId, note = "" }) {
+  const cleanNote = String(note || "").trim().slice(0, 1000);
+  await insertCareRequestLifecycleLog(client, {
+    requestId: source.id,
+    eventType: "renewal_requested",
+    assignedNurseId: source.assigned_nurse_id,
+    comment: cleanNote || "Family asked to renew care.",
+    changedByUserId: userId,
+    changedByRole: "user",
+    metadata: { endsOn: source.ends_on }
+  });
+
+  const recipients = await findCareRequestRecipients(client, source.id);
+  const message = `The family of ${source.patient_name} asked to renew ${source.request_code}${source.assigned_nurse_name ? ` with ${source.assigned_nurse_name}` : ""}.${cleanNote ? ` Note: ${cleanNote}` : ""}`;
+  const deliveryIds = [];
+  deliveryIds.push(...await notifyUsers(client, [recipients.agentUserId], {
+    eventType: "renewal_requested",
+    title: "Renewal Requested",
+    message,
+    relatedRequestId: source.id,
+    actionPath: `/agent/jobs/${source.id}/renew`
+  }));
+  deliveryIds.push(...await notifyUsers(client, await findAdminUserIds(client), {
+    eventType: "renewal_requested",
+    title: "Renewal Requested",
+    message,
+    relatedRequestId: source.id,
+    actionPath: `/admin/care-requests/${source.id}/applications`
+  }));
+  return deliveryIds;
+}
+
+/**
+ * Whether the family has already asked to renew this request.
+ */
+async function hasRenewalRequest(db, requestId) {
+  const result = await db.query(
+    `SELECT 1
+     FROM care_request_lifecycle_logs
+     WHERE request_id = $1
+       AND event_type = 'renewal_requested'
+     LIMIT 1`,
+    [requestId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Prompt the family and agent once for each active request whose last shift falls within the
+ * notice window and that has not been renewed yet.
+ */
+async function processCareRequestRenewals(db) {
+  const dueResult = await db.query(
+    `${RENEWAL_SOURCE_SQL}
+     WHERE cr.status = 'active'
+       AND cr.renewal_prompted_at IS NULL
+       AND renewal.id IS NULL
+       AND ends.last_shift_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+     ORDER BY ends.last_shift_date ASC, cr.id ASC`,
+    [RENEWAL_NOTICE_DAYS]
+  );
+
+  let prompted = 0;
+  for (const row of dueResult.rows) {
+    const claimed = await db.query(
+      `UPDATE care_requests
+       SET renewal_prompted_at = NOW()
+       WHERE id = $1
+         AND renewal_prompted_at IS NULL
+       RETURNING id`,
+      [row.id]
+    );
+    if (!claimed.rows.length) continue;
+
+    const nurseText = row.assigned_nurse_name ? ` with ${row.assigned_nurse_name}` : "";
+    const recipients = await findCareRequestRecipients(db, row.id);
+    await notifyUsersNow(db, [recipients.patientUserId], {
+      eventType: "renewal_due",
+      title: "Care Ending Soon",
+      message: `Care for ${row.patient_name} (${row.request_code}) ends on ${row.ends_on}. Renew it${nurseText} from your family portal.`,
+      relatedRequestId: row.id,
+      actionPath: `/family/requests/${encodeURIComponent(row.request_code)}`
+    });
+    await notifyUsersNow(db, [recipients.agentUserId], {
+      eventType: "renewal_due",
+      title: "Care Ending Soon",
+      message: `${row.request_code} for ${row.patient_name} ends on ${row.ends_on}. Renew it${nurseText} without re-entering the job.`,
+      relatedRequestId: row.id,
+      actionPath: `/agent/jobs/${row.id}/renew`
+    });
+    await insertCareRequestLifecycleLog(db, {
+      requestId: row.id,
+      eventType: "renewal_prompted",
+      assignedNurseId: row.assigned_nurse_id,
+      comment: `Family and agent prompted to renew; care ends on ${row.ends_on}.`,
+      metadata: { endsOn: row.ends_on }
+    });
+    prompted += 1;
+  }
+
+  return { due: dueResult.rows.length, prompted };
+}
+
+/**
+ * Run the renewal check in the background for the lifetime of the process.
+ */
+function startCareRequestRenewalWorker(db, { intervalMs = RENEWAL_WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processCareRequestRenewals(db)
+      .catch((error) => {
+        console.error("Care request renewal worker error:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RENEWAL_DURATION_UNITS,
+  RENEWAL_NOTICE_DAYS,
+  buildRenewalDefaults,
+  createRenewalRequest,
+  hasRenewalRequest,
+  isRenewalDue,
+  loadRenewalSource,
+  normalizeRenewalInput,
+  processCareRequestRenewals,
+  requestCareRenewal,
+  startCareRequestRenewalWorker
+};
@@ -0,0 +1,465 @@
+const { findAdminUserIds, notifyUsersNow } = require("./notifications");
+
+// Response-time promises to families. Each clock starts at one milestone of the request and
+// stops at another; admins can change the hours or switch a policy off at /admin/sla.
+const SLA_POLICIES = [
+  {
+    key: "first_contact",
+    label: "First contact",
+    description: "An admin or agent acts on the request after it is submitted.",
+    defaultTargetHours: 2,
+    startsAt: "created",
+    stopsAt: "contacted"
+  },
+  {
+    key: "nurse_assigned",
+    label: "Nurse assigned",
+    description: "A nurse is assigned after the request is submitted.",
+    defaultTargetHours: 24,
+    startsAt: "created",
+    stopsAt: "assigned"
+  },
+  {
+    key: "payment_confirmed",
+    label: "Payment confirmed",
+    description: "Payment is marked paid after the first nurse assignment.",
+    defaultTargetHours: 48,
+    startsAt: "assigned",
+    stopsAt: "paid"
+  }
+];
+const SLA_STATES = {
+  on_track: "On track",
+  due_soon: "Due soon",
+  breached: "Breached",
+  met: "Met",
+  met_late: "Met late"
+};
+// A running clock counts as due soon once this share of its target has passed.
+const SLA_DUE_SOON_SHARE = 0.75;
+const SLA_MAX_TARGET_HOURS = 720;
+const SLA_REPORT_DAYS = [7, 30, 90];
+const SLA_WORKER_INTERVAL_MS = 15 * 60 * 1000;
+const CLOSED_REQUEST_STATUSES = ["completed", "cancelled"];
+
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatSlaDuration(minutes) {
+  const total = Math.max(0, Math.round(minutes));
+  if (total < 60) return `${total}m`;
+  const hours = Math.floor(total / 60);
+  if (hours < 48) return `${hours}h${total % 60 ? ` ${total % 60}m` : ""}`;
+  return `${Math.floor(hours / 24)}d${hours % 24 ? ` ${hours % 24}h` : ""}`;
+}
+
+function formatTargetHours(hours) {
+  return `${Number(hours)}h`;
+}
+
+/**
+ * Built-in policies with any saved admin overrides applied.
+ * @returns {Promise<Array<Object>>} each policy plus `targetHours`, `enabled` and `source`
+ */
+async function loadSlaPolicies(db) {
+  const result = await db.query(
+    "SELECT policy_key, target_hours, is_enabled FROM care_request_sla_targets"
+  );
+  const saved = Object.fromEntries(result.rows.map((row) => [row.policy_key, row]));
+  return SLA_POLICIES.map((policy) => {
+    const row = saved[policy.key];
+    return {
+      ...policy,
+      targetHours: row ? Number(row.target_hours) : policy.defaultTargetHours,
+      enabled: row ? row.is_enabled === true : true,
+      source: row ? "saved" : "built_in"
+    };
+  });
+}
+
+/**
+ * Read the policy form (`target_<key>` hours and an `enabled_<key>` box per policy).
+ */
+function normalizeSlaPolicyInput(body = {}) {
+  const targets = {};
+  SLA_POLICIES.forEach((policy) => {
+    const hours = Number(String(body[`target_${policy.key}`] || "").trim());
+    if (!Number.isFinite(hours) || hours <= 0 || hours > SLA_MAX_TARGET_HOURS) {
+      throw new Error(`${policy.label} target should be between 0 and ${SLA_MAX_TARGET_HOURS} hours.`);
+    }
+    targets[policy.key] = {
+      targetHours: Math.round(hours * 100) / 100,
+      enabled: Boolean(body[`enabled_${policy.key}`])
+    };
+  });
+  return targets;
+}
+
+async function saveSlaPolicies(db, targets, actorUserId = null) {
+  for (const policyKey of Object.keys(targets)) {
+    await db.query(
+      `INSERT INTO care_request_sla_targets (policy_key, target_hours, is_enabled, updated_by_user_id, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (policy_key)
+       DO UPDATE SET
+         target_hours = EXCLUDED.target_hours,
+         is_enabled = EXCLUDED.is_enabled,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = NOW()`,
+      [policyKey, targets[policyKey].targetHours, targets[policyKey].enabled, typeof actorUserId === "number" ? actorUserId : null]
+    );
+  }
+}
+
+/**
+ * When each request first reached the milestones SLA clocks start and stop at, read from its
+ * lifecycle log. The migration snapshot rows are skipped because they carry the migration time.
+ * `evaluated_at` is the database clock, which the TIMESTAMP columns are written in.
+ */
+async function loadSlaMilestones(db, { requestIds = null, openOnly = false, createdWithinDays = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (Array.isArray(requestIds)) {
+    params.push(requestIds);
+    conditions.push(`cr.id = ANY($${params.length}::int[])`);
+  }
+  if (openOnly) {
+    params.push(CLOSED_REQUEST_STATUSES);
+    conditions.push(`cr.status <> ALL($${params.length}::text[])`);
+  }
+  if (Number.isInteger(createdWithinDays)) {
+    params.push(createdWithinDays);
+    conditions.push(`cr.created_at >= LOCALTIMESTAMP - make_interval(days => $${params.length}::int)`);
+  }
+
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        p.full_name AS patient_name,
+        cr.status,
+        COALESCE(cr.payment_status, 'pending') AS payment_status,
+        cr.created_at,
+        MIN(l.created_at) FILTER (
+          WHERE l.changed_by_role IN ('admin', 'agent')
+        ) AS contacted_at,
+        MIN(l.created_at) FILTER (
+          WHERE l.next_status IN ('assigned', 'payment_pending', 'active', 'completed')
+        ) AS assigned_at,
+        MIN(l.created_at) FILTER (
+          WHERE l.next_payment_status = 'paid' OR l.next_status = 'active'
+        ) AS paid_at,
+        MIN(l.created_at) FILTER (
+          WHERE l.next_status = 'cancelled'
+        ) AS cancelled_at,
+        LOCALTIMESTAMP AS evaluated_at
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN care_request_lifecycle_logs l
+       ON l.request_id = cr.id
+      AND l.event_type <> 'bootstrap_snapshot'
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     GROUP BY cr.id, p.request_id, p.full_name
+     ORDER BY cr.created_at DESC, cr.id DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Whether the request reached a milestone and when. Requests from before lifecycle logging
+ * reached milestones their status implies without a known time.
+ */
+function resolveMilestone(row, milestone) {
+  const times = {
+    created: row.created_at,
+    contacted: row.contacted_at || row.assigned_at,
+    assigned: row.assigned_at,
+    paid: row.paid_at
+  };
+  const impliedByStatus = {
+    created: true,
+    contacted: row.status !== "open" && row.status !== "cancelled",
+    assigned: ["assigned", "payment_pending", "active", "completed"].includes(row.status),
+    paid: row.payment_status === "paid" || ["active", "completed"].includes(row.status)
+  };
+  const at = times[milestone] ? new Date(times[milestone]) : null;
+  return { reached: Boolean(at) || impliedByStatus[milestone], at };
+}
+
+/**
+ * Where one policy's clock stands for a request, or null when the clock has not started, the
+ * request was cancelled before it ran out, or the timing is unknown.
+ */
+function evaluateSlaPolicy(policy, row, now) {
+  const start = resolveMilestone(row, policy.startsAt);
+  const stop = resolveMilestone(row, policy.stopsAt);
+  if (!start.reached || !start.at) return null;
+
+  const targetMinutes = policy.targetHours * 60;
+  const dueAt = new Date(start.at.getTime() + targetMinutes * 60 * 1000);
+  const result = {
+    key: policy.key,
+    label: policy.label,
+    targetHours: policy.targetHours,
+    startedAt: start.at,
+    dueAt,
+    metAt: null,
+    isOpen: false,
+    state: "met",
+    minutesFromDue: null
+  };
+
+  if (stop.reached) {
+    if (!stop.at) return result;
+    result.metAt = stop.at;
+    result.minutesFromDue = (stop.at - dueAt) / 60000;
+    result.state = stop.at > dueAt ? "met_late" : "met";
+    return result;
+  }
+
+  if (row.status === "cancelled") {
+    const cancelledAt = row.cancelled_at ? new Date(row.cancelled_at) : null;
+    if (!cancelledAt || cancelledAt <= dueAt) return null;
+    result.minutesFromDue = (cancelledAt - dueAt) / 60000;
+    result.state = "breached";
+    return result;
+  }
+
+  result.isOpen = true;
+  result.minutesFromDue = (now - dueAt) / 60000;
+  if (now > dueAt) {
+    result.state = "breached";
+  } else if (now - start.at >= targetMinutes * 60 * 1000 * SLA_DUE_SOON_SHARE) {
+    result.state = "due_soon";
+  } else {
+    result.state = "on_track";
+  }
+  return result;
+}
+
+function evaluateCareRequestSlas(row, policies) {
+  const now = row.evaluated_at ? new Date(row.evaluated_at) : new Date();
+  return policies
+    .filter((policy) => policy.enabled)
+    .map((policy) => evaluateSlaPolicy(policy, row, now))
+    .filter(Boolean);
+}
+
+/**
+ * Short badge text for a running clock, e.g. "First contact overdue 3h".
+ */
+function describeSlaClock(result) {
+  if (result.state === "breached") return `${result.label} overdue ${formatSlaDuration(result.minutesFromDue)}`;
+  return `${result.label} due in ${formatSlaDuration(-result.minutesFromDue)}`;
+}
+
+/**
+ * Running SLA clocks per request for the care request list, keyed by request id. Each badge
+ * carries `state` (on_track, due_soon or breached), `text` and `dueAt`.
+ */
+async function loadCareRequestSlaBadges(db, requestIds) {
+  const ids = (requestIds || []).filter((id) => Number.isInteger(id));
+  if (!ids.length) return {};
+  const [policies, rows] = await Promise.all([
+    loadSlaPolicies(db),
+    loadSlaMilestones(db, { requestIds: ids, openOnly: true })
+  ]);
+  const badges = {};
+  rows.forEach((row) => {
+    const running = evaluateCareRequestSlas(row, policies).filter((result) => result.isOpen);
+    if (!running.length) return;
+    badges[row.id] = running.map((result) => ({
+      key: result.key,
+      state: result.state,
+      text: describeSlaClock(result),
+      dueAt: formatLocalDateTime(result.dueAt)
+    }));
+  });
+  return badges;
+}
+
+function parseSlaReportFilters(query = {}) {
+  const days = Number.parseInt(query.days, 10);
+  return { days: SLA_REPORT_DAYS.includes(days) ? days : 30 };
+}
+
+/**
+ * Compliance per policy for requests created in the last `days` days, plus every running clock
+ * that is already overdue regardless of age. Compliance is the share of finished or overdue
+ * clocks that were met on time.
+ */
+async function buildSlaComplianceReport(db, policies, { days }) {
+  const [rows, openRows] = await Promise.all([
+    loadSlaMilestones(db, { createdWithinDays: days }),
+    loadSlaMilestones(db, { openOnly: true })
+  ]);
+
+  const summaries = policies.map((policy) => ({
+    key: policy.key,
+    label: policy.label,
+    targetHours: policy.targetHours,
+    enabled: policy.enabled,
+    measured: 0,
+    met: 0,
+    metLate: 0,
+    breached: 0,
+    running: 0,
+    compliance: null,
+    averageMinutesToMeet: null
+  }));
+  const summaryByKey = Object.fromEntries(summaries.map((summary) => [summary.key, summary]));
+  const minutesToMeet = {};
+
+  rows.forEach((row) => {
+    evaluateCareRequestSlas(row, policies).forEach((result) => {
+      const summary = summaryByKey[result.key];
+      summary.measured += 1;
+      if (result.state === "met") summary.met += 1;
+      if (result.state === "met_late") summary.metLate += 1;
+      if (result.state === "breached") summary.breached += 1;
+      if (result.state === "on_track" || result.state === "due_soon") summary.running += 1;
+      if (result.metAt) {
+        minutesToMeet[result.key] = minutesToMeet[result.key] || [];
+        minutesToMeet[result.key].push((result.metAt - result.startedAt) / 60000);
+      }
+    });
+  });
+
+  summaries.forEach((summary) => {
+    const decided = summary.met + summary.metLate + summary.breached;
+    summary.compliance = decided ? Math.round((summary.met / decided) * 1000) / 10 : null;
+    const samples = minutesToMeet[summary.key] || [];
+    summary.averageMinutesToMeet = samples.length
+      ? samples.reduce((sum, value) => sum + value, 0) / samples.length
+      : null;
+    summary.averageTimeToMeet = summary.averageMinutesToMeet === null ? "-" : formatSlaDuration(summary.averageMinutesToMeet);
+  });
+
+  const overdue = [];
+  openRows.forEach((row) => {
+    evaluateCareRequestSlas(row, policies)
+      .filter((result) => result.isOpen && result.state === "breached")
+      .forEach((result) => {
+        overdue.push({
+          requestId: row.id,
+          requestCode: row.public_request_code,
+          patientName: row.patient_name || "-",
+          status: row.status,
+          policyLabel: result.label,
+          dueAt: formatLocalDateTime(result.dueAt),
+          overdueBy: formatSlaDuration(result.minutesFromDue),
+          minutesFromDue: result.minutesFromDue
+        });
+      });
+  });
+  overdue.sort((a, b) => b.minutesFromDue - a.minutesFromDue);
+
+  return { days, summaries, overdue };
+}
+
+/**
+ * Record newly overdue clocks and escalate each to admins once, and close breaches whose clock
+ * has since stopped.
+ */
+async function processCareRequestSlas(db) {
+  const policies = await loadSlaPolicies(db);
+  const rows = await loadSlaMilestones(db, { openOnly: true });
+  const unresolvedResult = await db.query(
+    "SELECT request_id, policy_key FROM care_request_sla_breaches WHERE resolved_at IS NULL"
+  );
+  const unresolved = new Set(unresolvedResult.rows.map((breach) => `${breach.request_id}:${breach.policy_key}`));
+  const policyByKey = Object.fromEntries(policies.map((policy) => [policy.key, policy]));
+  const escalations = [];
+
+  for (const row of rows) {
+    for (const result of evaluateCareRequestSlas(row, policies)) {
+      if (!result.isOpen) {
+        if (!unresolved.has(`${row.id}:${result.key}`)) continue;
+        await db.query(
+          `UPDATE care_request_sla_breaches
+           SET resolved_at = COALESCE($3, LOCALTIMESTAMP)
+           WHERE request_id = $1
+             AND policy_key = $2
+             AND resolved_at IS NULL`,
+          [row.id, result.key, result.metAt]
+        );
+        continue;
+      }
+      if (result.state !== "breached" || unresolved.has(`${row.id}:${result.key}`)) continue;
+      const inserted = await db.query(
+        `INSERT INTO care_request_sla_breaches (request_id, policy_key, target_hours, due_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (request_id, policy_key) DO NOTHING
+         RETURNING id`,
+        [row.id, result.key, result.targetHours, result.dueAt]
+      );
+      if (inserted.rows.length) escalations.push({ row, result });
+    }
+  }
+
+  // Requests closed since the last run stop every clock still marked as breached.
+  await db.query(
+    `UPDATE care_request_sla_breaches b
+     SET resolved_at = LOCALTIMESTAMP
+     FROM care_requests cr
+     WHERE cr.id = b.request_id
+       AND b.resolved_at IS NULL
+       AND cr.status = ANY($1::text[])`,
+    [CLOSED_REQUEST_STATUSES]
+  );
+
+  if (escalations.length) {
+    const adminIds = await findAdminUserIds(db);
+    for (const { row, result } of escalations) {
+      await notifyUsersNow(db, adminIds, {
+        eventType: "sla_breached",
+        title: "SLA Breached",
+        message: `${policyByKey[result.key].label} on request ${row.public_request_code} is overdue by ${formatSlaDuration(result.minutesFromDue)} (target ${formatTargetHours(result.targetHours)}).`,
+        relatedRequestId: row.id,
+        actionPath: "/admin/care-requests?sla=breached"
+      });
+    }
+  }
+
+  return { evaluated: rows.length, escalated: escalations.length };
+}
+
+/**
+ * Run the SLA check in the background for the lifetime of the process.
+ */
+function startCareRequestSlaWorker(db, { intervalMs = SLA_WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processCareRequestSlas(db)
+      .catch((error) => {
+        console.error("Care request SLA worker error:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SLA_MAX_TARGET_HOURS,
+  SLA_POLICIES,
+  SLA_REPORT_DAYS,
+  SLA_STATES,
+  buildSlaComplianceReport,
+  describeSlaClock,
+  evaluateSlaPolicy,
+  loadCareRequestSlaBadges,
+  loadSlaPolicies,
+  normalizeSlaPolicyInput,
+  parseSlaReportFilters,
+  processCareRequestSlas,
+  saveSlaPolicies,
+  startCareRequestSlaWorker
+};
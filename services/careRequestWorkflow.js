@@ -0,0 +1,533 @@
+const fs = require("fs");
+const path = require("path");
+const { endAssignmentPeriod, startAssignmentPeriod, syncAssignmentPeriod } = require("./careRequestAssignments");
+const { generateCareRequestShifts } = require("./careShifts");
+const { upsertCareRequestEarnings } = require("./careRequestEarnings");
+const { createCareRequestInvoice, emailCareRequestInvoice, hasOpenInvoice } = require("./invoices");
+const { dispatchNotificationDeliveries, findCareRequestRecipients, notifyUsers } = require("./notifications");
+const { queueReviewInvitation, sendReviewInvitation } = require("./nurseReviews");
+const { insertCareRequestLifecycleLog } = require("./careRequestLifecycle");
+
+const DEFAULT_WORKFLOW_FILE = path.join(__dirname, "..", "config", "careRequestWorkflow.json");
+
+// Workflow states must stay within the CHECK constraint on care_requests.status.
+const CARE_REQUEST_DB_STATUSES = ["open", "assigned", "payment_pending", "active", "completed", "cancelled"];
+const WORKFLOW_ROLES = ["admin", "agent"];
+
+// Columns a transition may change alongside the status.
+const TRANSITION_CHANGE_COLUMNS = [
+  "assigned_nurse_id",
+  "payment_status",
+  "assignment_comment",
+  "nurse_notified",
+  "marketplace_ready"
+];
+
+// Guards see the request as it will be once the transition's own changes are applied.
+const WORKFLOW_GUARDS = {
+  nurse_assigned: {
+    label: "A nurse is assigned",
+    check: (request) => Boolean(request.assigned_nurse_id),
+    message: (stateLabel) => `Assign a nurse before moving the request to ${stateLabel}.`
+  },
+  payment_paid: {
+    label: "Payment is marked paid",
+    check: (request) => request.payment_status === "paid",
+    message: (stateLabel) => `Payment must be marked paid before the request becomes ${stateLabel}.`
+  }
+};
+
+// Side effects run inside the transition's database transaction. Anything that talks to the
+// outside world is queued on outcome.afterCommit and run by finishCareRequestTransition.
+const WORKFLOW_HOOKS = {
+  hide_from_marketplace: {
+    label: "Remove from marketplace",
+    run: async ({ client, request }) => {
+      await client.query("UPDATE care_requests SET marketplace_ready = FALSE WHERE id = $1", [request.id]);
+      return { hidden: true };
+    }
+  },
+  start_assignment_period: {
+    label: "Start the nurse's assignment period",
+    run: async ({ client, request, actor }) => startAssignmentPeriod(
+      client,
+      request.id,
+      request.assigned_nurse_id,
+      { actorUserId: actor.userId }
+    )
+  },
+  end_assignment_period: {
+    label: "End the nurse's assignment period",
+    run: async ({ client, request, actor, transition }) => endAssignmentPeriod(client, request.id, {
+      reason: transition.to === "open" ? "reassigned" : transition.to,
+      actorUserId: actor.userId
+    })
+  },
+  close_applications: {
+    label: "Reject open nurse applications",
+    run: async ({ client, request }) => {
+      const result = await client.query(
+        `UPDATE care_applications
+         SET status = 'rejected'
+         WHERE request_id = $1
+           AND status <> 'rejected'`,
+        [request.id]
+      );
+      return { rejected: result.rowCount };
+    }
+  },
+  notify_payment_pending: {
+    label: "Notify family and agent that payment is due",
+    run: async ({ client, request, outcome }) => {
+      const recipients = await findCareRequestRecipients(client, request.id);
+      outcome.notificationDeliveryIds.push(...await notifyUsers(client, [recipients.patientUserId, recipients.agentUserId], {
+        eventType: "payment_pending",
+        title: "Payment Pending",
+        message: `Care request #${request.id} is waiting for payment before care can start.`,
+        relatedRequestId: request.id,
+        actionPath: "/notifications-page"
+      }));
+      return { notified: true };
+    }
+  },
+  generate_shifts: {
+    label: "Generate the shift calendar",
+    run: async ({ client, request, actor }) => {
+      const shiftOutcome = await generateCareRequestShifts(client, request.id, { actorUserId: actor.userId });
+      await insertCareRequestLifecycleLog(client, {
+        requestId: request.id,
+        eventType: "shifts_generated",
+        assignedNurseId: request.assigned_nurse_id,
+        comment: `Shift calendar generated from ${shiftOutcome.startDate} to ${shiftOutcome.endDate}.`,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: shiftOutcome
+      });
+      return shiftOutcome;
+    }
+  },
+  generate_invoice: {
+    label: "Raise and email an invoice",
+    run: async ({ client, request, actor, outcome }) => {
+      if (await hasOpenInvoice(client, request.id)) return null;
+
+      // A missing budget or place of supply should not block the transition; the invoice can be
+      // raised later from the request page.
+      await client.query("SAVEPOINT workflow_invoice");
+      let invoice;
+      try {
+        invoice = await createCareRequestInvoice(client, request.id, { actorUserId: actor.userId });
+        await insertCareRequestLifecycleLog(client, {
+          requestId: request.id,
+          eventType: "invoice_generated",
+          assignedNurseId: request.assigned_nurse_id,
+          comment: `Invoice ${invoice.invoiceNumber} generated on payment confirmation.`,
+          changedByUserId: actor.userId,
+          changedByRole: actor.role,
+          metadata: invoice
+        });
+      } catch (error) {
+        console.error("Workflow invoice hook error:", error);
+        await client.query("ROLLBACK TO SAVEPOINT workflow_invoice");
+        return { invoice: null, delivery: null, emailError: null, error: error.message };
+      }
+
+      const result = { invoice, delivery: null, emailError: null };
+      outcome.afterCommit.push(async (db) => {
+        try {
+          result.delivery = await emailCareRequestInvoice(db, invoice.id);
+        } catch (error) {
+          console.error("Workflow invoice email error:", error);
+          result.emailError = error;
+        }
+      });
+      return result;
+    }
+  },
+  generate_earnings: {
+    label: "Generate nurse earnings and agent commission",
+    run: async ({ client, request, actor }) => upsertCareRequestEarnings(
+      client,
+      request.id,
+      actor,
+      "Earnings generated after service completion."
+    )
+  },
+  invite_review: {
+    label: "Invite the family to review the nurse",
+    run: async ({ client, request, outcome }) => {
+      const invitation = await queueReviewInvitation(client, request.id);
+      outcome.afterCommit.push((db) => sendReviewInvitation(db, invitation));
+      return { invited: Boolean(invitation) };
+    }
+  }
+};
+
+function validateWorkflowDefinition(definition) {
+  const errors = [];
+  if (!definition || !Array.isArray(definition.states) || !Array.isArray(definition.transitions)) {
+    return ["The workflow needs a states list and a transitions list."];
+  }
+
+  const stateKeys = definition.states.map((state) => state && state.key);
+  stateKeys.forEach((key, index) => {
+    if (!CARE_REQUEST_DB_STATUSES.includes(key)) {
+      errors.push(`State #${index + 1} "${key}" is not a care request status the database accepts.`);
+    } else if (stateKeys.indexOf(key) !== index) {
+      errors.push(`State "${key}" is listed more than once.`);
+    }
+  });
+  if (!stateKeys.includes(definition.initialState)) {
+    errors.push(`Initial state "${definition.initialState}" is not one of the states.`);
+  }
+
+  definition.transitions.forEach((transition, index) => {
+    const name = `Transition #${index + 1}`;
+    if (!transition || !Array.isArray(transition.from) || !transition.from.length) {
+      errors.push(`${name} needs a non-empty from list.`);
+      return;
+    }
+    transition.from.forEach((from) => {
+      if (!stateKeys.includes(from)) errors.push(`${name} starts from unknown state "${from}".`);
+    });
+    if (!stateKeys.includes(transition.to)) errors.push(`${name} goes to unknown state "${transition.to}".`);
+    if (!Array.isArray(transition.roles) || !transition.roles.length) {
+      errors.push(`${name} needs at least one role.`);
+    } else {
+      transition.roles.forEach((role) => {
+        if (!WORKFLOW_ROLES.includes(role)) errors.push(`${name} names unknown role "${role}".`);
+      });
+    }
+    (transition.guards || []).forEach((guard) => {
+      if (!WORKFLOW_GUARDS[guard]) errors.push(`${name} names unknown guard "${guard}".`);
+    });
+    (transition.hooks || []).forEach((hook) => {
+      if (!WORKFLOW_HOOKS[hook]) errors.push(`${name} names unknown hook "${hook}".`);
+    });
+  });
+
+  const updates = definition.updates || [];
+  if (!Array.isArray(updates)) {
+    errors.push("The updates entry must be a list.");
+  } else {
+    const updateKeys = updates.map((update) => update && update.key);
+    updates.forEach((update, index) => {
+      const name = `Update #${index + 1}`;
+      if (!update || !/^[a-z][a-z0-9_]*$/.test(String(update.key || ""))) {
+        errors.push(`${name} needs a lower_snake_case key.`);
+        return;
+      }
+      if (updateKeys.indexOf(update.key) !== index) errors.push(`Update "${update.key}" is listed more than once.`);
+      if (!Array.isArray(update.states) || !update.states.length) {
+        errors.push(`${name} needs a non-empty states list.`);
+      } else {
+        update.states.forEach((state) => {
+          if (!stateKeys.includes(state)) errors.push(`${name} applies to unknown state "${state}".`);
+        });
+      }
+      if (!Array.isArray(update.roles) || !update.roles.length) {
+        errors.push(`${name} needs at least one role.`);
+      } else {
+        update.roles.forEach((role) => {
+          if (!WORKFLOW_ROLES.includes(role)) errors.push(`${name} names unknown role "${role}".`);
+        });
+      }
+      (update.guards || []).forEach((guard) => {
+        if (!WORKFLOW_GUARDS[guard]) errors.push(`${name} names unknown guard "${guard}".`);
+      });
+      (update.hooks || []).forEach((hook) => {
+        if (!WORKFLOW_HOOKS[hook]) errors.push(`${name} names unknown hook "${hook}".`);
+      });
+    });
+  }
+
+  definition.states
+    .filter((state) => state && state.terminal)
+    .forEach((state) => {
+      if (definition.transitions.some((transition) => (transition.from || []).includes(state.key))) {
+        errors.push(`Terminal state "${state.key}" cannot have outgoing transitions.`);
+      }
+      if (Array.isArray(updates) && updates.some((update) => update && (update.states || []).includes(state.key))) {
+        errors.push(`Terminal state "${state.key}" cannot have updates.`);
+      }
+    });
+  return errors;
+}
+
+function normalizeWorkflowDefinition(definition, source) {
+  const states = definition.states.map((state) => ({
+    key: state.key,
+    label: String(state.label || state.key),
+    description: String(state.description || ""),
+    terminal: state.terminal === true
+  }));
+  return {
+    source,
+    initialState: definition.initialState,
+    states,
+    stateByKey: Object.fromEntries(states.map((state) => [state.key, state])),
+    transitions: definition.transitions.map((transition, index) => ({
+      id: index + 1,
+      from: [...transition.from],
+      to: transition.to,
+      label: String(transition.label || `To ${transition.to}`),
+      roles: [...transition.roles],
+      guards: [...(transition.guards || [])],
+      hooks: [...(transition.hooks || [])]
+    })),
+    updates: (definition.updates || []).map((update) => ({
+      key: update.key,
+      states: [...update.states],
+      label: String(update.label || update.key),
+      roles: [...update.roles],
+      guards: [...(update.guards || [])],
+      hooks: [...(update.hooks || [])]
+    }))
+  };
+}
+
+let cachedWorkflow = null;
+
+/**
+ * Load and validate the workflow file (CARE_REQUEST_WORKFLOW_FILE, or the bundled
+ * config/careRequestWorkflow.json). The result is cached; the server reads it once at start-up
+ * so a broken file stops the deploy instead of blocking transitions later.
+ */
+function loadCareRequestWorkflow({ reload = false } = {}) {
+  if (cachedWorkflow && !reload) return cachedWorkflow;
+
+  const source = String(process.env.CARE_REQUEST_WORKFLOW_FILE || "").trim() || DEFAULT_WORKFLOW_FILE;
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(source, "utf8"));
+  } catch (error) {
+    throw new Error(`Unable to read care request workflow ${source}: ${error.message}`);
+  }
+  const errors = validateWorkflowDefinition(definition);
+  if (errors.length) {
+    throw new Error(`Invalid care request workflow ${source}: ${errors.join(" ")}`);
+  }
+
+  cachedWorkflow = normalizeWorkflowDefinition(definition, source);
+  return cachedWorkflow;
+}
+
+function getWorkflowStateLabel(status) {
+  const state = loadCareRequestWorkflow().stateByKey[status];
+  return state ? state.label : status;
+}
+
+function assertGuards(rule, request, changes, nextStatus) {
+  const nextRequest = { ...request, ...changes, status: nextStatus };
+  rule.guards.forEach((guardKey) => {
+    const guard = WORKFLOW_GUARDS[guardKey];
+    if (!guard.check(nextRequest)) {
+      throw new Error(guard.message(getWorkflowStateLabel(nextStatus)));
+    }
+  });
+}
+
+/**
+ * Find the transition that lets `role` move the request to `nextStatus` and check its guards.
+ * Guards run against the request merged with `changes`. Keeping the request in its current
+ * state is only allowed through the named `update` the workflow declares for that state.
+ * Throws with a message fit for a flash.
+ */
+function assertCareRequestTransition(request, nextStatus, { role, changes = {}, update = null } = {}) {
+  const workflow = loadCareRequestWorkflow();
+  const currentStatus = request && request.status;
+  if (!workflow.stateByKey[currentStatus]) {
+    throw new Error("Invalid current lifecycle state.");
+  }
+  if (!workflow.stateByKey[nextStatus]) {
+    throw new Error("Invalid lifecycle transition target.");
+  }
+  if (update) {
+    const rule = workflow.updates.find((candidate) => candidate.key === update);
+    if (!rule) {
+      throw new Error(`Unknown care request update "${update}".`);
+    }
+    if (currentStatus !== nextStatus || !rule.states.includes(currentStatus)) {
+      throw new Error(`${rule.label} is not allowed while the request is ${getWorkflowStateLabel(currentStatus)}.`);
+    }
+    if (!rule.roles.includes(role)) {
+      throw new Error(`Your role cannot use ${rule.label} while the request is ${getWorkflowStateLabel(currentStatus)}.`);
+    }
+    assertGuards(rule, request, changes, nextStatus);
+    return { id: null, from: [currentStatus], to: nextStatus, ...rule };
+  }
+  if (currentStatus === nextStatus) {
+    throw new Error(`The request is already ${getWorkflowStateLabel(currentStatus)}.`);
+  }
+
+  const candidates = workflow.transitions.filter((transition) => (
+    transition.to === nextStatus && transition.from.includes(currentStatus)
+  ));
+  if (!candidates.length) {
+    throw new Error(`Cannot transition request from ${currentStatus} to ${nextStatus}.`);
+  }
+  const transition = candidates.find((candidate) => candidate.roles.includes(role));
+  if (!transition) {
+    throw new Error(`Your role cannot move a request from ${getWorkflowStateLabel(currentStatus)} to ${getWorkflowStateLabel(nextStatus)}.`);
+  }
+
+  assertGuards(transition, request, changes, nextStatus);
+  return transition;
+}
+
+async function getCareRequestForTransition(client, requestId) {
+  const result = await client.query(
+    `SELECT id, status, payment_status, assigned_nurse_id, marketplace_ready
+     FROM care_requests
+     WHERE id = $1
+     FOR UPDATE`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Move a care request to `nextStatus` inside the caller's transaction: check the workflow,
+ * write the status and `changes`, log the lifecycle event and run the transition's hooks.
+ * To change a request without moving it, pass its current status and `options.update`.
+ * Call finishCareRequestTransition with the outcome after COMMIT.
+ */
+async function transitionCareRequest(client, requestId, nextStatus, options = {}) {
+  const actor = options.actor || { userId: null, role: "system" };
+  const changes = Object.fromEntries(
+    Object.entries(options.changes || {}).filter(([column]) => TRANSITION_CHANGE_COLUMNS.includes(column))
+  );
+
+  const previous = await getCareRequestForTransition(client, requestId);
+  if (!previous) {
+    throw new Error("Care request not found.");
+  }
+  const transition = assertCareRequestTransition(previous, nextStatus, {
+    role: actor.role,
+    changes,
+    update: options.update || null
+  });
+
+  const columns = Object.keys(changes);
+  const result = await client.query(
+    `UPDATE care_requests
+     SET status = $2${columns.map((column, index) => `,\n         ${column} = $${index + 3}`).join("")}
+     WHERE id = $1
+     RETURNING id, status, payment_status, assigned_nurse_id, marketplace_ready`,
+    [requestId, nextStatus, ...columns.map((column) => changes[column])]
+  );
+  const request = result.rows[0];
+
+  await insertCareRequestLifecycleLog(client, {
+    requestId,
+    eventType: options.eventType || "status_update",
+    previousStatus: previous.status,
+    nextStatus,
+    previousPaymentStatus: previous.payment_status,
+    nextPaymentStatus: request.payment_status,
+    assignedNurseId: request.assigned_nurse_id,
+    comment: options.comment || `${transition.label} by ${actor.role}.`,
+    changedByUserId: actor.userId,
+    changedByRole: actor.role,
+    metadata: {
+      ...(Object.prototype.hasOwnProperty.call(changes, "assigned_nurse_id")
+        ? { previousAssignedNurseId: previous.assigned_nurse_id }
+        : {}),
+      ...(options.metadata || {}),
+      workflowTransition: transition.label
+    }
+  });
+
+  const outcome = {
+    previous,
+    request,
+    transition,
+    hooks: {},
+    notificationDeliveryIds: [],
+    afterCommit: []
+  };
+  for (const hookKey of transition.hooks) {
+    outcome.hooks[hookKey] = await WORKFLOW_HOOKS[hookKey].run({ client, request, previous, actor, transition, outcome });
+  }
+  // A nurse change always moves the assignment periods, whether or not the configured hooks
+  // already did; after them this is a no-op.
+  if (request.assigned_nurse_id !== previous.assigned_nurse_id) {
+    await syncAssignmentPeriod(client, requestId, request.assigned_nurse_id, { actorUserId: actor.userId });
+  }
+  return outcome;
+}
+
+async function finishCareRequestTransition(db, outcome) {
+  if (!outcome) return;
+  dispatchNotificationDeliveries(db, outcome.notificationDeliveryIds);
+  for (const task of outcome.afterCommit) {
+    try {
+      await task(db);
+    } catch (error) {
+      console.error("Care request workflow after-commit error:", error);
+    }
+  }
+}
+
+// Diagram layout: states left to right in file order, forward moves arc above the row and
+// backward moves arc below it.
+const DIAGRAM_NODE_WIDTH = 130;
+const DIAGRAM_NODE_HEIGHT = 46;
+const DIAGRAM_NODE_GAP = 60;
+const DIAGRAM_MARGIN = 30;
+const DIAGRAM_ARC_STEP = 34;
+
+function buildWorkflowDiagram(workflow) {
+  const rowY = DIAGRAM_MARGIN + 150;
+  const nodes = workflow.states.map((state, index) => ({
+    ...state,
+    x: DIAGRAM_MARGIN + index * (DIAGRAM_NODE_WIDTH + DIAGRAM_NODE_GAP),
+    y: rowY,
+    width: DIAGRAM_NODE_WIDTH,
+    height: DIAGRAM_NODE_HEIGHT,
+    isInitial: state.key === workflow.initialState
+  }));
+  const nodeByKey = Object.fromEntries(nodes.map((node) => [node.key, node]));
+  const edges = [];
+  workflow.transitions.forEach((transition) => {
+    transition.from.forEach((from) => {
+      const source = nodeByKey[from];
+      const target = nodeByKey[transition.to];
+      const forward = target.x > source.x;
+      const span = Math.abs(target.x - source.x) / (DIAGRAM_NODE_WIDTH + DIAGRAM_NODE_GAP);
+      const startX = source.x + source.width / 2 + (forward ? 12 : -12);
+      const endX = target.x + target.width / 2 + (forward ? -12 : 12);
+      const edgeY = forward ? rowY : rowY + DIAGRAM_NODE_HEIGHT;
+      const controlY = forward ? edgeY - span * DIAGRAM_ARC_STEP - 10 : edgeY + span * DIAGRAM_ARC_STEP + 10;
+      edges.push({
+        transitionId: transition.id,
+        from,
+        to: transition.to,
+        label: transition.label,
+        roles: transition.roles,
+        forward,
+        path: `M ${startX} ${edgeY} Q ${(startX + endX) / 2} ${controlY} ${endX} ${edgeY}`,
+        labelX: (startX + endX) / 2,
+        labelY: (edgeY + controlY) / 2 + (forward ? -4 : 12)
+      });
+    });
+  });
+  return {
+    width: DIAGRAM_MARGIN * 2 + nodes.length * DIAGRAM_NODE_WIDTH + Math.max(0, nodes.length - 1) * DIAGRAM_NODE_GAP,
+    height: rowY + DIAGRAM_NODE_HEIGHT + 150 + DIAGRAM_MARGIN,
+    nodes,
+    edges
+  };
+}
+
+module.exports = {
+  WORKFLOW_GUARDS,
+  WORKFLOW_HOOKS,
+  assertCareRequestTransition,
+  buildWorkflowDiagram,
+  finishCareRequestTransition,
+  getWorkflowStateLabel,
+  loadCareRequestWorkflow,
+  transitionCareRequest,
+  validateWorkflowDefinition
+};
@@ -0,0 +1,403 @@
+const { CHECK_IN_OPEN_MINUTES } = require("./shiftAttendance");
+
+const SHIFT_STATUSES = ["scheduled", "completed", "cancelled"];
+
+// Wall-clock template per service schedule. Times are stored as local TIMESTAMPs.
+const SHIFT_TEMPLATES = {
+  "8 Hour Shift": { label: "Day Shift (8h)", startTime: "09:00", hours: 8 },
+  "12 Hour Shift (Day)": { label: "Day Shift (12h)", startTime: "08:00", hours: 12 },
+  "12 Hour Shift (Night)": { label: "Night Shift (12h)", startTime: "20:00", hours: 12 },
+  "24 Hour Live-In": { label: "Live-In (24h)", startTime: "08:00", hours: 24 },
+  "One-Time / Few Visits": { label: "Home Visit", startTime: "10:00", hours: 2 }
+};
+const DEFAULT_SHIFT_TEMPLATE = SHIFT_TEMPLATES["12 Hour Shift (Day)"];
+const MAX_GENERATED_SHIFTS = 366;
+
+// Weekdays a recurring visit schedule may name, in getUTCDay() order.
+const VISIT_WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const VISIT_WEEKDAY_LABELS = {
+  sun: "Sun",
+  mon: "Mon",
+  tue: "Tue",
+  wed: "Wed",
+  thu: "Thu",
+  fri: "Fri",
+  sat: "Sat"
+};
+
+const DATE_INPUT_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_INPUT_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function normalizeShiftStatusInput(value) {
+  const status = String(value || "").trim().toLowerCase();
+  return SHIFT_STATUSES.includes(status) ? status : "";
+}
+
+function normalizeDateInput(value) {
+  const clean = String(value || "").trim();
+  if (!DATE_INPUT_REGEX.test(clean)) return "";
+  const parsed = new Date(`${clean}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== clean) return "";
+  return clean;
+}
+
+function normalizeTimeInput(value) {
+  const clean = String(value || "").trim();
+  return TIME_INPUT_REGEX.test(clean) ? clean : "";
+}
+
+/**
+ * Read a visit-day selection into weekday keys in week order. An empty list means every day.
+ */
+function normalizeVisitDaysInput(value) {
+  const values = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item || "").trim().toLowerCase().slice(0, 3));
+  return VISIT_WEEKDAYS.filter((day) => values.includes(day));
+}
+
+function formatVisitDays(visitDays) {
+  const days = normalizeVisitDaysInput(visitDays);
+  return days.length ? days.map((day) => VISIT_WEEKDAY_LABELS[day]).join(", ") : "Every day";
+}
+
+function formatLocalDate(date) {
+  const value = date instanceof Date ? date : new Date();
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function addMonths(dateString, months) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const targetDay = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(targetDay, lastDay));
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(startDate, endDate) {
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000));
+}
+
+function addHoursToLocalTimestamp(dateString, time, hours) {
+  const date = new Date(`${dateString}T${time}:00Z`);
+  date.setUTCMinutes(date.getUTCMinutes() + Math.round(hours * 60));
+  return date.toISOString().slice(0, 16).replace("T", " ");
+}
+
+function getShiftTemplate(serviceSchedule) {
+  return SHIFT_TEMPLATES[String(serviceSchedule || "").trim()] || DEFAULT_SHIFT_TEMPLATE;
+}
+
+function countCoveredDays(startDate, durationValue, durationUnit) {
+  const value = Number.parseInt(durationValue, 10);
+  if (Number.isNaN(value) || value < 1) return 1;
+
+  const unit = String(durationUnit || "").trim().toLowerCase();
+  if (unit === "days" || unit === "day") return value;
+  if (unit === "weeks" || unit === "week") return value * 7;
+  return daysBetween(startDate, addMonths(startDate, value));
+}
+
+/**
+ * Expand a service schedule and duration into one dated shift per covered day. A recurring
+ * visit schedule keeps only its weekdays and may move the start time.
+ */
+function buildShiftPlan({ serviceSchedule, durationValue, durationUnit, startDate, visitDays = [], visitTime = "" }) {
+  const firstDate = normalizeDateInput(startDate) || formatLocalDate(new Date());
+  const template = getShiftTemplate(serviceSchedule);
+  const totalDays = Math.min(countCoveredDays(firstDate, durationValue, durationUnit), MAX_GENERATED_SHIFTS);
+  const weekdays = normalizeVisitDaysInput(visitDays);
+  const startTime = normalizeTimeInput(visitTime) || template.startTime;
+
+  const shifts = [];
+  for (let offset = 0; offset < totalDays; offset += 1) {
+    const shiftDate = addDays(firstDate, offset);
+    if (weekdays.length && !weekdays.includes(VISIT_WEEKDAYS[new Date(`${shiftDate}T00:00:00Z`).getUTCDay()])) {
+      continue;
+    }
+    shifts.push({
+      shiftDate,
+      startsAt: `${shiftDate} ${startTime}`,
+      endsAt: addHoursToLocalTimestamp(shiftDate, startTime, template.hours),
+      label: template.label
+    });
+  }
+  return shifts;
+}
+
+async function loadCareRequestShiftSource(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        cr.status,
+        cr.assigned_nurse_id,
+        COALESCE(NULLIF(p.service_schedule, ''), '') AS service_schedule,
+        COALESCE(p.duration_value, cr.duration_value) AS duration_value,
+        COALESCE(NULLIF(p.duration_unit, ''), cr.duration_unit, 'months') AS duration_unit,
+        COALESCE(cr.visit_days, ARRAY[]::text[]) AS visit_days,
+        COALESCE(cr.visit_time, '') AS visit_time,
+        to_char(cr.service_starts_on, 'YYYY-MM-DD') AS service_starts_on
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     WHERE cr.id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Rebuild the untouched scheduled shifts from startDate onward. The roster is always laid out
+ * from the service's first day (its first shift, or the service start date), so the booked
+ * duration ends on the same date however often it is regenerated; only days from startDate
+ * (never before today) up to that end are filled. Completed, cancelled, manually edited and
+ * checked-in shifts are kept and their dates skipped.
+ */
+async function generateCareRequestShifts(db, requestId, options = {}) {
+  const source = await loadCareRequestShiftSource(db, requestId);
+  if (!source) {
+    throw new Error("Care request not found.");
+  }
+  if (source.status !== "active") {
+    throw new Error("Shifts can only be generated for active requests.");
+  }
+  if (!source.assigned_nurse_id) {
+    throw new Error("Assign a nurse before generating shifts.");
+  }
+
+  const firstShiftResult = await db.query(
+    `SELECT to_char(MIN(shift_date), 'YYYY-MM-DD') AS first_date
+     FROM care_request_shifts
+     WHERE request_id = $1`,
+    [requestId]
+  );
+  const today = formatLocalDate(new Date());
+  const requestedDate = normalizeDateInput(options.startDate);
+  // A renewal starts on its service start date, the day after the previous request ends.
+  const anchorDate = firstShiftResult.rows[0].first_date
+    || source.service_starts_on
+    || requestedDate
+    || today;
+  const startDate = [anchorDate, requestedDate || anchorDate, today].sort().pop();
+  const actorUserId = typeof options.actorUserId === "number" ? options.actorUserId : null;
+  const fullPlan = buildShiftPlan({
+    serviceSchedule: source.service_schedule,
+    durationValue: source.duration_value,
+    durationUnit: source.duration_unit,
+    startDate: anchorDate,
+    visitDays: source.visit_days,
+    visitTime: source.visit_time
+  });
+  const endDate = fullPlan.length ? fullPlan[fullPlan.length - 1].shiftDate : anchorDate;
+  const plan = fullPlan.filter((shift) => shift.shiftDate >= startDate);
+
+  const removedResult = await db.query(
+    `DELETE FROM care_request_shifts
+     WHERE request_id = $1
+       AND shift_date >= $2::date
+       AND status = 'scheduled'
+       AND is_manually_edited = FALSE
+       AND check_in_at IS NULL`,
+    [requestId, startDate]
+  );
+  const keptResult = await db.query(
+    `SELECT to_char(shift_date, 'YYYY-MM-DD') AS shift_date
+     FROM care_request_shifts
+     WHERE request_id = $1
+       AND shift_date >= $2::date`,
+    [requestId, startDate]
+  );
+  const keptDates = new Set(keptResult.rows.map((row) => row.shift_date));
+
+  let created = 0;
+  for (const shift of plan) {
+    if (keptDates.has(shift.shiftDate)) continue;
+    await db.query(
+      `INSERT INTO care_request_shifts (
+        request_id,
+        nurse_id,
+        shift_date,
+        starts_at,
+        ends_at,
+        shift_label,
+        status,
+        created_by_user_id,
+        updated_by_user_id
+      )
+      VALUES ($1,$2,$3::date,$4::timestamp,$5::timestamp,$6,'scheduled',$7,$7)`,
+      [requestId, source.assigned_nurse_id, shift.shiftDate, shift.startsAt, shift.endsAt, shift.label, actorUserId]
+    );
+    created += 1;
+  }
+
+  return {
+    startDate,
+    endDate,
+    created,
+    removed: removedResult.rowCount || 0,
+    kept: keptDates.size,
+    serviceSchedule: source.service_schedule,
+    visitDays: normalizeVisitDaysInput(source.visit_days)
+  };
+}
+
+// `checkInOpenParam` is the placeholder carrying CHECK_IN_OPEN_MINUTES, so the roster shows the
+// same check-in window the server enforces.
+function buildShiftSelectSql(checkInOpenParam) {
+  return `
+  s.id,
+  s.request_id,
+  s.nurse_id,
+  n.full_name AS nurse_name,
+  to_char(s.shift_date, 'YYYY-MM-DD') AS shift_date,
+  to_char(s.shift_date, 'Dy') AS shift_weekday,
+  to_char(s.starts_at, 'YYYY-MM-DD') AS start_date,
+  to_char(s.starts_at, 'HH24:MI') AS start_time,
+  to_char(s.ends_at, 'YYYY-MM-DD') AS end_date,
+  to_char(s.ends_at, 'HH24:MI') AS end_time,
+  s.shift_label,
+  s.status,
+  s.notes,
+  s.is_manually_edited,
+  to_char(s.check_in_at, 'YYYY-MM-DD HH24:MI') AS check_in_at,
+  to_char(s.check_out_at, 'YYYY-MM-DD HH24:MI') AS check_out_at,
+  s.check_in_distance_m,
+  s.late_minutes,
+  s.early_exit_minutes,
+  COALESCE(s.attendance_flags, '{}'::text[]) AS attendance_flags,
+  (s.status = 'scheduled' AND s.check_in_at IS NULL AND s.ends_at < LOCALTIMESTAMP) AS is_missed,
+  (s.starts_at - make_interval(mins => ${checkInOpenParam}::int) <= LOCALTIMESTAMP AND s.ends_at > LOCALTIMESTAMP) AS is_check_in_open,
+  s.updated_at`;
+}
+
+async function listCareRequestShifts(db, requestId) {
+  const result = await db.query(
+    `SELECT ${buildShiftSelectSql("$2")}
+     FROM care_request_shifts s
+     LEFT JOIN nurses n ON n.id = s.nurse_id
+     WHERE s.request_id = $1
+     ORDER BY s.starts_at ASC, s.id ASC`,
+    [requestId, CHECK_IN_OPEN_MINUTES]
+  );
+  return result.rows;
+}
+
+async function listUpcomingNurseShifts(db, nurseId, limit = 10) {
+  const result = await db.query(
+    `SELECT
+        ${buildShiftSelectSql("$3")},
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), 'General care support required') AS patient_condition,
+        COALESCE(NULLIF(p.city, ''), '-') AS location
+     FROM care_request_shifts s
+     JOIN care_requests cr ON cr.id = s.request_id
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = s.nurse_id
+     WHERE s.nurse_id = $1
+       AND s.status = 'scheduled'
+       AND (s.ends_at >= LOCALTIMESTAMP OR (s.check_in_at IS NOT NULL AND s.check_out_at IS NULL))
+       AND cr.status = 'active'
+     ORDER BY s.starts_at ASC, s.id ASC
+     LIMIT $2`,
+    [nurseId, limit, CHECK_IN_OPEN_MINUTES]
+  );
+  return result.rows;
+}
+
+function summarizeShifts(shifts) {
+  const items = Array.isArray(shifts) ? shifts : [];
+  const today = formatLocalDate(new Date());
+  const summary = { total: items.length, scheduled: 0, completed: 0, cancelled: 0, upcoming: 0, firstDate: "", lastDate: "" };
+  items.forEach((shift) => {
+    if (summary[shift.status] !== undefined) summary[shift.status] += 1;
+    if (shift.status === "scheduled" && shift.shift_date >= today) summary.upcoming += 1;
+  });
+  if (items.length) {
+    summary.firstDate = items[0].shift_date;
+    summary.lastDate = items[items.length - 1].shift_date;
+  }
+  return summary;
+}
+
+function selectUpcomingShifts(shifts, limit = 7) {
+  const today = formatLocalDate(new Date());
+  return (Array.isArray(shifts) ? shifts : [])
+    .filter((shift) => shift.status === "scheduled" && shift.shift_date >= today)
+    .slice(0, limit);
+}
+
+/**
+ * Apply an edit to a single shift. The end time rolls over to the next day when it is
+ * not after the start time (night and live-in shifts).
+ */
+async function updateCareRequestShift(db, requestId, shiftId, input = {}, actorUserId = null) {
+  const shiftDate = normalizeDateInput(input.shiftDate);
+  const startTime = normalizeTimeInput(input.startTime);
+  const endTime = normalizeTimeInput(input.endTime);
+  const status = normalizeShiftStatusInput(input.status);
+  const notes = String(input.notes || "").trim();
+
+  if (!shiftDate) throw new Error("Enter a valid shift date.");
+  if (!startTime || !endTime) throw new Error("Enter valid start and end times.");
+  if (!status) throw new Error("Invalid shift status.");
+
+  const startsAt = `${shiftDate} ${startTime}`;
+  const endsAt = endTime > startTime
+    ? `${shiftDate} ${endTime}`
+    : `${addDays(shiftDate, 1)} ${endTime}`;
+
+  const result = await db.query(
+    `UPDATE care_request_shifts
+     SET shift_date = $3::date,
+         starts_at = $4::timestamp,
+         ends_at = $5::timestamp,
+         status = $6,
+         notes = NULLIF($7, ''),
+         is_manually_edited = TRUE,
+         updated_by_user_id = $8,
+         updated_at = NOW()
+     WHERE id = $2
+       AND request_id = $1
+     RETURNING id`,
+    [requestId, shiftId, shiftDate, startsAt, endsAt, status, notes, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  if (!result.rowCount) {
+    throw new Error("Shift not found.");
+  }
+  return { shiftDate, startsAt, endsAt, status };
+}
+
+module.exports = {
+  SHIFT_STATUSES,
+  SHIFT_TEMPLATES,
+  VISIT_WEEKDAYS,
+  VISIT_WEEKDAY_LABELS,
+  addDays,
+  addMonths,
+  buildShiftPlan,
+  formatLocalDate,
+  formatVisitDays,
+  generateCareRequestShifts,
+  getShiftTemplate,
+  listCareRequestShifts,
+  listUpcomingNurseShifts,
+  normalizeDateInput,
+  normalizeShiftStatusInput,
+  normalizeTimeInput,
+  normalizeVisitDaysInput,
+  selectUpcomingShifts,
+  summarizeShifts,
+  updateCareRequestShift
+};
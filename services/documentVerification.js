@@ -0,0 +1,428 @@
+const { formatLocalDate, normalizeDateInput } = require("./careShifts");
+const { findAdminUserIds, notifyUsersNow } = require("./notifications");
+
+const DOCUMENT_REVIEW_STATUSES = {
+  pending: "Awaiting review",
+  approved: "Verified",
+  rejected: "Rejected",
+  reupload_requested: "Re-upload requested",
+  expired: "Expired"
+};
+const DOCUMENT_REVIEW_DECISIONS = {
+  approve: "approved",
+  reject: "rejected",
+  reupload: "reupload_requested"
+};
+// Certificates that lapse and must be renewed. Medical fitness certificates always expire.
+const TIME_BOUND_DOCUMENT_PATTERN = /\b(bls|cpr|acls|pals|first[\s-]*aid|basic life support|advanced cardiac|medical fitness)\b/i;
+const MEDICAL_FIT_DOCUMENT_KEY = "medical_fit";
+// Nurses are reminded this many days before a verified certificate expires, once per step.
+const EXPIRY_REMINDER_DAYS = [30, 7];
+const EXPIRING_SOON_DAYS = EXPIRY_REMINDER_DAYS[0];
+const MAX_EXPIRY_YEARS = 10;
+const DOCUMENT_REVIEW_PAGE_SIZE = 30;
+const EXPIRY_WORKER_INTERVAL_MS = 60 * 60 * 1000;
+const DOCUMENT_QUEUE_VIEWS = ["pending", "expiring", "expired", "approved", "rejected", "reupload_requested", "all"];
+
+function pickQualificationUrl(item) {
+  return String(
+    item.certificate_url
+    || item.certificateUrl
+    || item.document_url
+    || item.documentUrl
+    || item.file_url
+    || item.fileUrl
+    || ""
+  ).trim();
+}
+
+/**
+ * The certificates a nurse row currently carries: one per qualification with an uploaded file,
+ * plus the medical fitness certificate.
+ */
+function collectNurseDocuments(nurseRow) {
+  const documents = [];
+  const qualifications = Array.isArray(nurseRow.qualifications) ? nurseRow.qualifications : [];
+  const seenKeys = new Set();
+  qualifications.forEach((item) => {
+    if (!item || typeof item !== "object") return;
+    const name = String(item.name || "").trim();
+    const url = pickQualificationUrl(item);
+    const key = `qualification:${name.toLowerCase()}`;
+    if (!name || !url || seenKeys.has(key)) return;
+    seenKeys.add(key);
+    documents.push({ key, label: name, url, isTimeBound: TIME_BOUND_DOCUMENT_PATTERN.test(name) });
+  });
+
+  const medicalFitUrl = String(nurseRow.medical_fit_url || "").trim();
+  if (medicalFitUrl) {
+    documents.push({ key: MEDICAL_FIT_DOCUMENT_KEY, label: "Medical Fitness Certificate", url: medicalFitUrl, isTimeBound: true });
+  }
+  return documents;
+}
+
+/**
+ * Recompute the public "Verified" flag: at least one approved certificate and none lapsed.
+ */
+async function refreshNurseVerification(db, nurseIds) {
+  const ids = [...new Set((nurseIds || []).filter((id) => Number.isInteger(id)))];
+  if (!ids.length) return;
+  await db.query(
+    `UPDATE nurses n
+     SET is_verified = verdict.verified
+     FROM (
+       SELECT
+         ids.nurse_id,
+         (
+           EXISTS (SELECT 1 FROM nurse_document_reviews r WHERE r.nurse_id = ids.nurse_id AND r.status = 'approved')
+           AND NOT EXISTS (SELECT 1 FROM nurse_document_reviews r WHERE r.nurse_id = ids.nurse_id AND r.status = 'expired')
+         ) AS verified
+       FROM unnest($1::int[]) AS ids(nurse_id)
+     ) verdict
+     WHERE n.id = verdict.nurse_id
+       AND n.is_verified IS DISTINCT FROM verdict.verified`,
+    [ids]
+  );
+}
+
+/**
+ * Bring the review queue in line with the documents nurses have uploaded. New documents join as
+ * pending, replaced files go back to pending, and removed documents drop out. Pass nurse ids to
+ * sync only those nurses.
+ */
+async function syncNurseDocuments(db, nurseIds = null) {
+  const scoped = Array.isArray(nurseIds);
+  const nursesResult = await db.query(
+    `SELECT id, qualifications, medical_fit_url
+     FROM nurses
+     WHERE ($1::int[] IS NULL OR id = ANY($1::int[]))`,
+    [scoped ? nurseIds : null]
+  );
+
+  const rows = { nurseIds: [], keys: [], labels: [], urls: [], timeBound: [] };
+  nursesResult.rows.forEach((nurseRow) => {
+    collectNurseDocuments(nurseRow).forEach((document) => {
+      rows.nurseIds.push(nurseRow.id);
+      rows.keys.push(document.key);
+      rows.labels.push(document.label);
+      rows.urls.push(document.url);
+      rows.timeBound.push(document.isTimeBound);
+    });
+  });
+
+  const changed = rows.keys.length
+    ? await db.query(
+      `INSERT INTO nurse_document_reviews (nurse_id, document_key, document_label, document_url, is_time_bound)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::boolean[])
+       ON CONFLICT (nurse_id, document_key) DO UPDATE
+       SET document_label = EXCLUDED.document_label,
+           document_url = EXCLUDED.document_url,
+           is_time_bound = EXCLUDED.is_time_bound,
+           status = 'pending',
+           expires_on = NULL,
+           review_note = NULL,
+           reviewed_by_user_id = NULL,
+           reviewed_at = NULL,
+           reminders_sent = 0,
+           submitted_at = NOW(),
+           updated_at = NOW()
+       WHERE nurse_document_reviews.document_url IS DISTINCT FROM EXCLUDED.document_url
+       RETURNING nurse_id, (xmax = 0) AS inserted`,
+      [rows.nurseIds, rows.keys, rows.labels, rows.urls, rows.timeBound]
+    )
+    : { rows: [] };
+
+  const removed = await db.query(
+    `DELETE FROM nurse_document_reviews r
+     WHERE ($1::int[] IS NULL OR r.nurse_id = ANY($1::int[]))
+       AND NOT EXISTS (
+         SELECT 1
+         FROM unnest($2::int[], $3::text[]) AS current_docs(nurse_id, document_key)
+         WHERE current_docs.nurse_id = r.nurse_id
+           AND current_docs.document_key = r.document_key
+       )
+     RETURNING r.nurse_id`,
+    [scoped ? nurseIds : null, rows.nurseIds, rows.keys]
+  );
+
+  // First-time inserts leave the flag alone so nurses approved before document reviews keep
+  // their badge until an admin looks at their certificates.
+  await refreshNurseVerification(db, [
+    ...changed.rows.filter((row) => !row.inserted).map((row) => row.nurse_id),
+    ...removed.rows.map((row) => row.nurse_id)
+  ]);
+}
+
+function parseDocumentQueueFilters(query = {}) {
+  const page = Number.parseInt(query.page, 10);
+  return {
+    view: DOCUMENT_QUEUE_VIEWS.includes(query.view) ? query.view : "pending",
+    search: String(query.q || "").trim().slice(0, 60),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+const DOCUMENT_REVIEW_SELECT_SQL = `SELECT
+    r.id,
+    r.nurse_id,
+    r.document_key,
+    r.document_label,
+    r.document_url,
+    r.is_time_bound,
+    r.status,
+    r.review_note,
+    to_char(r.expires_on, 'YYYY-MM-DD') AS expires_on,
+    (r.expires_on - CURRENT_DATE) AS days_left,
+    to_char(r.submitted_at, 'YYYY-MM-DD HH24:MI') AS submitted_at,
+    to_char(r.reviewed_at, 'YYYY-MM-DD HH24:MI') AS reviewed_at,
+    n.full_name AS nurse_name,
+    n.unique_id AS nurse_unique_id,
+    COALESCE(reviewer.email, '-') AS reviewer_email
+  FROM nurse_document_reviews r
+  JOIN nurses n ON n.id = r.nurse_id
+  LEFT JOIN users reviewer ON reviewer.id = r.reviewed_by_user_id`;
+
+function mapDocumentReviewRow(row) {
+  return {
+    ...row,
+    status_label: DOCUMENT_REVIEW_STATUSES[row.status] || row.status,
+    is_expiring_soon: row.status === "approved" && row.days_left !== null && row.days_left <= EXPIRING_SOON_DAYS
+  };
+}
+
+async function listDocumentReviews(db, filters) {
+  const params = [];
+  const conditions = [];
+  let orderBy = "r.updated_at DESC, r.id DESC";
+
+  if (filters.view === "expiring") {
+    params.push(EXPIRING_SOON_DAYS);
+    conditions.push(`r.status = 'approved' AND r.expires_on <= CURRENT_DATE + $${params.length}::int`);
+    orderBy = "r.expires_on ASC, r.id ASC";
+  } else if (filters.view !== "all") {
+    params.push(filters.view);
+    conditions.push(`r.status = $${params.length}`);
+    if (filters.view === "pending") orderBy = "r.submitted_at ASC, r.id ASC";
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(n.full_name ILIKE $${params.length} OR n.unique_id ILIKE $${params.length} OR r.document_label ILIKE $${params.length})`);
+  }
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const countResult = await db.query(
+    `SELECT COUNT(*)::int AS total
+     FROM nurse_document_reviews r
+     JOIN nurses n ON n.id = r.nurse_id
+     ${whereSql}`,
+    params
+  );
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / DOCUMENT_REVIEW_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+
+  const result = await db.query(
+    `${DOCUMENT_REVIEW_SELECT_SQL}
+     ${whereSql}
+     ORDER BY ${orderBy}
+     LIMIT ${DOCUMENT_REVIEW_PAGE_SIZE} OFFSET ${(page - 1) * DOCUMENT_REVIEW_PAGE_SIZE}`,
+    params
+  );
+  return { documents: result.rows.map(mapDocumentReviewRow), total, page, pageCount };
+}
+
+async function countDocumentQueue(db) {
+  const result = await db.query(
+    `SELECT
+        COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+        COUNT(*) FILTER (WHERE status = 'approved' AND expires_on <= CURRENT_DATE + $1::int)::int AS expiring,
+        COUNT(*) FILTER (WHERE status = 'expired')::int AS expired
+     FROM nurse_document_reviews`,
+    [EXPIRING_SOON_DAYS]
+  );
+  return result.rows[0];
+}
+
+async function listNurseDocumentReviews(db, nurseId) {
+  const result = await db.query(
+    `${DOCUMENT_REVIEW_SELECT_SQL}
+     WHERE r.nurse_id = $1
+     ORDER BY r.document_label ASC`,
+    [nurseId]
+  );
+  return result.rows.map(mapDocumentReviewRow);
+}
+
+/**
+ * Record an admin decision on one document. `documentUrl` is the file the admin was looking at;
+ * if the nurse has replaced it since, the decision is refused so the new file gets reviewed.
+ */
+async function reviewNurseDocument(db, reviewId, { decision, expiresOn, note, documentUrl, actor }) {
+  const status = DOCUMENT_REVIEW_DECISIONS[decision];
+  if (!status) throw new Error("Choose approve, reject or request re-upload.");
+  const reviewNote = String(note || "").trim().slice(0, 1000);
+  if (status !== "approved" && !reviewNote) {
+    throw new Error("Tell the nurse what is wrong with the document.");
+  }
+
+  const result = await db.query(
+    `SELECT r.id, r.nurse_id, r.document_label, r.document_url, r.is_time_bound, r.status, n.user_id AS nurse_user_id
+     FROM nurse_document_reviews r
+     JOIN nurses n ON n.id = r.nurse_id
+     WHERE r.id = $1
+     FOR UPDATE OF r`,
+    [reviewId]
+  );
+  const review = result.rows[0];
+  if (!review) throw new Error("Document not found.");
+  if (documentUrl !== undefined && String(documentUrl || "") !== review.document_url) {
+    throw new Error("The nurse uploaded a new file since this page loaded. Review the new file.");
+  }
+
+  let expiryDate = null;
+  if (status === "approved") {
+    expiryDate = normalizeDateInput(expiresOn) || null;
+    if (String(expiresOn || "").trim() && !expiryDate) throw new Error("Enter a valid expiry date.");
+    if (review.is_time_bound && !expiryDate) throw new Error("Enter the expiry date printed on this certificate.");
+    const today = formatLocalDate(new Date());
+    if (expiryDate && expiryDate <= today) throw new Error("This certificate has already expired. Request a re-upload instead.");
+    if (expiryDate && Number(expiryDate.slice(0, 4)) > Number(today.slice(0, 4)) + MAX_EXPIRY_YEARS) {
+      throw new Error(`Expiry dates more than ${MAX_EXPIRY_YEARS} years away are not accepted.`);
+    }
+  }
+
+  await db.query(
+    `UPDATE nurse_document_reviews
+     SET status = $2,
+         expires_on = $3,
+         review_note = $4,
+         reviewed_by_user_id = $5,
+         reviewed_at = NOW(),
+         reminders_sent = 0,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [reviewId, status, expiryDate, reviewNote || null, typeof actor.userId === "number" ? actor.userId : null]
+  );
+  await refreshNurseVerification(db, [review.nurse_id]);
+
+  return {
+    nurseId: review.nurse_id,
+    nurseUserId: review.nurse_user_id,
+    label: review.document_label,
+    previousStatus: review.status,
+    status,
+    expiresOn: expiryDate,
+    note: reviewNote
+  };
+}
+
+/**
+ * Send the 30- and 7-day reminders for verified certificates, each at most once per expiry date.
+ */
+async function claimExpiryReminders(db) {
+  const [firstStep, lastStep] = EXPIRY_REMINDER_DAYS;
+  const result = await db.query(
+    `UPDATE nurse_document_reviews r
+     SET reminders_sent = CASE WHEN r.expires_on <= CURRENT_DATE + $2::int THEN 2 ELSE 1 END,
+         updated_at = NOW()
+     FROM nurses n
+     WHERE n.id = r.nurse_id
+       AND r.status = 'approved'
+       AND r.expires_on >= CURRENT_DATE
+       AND (
+         (r.reminders_sent < 1 AND r.expires_on <= CURRENT_DATE + $1::int)
+         OR (r.reminders_sent < 2 AND r.expires_on <= CURRENT_DATE + $2::int)
+       )
+     RETURNING r.nurse_id, n.user_id AS nurse_user_id, r.document_label, to_char(r.expires_on, 'YYYY-MM-DD') AS expires_on`,
+    [firstStep, lastStep]
+  );
+  return result.rows;
+}
+
+async function expireLapsedDocuments(db) {
+  const result = await db.query(
+    `UPDATE nurse_document_reviews r
+     SET status = 'expired',
+         updated_at = NOW()
+     FROM nurses n
+     WHERE n.id = r.nurse_id
+       AND r.status = 'approved'
+       AND r.expires_on < CURRENT_DATE
+     RETURNING r.nurse_id, n.user_id AS nurse_user_id, n.full_name AS nurse_name, r.document_label, to_char(r.expires_on, 'YYYY-MM-DD') AS expires_on`
+  );
+  return result.rows;
+}
+
+/**
+ * Pick up new uploads, remind nurses about certificates nearing expiry and mark lapsed ones
+ * expired, which takes the Verified badge away until a renewed copy is approved.
+ */
+async function processDocumentExpiry(db) {
+  await syncNurseDocuments(db);
+  const reminders = await claimExpiryReminders(db);
+  const expired = await expireLapsedDocuments(db);
+
+  for (const reminder of reminders) {
+    await notifyUsersNow(db, [reminder.nurse_user_id], {
+      eventType: "document_expiring",
+      title: "Certificate Expiring",
+      message: `Your ${reminder.document_label} expires on ${reminder.expires_on}. Upload the renewed certificate to keep your Verified badge.`,
+      actionPath: "/nurse/profile"
+    });
+  }
+
+  if (expired.length) {
+    await refreshNurseVerification(db, expired.map((row) => row.nurse_id));
+    const adminIds = await findAdminUserIds(db);
+    for (const document of expired) {
+      await notifyUsersNow(db, [document.nurse_user_id], {
+        eventType: "document_expiring",
+        title: "Certificate Expired",
+        message: `Your ${document.document_label} expired on ${document.expires_on}. Upload the renewed certificate to get verified again.`,
+        actionPath: "/nurse/profile"
+      });
+      await notifyUsersNow(db, adminIds, {
+        eventType: "document_expiring",
+        title: "Certificate Expired",
+        message: `${document.nurse_name}'s ${document.document_label} expired on ${document.expires_on}.`,
+        actionPath: "/admin/documents?view=expired"
+      });
+    }
+  }
+
+  return { reminded: reminders.length, expired: expired.length };
+}
+
+/**
+ * Run the expiry check in the background for the lifetime of the process.
+ */
+function startDocumentExpiryWorker(db, { intervalMs = EXPIRY_WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDocumentExpiry(db)
+      .catch((error) => {
+        console.error("Document expiry worker error:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  DOCUMENT_REVIEW_STATUSES,
+  EXPIRING_SOON_DAYS,
+  collectNurseDocuments,
+  countDocumentQueue,
+  listDocumentReviews,
+  listNurseDocumentReviews,
+  parseDocumentQueueFilters,
+  processDocumentExpiry,
+  reviewNurseDocument,
+  startDocumentExpiryWorker,
+  syncNurseDocuments
+};
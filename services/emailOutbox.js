@@ -0,0 +1,459 @@
+const { deliverEmail, getEmailTransportName } = require("../src/emailTransport");
+
+const EMAIL_OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+const EMAIL_OUTBOX_PAGE_SIZE = 50;
+// Wait before retry N (1-based); the last delay repeats if max_attempts allows more tries.
+const EMAIL_RETRY_DELAYS_SECONDS = [60, 5 * 60, 15 * 60, 60 * 60];
+const DEFAULT_MAX_ATTEMPTS = EMAIL_RETRY_DELAYS_SECONDS.length + 1;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const WORKER_BATCH_SIZE = 20;
+// A row left in `sending` this long belongs to a worker that died mid-send.
+const STALE_SENDING_MINUTES = 10;
+const MAX_ERROR_LENGTH = 500;
+
+function normalizeRecipients(to) {
+  const list = Array.isArray(to) ? to : String(to || "").split(",");
+  return list.map((item) => String(item || "").trim()).filter(Boolean).join(", ");
+}
+
+function serializeAttachments(attachments) {
+  return (attachments || [])
+    .filter((item) => item && typeof item.content !== "undefined")
+    .map((item) => ({
+      filename: item.filename || "attachment",
+      content: Buffer.isBuffer(item.content) ? item.content.toString("base64") : String(item.content)
+    }));
+}
+
+function toTransportMessage(row) {
+  return {
+    from: row.from_address,
+    to: row.to_address.split(",").map((item) => item.trim()).filter(Boolean),
+    subject: row.subject,
+    html: row.html_body || undefined,
+    text: row.text_body || undefined,
+    attachments: Array.isArray(row.attachments) ? row.attachments : []
+  };
+}
+
+function getRetryDelaySeconds(attempts) {
+  const index = Math.min(Math.max(attempts, 1), EMAIL_RETRY_DELAYS_SECONDS.length) - 1;
+  return EMAIL_RETRY_DELAYS_SECONDS[index];
+}
+
+function describeDeliveryError(error) {
+  return String((error && error.message) || error || "Email delivery failed.").slice(0, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Store a message in the outbox. Nothing is sent yet; see sendQueuedEmail and the worker.
+ * @returns {Promise<number>} Outbox id
+ */
+async function enqueueEmail(db, mailOptions) {
+  const expiresInMinutes = Number(mailOptions.expiresInMinutes);
+  const result = await db.query(
+    `INSERT INTO email_outbox (
+      category,
+      from_address,
+      to_address,
+      subject,
+      html_body,
+      text_body,
+      attachments,
+      sensitive,
+      notification_delivery_id,
+      max_attempts,
+      expires_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10,
+      CASE WHEN $11::int > 0 THEN NOW() + ($11::int * INTERVAL '1 minute') END)
+    RETURNING id`,
+    [
+      mailOptions.category || "general",
+      mailOptions.from,
+      normalizeRecipients(mailOptions.to),
+      mailOptions.subject || "(no subject)",
+      mailOptions.html || null,
+      mailOptions.text || null,
+      JSON.stringify(serializeAttachments(mailOptions.attachments)),
+      Boolean(mailOptions.sensitive),
+      mailOptions.notificationDeliveryId || null,
+      DEFAULT_MAX_ATTEMPTS,
+      expiresInMinutes > 0 ? Math.ceil(expiresInMinutes) : 0
+    ]
+  );
+  return result.rows[0].id;
+}
+
+// Mirror the final outcome onto the notification delivery this email was sent for.
+async function syncNotificationDelivery(db, row, status, error) {
+  if (!row.notification_delivery_id) return;
+  await db.query(
+    `UPDATE notification_deliveries
+     SET status = $2,
+         last_error = $3,
+         sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END
+     WHERE id = $1`,
+    [row.notification_delivery_id, status, error || null]
+  );
+}
+
+/**
+ * Send a claimed row (status `sending`, attempts already incremented) and record the attempt.
+ * Failures are rescheduled with backoff until max_attempts or expires_at is reached.
+ */
+async function deliverClaimedEmail(db, row, { triggeredByUserId = null } = {}) {
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    const { transport, messageId } = await deliverEmail(toTransportMessage(row));
+    outcome = { success: true, transport, messageId: messageId || null };
+  } catch (error) {
+    outcome = { success: false, transport: getEmailTransportName(), error: describeDeliveryError(error) };
+  }
+
+  await db.query(
+    `INSERT INTO email_outbox_attempts (
+      email_id, attempt_number, transport, succeeded, provider_message_id, error, duration_ms, triggered_by_user_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      row.id,
+      row.attempts,
+      outcome.transport,
+      outcome.success,
+      outcome.messageId || null,
+      outcome.error || null,
+      Date.now() - startedAt,
+      triggeredByUserId
+    ]
+  );
+
+  if (outcome.success) {
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent',
+           transport = $2,
+           provider_message_id = $3,
+           last_error = NULL,
+           sent_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [row.id, outcome.transport, outcome.messageId]
+    );
+    await syncNotificationDelivery(db, row, "sent", null);
+    return { success: true, outboxId: row.id, messageId: outcome.messageId };
+  }
+
+  const updated = await db.query(
+    `UPDATE email_outbox
+     SET status = CASE
+           WHEN attempts >= max_attempts OR (expires_at IS NOT NULL AND expires_at <= NOW() + ($3::int * INTERVAL '1 second'))
+             THEN 'failed'
+           ELSE 'pending'
+         END,
+         next_attempt_at = NOW() + ($3::int * INTERVAL '1 second'),
+         transport = $4,
+         last_error = $2,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING status`,
+    [row.id, outcome.error, getRetryDelaySeconds(row.attempts), outcome.transport]
+  );
+  const queued = updated.rows[0] && updated.rows[0].status === "pending";
+  if (!queued) {
+    await syncNotificationDelivery(db, row, "failed", outcome.error);
+  }
+  console.error(`Email outbox #${row.id} attempt ${row.attempts} failed${queued ? " (will retry)" : ""}:`, outcome.error);
+  return { success: false, outboxId: row.id, queued, error: outcome.error };
+}
+
+async function claimEmail(db, emailId) {
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1, last_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+       AND status = 'pending'
+     RETURNING *`,
+    [emailId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue a message and make the first attempt right away, so OTPs are not held up by the worker.
+ * Returns the same { success, messageId, error } shape sendMail always has, plus the outbox id
+ * and whether a failed message is still queued for retry.
+ */
+async function sendQueuedEmail(db, mailOptions) {
+  const emailId = await enqueueEmail(db, mailOptions);
+  const row = await claimEmail(db, emailId);
+  if (!row) return { success: false, outboxId: emailId, queued: true, error: "Email is queued for delivery." };
+  return deliverClaimedEmail(db, row);
+}
+
+/**
+ * One worker pass: give up on expired messages, then send a batch of due ones.
+ * @returns {Promise<number>} Number of messages attempted
+ */
+async function processDueEmails(db, { limit = WORKER_BATCH_SIZE } = {}) {
+  const expired = await db.query(
+    `UPDATE email_outbox
+     SET status = 'failed',
+         last_error = COALESCE(last_error || ' ', '') || '(expired before delivery)',
+         updated_at = NOW()
+     WHERE status = 'pending'
+       AND expires_at IS NOT NULL
+       AND expires_at <= NOW()
+     RETURNING id, notification_delivery_id, last_error`
+  );
+  for (const row of expired.rows) {
+    await syncNotificationDelivery(db, row, "failed", row.last_error);
+  }
+
+  const claimed = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1, last_attempt_at = NOW(), updated_at = NOW()
+     WHERE id IN (
+       SELECT id
+       FROM email_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND last_attempt_at < NOW() - ($2::int * INTERVAL '1 minute'))
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, STALE_SENDING_MINUTES]
+  );
+  for (const row of claimed.rows) {
+    await deliverClaimedEmail(db, row);
+  }
+  return claimed.rows.length;
+}
+
+/**
+ * Retry queued emails in the background for the lifetime of the process.
+ */
+function startEmailOutboxWorker(db, { intervalMs = WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDueEmails(db)
+      .catch((error) => {
+        console.error("Email outbox worker error:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Admin resend: put a failed (or still pending) email back in the queue and try it now.
+ * Expired security emails (OTPs, reset links) are refused; the user has to request a new one.
+ */
+async function resendOutboxEmail(db, emailId, actorUserId) {
+  const reset = await db.query(
+    `UPDATE email_outbox
+     SET status = 'pending',
+         max_attempts = attempts + $2,
+         next_attempt_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1
+       AND status IN ('failed', 'pending')
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id`,
+    [emailId, DEFAULT_MAX_ATTEMPTS]
+  );
+  if (!reset.rows.length) {
+    const existing = await db.query("SELECT status, expires_at <= NOW() AS expired FROM email_outbox WHERE id = $1", [emailId]);
+    if (!existing.rows.length) throw new Error("Email not found.");
+    if (existing.rows[0].expired) throw new Error("This email has expired. Ask the user to request a new one.");
+    throw new Error(`Only failed or pending emails can be resent (this one is ${existing.rows[0].status}).`);
+  }
+
+  const row = await claimEmail(db, emailId);
+  if (!row) return { success: false, outboxId: emailId, queued: true, error: "Email is already being sent." };
+  return deliverClaimedEmail(db, row, { triggeredByUserId: actorUserId });
+}
+
+/**
+ * Requeue every failed email that has not expired; the worker sends them on its next pass.
+ * @returns {Promise<number>} Number of emails requeued
+ */
+async function requeueFailedEmails(db) {
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'pending',
+         max_attempts = attempts + $1,
+         next_attempt_at = NOW(),
+         updated_at = NOW()
+     WHERE status = 'failed'
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [DEFAULT_MAX_ATTEMPTS]
+  );
+  return result.rowCount;
+}
+
+function parseEmailOutboxFilters(query = {}) {
+  const status = String(query.status || "").trim().toLowerCase();
+  const page = Number.parseInt(query.page, 10);
+  return {
+    status: EMAIL_OUTBOX_STATUSES.includes(status) ? status : "",
+    category: String(query.category || "").trim().slice(0, 50),
+    search: String(query.q || "").trim().slice(0, 120),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+function buildEmailOutboxHref(filters, overrides = {}) {
+  const merged = { ...filters, page: 1, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.status) params.set("status", merged.status);
+  if (merged.category) params.set("category", merged.category);
+  if (merged.search) params.set("q", merged.search);
+  if (merged.page > 1) params.set("page", String(merged.page));
+  const queryString = params.toString();
+  return queryString ? `/admin/email-outbox?${queryString}` : "/admin/email-outbox";
+}
+
+async function listOutboxEmails(db, filters) {
+  const conditions = [];
+  const params = [];
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`category = $${params.length}`);
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(to_address ILIKE $${params.length} OR subject ILIKE $${params.length})`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM email_outbox ${whereClause}`, params);
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / EMAIL_OUTBOX_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+
+  const result = await db.query(
+    `SELECT
+        id,
+        category,
+        to_address,
+        subject,
+        status,
+        attempts,
+        max_attempts,
+        last_error,
+        transport,
+        provider_message_id,
+        expires_at IS NOT NULL AND expires_at <= NOW() AS expired,
+        to_char(created_at, 'YYYY-MM-DD HH24:MI') AS created_at,
+        to_char(next_attempt_at, 'YYYY-MM-DD HH24:MI') AS next_attempt_at,
+        to_char(sent_at, 'YYYY-MM-DD HH24:MI') AS sent_at
+     FROM email_outbox
+     ${whereClause}
+     ORDER BY email_outbox.created_at DESC, id DESC
+     LIMIT ${EMAIL_OUTBOX_PAGE_SIZE}
+     OFFSET ${(page - 1) * EMAIL_OUTBOX_PAGE_SIZE}`,
+    params
+  );
+
+  return {
+    emails: result.rows,
+    total,
+    page,
+    pageCount,
+    pageSize: EMAIL_OUTBOX_PAGE_SIZE
+  };
+}
+
+async function summarizeOutbox(db) {
+  const [statusResult, categoryResult] = await Promise.all([
+    db.query("SELECT status, COUNT(*)::int AS count FROM email_outbox GROUP BY status"),
+    db.query("SELECT DISTINCT category FROM email_outbox ORDER BY category")
+  ]);
+  const counts = EMAIL_OUTBOX_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  statusResult.rows.forEach((row) => {
+    counts[row.status] = row.count;
+  });
+  return {
+    counts,
+    categories: categoryResult.rows.map((row) => row.category)
+  };
+}
+
+/**
+ * One outbox email with its attempt history. Bodies of sensitive emails (OTPs, reset and edit
+ * links) are withheld so admins cannot read codes meant for someone else.
+ */
+async function getOutboxEmail(db, emailId) {
+  const result = await db.query(
+    `SELECT
+        e.*,
+        e.expires_at IS NOT NULL AND e.expires_at <= NOW() AS expired,
+        to_char(e.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_label,
+        to_char(e.next_attempt_at, 'YYYY-MM-DD HH24:MI:SS') AS next_attempt_label,
+        to_char(e.sent_at, 'YYYY-MM-DD HH24:MI:SS') AS sent_label,
+        to_char(e.expires_at, 'YYYY-MM-DD HH24:MI:SS') AS expires_label
+     FROM email_outbox e
+     WHERE e.id = $1
+     LIMIT 1`,
+    [emailId]
+  );
+  const email = result.rows[0];
+  if (!email) return null;
+
+  const attemptsResult = await db.query(
+    `SELECT
+        a.attempt_number,
+        a.transport,
+        a.succeeded,
+        a.provider_message_id,
+        a.error,
+        a.duration_ms,
+        u.email AS triggered_by_email,
+        to_char(a.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
+     FROM email_outbox_attempts a
+     LEFT JOIN users u ON u.id = a.triggered_by_user_id
+     WHERE a.email_id = $1
+     ORDER BY a.attempt_number ASC, a.id ASC`,
+    [emailId]
+  );
+
+  return {
+    ...email,
+    html_body: email.sensitive ? null : email.html_body,
+    text_body: email.sensitive ? null : email.text_body,
+    attachments: (Array.isArray(email.attachments) ? email.attachments : []).map((item) => ({
+      filename: item.filename,
+      bytes: Buffer.from(String(item.content || ""), "base64").length
+    })),
+    attemptLog: attemptsResult.rows
+  };
+}
+
+module.exports = {
+  EMAIL_OUTBOX_STATUSES,
+  EMAIL_RETRY_DELAYS_SECONDS,
+  buildEmailOutboxHref,
+  enqueueEmail,
+  getOutboxEmail,
+  getRetryDelaySeconds,
+  listOutboxEmails,
+  parseEmailOutboxFilters,
+  processDueEmails,
+  requeueFailedEmails,
+  resendOutboxEmail,
+  sendQueuedEmail,
+  startEmailOutboxWorker,
+  summarizeOutbox
+};
@@ -0,0 +1,156 @@
+const FAMILY_OTP_TTL_MINUTES = 10;
+const FAMILY_OTP_MAX_ATTEMPTS = 5;
+
+function maskFamilyContact(contact) {
+  if (!contact) return "";
+  if (contact.type === "phone") return `******${contact.value.slice(-4)}`;
+  const [name, domain] = contact.value.split("@");
+  return `${name.slice(0, 2)}***@${domain}`;
+}
+
+const CONTACT_MATCH_SQL = `(
+  ($1::text = 'email' AND LOWER(COALESCE(p.email, '')) = $2)
+  OR ($1::text = 'phone' AND RIGHT(REGEXP_REPLACE(COALESCE(p.phone_number, ''), '\\D', '', 'g'), 10) = $2)
+)`;
+
+async function countPatientsForContact(db, contact) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS total
+     FROM patients p
+     WHERE ${CONTACT_MATCH_SQL}`,
+    [contact.type, contact.value]
+  );
+  return result.rows[0].total;
+}
+
+/**
+ * Attach the patient records booked with this verified contact to the family account. Records
+ * already owned by another account are left alone; a matching phone or email is not proof
+ * that the record belongs to this family.
+ */
+async function linkFamilyPatients(db, userId, contact) {
+  const result = await db.query(
+    `UPDATE patients p
+     SET user_id = $3
+     WHERE ${CONTACT_MATCH_SQL}
+       AND p.user_id IS NULL`,
+    [contact.type, contact.value, userId]
+  );
+  return result.rowCount;
+}
+
+async function listFamilyRequests(db, userId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), 'Patient') AS patient_name,
+        COALESCE(NULLIF(cr.care_type, ''), NULLIF(p.notes, ''), '') AS care_summary,
+        cr.status,
+        COALESCE(cr.payment_status, 'pending') AS payment_status,
+        to_char(cr.created_at, 'YYYY-MM-DD') AS created_on,
+        n.full_name AS nurse_name,
+        rr.rating,
+        (
+          SELECT COUNT(*)::int
+          FROM care_request_invoices i
+          WHERE i.request_id = cr.id
+            AND i.status = 'issued'
+        ) AS unpaid_invoices
+     FROM care_requests cr
+     JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
+     WHERE p.user_id = $1
+     ORDER BY cr.created_at DESC, cr.id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function isFamilyPatient(db, userId, patientId) {
+  if (!Number.isInteger(patientId)) return false;
+  const result = await db.query(
+    "SELECT 1 FROM patients WHERE id = $1 AND user_id = $2 LIMIT 1",
+    [patientId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+async function getFamilyRequestDetails(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cr.assigned_nurse_id,
+        cr.status,
+        rr.rating,
+        rr.feedback,
+        rr.rated_by_role,
+        rr.rated_by_user_id,
+        rr.review_status
+     FROM care_requests cr
+     LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
+     WHERE cr.id = $1`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Save the family's rating of the nurse on a completed request. A rating already recorded by
+ * staff on the family's behalf is left alone. Every save goes back to admin moderation.
+ */
+async function saveFamilyRating(db, { requestId, userId, rating, feedback }) {
+  const score = Number.parseInt(rating, 10);
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw new Error("Choose a rating between 1 and 5 stars.");
+  }
+  const comment = String(feedback || "").trim().slice(0, 1000);
+
+  const requestResult = await db.query(
+    `SELECT cr.id, cr.status, cr.assigned_nurse_id, cr.patient_id, rr.rated_by_user_id
+     FROM care_requests cr
+     LEFT JOIN care_request_ratings rr ON rr.request_id = cr.id
+     WHERE cr.id = $1
+     FOR UPDATE OF cr`,
+    [requestId]
+  );
+  const careRequest = requestResult.rows[0];
+  if (!careRequest) throw new Error("Care request not found.");
+  if (careRequest.status !== "completed") throw new Error("You can rate the nurse once care is completed.");
+  if (!careRequest.assigned_nurse_id) throw new Error("No nurse was assigned to this request.");
+  if (careRequest.rated_by_user_id && careRequest.rated_by_user_id !== userId) {
+    throw new Error("A rating has already been recorded for this request.");
+  }
+
+  await db.query(
+    `INSERT INTO care_request_ratings (
+      request_id, nurse_id, patient_id, rating, feedback, rated_by_user_id, rated_by_role,
+      review_status, created_at, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, 'user', 'pending', NOW(), NOW())
+    ON CONFLICT (request_id)
+    DO UPDATE SET
+      rating = EXCLUDED.rating,
+      feedback = EXCLUDED.feedback,
+      review_status = 'pending',
+      moderation_note = NULL,
+      moderated_by_user_id = NULL,
+      moderated_at = NULL,
+      updated_at = NOW()`,
+    [requestId, careRequest.assigned_nurse_id, careRequest.patient_id || null, score, comment || null, userId]
+  );
+
+  return { nurseId: careRequest.assigned_nurse_id, rating: score, feedback: comment };
+}
+
+module.exports = {
+  FAMILY_OTP_MAX_ATTEMPTS,
+  FAMILY_OTP_TTL_MINUTES,
+  countPatientsForContact,
+  getFamilyRequestDetails,
+  isFamilyPatient,
+  linkFamilyPatients,
+  listFamilyRequests,
+  maskFamilyContact,
+  saveFamilyRating
+};
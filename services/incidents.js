@@ -0,0 +1,496 @@
+const { formatLocalDate, normalizeDateInput } = require("./careShifts");
+
+const INCIDENT_CATEGORIES = {
+  fall: "Fall",
+  medication_error: "Medication error",
+  patient_complaint: "Complaint about a nurse",
+  nurse_safety: "Nurse safety issue",
+  abuse_or_neglect: "Abuse or neglect",
+  other: "Other"
+};
+const INCIDENT_SEVERITIES = {
+  low: "Low",
+  moderate: "Moderate",
+  high: "High",
+  critical: "Critical"
+};
+const INCIDENT_STATUSES = {
+  open: "Open",
+  investigating: "Investigating",
+  resolved: "Resolved",
+  closed: "Closed"
+};
+// Severities that alert the owning agent as well as admins the moment they are reported.
+const URGENT_INCIDENT_SEVERITIES = ["high", "critical"];
+const INCIDENT_PAGE_SIZE = 30;
+const DATETIME_INPUT_REGEX = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):([0-5]\d)$/;
+
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${formatLocalDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function clampText(value, maxLength) {
+  return String(value || "").trim().slice(0, maxLength);
+}
+
+/**
+ * Read the incident report form. `request_id` is resolved by the caller, which knows which
+ * requests the reporter may pick.
+ */
+function normalizeIncidentInput(body = {}) {
+  const category = Object.prototype.hasOwnProperty.call(INCIDENT_CATEGORIES, body.category) ? body.category : "";
+  const severity = Object.prototype.hasOwnProperty.call(INCIDENT_SEVERITIES, body.severity) ? body.severity : "";
+  const title = clampText(body.title, 160);
+  const description = clampText(body.description, 5000);
+  if (!category) throw new Error("Choose what kind of incident this was.");
+  if (!severity) throw new Error("Choose how severe the incident was.");
+  if (!title) throw new Error("Give the incident a short title.");
+  if (!description) throw new Error("Describe what happened.");
+
+  const now = formatLocalDateTime(new Date());
+  const match = DATETIME_INPUT_REGEX.exec(String(body.occurred_at || "").trim());
+  const occurredAt = match ? `${match[1]} ${match[2]}:${match[3]}` : now;
+  if (occurredAt > now) throw new Error("The incident time cannot be in the future.");
+
+  return {
+    category,
+    severity,
+    title,
+    description,
+    immediateAction: clampText(body.immediate_action, 2000),
+    occurredAt
+  };
+}
+
+/**
+ * File a report against a care request. The patient and the nurse assigned at the time are
+ * recorded as the involved parties.
+ */
+async function createIncidentReport(db, { requestId, report, reporter }) {
+  const requestResult = await db.query(
+    "SELECT id, patient_id, assigned_nurse_id FROM care_requests WHERE id = $1",
+    [requestId]
+  );
+  const requestItem = requestResult.rows[0];
+  if (!requestItem) throw new Error("Care request not found.");
+
+  const result = await db.query(
+    `INSERT INTO incident_reports (
+      category, severity, request_id, patient_id, nurse_id, occurred_at, title, description,
+      immediate_action, reported_by_user_id, reported_by_role
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id`,
+    [
+      report.category,
+      report.severity,
+      requestItem.id,
+      requestItem.patient_id,
+      requestItem.assigned_nurse_id,
+      report.occurredAt,
+      report.title,
+      report.description,
+      report.immediateAction || null,
+      typeof reporter.userId === "number" ? reporter.userId : null,
+      reporter.role
+    ]
+  );
+  const id = result.rows[0].id;
+  const referenceCode = `INC-${String(id).padStart(5, "0")}`;
+  await db.query("UPDATE incident_reports SET reference_code = $2 WHERE id = $1", [id, referenceCode]);
+  return { id, referenceCode, nurseId: requestItem.assigned_nurse_id };
+}
+
+function parseIncidentFilters(query = {}) {
+  const page = Number.parseInt(query.page, 10);
+  const pick = (value, options) => (Object.prototype.hasOwnProperty.call(options, value) ? value : "");
+  return {
+    status: query.status === "active" ? "active" : pick(query.status, INCIDENT_STATUSES),
+    severity: pick(query.severity, INCIDENT_SEVERITIES),
+    category: pick(query.category, INCIDENT_CATEGORIES),
+    search: clampText(query.q, 60),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+// Visibility rules: admins see everything, agents see incidents on their patients' requests or
+// that they filed, nurses see what they filed.
+function buildScopeCondition(scope, params) {
+  if (scope && scope.agentEmail) {
+    params.push(scope.agentEmail, scope.userId);
+    return `(LOWER(COALESCE(p.agent_email, '')) = LOWER($${params.length - 1}) OR i.reported_by_user_id = $${params.length})`;
+  }
+  if (scope && scope.reporterUserId) {
+    params.push(scope.reporterUserId);
+    return `i.reported_by_user_id = $${params.length}`;
+  }
+  return "";
+}
+
+const INCIDENT_SELECT_SQL = `SELECT
+    i.id,
+    i.reference_code,
+    i.category,
+    i.severity,
+    i.status,
+    i.request_id,
+    i.nurse_id,
+    i.title,
+    i.description,
+    i.immediate_action,
+    i.reported_by_user_id,
+    i.reported_by_role,
+    i.resolution_summary,
+    to_char(i.occurred_at, 'YYYY-MM-DD HH24:MI') AS occurred_at,
+    to_char(i.created_at, 'YYYY-MM-DD HH24:MI') AS created_at,
+    to_char(i.escalated_at, 'YYYY-MM-DD HH24:MI') AS escalated_at,
+    to_char(i.listing_suspended_at, 'YYYY-MM-DD HH24:MI') AS listing_suspended_at,
+    to_char(i.listing_restored_at, 'YYYY-MM-DD HH24:MI') AS listing_restored_at,
+    to_char(i.resolved_at, 'YYYY-MM-DD HH24:MI') AS resolved_at,
+    COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+    COALESCE(NULLIF(p.full_name, ''), '-') AS patient_name,
+    n.full_name AS nurse_name,
+    n.public_profile_enabled AS nurse_public,
+    n.listing_suspended_at IS NOT NULL AS nurse_listing_suspended,
+    COALESCE(NULLIF(reporter_nurse.full_name, ''), NULLIF(reporter_agent.full_name, ''), reporter.email, i.reported_by_role) AS reporter_name
+  FROM incident_reports i
+  LEFT JOIN care_requests cr ON cr.id = i.request_id
+  LEFT JOIN patients p ON p.id = COALESCE(i.patient_id, cr.patient_id)
+  LEFT JOIN nurses n ON n.id = i.nurse_id
+  LEFT JOIN users reporter ON reporter.id = i.reported_by_user_id
+  LEFT JOIN nurses reporter_nurse ON reporter_nurse.user_id = i.reported_by_user_id
+  LEFT JOIN agents reporter_agent ON reporter_agent.user_id = i.reported_by_user_id`;
+
+function mapIncidentRow(row) {
+  return {
+    ...row,
+    category_label: INCIDENT_CATEGORIES[row.category] || row.category,
+    severity_label: INCIDENT_SEVERITIES[row.severity] || row.severity,
+    status_label: INCIDENT_STATUSES[row.status] || row.status,
+    is_listing_suspended: Boolean(row.listing_suspended_at) && !row.listing_restored_at
+  };
+}
+
+async function listIncidents(db, filters, scope = null) {
+  const params = [];
+  const conditions = [];
+  const scopeCondition = buildScopeCondition(scope, params);
+  if (scopeCondition) conditions.push(scopeCondition);
+  if (filters.status === "active") {
+    conditions.push("i.status IN ('open', 'investigating')");
+  } else if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`i.status = $${params.length}`);
+  }
+  if (filters.severity) {
+    params.push(filters.severity);
+    conditions.push(`i.severity = $${params.length}`);
+  }
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`i.category = $${params.length}`);
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(i.reference_code ILIKE $${params.length} OR i.title ILIKE $${params.length} OR n.full_name ILIKE $${params.length} OR p.full_name ILIKE $${params.length} OR cr.request_code ILIKE $${params.length})`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const countResult = await db.query(
+    `SELECT COUNT(*)::int AS total
+     FROM incident_reports i
+     LEFT JOIN care_requests cr ON cr.id = i.request_id
+     LEFT JOIN patients p ON p.id = COALESCE(i.patient_id, cr.patient_id)
+     LEFT JOIN nurses n ON n.id = i.nurse_id
+     ${whereClause}`,
+    params
+  );
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / INCIDENT_PAGE_SIZE));
+  const page = Math.min(filters.page || 1, pageCount);
+
+  const result = await db.query(
+    `${INCIDENT_SELECT_SQL}
+     ${whereClause}
+     ORDER BY
+       (i.status IN ('open', 'investigating')) DESC,
+       CASE i.severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'moderate' THEN 2 ELSE 3 END,
+       i.created_at DESC
+     LIMIT ${INCIDENT_PAGE_SIZE} OFFSET ${(page - 1) * INCIDENT_PAGE_SIZE}`,
+    params
+  );
+  return { incidents: result.rows.map(mapIncidentRow), total, page, pageCount };
+}
+
+async function getIncident(db, incidentId, scope = null) {
+  const params = [incidentId];
+  const scopeCondition = buildScopeCondition(scope, params);
+  const result = await db.query(
+    `${INCIDENT_SELECT_SQL}
+     WHERE i.id = $1
+       ${scopeCondition ? `AND ${scopeCondition}` : ""}
+     LIMIT 1`,
+    params
+  );
+  return result.rows[0] ? mapIncidentRow(result.rows[0]) : null;
+}
+
+async function listIncidentTimeline(db, incidentId) {
+  const [notes, actions] = await Promise.all([
+    db.query(
+      `SELECT
+          t.id,
+          t.note_type,
+          t.body,
+          t.created_by_role,
+          COALESCE(NULLIF(n.full_name, ''), NULLIF(a.full_name, ''), u.email, t.created_by_role) AS author_name,
+          to_char(t.created_at, 'YYYY-MM-DD HH24:MI') AS created_at
+       FROM incident_notes t
+       LEFT JOIN users u ON u.id = t.created_by_user_id
+       LEFT JOIN nurses n ON n.user_id = t.created_by_user_id
+       LEFT JOIN agents a ON a.user_id = t.created_by_user_id
+       WHERE t.incident_id = $1
+       ORDER BY t.created_at ASC, t.id ASC`,
+      [incidentId]
+    ),
+    db.query(
+      `SELECT
+          id,
+          description,
+          owner_name,
+          to_char(due_date, 'YYYY-MM-DD') AS due_date,
+          to_char(completed_at, 'YYYY-MM-DD HH24:MI') AS completed_at,
+          (completed_at IS NULL AND due_date < CURRENT_DATE) AS is_overdue
+       FROM incident_corrective_actions
+       WHERE incident_id = $1
+       ORDER BY (completed_at IS NULL) DESC, due_date ASC NULLS LAST, id ASC`,
+      [incidentId]
+    )
+  ]);
+  return { notes: notes.rows, actions: actions.rows };
+}
+
+async function addIncidentNote(db, incidentId, { body, noteType = "note", actor }) {
+  const text = clampText(body, 5000);
+  if (!text) throw new Error("Write a note first.");
+  await db.query(
+    `INSERT INTO incident_notes (incident_id, note_type, body, created_by_user_id, created_by_role)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [incidentId, noteType, text, typeof actor.userId === "number" ? actor.userId : null, actor.role]
+  );
+  await db.query("UPDATE incident_reports SET updated_at = NOW() WHERE id = $1", [incidentId]);
+}
+
+/**
+ * Move an incident through open → investigating → resolved → closed. Resolving needs a
+ * summary of the outcome; closing needs every corrective action done.
+ */
+async function updateIncidentStatus(db, incidentId, { status, resolutionSummary, actor }) {
+  if (!Object.prototype.hasOwnProperty.call(INCIDENT_STATUSES, status)) {
+    throw new Error("Choose a valid status.");
+  }
+  const current = await db.query(
+    "SELECT status, resolution_summary FROM incident_reports WHERE id = $1 FOR UPDATE",
+    [incidentId]
+  );
+  if (!current.rows.length) throw new Error("Incident not found.");
+  const previousStatus = current.rows[0].status;
+  if (previousStatus === status) throw new Error(`The incident is already ${INCIDENT_STATUSES[status].toLowerCase()}.`);
+
+  const summary = clampText(resolutionSummary, 5000) || current.rows[0].resolution_summary || "";
+  if (["resolved", "closed"].includes(status) && !summary) {
+    throw new Error("Summarise the outcome before resolving the incident.");
+  }
+  if (status === "closed") {
+    const openActions = await db.query(
+      "SELECT COUNT(*)::int AS total FROM incident_corrective_actions WHERE incident_id = $1 AND completed_at IS NULL",
+      [incidentId]
+    );
+    if (openActions.rows[0].total > 0) {
+      throw new Error("Complete the open corrective actions before closing the incident.");
+    }
+  }
+
+  await db.query(
+    `UPDATE incident_reports
+     SET status = $2,
+         resolution_summary = NULLIF($3, ''),
+         resolved_at = CASE
+           WHEN $2 IN ('resolved', 'closed') THEN COALESCE(resolved_at, NOW())
+           ELSE NULL
+         END,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [incidentId, status, summary]
+  );
+  await addIncidentNote(db, incidentId, {
+    noteType: "status_change",
+    body: `Status changed from ${INCIDENT_STATUSES[previousStatus]} to ${INCIDENT_STATUSES[status]}.${["resolved", "closed"].includes(status) ? ` Outcome: ${summary}` : ""}`,
+    actor
+  });
+  return { previousStatus };
+}
+
+async function addCorrectiveAction(db, incidentId, body = {}, actor) {
+  const description = clampText(body.description, 1000);
+  if (!description) throw new Error("Describe the corrective action.");
+  const dueDate = normalizeDateInput(body.due_date) || null;
+  await db.query(
+    `INSERT INTO incident_corrective_actions (incident_id, description, owner_name, due_date, created_by_user_id)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [incidentId, description, clampText(body.owner_name, 120) || null, dueDate, typeof actor.userId === "number" ? actor.userId : null]
+  );
+  await db.query("UPDATE incident_reports SET updated_at = NOW() WHERE id = $1", [incidentId]);
+  return { description, dueDate };
+}
+
+async function completeCorrectiveAction(db, incidentId, actionId, actor) {
+  const result = await db.query(
+    `UPDATE incident_corrective_actions
+     SET completed_at = NOW(),
+         completed_by_user_id = $3
+     WHERE id = $2
+       AND incident_id = $1
+       AND completed_at IS NULL
+     RETURNING description`,
+    [incidentId, actionId, typeof actor.userId === "number" ? actor.userId : null]
+  );
+  if (!result.rows.length) throw new Error("Corrective action not found or already done.");
+  await db.query("UPDATE incident_reports SET updated_at = NOW() WHERE id = $1", [incidentId]);
+  return result.rows[0].description;
+}
+
+/**
+ * Hide a nurse from the public directory. The visibility they had before the first suspension
+ * is kept so lifting the last suspension puts it back.
+ */
+async function suspendNurseListing(db, nurseId) {
+  await db.query(
+    `UPDATE nurses
+     SET listing_public_before_suspension = CASE
+           WHEN listing_suspended_at IS NULL THEN COALESCE(public_profile_enabled, FALSE)
+           ELSE listing_public_before_suspension
+         END,
+         listing_suspended_at = COALESCE(listing_suspended_at, NOW()),
+         public_profile_enabled = FALSE
+     WHERE id = $1`,
+    [nurseId]
+  );
+}
+
+/**
+ * Escalate an incident to admin review. Optionally suspends the involved nurse's public listing
+ * until the suspension is lifted from this incident.
+ */
+async function escalateIncident(db, incidentId, { note, suspendListing, actor }) {
+  const current = await db.query(
+    `SELECT status, nurse_id, listing_suspended_at, listing_restored_at
+     FROM incident_reports
+     WHERE id = $1
+     FOR UPDATE`,
+    [incidentId]
+  );
+  const incident = current.rows[0];
+  if (!incident) throw new Error("Incident not found.");
+  if (["resolved", "closed"].includes(incident.status)) {
+    throw new Error("Reopen the incident before escalating it.");
+  }
+  const reason = clampText(note, 2000);
+  if (!reason) throw new Error("Explain why the incident is being escalated.");
+
+  const willSuspend = Boolean(suspendListing) && !(incident.listing_suspended_at && !incident.listing_restored_at);
+  if (suspendListing && !incident.nurse_id) {
+    throw new Error("No nurse is linked to this incident, so there is no listing to suspend.");
+  }
+
+  await db.query(
+    `UPDATE incident_reports
+     SET escalated_at = COALESCE(escalated_at, NOW()),
+         status = CASE WHEN status = 'open' THEN 'investigating' ELSE status END,
+         listing_suspended_at = CASE WHEN $2 THEN NOW() ELSE listing_suspended_at END,
+         listing_restored_at = CASE WHEN $2 THEN NULL ELSE listing_restored_at END,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [incidentId, willSuspend]
+  );
+  if (willSuspend) {
+    await suspendNurseListing(db, incident.nurse_id);
+  }
+  await addIncidentNote(db, incidentId, {
+    noteType: "escalation",
+    body: `Escalated${willSuspend ? " and the nurse's public listing suspended" : ""}: ${reason}`,
+    actor
+  });
+  return { nurseId: incident.nurse_id, suspended: willSuspend };
+}
+
+/**
+ * Lift the listing suspension placed by this incident. The nurse only becomes visible again
+ * once no other incident is holding a suspension.
+ */
+async function liftListingSuspension(db, incidentId, { note, actor }) {
+  const current = await db.query(
+    `SELECT nurse_id
+     FROM incident_reports
+     WHERE id = $1
+       AND listing_suspended_at IS NOT NULL
+       AND listing_restored_at IS NULL
+     FOR UPDATE`,
+    [incidentId]
+  );
+  if (!current.rows.length) throw new Error("This incident has no active listing suspension.");
+  const nurseId = current.rows[0].nurse_id;
+
+  await db.query(
+    "UPDATE incident_reports SET listing_restored_at = NOW(), updated_at = NOW() WHERE id = $1",
+    [incidentId]
+  );
+  const otherHolds = await db.query(
+    `SELECT COUNT(*)::int AS total
+     FROM incident_reports
+     WHERE nurse_id = $1
+       AND id <> $2
+       AND listing_suspended_at IS NOT NULL
+       AND listing_restored_at IS NULL`,
+    [nurseId, incidentId]
+  );
+  let restored = false;
+  if (nurseId && otherHolds.rows[0].total === 0) {
+    const result = await db.query(
+      `UPDATE nurses
+       SET public_profile_enabled = COALESCE(listing_public_before_suspension, FALSE),
+           listing_suspended_at = NULL,
+           listing_public_before_suspension = NULL
+       WHERE id = $1
+       RETURNING public_profile_enabled`,
+      [nurseId]
+    );
+    restored = Boolean(result.rows[0] && result.rows[0].public_profile_enabled);
+  }
+  await addIncidentNote(db, incidentId, {
+    noteType: "escalation",
+    body: `Listing suspension lifted${otherHolds.rows[0].total ? " (another incident still holds the listing)" : ""}.${clampText(note, 2000) ? ` ${clampText(note, 2000)}` : ""}`,
+    actor
+  });
+  return { nurseId, restored, stillSuspended: otherHolds.rows[0].total > 0 };
+}
+
+module.exports = {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  URGENT_INCIDENT_SEVERITIES,
+  addCorrectiveAction,
+  addIncidentNote,
+  completeCorrectiveAction,
+  createIncidentReport,
+  escalateIncident,
+  getIncident,
+  liftListingSuspension,
+  listIncidentTimeline,
+  listIncidents,
+  normalizeIncidentInput,
+  parseIncidentFilters,
+  updateIncidentStatus
+};
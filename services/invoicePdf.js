@@ -0,0 +1,125 @@
+const PDFDocument = require("pdfkit");
+
+// The built-in PDF fonts have no rupee glyph, so amounts are prefixed with "INR".
+function formatAmount(value) {
+  return `INR ${Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function drawKeyValueRows(doc, rows, x, y, labelWidth) {
+  let cursor = y;
+  rows.forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").fontSize(9).text(label, x, cursor, { width: labelWidth });
+    doc.font("Helvetica").fontSize(9).text(value || "-", x + labelWidth, cursor, { width: 180 });
+    cursor += 14;
+  });
+  return cursor;
+}
+
+/**
+ * Render an invoice (as returned by getInvoiceWithItems) to a PDF buffer.
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 48, info: { Title: `Invoice ${invoice.invoice_number}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const supplier = invoice.supplier || {};
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.font("Helvetica-Bold").fontSize(18).text(supplier.name || "Prisha Home Care", left, 48);
+    doc.font("Helvetica").fontSize(9)
+      .text(supplier.address || "", left, 72, { width: 260 })
+      .text(`GSTIN: ${supplier.gstin || "Not registered"}`)
+      .text(`${supplier.email || ""}  ${supplier.phone || ""}`);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(invoice.status === "void" ? "TAX INVOICE (VOID)" : "TAX INVOICE", 330, 48, { width: right - 330, align: "right" });
+    drawKeyValueRows(doc, [
+      ["Invoice No.", invoice.invoice_number],
+      ["Invoice Date", invoice.invoice_date],
+      ["Due Date", invoice.due_date],
+      ["Request ID", invoice.public_request_code],
+      ["Status", String(invoice.status || "").toUpperCase()]
+    ], 330, 74, 75);
+
+    doc.moveTo(left, 150).lineTo(right, 150).strokeColor("#cbd5e1").stroke();
+    doc.font("Helvetica-Bold").fontSize(10).fillColor("#000").text("Bill To", left, 160);
+    drawKeyValueRows(doc, [
+      ["Name", invoice.billing_name],
+      ["Phone", invoice.billing_phone],
+      ["Email", invoice.billing_email],
+      ["Place of Supply", invoice.place_of_supply],
+      ["Customer GSTIN", invoice.customer_gstin]
+    ], left, 176, 90);
+
+    const columns = [
+      { label: "#", x: left, width: 20 },
+      { label: "Description", x: left + 24, width: 200 },
+      { label: "SAC", x: left + 228, width: 40 },
+      { label: "Billing Period", x: left + 272, width: 120 },
+      { label: "Amount", x: left + 396, width: right - left - 396, align: "right" }
+    ];
+    let y = 260;
+    doc.rect(left, y - 4, right - left, 18).fill("#eef2f7").fillColor("#000");
+    columns.forEach((column) => {
+      doc.font("Helvetica-Bold").fontSize(9).text(column.label, column.x, y, { width: column.width, align: column.align || "left" });
+    });
+    y += 20;
+
+    (invoice.items || []).forEach((item) => {
+      const rowHeight = Math.max(doc.font("Helvetica").fontSize(9).heightOfString(item.description, { width: 200 }), 12) + 6;
+      if (y + rowHeight > doc.page.height - 200) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.font("Helvetica").fontSize(9);
+      doc.text(String(item.line_no), columns[0].x, y, { width: columns[0].width });
+      doc.text(item.description, columns[1].x, y, { width: columns[1].width });
+      doc.text(item.sac_code || "", columns[2].x, y, { width: columns[2].width });
+      doc.text(`${item.period_start} to ${item.period_end}`, columns[3].x, y, { width: columns[3].width });
+      doc.text(formatAmount(item.amount), columns[4].x, y, { width: columns[4].width, align: "right" });
+      y += rowHeight;
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).strokeColor("#cbd5e1").stroke();
+    y += 8;
+
+    const totals = [
+      ["Subtotal", invoice.subtotal],
+      ["Discount", -Number(invoice.discount_amount || 0)],
+      ["Platform Fee", invoice.platform_fee],
+      ["Taxable Value", invoice.taxable_amount]
+    ];
+    if (Number(invoice.igst_amount) > 0) {
+      totals.push([`IGST @ ${Number(invoice.gst_percent)}%`, invoice.igst_amount]);
+    } else {
+      totals.push([`CGST @ ${Number(invoice.gst_percent) / 2}%`, invoice.cgst_amount]);
+      totals.push([`SGST @ ${Number(invoice.gst_percent) / 2}%`, invoice.sgst_amount]);
+    }
+    totals.forEach(([label, value]) => {
+      doc.font("Helvetica").fontSize(9).text(label, 330, y, { width: 110 });
+      doc.text(formatAmount(value), 440, y, { width: right - 440, align: "right" });
+      y += 14;
+    });
+    doc.font("Helvetica-Bold").fontSize(11).text("Total", 330, y + 4, { width: 110 });
+    doc.text(formatAmount(invoice.total_amount), 440, y + 4, { width: right - 440, align: "right" });
+
+    if (invoice.notes) {
+      doc.font("Helvetica").fontSize(9).text(`Notes: ${invoice.notes}`, left, y + 36, { width: right - left });
+    }
+    doc.font("Helvetica").fontSize(8).fillColor("#64748b")
+      .text("This is a computer-generated invoice and does not require a signature.", left, doc.page.height - 80, {
+        width: right - left,
+        align: "center"
+      });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,480 @@
+const { sendInvoiceEmail } = require("../src/email");
+const { getNextCounterValue } = require("../src/utils/idGenerator");
+const { addDays, addMonths, formatLocalDate, normalizeDateInput } = require("./careShifts");
+const { renderInvoicePdf } = require("./invoicePdf");
+
+const INVOICE_STATUSES = ["issued", "paid", "void"];
+const INVOICE_PREFIX = String(process.env.INVOICE_PREFIX || "PHC").trim().toUpperCase() || "PHC";
+const INVOICE_DUE_DAYS = 7;
+const MAX_BILLING_PERIODS = 24;
+
+// Home nursing falls under SAC 9993 (human health and social care services).
+const INVOICE_SAC_CODE = "9993";
+
+function parsePercentEnv(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  if (Number.isNaN(parsed) || parsed < 0 || parsed > 100) return fallback;
+  return Number(parsed.toFixed(2));
+}
+
+const DEFAULT_GST_PERCENT = parsePercentEnv(process.env.INVOICE_GST_PERCENT, 18);
+const DEFAULT_PLATFORM_FEE_PERCENT = parsePercentEnv(process.env.INVOICE_PLATFORM_FEE_PERCENT, 0);
+
+const INVOICE_SUPPLIER = {
+  name: process.env.COMPANY_LEGAL_NAME || "Prisha Home Care",
+  gstin: String(process.env.COMPANY_GSTIN || "").trim().toUpperCase(),
+  address: process.env.COMPANY_ADDRESS || "",
+  state: process.env.COMPANY_STATE || "",
+  email: process.env.COMPANY_EMAIL || "prishahomecare@gmail.com",
+  phone: process.env.COMPANY_PHONE || "+91 9138913355"
+};
+
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// States and union territories for the place of supply, which for home care is the patient's state.
+const GST_STATES = [
+  "Andaman and Nicobar Islands", "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar",
+  "Chandigarh", "Chhattisgarh", "Dadra and Nagar Haveli and Daman and Diu", "Delhi", "Goa",
+  "Gujarat", "Haryana", "Himachal Pradesh", "Jammu and Kashmir", "Jharkhand", "Karnataka",
+  "Kerala", "Ladakh", "Lakshadweep", "Madhya Pradesh", "Maharashtra", "Manipur", "Meghalaya",
+  "Mizoram", "Nagaland", "Odisha", "Puducherry", "Punjab", "Rajasthan", "Sikkim", "Tamil Nadu",
+  "Telangana", "Tripura", "Uttar Pradesh", "Uttarakhand", "West Bengal"
+];
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function normalizeMoneyInput(value) {
+  const raw = String(value === undefined || value === null ? "" : value).trim();
+  if (!raw) return null;
+  const parsed = Number.parseFloat(raw);
+  if (Number.isNaN(parsed) || parsed < 0) return Number.NaN;
+  return roundMoney(parsed);
+}
+
+function normalizeGstinInput(value) {
+  const clean = String(value || "").trim().toUpperCase();
+  if (!clean) return "";
+  return GSTIN_REGEX.test(clean) ? clean : null;
+}
+
+function normalizePlaceOfSupplyInput(value) {
+  const clean = String(value || "").trim().toLowerCase();
+  return GST_STATES.find((state) => state.toLowerCase() === clean) || "";
+}
+
+function normalizeInvoiceStatusInput(value) {
+  const status = String(value || "").trim().toLowerCase();
+  return INVOICE_STATUSES.includes(status) ? status : "";
+}
+
+// Indian financial year runs April to March, e.g. 2026-05-01 -> "26-27".
+function getFinancialYearLabel(dateString) {
+  const [year, month] = dateString.split("-").map((part) => Number.parseInt(part, 10));
+  const startYear = month >= 4 ? year : year - 1;
+  return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Split the contracted service window into billing periods: one per month for monthly
+ * contracts, one per week for weekly contracts, a single period otherwise.
+ */
+function buildBillingPeriods({ startDate, durationValue, durationUnit }) {
+  const firstDate = normalizeDateInput(startDate) || formatLocalDate(new Date());
+  const value = Math.max(Number.parseInt(durationValue, 10) || 1, 1);
+  const unit = String(durationUnit || "").trim().toLowerCase();
+
+  const periods = [];
+  if (unit === "months" || unit === "month") {
+    for (let index = 0; index < Math.min(value, MAX_BILLING_PERIODS); index += 1) {
+      const periodStart = addMonths(firstDate, index);
+      periods.push({ start: periodStart, end: addDays(addMonths(firstDate, index + 1), -1) });
+    }
+  } else if (unit === "weeks" || unit === "week") {
+    for (let index = 0; index < Math.min(value, MAX_BILLING_PERIODS); index += 1) {
+      periods.push({ start: addDays(firstDate, index * 7), end: addDays(firstDate, index * 7 + 6) });
+    }
+  } else {
+    periods.push({ start: firstDate, end: addDays(firstDate, value - 1) });
+  }
+  return periods;
+}
+
+/**
+ * Compute invoice totals. GST is levied on the taxable value (services less discount plus
+ * platform fee) and split into CGST/SGST for intra-state supply or IGST otherwise.
+ */
+function calculateInvoiceTotals({ items, discountAmount, platformFee, gstPercent, interState }) {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0));
+  const discount = Math.min(roundMoney(discountAmount), subtotal);
+  const fee = roundMoney(platformFee);
+  const taxableAmount = roundMoney(subtotal - discount + fee);
+  const rate = Number(gstPercent) || 0;
+  const totalTax = roundMoney(taxableAmount * rate / 100);
+
+  const cgstAmount = interState ? 0 : roundMoney(totalTax / 2);
+  const sgstAmount = interState ? 0 : roundMoney(totalTax - cgstAmount);
+  const igstAmount = interState ? totalTax : 0;
+
+  return {
+    subtotal,
+    discountAmount: discount,
+    platformFee: fee,
+    taxableAmount,
+    gstPercent: rate,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    totalAmount: roundMoney(taxableAmount + totalTax)
+  };
+}
+
+function isInterStateSupply(placeOfSupply) {
+  const supplierState = String(INVOICE_SUPPLIER.state || "").trim().toLowerCase();
+  const customerState = String(placeOfSupply || "").trim().toLowerCase();
+  return Boolean(supplierState && customerState && supplierState !== customerState);
+}
+
+async function loadInvoiceSource(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        cr.patient_id,
+        cr.status,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code,
+        COALESCE(NULLIF(p.full_name, ''), CONCAT('Patient ', cr.id::text)) AS billing_name,
+        COALESCE(p.email, '') AS billing_email,
+        COALESCE(p.phone_number, '') AS billing_phone,
+        COALESCE(NULLIF(p.city, ''), '') AS billing_city,
+        COALESCE(NULLIF(p.service_schedule, ''), 'Home nursing care') AS service_schedule,
+        COALESCE(p.duration_value, cr.duration_value, 1) AS duration_value,
+        COALESCE(NULLIF(p.duration_unit, ''), cr.duration_unit, 'days') AS duration_unit,
+        COALESCE(NULLIF(p.budget, 0), NULLIF(cr.budget_max, 0), NULLIF(cr.budget_min, 0), p.nurse_amount, 0) AS contract_amount,
+        n.full_name AS assigned_nurse_name,
+        (
+          SELECT to_char(MIN(s.shift_date), 'YYYY-MM-DD')
+          FROM care_request_shifts s
+          WHERE s.request_id = cr.id
+            AND s.status <> 'cancelled'
+        ) AS first_shift_date,
+        (
+          SELECT i.place_of_supply
+          FROM care_request_invoices i
+          WHERE i.request_id IN (cr.id, cr.renewed_from_request_id)
+            AND i.status <> 'void'
+          ORDER BY i.created_at DESC, i.id DESC
+          LIMIT 1
+        ) AS previous_place_of_supply
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a numbered invoice for a care request. Must run inside a transaction so the
+ * counter increment and the invoice rows commit together.
+ */
+async function createCareRequestInvoice(db, requestId, options = {}) {
+  const source = await loadInvoiceSource(db, requestId);
+  if (!source) {
+    throw new Error("Care request not found.");
+  }
+  const contractAmount = roundMoney(source.contract_amount);
+  if (contractAmount <= 0) {
+    throw new Error("Set the request budget before generating an invoice.");
+  }
+
+  const invoiceDate = normalizeDateInput(options.invoiceDate) || formatLocalDate(new Date());
+  const periods = buildBillingPeriods({
+    startDate: options.serviceStartDate || source.first_shift_date || invoiceDate,
+    durationValue: source.duration_value,
+    durationUnit: source.duration_unit
+  });
+
+  const perPeriod = roundMoney(contractAmount / periods.length);
+  const items = periods.map((period, index) => {
+    const amount = index === periods.length - 1
+      ? roundMoney(contractAmount - perPeriod * (periods.length - 1))
+      : perPeriod;
+    return {
+      lineNo: index + 1,
+      description: `${source.service_schedule} - home nursing care${source.assigned_nurse_name ? ` (${source.assigned_nurse_name})` : ""}`,
+      periodStart: period.start,
+      periodEnd: period.end,
+      quantity: 1,
+      unitPrice: amount,
+      amount
+    };
+  });
+
+  const discountAmount = Number.isFinite(options.discountAmount) ? options.discountAmount : 0;
+  const platformFee = Number.isFinite(options.platformFee)
+    ? options.platformFee
+    : roundMoney(contractAmount * DEFAULT_PLATFORM_FEE_PERCENT / 100);
+  const gstPercent = Number.isFinite(options.gstPercent) ? options.gstPercent : DEFAULT_GST_PERCENT;
+  // CGST/SGST or IGST depends on the patient's state, so a city is not a usable fallback. An
+  // earlier invoice for this request, or the one it renews, already names the state.
+  const placeOfSupply = normalizePlaceOfSupplyInput(options.placeOfSupply)
+    || normalizePlaceOfSupplyInput(source.previous_place_of_supply);
+  if (!placeOfSupply) {
+    throw new Error("Choose the place of supply (the patient's state) before issuing an invoice.");
+  }
+  const totals = calculateInvoiceTotals({
+    items,
+    discountAmount,
+    platformFee,
+    gstPercent,
+    interState: isInterStateSupply(placeOfSupply)
+  });
+
+  const financialYear = getFinancialYearLabel(invoiceDate);
+  const serial = await getNextCounterValue(db, `invoice_${financialYear}`);
+  const invoiceNumber = `${INVOICE_PREFIX}/${financialYear}/${String(serial).padStart(5, "0")}`;
+
+  const invoiceResult = await db.query(
+    `INSERT INTO care_request_invoices (
+      request_id,
+      patient_id,
+      invoice_number,
+      invoice_date,
+      due_date,
+      status,
+      billing_name,
+      billing_email,
+      billing_phone,
+      billing_city,
+      customer_gstin,
+      place_of_supply,
+      supplier_gstin,
+      subtotal,
+      discount_amount,
+      platform_fee,
+      taxable_amount,
+      gst_percent,
+      cgst_amount,
+      sgst_amount,
+      igst_amount,
+      total_amount,
+      notes,
+      created_by_user_id
+    )
+    VALUES ($1,$2,$3,$4::date,$5::date,'issued',$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23)
+    RETURNING id, invoice_number, total_amount`,
+    [
+      requestId,
+      source.patient_id || null,
+      invoiceNumber,
+      invoiceDate,
+      addDays(invoiceDate, INVOICE_DUE_DAYS),
+      source.billing_name,
+      source.billing_email || null,
+      source.billing_phone || null,
+      source.billing_city || null,
+      options.customerGstin || null,
+      placeOfSupply,
+      INVOICE_SUPPLIER.gstin || null,
+      totals.subtotal,
+      totals.discountAmount,
+      totals.platformFee,
+      totals.taxableAmount,
+      totals.gstPercent,
+      totals.cgstAmount,
+      totals.sgstAmount,
+      totals.igstAmount,
+      totals.totalAmount,
+      String(options.notes || "").trim() || null,
+      typeof options.actorUserId === "number" ? options.actorUserId : null
+    ]
+  );
+  const invoice = invoiceResult.rows[0];
+
+  for (const item of items) {
+    await db.query(
+      `INSERT INTO care_request_invoice_items (
+        invoice_id,
+        line_no,
+        description,
+        sac_code,
+        period_start,
+        period_end,
+        quantity,
+        unit_price,
+        amount
+      )
+      VALUES ($1,$2,$3,$4,$5::date,$6::date,$7,$8,$9)`,
+      [
+        invoice.id,
+        item.lineNo,
+        item.description,
+        INVOICE_SAC_CODE,
+        item.periodStart,
+        item.periodEnd,
+        item.quantity,
+        item.unitPrice,
+        item.amount
+      ]
+    );
+  }
+
+  return { id: invoice.id, invoiceNumber: invoice.invoice_number, totalAmount: Number(invoice.total_amount) };
+}
+
+const INVOICE_SELECT_SQL = `
+  i.id,
+  i.request_id,
+  i.invoice_number,
+  to_char(i.invoice_date, 'YYYY-MM-DD') AS invoice_date,
+  to_char(i.due_date, 'YYYY-MM-DD') AS due_date,
+  i.status,
+  i.billing_name,
+  i.billing_email,
+  i.billing_phone,
+  i.billing_city,
+  i.customer_gstin,
+  i.place_of_supply,
+  i.supplier_gstin,
+  i.subtotal,
+  i.discount_amount,
+  i.platform_fee,
+  i.taxable_amount,
+  i.gst_percent,
+  i.cgst_amount,
+  i.sgst_amount,
+  i.igst_amount,
+  i.total_amount,
+  i.currency,
+  i.notes,
+  to_char(i.emailed_at, 'YYYY-MM-DD HH24:MI') AS emailed_at,
+  COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS public_request_code`;
+
+async function listCareRequestInvoices(db, requestId) {
+  const result = await db.query(
+    `SELECT ${INVOICE_SELECT_SQL}
+     FROM care_request_invoices i
+     JOIN care_requests cr ON cr.id = i.request_id
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     WHERE i.request_id = $1
+     ORDER BY i.invoice_date DESC, i.id DESC`,
+    [requestId]
+  );
+  return result.rows;
+}
+
+async function getInvoiceWithItems(db, invoiceId) {
+  const invoiceResult = await db.query(
+    `SELECT ${INVOICE_SELECT_SQL}
+     FROM care_request_invoices i
+     JOIN care_requests cr ON cr.id = i.request_id
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     WHERE i.id = $1
+     LIMIT 1`,
+    [invoiceId]
+  );
+  const invoice = invoiceResult.rows[0];
+  if (!invoice) return null;
+
+  const itemsResult = await db.query(
+    `SELECT
+        line_no,
+        description,
+        sac_code,
+        to_char(period_start, 'YYYY-MM-DD') AS period_start,
+        to_char(period_end, 'YYYY-MM-DD') AS period_end,
+        quantity,
+        unit_price,
+        amount
+     FROM care_request_invoice_items
+     WHERE invoice_id = $1
+     ORDER BY line_no ASC`,
+    [invoiceId]
+  );
+  return { ...invoice, items: itemsResult.rows, supplier: INVOICE_SUPPLIER };
+}
+
+async function hasOpenInvoice(db, requestId) {
+  const result = await db.query(
+    `SELECT 1
+     FROM care_request_invoices
+     WHERE request_id = $1
+       AND status <> 'void'
+     LIMIT 1`,
+    [requestId]
+  );
+  return result.rowCount > 0;
+}
+
+async function updateInvoiceStatus(db, invoiceId, status) {
+  const result = await db.query(
+    `UPDATE care_request_invoices
+     SET status = $2,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, request_id, invoice_number, status`,
+    [invoiceId, status]
+  );
+  return result.rows[0] || null;
+}
+
+async function markInvoiceEmailed(db, invoiceId) {
+  await db.query(
+    `UPDATE care_request_invoices
+     SET emailed_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [invoiceId]
+  );
+}
+
+function buildInvoiceFileName(invoice) {
+  return `${String(invoice.invoice_number || "invoice").replace(/[^A-Za-z0-9-]+/g, "-")}.pdf`;
+}
+
+/**
+ * Render the invoice PDF and email it to the billing address on file.
+ */
+async function emailCareRequestInvoice(db, invoiceId) {
+  const invoice = await getInvoiceWithItems(db, invoiceId);
+  if (!invoice) {
+    throw new Error("Invoice not found.");
+  }
+  if (!invoice.billing_email) {
+    throw new Error("No billing email on file for this invoice.");
+  }
+
+  const pdfBuffer = await renderInvoicePdf(invoice);
+  const result = await sendInvoiceEmail(invoice.billing_email, invoice, pdfBuffer, buildInvoiceFileName(invoice));
+  if (!result || !result.success) {
+    throw new Error((result && result.error) || "Unable to send the invoice email.");
+  }
+  await markInvoiceEmailed(db, invoiceId);
+  return { email: invoice.billing_email, invoiceNumber: invoice.invoice_number };
+}
+
+module.exports = {
+  DEFAULT_GST_PERCENT,
+  GST_STATES,
+  INVOICE_SAC_CODE,
+  INVOICE_STATUSES,
+  INVOICE_SUPPLIER,
+  buildBillingPeriods,
+  buildInvoiceFileName,
+  calculateInvoiceTotals,
+  createCareRequestInvoice,
+  emailCareRequestInvoice,
+  getFinancialYearLabel,
+  getInvoiceWithItems,
+  hasOpenInvoice,
+  listCareRequestInvoices,
+  markInvoiceEmailed,
+  normalizeGstinInput,
+  normalizeInvoiceStatusInput,
+  normalizeMoneyInput,
+  normalizePlaceOfSupplyInput,
+  updateInvoiceStatus
+};
@@ -0,0 +1,431 @@
+const { addDays, formatLocalDate, normalizeDateInput, normalizeTimeInput } = require("./careShifts");
+const { findCareRequestRecipients, notifyUsersNow } = require("./notifications");
+
+const MEDICATION_ROUTES = {
+  oral: "Oral",
+  insulin: "Insulin injection",
+  injection: "Injection",
+  inhaled: "Inhaled / nebulised",
+  topical: "Topical",
+  drops: "Eye / ear drops",
+  other: "Other"
+};
+const DOSE_STATUSES = ["given", "missed", "refused"];
+// Schedules can be prepared once a nurse is lined up, and changed until the job ends.
+const MEDICATION_SCHEDULE_EDITABLE_STATUSES = ["open", "assigned", "payment_pending", "active"];
+const MAX_DOSES_PER_DAY = 8;
+// A dose can be marked up to this long before it is due (e.g. given with breakfast a bit early).
+const DOSE_EARLY_WINDOW_MINUTES = 60;
+// Doses with no entry this long after their time count as overdue and alert the agent.
+const DOSE_OVERDUE_MINUTES = 60;
+const REMINDER_WORKER_INTERVAL_MS = 5 * 60 * 1000;
+const DATETIME_INPUT_REGEX = /^(\d{4}-\d{2}-\d{2})[T ]([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * One row per scheduled dose between $1 and $2 (inclusive dates). Callers add their own
+ * filters on `s` starting at $3. Doses after a schedule was stopped are left out.
+ */
+function expectedDosesSql(conditions) {
+  return `SELECT
+      s.id AS schedule_id,
+      s.request_id,
+      s.medication_name,
+      s.dosage,
+      s.route,
+      s.instructions,
+      (day::date + dose_time::time) AS scheduled_for
+   FROM medication_schedules s
+   CROSS JOIN LATERAL generate_series(
+     GREATEST(s.start_date, $1::date)::timestamp,
+     LEAST(COALESCE(s.end_date, $2::date), $2::date)::timestamp,
+     INTERVAL '1 day'
+   ) AS day
+   CROSS JOIN LATERAL unnest(s.dose_times) AS dose_time
+   WHERE (s.stopped_at IS NULL OR (day::date + dose_time::time) < s.stopped_at)
+     AND ${conditions}`;
+}
+
+function parseDateTimeInput(value) {
+  const match = DATETIME_INPUT_REGEX.exec(String(value || "").trim());
+  return match ? `${match[1]} ${match[2]}:${match[3]}` : "";
+}
+
+// The process clock is pinned to APP_TIME_ZONE (src/db.js), the wall clock doses are scheduled in.
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${formatLocalDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function minutesBetween(from, to) {
+  return (new Date(to.replace(" ", "T")) - new Date(from.replace(" ", "T"))) / 60000;
+}
+
+/**
+ * Read the "add medication" form. Dose times come as a comma or line separated list of HH:MM.
+ */
+function normalizeMedicationScheduleInput(body = {}) {
+  const medicationName = String(body.medication_name || "").trim().slice(0, 120);
+  const dosage = String(body.dosage || "").trim().slice(0, 80);
+  const route = Object.prototype.hasOwnProperty.call(MEDICATION_ROUTES, body.route) ? body.route : "";
+  if (!medicationName) throw new Error("Enter the medication name.");
+  if (!dosage) throw new Error("Enter the dose, e.g. 500 mg or 10 units.");
+  if (!route) throw new Error("Choose how the medication is given.");
+
+  const rawTimes = String(body.dose_times || "").split(/[\s,;]+/).filter(Boolean);
+  const doseTimes = [...new Set(rawTimes.map((time) => normalizeTimeInput(time.padStart(5, "0"))))].sort();
+  if (!doseTimes.length || doseTimes.includes("")) {
+    throw new Error("Enter dose times as HH:MM, e.g. 08:00, 20:00.");
+  }
+  if (doseTimes.length > MAX_DOSES_PER_DAY) {
+    throw new Error(`A schedule can have at most ${MAX_DOSES_PER_DAY} doses a day.`);
+  }
+
+  const startDate = normalizeDateInput(body.start_date) || formatLocalDate(new Date());
+  const endDate = normalizeDateInput(body.end_date) || null;
+  if (endDate && endDate < startDate) {
+    throw new Error("The end date cannot be before the start date.");
+  }
+
+  return {
+    medicationName,
+    dosage,
+    route,
+    doseTimes,
+    instructions: String(body.instructions || "").trim().slice(0, 500),
+    startDate,
+    endDate
+  };
+}
+
+async function createMedicationSchedule(db, requestId, schedule, actorUserId = null) {
+  const actorId = typeof actorUserId === "number" ? actorUserId : null;
+  const result = await db.query(
+    `INSERT INTO medication_schedules (
+      request_id, patient_id, medication_name, dosage, route, dose_times, instructions,
+      start_date, end_date, created_by_user_id, updated_by_user_id
+    )
+    SELECT id, patient_id, $2, $3, $4, $5::text[], $6, $7, $8, $9, $9
+    FROM care_requests
+    WHERE id = $1
+    RETURNING id`,
+    [
+      requestId,
+      schedule.medicationName,
+      schedule.dosage,
+      schedule.route,
+      schedule.doseTimes,
+      schedule.instructions || null,
+      schedule.startDate,
+      schedule.endDate,
+      actorId
+    ]
+  );
+  if (!result.rows.length) throw new Error("Care request not found.");
+  return result.rows[0].id;
+}
+
+/**
+ * Stop a schedule from now on. Doses already recorded stay on the MAR.
+ */
+async function stopMedicationSchedule(db, requestId, scheduleId, actorUserId = null) {
+  const result = await db.query(
+    `UPDATE medication_schedules
+     SET stopped_at = LOCALTIMESTAMP,
+         updated_by_user_id = $3,
+         updated_at = NOW()
+     WHERE id = $1
+       AND request_id = $2
+       AND stopped_at IS NULL
+     RETURNING medication_name`,
+    [scheduleId, requestId, typeof actorUserId === "number" ? actorUserId : null]
+  );
+  if (!result.rows.length) throw new Error("Medication not found or already stopped.");
+  return result.rows[0].medication_name;
+}
+
+async function listMedicationSchedules(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        id,
+        medication_name,
+        dosage,
+        route,
+        dose_times,
+        instructions,
+        to_char(start_date, 'YYYY-MM-DD') AS start_date,
+        to_char(end_date, 'YYYY-MM-DD') AS end_date,
+        to_char(stopped_at, 'YYYY-MM-DD HH24:MI') AS stopped_at,
+        (stopped_at IS NULL AND (end_date IS NULL OR end_date >= CURRENT_DATE)) AS is_current
+     FROM medication_schedules
+     WHERE request_id = $1
+     ORDER BY (stopped_at IS NULL) DESC, medication_name ASC, id ASC`,
+    [requestId]
+  );
+  return result.rows.map((row) => ({ ...row, route_label: MEDICATION_ROUTES[row.route] || row.route }));
+}
+
+/**
+ * MAR rows for a request between two dates: every scheduled dose with what was recorded for it.
+ */
+async function listMarEntries(db, requestId, { fromDate, toDate }) {
+  const result = await db.query(
+    `SELECT
+        e.schedule_id,
+        e.medication_name,
+        e.dosage,
+        e.route,
+        e.instructions,
+        to_char(e.scheduled_for, 'YYYY-MM-DD HH24:MI') AS scheduled_for,
+        to_char(e.scheduled_for, 'YYYY-MM-DD') AS dose_date,
+        to_char(e.scheduled_for, 'Dy') AS dose_weekday,
+        to_char(e.scheduled_for, 'HH24:MI') AS dose_time,
+        d.status,
+        to_char(d.administered_at, 'YYYY-MM-DD HH24:MI') AS administered_at,
+        d.notes,
+        n.full_name AS nurse_name,
+        (d.id IS NULL AND e.scheduled_for <= LOCALTIMESTAMP - ($4::int * INTERVAL '1 minute')) AS is_overdue,
+        (d.id IS NULL AND e.scheduled_for <= LOCALTIMESTAMP + ($5::int * INTERVAL '1 minute')) AS can_record
+     FROM (${expectedDosesSql("s.request_id = $3")}) e
+     LEFT JOIN medication_doses d
+       ON d.schedule_id = e.schedule_id
+      AND d.scheduled_for = e.scheduled_for
+     LEFT JOIN nurses n ON n.id = d.nurse_id
+     ORDER BY e.scheduled_for ASC, e.medication_name ASC`,
+    [fromDate, toDate, requestId, DOSE_OVERDUE_MINUTES, DOSE_EARLY_WINDOW_MINUTES]
+  );
+  return result.rows.map((row) => ({ ...row, route_label: MEDICATION_ROUTES[row.route] || row.route }));
+}
+
+/**
+ * Group MAR rows by day with totals for the printable report.
+ */
+function summarizeMar(entries) {
+  const totals = { given: 0, missed: 0, refused: 0, overdue: 0, upcoming: 0 };
+  const days = [];
+  entries.forEach((entry) => {
+    if (entry.status) totals[entry.status] += 1;
+    else if (entry.is_overdue) totals.overdue += 1;
+    else totals.upcoming += 1;
+
+    let day = days[days.length - 1];
+    if (!day || day.date !== entry.dose_date) {
+      day = { date: entry.dose_date, weekday: entry.dose_weekday, entries: [] };
+      days.push(day);
+    }
+    day.entries.push(entry);
+  });
+  return { totals, days };
+}
+
+/**
+ * Resolve the from/to query params of the MAR pages, defaulting to the last `defaultDays` days.
+ * Ranges are capped at 93 days so the report stays printable.
+ */
+function normalizeMarRange(query = {}, defaultDays = 7) {
+  const today = formatLocalDate(new Date());
+  const toDate = normalizeDateInput(query.to) || today;
+  let fromDate = normalizeDateInput(query.from) || addDays(toDate, -(defaultDays - 1));
+  if (fromDate > toDate) fromDate = toDate;
+  if (addDays(fromDate, 92) < toDate) fromDate = addDays(toDate, -92);
+  return { fromDate, toDate };
+}
+
+/**
+ * Read a nurse's dose entry. Given doses need the time they were given (defaults to now);
+ * missed and refused doses need a reason.
+ */
+function normalizeDoseInput(body = {}) {
+  const scheduleId = Number.parseInt(body.schedule_id, 10);
+  const scheduledFor = parseDateTimeInput(body.scheduled_for);
+  const status = DOSE_STATUSES.includes(body.status) ? body.status : "";
+  const notes = String(body.notes || "").trim().slice(0, 500);
+  if (Number.isNaN(scheduleId) || !scheduledFor) throw new Error("Choose a scheduled dose.");
+  if (!status) throw new Error("Mark the dose as given, missed or refused.");
+  if (status !== "given" && !notes) {
+    throw new Error(`Add a reason when a dose is ${status}.`);
+  }
+
+  const now = formatLocalDateTime(new Date());
+  let administeredAt = null;
+  if (status === "given") {
+    administeredAt = parseDateTimeInput(body.administered_at) || now;
+    if (administeredAt > now) throw new Error("The time given cannot be in the future.");
+    if (Math.abs(minutesBetween(scheduledFor, administeredAt)) > 12 * 60) {
+      throw new Error("The time given should be within 12 hours of the scheduled time.");
+    }
+  }
+  if (minutesBetween(now, scheduledFor) > DOSE_EARLY_WINDOW_MINUTES) {
+    throw new Error(`Doses can be marked at most ${DOSE_EARLY_WINDOW_MINUTES} minutes before they are due.`);
+  }
+
+  return { scheduleId, scheduledFor, status, administeredAt, notes };
+}
+
+/**
+ * Record what happened to a scheduled dose. Only the assigned nurse of an active request can
+ * record, and each dose is recorded once so the MAR stays a faithful record.
+ */
+async function recordMedicationDose(db, { requestId, nurseId, userId, dose }) {
+  const requestResult = await db.query(
+    "SELECT status, assigned_nurse_id FROM care_requests WHERE id = $1",
+    [requestId]
+  );
+  const requestItem = requestResult.rows[0];
+  if (!requestItem || requestItem.assigned_nurse_id !== nurseId) {
+    throw new Error("You can only record doses for your own assignments.");
+  }
+  if (requestItem.status !== "active") {
+    throw new Error("Doses can only be recorded while the job is active.");
+  }
+
+  const doseDate = dose.scheduledFor.slice(0, 10);
+  const expected = await db.query(
+    `SELECT medication_name, dosage
+     FROM (${expectedDosesSql("s.request_id = $3 AND s.id = $4")}) e
+     WHERE e.scheduled_for = $5::timestamp`,
+    [doseDate, doseDate, requestId, dose.scheduleId, dose.scheduledFor]
+  );
+  if (!expected.rows.length) {
+    throw new Error("That dose is not on this patient's schedule.");
+  }
+
+  const result = await db.query(
+    `INSERT INTO medication_doses (
+      schedule_id, request_id, scheduled_for, status, administered_at, nurse_id, notes, recorded_by_user_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (schedule_id, scheduled_for) DO NOTHING
+    RETURNING id`,
+    [
+      dose.scheduleId,
+      requestId,
+      dose.scheduledFor,
+      dose.status,
+      dose.administeredAt,
+      nurseId,
+      dose.notes || null,
+      typeof userId === "number" ? userId : null
+    ]
+  );
+  if (!result.rows.length) {
+    throw new Error("This dose has already been recorded.");
+  }
+  return { id: result.rows[0].id, ...expected.rows[0] };
+}
+
+/**
+ * Claim a due/overdue reminder for each unrecorded dose on an active request. A dose is only
+ * ever returned once per alert type.
+ */
+async function claimDoseReminders(db, alertType) {
+  const today = formatLocalDate(new Date());
+  const windowSql = alertType === "due"
+    ? "e.scheduled_for <= LOCALTIMESTAMP AND e.scheduled_for > LOCALTIMESTAMP - ($3::int * INTERVAL '1 minute')"
+    : "e.scheduled_for <= LOCALTIMESTAMP - ($3::int * INTERVAL '1 minute') AND e.scheduled_for > LOCALTIMESTAMP - INTERVAL '24 hours'";
+  const result = await db.query(
+    `WITH pending AS (
+       SELECT e.*
+       FROM (${expectedDosesSql("s.request_id IN (SELECT id FROM care_requests WHERE status = 'active')")}) e
+       LEFT JOIN medication_doses d
+         ON d.schedule_id = e.schedule_id
+        AND d.scheduled_for = e.scheduled_for
+       WHERE d.id IS NULL
+         AND ${windowSql}
+     ),
+     claimed AS (
+       INSERT INTO medication_dose_alerts (schedule_id, scheduled_for, alert_type)
+       SELECT schedule_id, scheduled_for, $4
+       FROM pending
+       ON CONFLICT DO NOTHING
+       RETURNING schedule_id, scheduled_for
+     )
+     SELECT
+        p.request_id,
+        p.medication_name,
+        p.dosage,
+        to_char(p.scheduled_for, 'YYYY-MM-DD HH24:MI') AS scheduled_for
+     FROM claimed c
+     JOIN pending p
+       ON p.schedule_id = c.schedule_id
+      AND p.scheduled_for = c.scheduled_for
+     ORDER BY p.scheduled_for ASC`,
+    [addDays(today, -1), today, DOSE_OVERDUE_MINUTES, alertType]
+  );
+  return result.rows;
+}
+
+/**
+ * Remind nurses of doses that are due and alert the nurse and agent about overdue ones.
+ */
+async function processMedicationReminders(db) {
+  const [dueDoses, overdueDoses] = [await claimDoseReminders(db, "due"), await claimDoseReminders(db, "overdue")];
+
+  for (const dose of dueDoses) {
+    const recipients = await findCareRequestRecipients(db, dose.request_id);
+    await notifyUsersNow(db, [recipients.nurseUserId], {
+      eventType: "medication_due",
+      title: "Medication Due",
+      message: `${dose.medication_name} ${dose.dosage} is due at ${dose.scheduled_for.slice(11)}. Mark it on the MAR once done.`,
+      relatedRequestId: dose.request_id,
+      actionPath: `/nurse/care-requests/${dose.request_id}/medications`
+    });
+  }
+
+  for (const dose of overdueDoses) {
+    const recipients = await findCareRequestRecipients(db, dose.request_id);
+    const message = `${dose.medication_name} ${dose.dosage} scheduled for ${dose.scheduled_for} has not been marked given, missed or refused.`;
+    await notifyUsersNow(db, [recipients.nurseUserId], {
+      eventType: "medication_overdue",
+      title: "Medication Dose Overdue",
+      message,
+      relatedRequestId: dose.request_id,
+      actionPath: `/nurse/care-requests/${dose.request_id}/medications`
+    });
+    await notifyUsersNow(db, [recipients.agentUserId], {
+      eventType: "medication_overdue",
+      title: "Medication Dose Overdue",
+      message,
+      relatedRequestId: dose.request_id,
+      actionPath: `/agent/requests/${dose.request_id}/medications`
+    });
+  }
+
+  return { due: dueDoses.length, overdue: overdueDoses.length };
+}
+
+/**
+ * Check for due and overdue doses in the background for the lifetime of the process.
+ */
+function startMedicationReminderWorker(db, { intervalMs = REMINDER_WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processMedicationReminders(db)
+      .catch((error) => {
+        console.error("Medication reminder worker error:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  DOSE_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_SCHEDULE_EDITABLE_STATUSES,
+  createMedicationSchedule,
+  listMarEntries,
+  listMedicationSchedules,
+  normalizeDoseInput,
+  normalizeMarRange,
+  normalizeMedicationScheduleInput,
+  processMedicationReminders,
+  recordMedicationDose,
+  startMedicationReminderWorker,
+  stopMedicationSchedule,
+  summarizeMar
+};
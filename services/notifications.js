@@ -0,0 +1,548 @@
+const { sendNotificationEmail } = require("../src/email");
+const { isWhatsAppConfigured, sendWhatsAppText, toWhatsAppNumber } = require("../src/whatsapp");
+
+const NOTIFICATION_CHANNELS = ["in_app", "email", "whatsapp"];
+const NOTIFICATION_CHANNEL_LABELS = {
+  in_app: "In-app",
+  email: "Email",
+  whatsapp: "WhatsApp"
+};
+
+// Event types users can be notified about. `channels` lists where the event can go and
+// `defaultChannels` what is on before the user saves any preference.
+const NOTIFICATION_EVENTS = {
+  application_accepted: {
+    label: "Application accepted",
+    description: "You were assigned to a care request you applied for.",
+    roles: ["nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  application_rejected: {
+    label: "Application not selected",
+    description: "A request you applied for went to another nurse.",
+    roles: ["nurse"],
+    channels: ["in_app", "email"],
+    defaultChannels: ["in_app"]
+  },
+  request_assigned: {
+    label: "Nurse assigned",
+    description: "A nurse was assigned to a care request you follow.",
+    roles: ["agent", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  nurse_replaced: {
+    label: "Nurse replaced",
+    description: "A different nurse takes over a care request mid-service.",
+    roles: ["agent", "nurse", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  renewal_due: {
+    label: "Care ending soon",
+    description: "Long-term care is about to end and can be renewed.",
+    roles: ["agent", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  renewal_requested: {
+    label: "Renewal requested",
+    description: "A family asked to continue care after the current request ends.",
+    roles: ["admin", "agent"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email"]
+  },
+  renewal_created: {
+    label: "Care renewed",
+    description: "A follow-on care request was created to continue care.",
+    roles: ["agent", "nurse", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  payment_pending: {
+    label: "Payment pending",
+    description: "A care request is waiting for payment before care starts.",
+    roles: ["agent", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  concern_replied: {
+    label: "Concern replied",
+    description: "The support team replied to a concern you raised.",
+    roles: ["admin", "agent", "nurse", "user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email"]
+  },
+  vitals_alert: {
+    label: "Vitals out of range",
+    description: "A nurse recorded a patient reading outside its alert range.",
+    roles: ["admin", "agent"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  medication_due: {
+    label: "Medication dose due",
+    description: "A scheduled dose for your patient is due now.",
+    roles: ["nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "whatsapp"]
+  },
+  medication_overdue: {
+    label: "Medication dose overdue",
+    description: "A scheduled dose has not been marked given, missed or refused.",
+    roles: ["agent", "nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  incident_reported: {
+    label: "Incident reported",
+    description: "An incident was reported on a care request you oversee.",
+    roles: ["admin", "agent"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  incident_updated: {
+    label: "Incident update",
+    description: "An incident you reported changed status or was escalated.",
+    roles: ["agent", "nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email"]
+  },
+  document_reviewed: {
+    label: "Certificate reviewed",
+    description: "An admin approved, rejected or asked you to re-upload a certificate.",
+    roles: ["nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email"]
+  },
+  document_expiring: {
+    label: "Certificate expiring",
+    description: "A verified certificate is about to expire or has expired.",
+    roles: ["admin", "nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  review_invited: {
+    label: "Review invitation",
+    description: "Care on one of your requests is complete and you can rate the nurse.",
+    roles: ["user"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email", "whatsapp"]
+  },
+  review_submitted: {
+    label: "Review awaiting moderation",
+    description: "A family rated a nurse and the review needs approval before it is published.",
+    roles: ["admin"],
+    channels: ["in_app", "email"],
+    defaultChannels: ["in_app"]
+  },
+  profile_change_submitted: {
+    label: "Profile change awaiting review",
+    description: "An approved nurse changed verified profile details and the change needs approval.",
+    roles: ["admin"],
+    channels: ["in_app", "email"],
+    defaultChannels: ["in_app"]
+  },
+  profile_change_reviewed: {
+    label: "Profile change reviewed",
+    description: "An admin approved or rejected the profile changes you submitted.",
+    roles: ["nurse"],
+    channels: ["in_app", "email", "whatsapp"],
+    defaultChannels: ["in_app", "email"]
+  },
+  sla_breached: {
+    label: "SLA breached",
+    description: "A care request missed its first-contact, assignment or payment target.",
+    roles: ["admin"],
+    channels: ["in_app", "email"],
+    defaultChannels: ["in_app", "email"]
+  },
+  agent_dashboard_action: {
+    label: "Dashboard action receipts",
+    description: "Confirmation of job actions taken from your dashboard.",
+    roles: ["agent"],
+    channels: ["in_app"],
+    defaultChannels: ["in_app"]
+  }
+};
+
+function getEventDefinition(eventType) {
+  const definition = NOTIFICATION_EVENTS[eventType];
+  if (!definition) throw new Error(`Unknown notification event: ${eventType}`);
+  return definition;
+}
+
+function getRoleEventTypes(role) {
+  return Object.keys(NOTIFICATION_EVENTS).filter((eventType) => NOTIFICATION_EVENTS[eventType].roles.includes(role));
+}
+
+async function loadPreferenceRows(db, userIds, eventTypes) {
+  if (!userIds.length || !eventTypes.length) return [];
+  const result = await db.query(
+    `SELECT user_id, event_type, channel, enabled
+     FROM notification_preferences
+     WHERE user_id = ANY($1::int[])
+       AND event_type = ANY($2::text[])`,
+    [userIds, eventTypes]
+  );
+  return result.rows;
+}
+
+function isChannelEnabled(preferenceRows, userId, eventType, channel) {
+  const saved = preferenceRows.find((row) => (
+    row.user_id === userId && row.event_type === eventType && row.channel === channel
+  ));
+  return saved ? saved.enabled : getEventDefinition(eventType).defaultChannels.includes(channel);
+}
+
+/**
+ * Preference grid for the profile pages: one row per event the role can receive.
+ */
+async function loadNotificationPreferences(db, user) {
+  const eventTypes = getRoleEventTypes(user.role);
+  const preferenceRows = await loadPreferenceRows(db, [user.id], eventTypes);
+
+  return {
+    channels: NOTIFICATION_CHANNELS.map((channel) => ({ key: channel, label: NOTIFICATION_CHANNEL_LABELS[channel] })),
+    events: eventTypes.map((eventType) => {
+      const definition = NOTIFICATION_EVENTS[eventType];
+      return {
+        key: eventType,
+        label: definition.label,
+        description: definition.description,
+        channels: NOTIFICATION_CHANNELS.map((channel) => ({
+          key: channel,
+          available: definition.channels.includes(channel),
+          enabled: definition.channels.includes(channel) && isChannelEnabled(preferenceRows, user.id, eventType, channel)
+        }))
+      };
+    })
+  };
+}
+
+/**
+ * Save the preference grid. `selections` is the submitted `preferences` object, shaped
+ * { [eventType]: { [channel]: "on" } }; unticked boxes are stored as disabled.
+ */
+async function saveNotificationPreferences(db, user, selections) {
+  const submitted = selections && typeof selections === "object" ? selections : {};
+  const rows = [];
+
+  getRoleEventTypes(user.role).forEach((eventType) => {
+    const eventSelections = submitted[eventType] && typeof submitted[eventType] === "object" ? submitted[eventType] : {};
+    NOTIFICATION_EVENTS[eventType].channels.forEach((channel) => {
+      rows.push([eventType, channel, Object.prototype.hasOwnProperty.call(eventSelections, channel)]);
+    });
+  });
+
+  if (!rows.length) return 0;
+  await db.query(
+    `INSERT INTO notification_preferences (user_id, event_type, channel, enabled)
+     SELECT $1, prefs.event_type, prefs.channel, prefs.enabled
+     FROM unnest($2::text[], $3::text[], $4::boolean[]) AS prefs(event_type, channel, enabled)
+     ON CONFLICT (user_id, event_type, channel)
+     DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+    [user.id, rows.map((row) => row[0]), rows.map((row) => row[1]), rows.map((row) => row[2])]
+  );
+  return rows.length;
+}
+
+/**
+ * Record a notification for each user on every channel their preferences allow. In-app
+ * notifications are written immediately; email and WhatsApp deliveries are queued as pending
+ * and their ids returned, so callers in a transaction can dispatch them after COMMIT.
+ */
+async function notifyUsers(db, userIds, {
+  eventType,
+  title,
+  message,
+  relatedRequestId = null,
+  actionPath = ""
+}) {
+  const definition = getEventDefinition(eventType);
+  const recipientIds = [...new Set((userIds || []).filter((id) => Number.isInteger(id)))];
+  if (!recipientIds.length) return [];
+
+  const [recipientResult, preferenceRows] = await Promise.all([
+    db.query(
+      `SELECT
+          u.id,
+          u.email,
+          u.phone_number,
+          COALESCE(NULLIF(n.full_name, ''), NULLIF(a.full_name, ''), '') AS full_name
+       FROM users u
+       LEFT JOIN nurses n ON n.user_id = u.id
+       LEFT JOIN agents a ON a.user_id = u.id
+       WHERE u.id = ANY($1::int[])
+         AND COALESCE(u.is_deleted, FALSE) = FALSE`,
+      [recipientIds]
+    ),
+    loadPreferenceRows(db, recipientIds, [eventType])
+  ]);
+
+  const pendingDeliveryIds = [];
+  for (const recipient of recipientResult.rows) {
+    // In-app goes first so the other channel rows can point at the notification they mirror.
+    const channels = NOTIFICATION_CHANNELS.filter((channel) => (
+      definition.channels.includes(channel) && isChannelEnabled(preferenceRows, recipient.id, eventType, channel)
+    ));
+    let notificationId = null;
+
+    for (const channel of channels) {
+      let status = "pending";
+      let destination = null;
+      let error = null;
+
+      if (channel === "in_app") {
+        const notificationResult = await db.query(
+          `INSERT INTO notifications (user_id, type, title, message, related_request_id)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [recipient.id, eventType, title, message, relatedRequestId]
+        );
+        notificationId = notificationResult.rows[0].id;
+        status = "sent";
+      } else if (channel === "email") {
+        destination = recipient.email || null;
+        if (!destination) {
+          status = "skipped";
+          error = "No email address on the account.";
+        }
+      } else if (channel === "whatsapp") {
+        destination = toWhatsAppNumber(recipient.phone_number) || null;
+        if (!destination) {
+          status = "skipped";
+          error = "No valid mobile number on the account.";
+        }
+      }
+
+      const deliveryResult = await db.query(
+        `INSERT INTO notification_deliveries (
+          notification_id,
+          user_id,
+          event_type,
+          channel,
+          destination,
+          recipient_name,
+          title,
+          message,
+          action_path,
+          related_request_id,
+          status,
+          last_error,
+          sent_at
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12, CASE WHEN $11 = 'sent' THEN NOW() END)
+        RETURNING id`,
+        [
+          notificationId,
+          recipient.id,
+          eventType,
+          channel,
+          destination,
+          recipient.full_name || null,
+          title,
+          message,
+          actionPath || null,
+          relatedRequestId,
+          status,
+          error
+        ]
+      );
+      if (status === "pending") pendingDeliveryIds.push(deliveryResult.rows[0].id);
+    }
+  }
+
+  return pendingDeliveryIds;
+}
+
+async function sendDelivery(delivery) {
+  if (delivery.channel === "email") {
+    const result = await sendNotificationEmail(delivery.destination, delivery.recipient_name, {
+      title: delivery.title,
+      message: delivery.message,
+      actionPath: delivery.action_path,
+      deliveryId: delivery.id
+    });
+    // A failed first attempt stays in the email outbox, which updates this delivery when it settles.
+    if (result && result.queued) return { queued: true, error: result.error };
+    if (!result || !result.success) throw new Error((result && result.error) || "Email could not be sent.");
+    return { queued: false };
+  }
+  if (delivery.channel === "whatsapp") {
+    await sendWhatsAppText(delivery.destination, `${delivery.title}\n\n${delivery.message}`);
+    return { queued: false };
+  }
+  throw new Error(`Unsupported notification channel: ${delivery.channel}`);
+}
+
+/**
+ * Send queued email and WhatsApp deliveries and record the outcome of each. Never throws, so
+ * callers can start it without awaiting once the triggering change is committed.
+ */
+async function dispatchNotificationDeliveries(db, deliveryIds) {
+  const ids = (deliveryIds || []).filter((id) => id !== null && typeof id !== "undefined");
+  if (!ids.length) return;
+
+  try {
+    const result = await db.query(
+      `UPDATE notification_deliveries
+       SET status = 'sending', attempts = attempts + 1, last_attempt_at = NOW()
+       WHERE id = ANY($1::bigint[])
+         AND status = 'pending'
+       RETURNING id, channel, destination, recipient_name, title, message, action_path`,
+      [ids]
+    );
+
+    for (const delivery of result.rows) {
+      try {
+        const outcome = await sendDelivery(delivery);
+        if (outcome.queued) {
+          await db.query(
+            "UPDATE notification_deliveries SET last_error = $2 WHERE id = $1 AND status = 'sending'",
+            [delivery.id, `Retrying: ${String(outcome.error || "").slice(0, 480)}`]
+          );
+          continue;
+        }
+        await db.query(
+          "UPDATE notification_deliveries SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+          [delivery.id]
+        );
+      } catch (error) {
+        const reason = (error.response && error.response.data && error.response.data.error && error.response.data.error.message)
+          || error.message
+          || "Delivery failed.";
+        console.error(`Notification ${delivery.channel} delivery error:`, reason);
+        await db.query(
+          "UPDATE notification_deliveries SET status = 'failed', last_error = $2 WHERE id = $1",
+          [delivery.id, String(reason).slice(0, 500)]
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Notification dispatch error:", error);
+  }
+}
+
+/**
+ * notifyUsers + dispatch for callers that are not inside a transaction.
+ */
+async function notifyUsersNow(db, userIds, notification) {
+  const deliveryIds = await notifyUsers(db, userIds, notification);
+  dispatchNotificationDeliveries(db, deliveryIds);
+  return deliveryIds;
+}
+
+/**
+ * User ids of the people following a care request: the patient account, the owning agent
+ * and the assigned nurse.
+ */
+async function findCareRequestRecipients(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        p.user_id AS patient_user_id,
+        p.full_name AS patient_name,
+        p.email AS patient_email,
+        p.phone_number AS patient_phone,
+        agent_user.id AS agent_user_id,
+        n.user_id AS nurse_user_id
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN users agent_user
+       ON LOWER(agent_user.email) = LOWER(NULLIF(p.agent_email, ''))
+      AND agent_user.role = 'agent'
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    patientUserId: row.patient_user_id || null,
+    agentUserId: row.agent_user_id || null,
+    nurseUserId: row.nurse_user_id || null,
+    familyContact: {
+      name: row.patient_name || "",
+      email: row.patient_email || "",
+      phone: row.patient_phone || ""
+    }
+  };
+}
+
+/**
+ * Reach a family without a portal account through the contact on their care request: email
+ * when there is one, otherwise WhatsApp. Call after COMMIT; failures are logged, not thrown.
+ * @returns {Promise<string|null>} The channel used, or null when there was no way to reach them
+ */
+async function notifyFamilyContact(contact, notification) {
+  if (!contact) return null;
+  try {
+    if (contact.email) {
+      await sendNotificationEmail(contact.email, contact.name, {
+        ...notification,
+        actionPath: "/family/login"
+      });
+      return "email";
+    }
+    const phone = toWhatsAppNumber(contact.phone);
+    if (phone && isWhatsAppConfigured()) {
+      await sendWhatsAppText(phone, `${notification.title}\n\n${notification.message}`);
+      return "whatsapp";
+    }
+  } catch (error) {
+    console.error("Family contact notification error:", error);
+  }
+  return null;
+}
+
+/**
+ * User ids of every active admin account.
+ */
+async function findAdminUserIds(db) {
+  const result = await db.query(
+    `SELECT id
+     FROM users
+     WHERE role = 'admin'
+       AND COALESCE(is_deleted, FALSE) = FALSE`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Channel delivery states for the given in-app notifications, keyed by notification id.
+ */
+async function listDeliveriesForNotifications(db, userId, notificationIds) {
+  if (!notificationIds.length) return {};
+  const result = await db.query(
+    `SELECT notification_id, channel, status
+     FROM notification_deliveries
+     WHERE user_id = $1
+       AND notification_id = ANY($2::int[])
+       AND channel <> 'in_app'
+     ORDER BY channel`,
+    [userId, notificationIds]
+  );
+  return result.rows.reduce((byNotification, row) => {
+    if (!byNotification[row.notification_id]) byNotification[row.notification_id] = [];
+    byNotification[row.notification_id].push({
+      channel: NOTIFICATION_CHANNEL_LABELS[row.channel] || row.channel,
+      status: row.status
+    });
+    return byNotification;
+  }, {});
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  dispatchNotificationDeliveries,
+  findAdminUserIds,
+  findCareRequestRecipients,
+  listDeliveriesForNotifications,
+  loadNotificationPreferences,
+  notifyFamilyContact,
+  notifyUsers,
+  notifyUsersNow,
+  saveNotificationPreferences
+};
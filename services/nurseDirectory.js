@@ -0,0 +1,339 @@
+const { transformNurseFromDB } = require("../src/store");
+const { APPROVED_RATING_SUMMARY_SQL } = require("./nurseReviews");
+
+const NURSE_DIRECTORY_PAGE_SIZE = 24;
+const NURSE_DIRECTORY_SORTS = {
+  newest: "Newest first",
+  experience: "Most experienced",
+  rating: "Highest rated",
+  name: "Name (A-Z)"
+};
+const DEFAULT_DIRECTORY_SORT = "newest";
+const DIRECTORY_FACET_LIMIT = 30;
+const MAX_EXPERIENCE_FILTER_YEARS = 60;
+
+const DIRECTORY_ORDER_BY = {
+  newest: "d.created_at DESC NULLS LAST, d.id DESC",
+  experience: "d.experience_years DESC NULLS LAST, d.id DESC",
+  rating: "d.rating_score DESC NULLS LAST, d.rating_count DESC, d.id DESC",
+  name: "LOWER(d.full_name) ASC, d.id ASC"
+};
+
+// Listed nurses have an approved profile with the public listing switched on. City and
+// experience only count when the nurse shows them publicly, so filters cannot reveal them.
+const DIRECTORY_CTE = `
+  directory AS (
+    SELECT
+      n.id,
+      n.full_name,
+      n.created_at,
+      COALESCE(n.is_available, TRUE) AS is_available,
+      CASE WHEN n.public_show_city IS DISTINCT FROM FALSE THEN NULLIF(BTRIM(n.city), '') END AS city,
+      CASE WHEN n.public_show_experience IS DISTINCT FROM FALSE THEN COALESCE(n.experience_years, 0) END AS experience_years,
+      COALESCE(NULLIF(BTRIM(n.gender), ''), 'Not Specified') AS gender,
+      COALESCE(NULLIF(BTRIM(n.duty_type), ''), '12 hrs / 24 hrs') AS duty_type,
+      COALESCE(
+        NULLIF(BTRIM(n.availability_label), ''),
+        NULLIF(BTRIM(n.current_status), ''),
+        CASE WHEN n.is_available = FALSE THEN 'Unavailable' ELSE 'Available' END
+      ) AS availability_label,
+      ARRAY(
+        SELECT LOWER(BTRIM(skill))
+        FROM unnest(
+          CASE WHEN cardinality(n.public_skills) > 0 THEN n.public_skills ELSE COALESCE(n.skills, ARRAY[]::TEXT[]) END
+        ) AS skill
+      ) AS skill_keys,
+      ARRAY(
+        SELECT LOWER(BTRIM(COALESCE(q->>'name', q #>> '{}')))
+        FROM jsonb_array_elements(
+          CASE WHEN jsonb_typeof(n.qualifications) = 'array' THEN n.qualifications ELSE '[]'::jsonb END
+        ) AS q
+      ) AS qualification_keys,
+      ARRAY(
+        SELECT BTRIM(language)
+        FROM unnest(COALESCE(n.languages, ARRAY[]::TEXT[])) AS language
+        WHERE BTRIM(language) <> ''
+      ) AS languages,
+      ARRAY(
+        SELECT LOWER(BTRIM(language))
+        FROM unnest(COALESCE(n.languages, ARRAY[]::TEXT[])) AS language
+      ) AS language_keys,
+      LOWER(CONCAT_WS(' ', n.full_name, n.unique_id, n.public_bio,
+        CASE WHEN n.public_show_city IS DISTINCT FROM FALSE THEN n.city END)) AS search_text,
+      r.rating_average,
+      r.rating_score,
+      COALESCE(r.rating_count, 0) AS rating_count
+    FROM nurses n
+    LEFT JOIN users u ON u.id = n.user_id
+    LEFT JOIN (${APPROVED_RATING_SUMMARY_SQL}) r ON r.nurse_id = n.id
+    WHERE (u.id IS NULL OR COALESCE(u.is_deleted, FALSE) = FALSE)
+      AND LOWER(COALESCE(NULLIF(BTRIM(n.profile_status), ''), n.status, '')) = 'approved'
+      AND n.public_profile_enabled = TRUE
+  )`;
+
+function readQueryValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((item) => typeof item === "string" || typeof item === "number")
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+function readQueryValue(value, maxLength = 80) {
+  return (readQueryValues(value)[0] || "").slice(0, maxLength);
+}
+
+// Keep only values from the allowed list, returned in their canonical spelling.
+function pickOptions(value, options) {
+  const byKey = new Map(options.map((option) => [option.toLowerCase(), option]));
+  const picked = readQueryValues(value)
+    .map((item) => byKey.get(item.toLowerCase()))
+    .filter(Boolean);
+  return [...new Set(picked)];
+}
+
+function parseExperienceInput(value) {
+  const parsed = Number.parseInt(readQueryValue(value, 3), 10);
+  if (Number.isNaN(parsed) || parsed < 0) return null;
+  return Math.min(parsed, MAX_EXPERIENCE_FILTER_YEARS);
+}
+
+/**
+ * Read directory filters from the query string. Skills and qualifications are limited to the
+ * given option lists; free-text facets are kept as typed and matched case-insensitively.
+ */
+function parseNurseDirectoryFilters(query = {}, { skillOptions = [], qualificationOptions = [] } = {}) {
+  let minExperience = parseExperienceInput(query.min_exp);
+  let maxExperience = parseExperienceInput(query.max_exp);
+  if (minExperience !== null && maxExperience !== null && minExperience > maxExperience) {
+    [minExperience, maxExperience] = [maxExperience, minExperience];
+  }
+
+  const sort = readQueryValue(query.sort, 20).toLowerCase();
+  const page = Number.parseInt(readQueryValue(query.page, 6), 10);
+  const languages = [...new Map(
+    readQueryValues(query.language).slice(0, 10).map((language) => [language.toLowerCase(), language.slice(0, 40)])
+  ).values()];
+
+  return {
+    q: readQueryValue(query.q),
+    city: readQueryValue(query.city, 60),
+    skills: pickOptions(query.skill, skillOptions).slice(0, 10),
+    qualifications: pickOptions(query.qualification, qualificationOptions),
+    languages,
+    gender: readQueryValue(query.gender, 20),
+    minExperience,
+    maxExperience,
+    dutyType: readQueryValue(query.duty, 40),
+    availability: readQueryValue(query.availability, 40),
+    includeUnavailable: readQueryValue(query.show, 10).toLowerCase() === "all",
+    sort: Object.prototype.hasOwnProperty.call(NURSE_DIRECTORY_SORTS, sort) ? sort : DEFAULT_DIRECTORY_SORT,
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+/**
+ * Build a shareable /nurses URL for the given filters, leaving out defaults so links stay short.
+ */
+function buildNurseDirectoryHref(filters, overrides = {}) {
+  const merged = { ...filters, page: 1, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.q) params.append("q", merged.q);
+  if (merged.city) params.append("city", merged.city);
+  (merged.skills || []).forEach((skill) => params.append("skill", skill));
+  (merged.qualifications || []).forEach((qualification) => params.append("qualification", qualification));
+  (merged.languages || []).forEach((language) => params.append("language", language));
+  if (merged.gender) params.append("gender", merged.gender);
+  if (merged.minExperience !== null && typeof merged.minExperience !== "undefined") params.append("min_exp", String(merged.minExperience));
+  if (merged.maxExperience !== null && typeof merged.maxExperience !== "undefined") params.append("max_exp", String(merged.maxExperience));
+  if (merged.dutyType) params.append("duty", merged.dutyType);
+  if (merged.availability) params.append("availability", merged.availability);
+  if (merged.includeUnavailable) params.append("show", "all");
+  if (merged.sort && merged.sort !== DEFAULT_DIRECTORY_SORT) params.append("sort", merged.sort);
+  if (merged.page > 1) params.append("page", String(merged.page));
+  const query = params.toString();
+  return query ? `/nurses?${query}` : "/nurses";
+}
+
+function countActiveDirectoryFilters(filters) {
+  return [
+    filters.q,
+    filters.city,
+    filters.gender,
+    filters.dutyType,
+    filters.availability,
+    filters.minExperience !== null ? "min" : "",
+    filters.maxExperience !== null ? "max" : ""
+  ].filter(Boolean).length
+    + filters.skills.length
+    + filters.qualifications.length
+    + filters.languages.length;
+}
+
+// Each condition is tagged with its facet so facet counts can ignore their own selection.
+function buildDirectoryConditions(filters) {
+  const params = [];
+  const conditions = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (!filters.includeUnavailable) {
+    conditions.push({ facet: "visibility", sql: "d.is_available = TRUE" });
+  }
+  if (filters.q) {
+    conditions.push({ facet: "search", sql: `POSITION(${addParam(filters.q.toLowerCase())}::text IN d.search_text) > 0` });
+  }
+  if (filters.city) {
+    conditions.push({ facet: "city", sql: `LOWER(d.city) = LOWER(${addParam(filters.city)}::text)` });
+  }
+  if (filters.skills.length) {
+    conditions.push({ facet: "skill", sql: `d.skill_keys @> ${addParam(filters.skills.map((skill) => skill.toLowerCase()))}::text[]` });
+  }
+  if (filters.qualifications.length) {
+    conditions.push({
+      facet: "qualification",
+      sql: `d.qualification_keys && ${addParam(filters.qualifications.map((item) => item.toLowerCase()))}::text[]`
+    });
+  }
+  if (filters.languages.length) {
+    conditions.push({
+      facet: "language",
+      sql: `d.language_keys && ${addParam(filters.languages.map((language) => language.toLowerCase()))}::text[]`
+    });
+  }
+  if (filters.gender) {
+    conditions.push({ facet: "gender", sql: `LOWER(d.gender) = LOWER(${addParam(filters.gender)}::text)` });
+  }
+  if (filters.minExperience !== null) {
+    conditions.push({ facet: "experience", sql: `d.experience_years >= ${addParam(filters.minExperience)}::int` });
+  }
+  if (filters.maxExperience !== null) {
+    conditions.push({ facet: "experience", sql: `d.experience_years <= ${addParam(filters.maxExperience)}::int` });
+  }
+  if (filters.dutyType) {
+    conditions.push({ facet: "duty", sql: `LOWER(d.duty_type) = LOWER(${addParam(filters.dutyType)}::text)` });
+  }
+  if (filters.availability) {
+    conditions.push({ facet: "availability", sql: `LOWER(d.availability_label) = LOWER(${addParam(filters.availability)}::text)` });
+  }
+
+  return { params, conditions };
+}
+
+function buildWhereClause(conditions, excludeFacet = "", extraClauses = []) {
+  const clauses = conditions
+    .filter((condition) => condition.facet !== excludeFacet)
+    .map((condition) => condition.sql)
+    .concat(extraClauses);
+  return clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+}
+
+function buildFacetQuery(conditions) {
+  const scalarFacet = (facet, column) => `
+    SELECT '${facet}' AS facet, MIN(d.${column}) AS value, COUNT(*)::int AS count
+    FROM directory d
+    ${buildWhereClause(conditions, facet, [`d.${column} IS NOT NULL`])}
+    GROUP BY LOWER(d.${column})`;
+  const arrayFacet = (facet, column) => `
+    SELECT '${facet}' AS facet, MIN(item) AS value, COUNT(DISTINCT d.id)::int AS count
+    FROM directory d
+    CROSS JOIN LATERAL unnest(d.${column}) AS item
+    ${buildWhereClause(conditions, facet)}
+    GROUP BY LOWER(item)`;
+
+  return `WITH ${DIRECTORY_CTE}
+    ${scalarFacet("city", "city")}
+    UNION ALL ${scalarFacet("gender", "gender")}
+    UNION ALL ${scalarFacet("duty", "duty_type")}
+    UNION ALL ${scalarFacet("availability", "availability_label")}
+    UNION ALL ${arrayFacet("skill", "skill_keys")}
+    UNION ALL ${arrayFacet("qualification", "qualification_keys")}
+    UNION ALL ${arrayFacet("language", "languages")}`;
+}
+
+function groupFacetRows(rows, { skillOptions, qualificationOptions }) {
+  const byFacet = rows.reduce((groups, row) => {
+    (groups[row.facet] = groups[row.facet] || []).push({ value: row.value, count: row.count });
+    return groups;
+  }, {});
+  const sortByCount = (items) => items
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, DIRECTORY_FACET_LIMIT);
+  // Option-backed facets list every option, with zero counts, in the order the options are defined.
+  const fromOptions = (facet, options) => {
+    const counts = new Map((byFacet[facet] || []).map((item) => [String(item.value).toLowerCase(), item.count]));
+    return options.map((option) => ({ value: option, count: counts.get(option.toLowerCase()) || 0 }));
+  };
+
+  return {
+    cities: sortByCount(byFacet.city || []),
+    genders: sortByCount(byFacet.gender || []),
+    dutyTypes: sortByCount(byFacet.duty || []),
+    availabilityLabels: sortByCount(byFacet.availability || []),
+    languages: sortByCount(byFacet.language || []),
+    skills: fromOptions("skill", skillOptions),
+    qualifications: fromOptions("qualification", qualificationOptions)
+  };
+}
+
+/**
+ * Search the public nurse directory: one page of nurses in the requested order, the total
+ * match count and facet counts for the filter panel.
+ */
+async function searchNurseDirectory(db, filters, { skillOptions = [], qualificationOptions = [] } = {}) {
+  const { params, conditions } = buildDirectoryConditions(filters);
+  const whereClause = buildWhereClause(conditions);
+
+  const [countResult, facetResult] = await Promise.all([
+    db.query(`WITH ${DIRECTORY_CTE} SELECT COUNT(*)::int AS total FROM directory d ${whereClause}`, params),
+    db.query(buildFacetQuery(conditions), params)
+  ]);
+
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / NURSE_DIRECTORY_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+
+  const pageResult = await db.query(
+    `WITH ${DIRECTORY_CTE}
+     SELECT
+        n.*,
+        u.email,
+        u.phone_number,
+        u.email_verified,
+        u.is_deleted AS user_is_deleted,
+        u.deleted_at AS user_deleted_at,
+        d.rating_average,
+        d.rating_count
+     FROM directory d
+     JOIN nurses n ON n.id = d.id
+     LEFT JOIN users u ON u.id = n.user_id
+     ${whereClause}
+     ORDER BY ${DIRECTORY_ORDER_BY[filters.sort] || DIRECTORY_ORDER_BY[DEFAULT_DIRECTORY_SORT]}
+     LIMIT ${NURSE_DIRECTORY_PAGE_SIZE} OFFSET ${(page - 1) * NURSE_DIRECTORY_PAGE_SIZE}`,
+    params
+  );
+
+  return {
+    nurses: pageResult.rows.map((row) => ({
+      ...transformNurseFromDB(row),
+      ratingAverage: row.rating_average === null ? 0 : Number(row.rating_average),
+      reviewCount: row.rating_count
+    })),
+    total,
+    page,
+    pageCount,
+    pageSize: NURSE_DIRECTORY_PAGE_SIZE,
+    facets: groupFacetRows(facetResult.rows, { skillOptions, qualificationOptions })
+  };
+}
+
+module.exports = {
+  NURSE_DIRECTORY_PAGE_SIZE,
+  NURSE_DIRECTORY_SORTS,
+  buildNurseDirectoryHref,
+  countActiveDirectoryFilters,
+  parseNurseDirectoryFilters,
+  searchNurseDirectory
+};
@@ -0,0 +1,330 @@
+const { APPROVED_RATING_SUMMARY_SQL } = require("./nurseReviews");
+
+// Maximum points per criterion; the weights add up to 100.
+const MATCH_WEIGHTS = {
+  location: 20,
+  skills: 25,
+  availability: 15,
+  experience: 10,
+  languages: 10,
+  gender: 5,
+  ratings: 15
+};
+
+const MATCH_CRITERIA_LABELS = {
+  location: "Location",
+  skills: "Skills",
+  availability: "Availability",
+  experience: "Experience",
+  languages: "Languages",
+  gender: "Gender",
+  ratings: "Ratings"
+};
+
+const NURSE_GENDER_PREFERENCES = ["Female", "Male"];
+const EXPERIENCE_CAP_YEARS = 10;
+const RATING_CONFIDENCE_COUNT = 3;
+const DEFAULT_SHORTLIST_LIMIT = 10;
+const CANDIDATE_POOL_LIMIT = 500;
+
+function normalizeText(value) {
+  return String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function toTextList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item || "").trim()).filter(Boolean);
+  }
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function normalizeGenderPreferenceInput(value) {
+  const clean = normalizeText(value);
+  return NURSE_GENDER_PREFERENCES.find((option) => option.toLowerCase() === clean) || "";
+}
+
+function normalizeLanguageListInput(value) {
+  const seen = new Set();
+  return toTextList(value).filter((language) => {
+    const key = language.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, 10);
+}
+
+// A skill counts when its name, or every significant word in it, appears in the care description.
+function skillMatchesCareText(skill, careText) {
+  const skillText = normalizeText(skill).replace(/[^a-z0-9 ]/g, " ").replace(/\s+/g, " ").trim();
+  if (!skillText || !careText) return false;
+  if (careText.includes(skillText)) return true;
+
+  const words = skillText.split(" ").filter((word) => word.length > 3 && word !== "care");
+  return words.length > 0 && words.every((word) => careText.includes(word));
+}
+
+function scoreLocation(nurse, criteria) {
+  const requestCity = normalizeText(criteria.city);
+  if (!requestCity) {
+    return { points: MATCH_WEIGHTS.location / 2, detail: "Request has no city" };
+  }
+  const nurseCities = [nurse.city, nurse.work_city].map(normalizeText).filter(Boolean);
+  if (nurseCities.includes(requestCity)) {
+    return { points: MATCH_WEIGHTS.location, detail: `Works in ${criteria.city}` };
+  }
+  if (nurseCities.some((city) => city.includes(requestCity) || requestCity.includes(city))) {
+    return { points: MATCH_WEIGHTS.location / 2, detail: "Nearby / partial city match" };
+  }
+  return { points: 0, detail: nurseCities.length ? "Different city" : "City not set" };
+}
+
+function scoreSkills(nurse, criteria) {
+  const careText = normalizeText(criteria.careType).replace(/[^a-z0-9 ]/g, " ");
+  const nurseSkills = [...toTextList(nurse.skills), ...toTextList(nurse.custom_skills)];
+  const matched = [...new Set(nurseSkills.filter((skill) => skillMatchesCareText(skill, careText)))];
+  if (!matched.length) {
+    return { points: 0, detail: nurseSkills.length ? "No skills mentioned in care needs" : "No skills listed" };
+  }
+  const points = MATCH_WEIGHTS.skills * Math.min(matched.length, 3) / 3;
+  return { points, detail: matched.slice(0, 4).join(", ") };
+}
+
+function scoreAvailability(nurse, criteria) {
+  const schedule = normalizeText(criteria.serviceSchedule);
+  const availability = toTextList(nurse.availability).map(normalizeText);
+  if (!schedule) {
+    return { points: MATCH_WEIGHTS.availability / 2, detail: "Request has no schedule" };
+  }
+  if (availability.includes(schedule)) {
+    return { points: MATCH_WEIGHTS.availability, detail: `Available for ${criteria.serviceSchedule}` };
+  }
+  if (!availability.length) {
+    return { points: MATCH_WEIGHTS.availability / 3, detail: "Availability not set" };
+  }
+  return { points: 0, detail: "Schedule not in availability" };
+}
+
+function scoreExperience(nurse) {
+  const years = Math.max(Number.parseInt(nurse.experience_years, 10) || 0, 0);
+  return {
+    points: MATCH_WEIGHTS.experience * Math.min(years, EXPERIENCE_CAP_YEARS) / EXPERIENCE_CAP_YEARS,
+    detail: `${years} year(s)`
+  };
+}
+
+function scoreLanguages(nurse, criteria) {
+  const wanted = normalizeLanguageListInput(criteria.preferredLanguages);
+  if (!wanted.length) {
+    return { points: MATCH_WEIGHTS.languages, detail: "No language preference" };
+  }
+  const spoken = toTextList(nurse.languages).map(normalizeText);
+  const matched = wanted.filter((language) => spoken.includes(normalizeText(language)));
+  return {
+    points: MATCH_WEIGHTS.languages * matched.length / wanted.length,
+    detail: matched.length ? `Speaks ${matched.join(", ")}` : "Preferred languages not spoken"
+  };
+}
+
+function scoreGender(nurse, criteria) {
+  const preference = normalizeGenderPreferenceInput(criteria.preferredGender);
+  if (!preference) {
+    return { points: MATCH_WEIGHTS.gender, detail: "No gender preference" };
+  }
+  return normalizeText(nurse.gender) === preference.toLowerCase()
+    ? { points: MATCH_WEIGHTS.gender, detail: `Matches ${preference} preference` }
+    : { points: 0, detail: `${preference} preferred` };
+}
+
+// Unrated nurses sit at the midpoint; ratings pull towards their average as the count grows.
+function scoreRatings(nurse) {
+  const count = Number.parseInt(nurse.rating_count, 10) || 0;
+  const average = Number.parseFloat(nurse.rating_average) || 0;
+  if (!count) {
+    return { points: MATCH_WEIGHTS.ratings / 2, detail: "No ratings yet" };
+  }
+  const confidence = Math.min(count, RATING_CONFIDENCE_COUNT) / RATING_CONFIDENCE_COUNT;
+  const ratedShare = average / 5;
+  return {
+    points: MATCH_WEIGHTS.ratings * (0.5 + (ratedShare - 0.5) * confidence),
+    detail: `${average.toFixed(1)} / 5 from ${count} rating(s)`
+  };
+}
+
+/**
+ * Score one nurse against a request and return the total with a per-criterion breakdown.
+ */
+function scoreNurseForRequest(nurse, criteria) {
+  const scores = {
+    location: scoreLocation(nurse, criteria),
+    skills: scoreSkills(nurse, criteria),
+    availability: scoreAvailability(nurse, criteria),
+    experience: scoreExperience(nurse),
+    languages: scoreLanguages(nurse, criteria),
+    gender: scoreGender(nurse, criteria),
+    ratings: scoreRatings(nurse)
+  };
+
+  const breakdown = Object.keys(MATCH_WEIGHTS).map((key) => ({
+    key,
+    label: MATCH_CRITERIA_LABELS[key],
+    points: Number(scores[key].points.toFixed(1)),
+    max: MATCH_WEIGHTS[key],
+    detail: scores[key].detail
+  }));
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return { total: Math.round(total), breakdown };
+}
+
+async function loadCareRequestMatchCriteria(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        COALESCE(NULLIF(p.city, ''), '') AS city,
+        CONCAT_WS(' ', cr.care_type, p.notes) AS care_type,
+        COALESCE(NULLIF(p.service_schedule, ''), '') AS service_schedule,
+        COALESCE(cr.preferred_nurse_gender, '') AS preferred_nurse_gender,
+        COALESCE(cr.preferred_languages, ARRAY[]::text[]) AS preferred_languages
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     WHERE cr.id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    requestId: row.id,
+    city: row.city,
+    careType: row.care_type,
+    serviceSchedule: row.service_schedule,
+    preferredGender: row.preferred_nurse_gender,
+    preferredLanguages: row.preferred_languages
+  };
+}
+
+// SQL counterpart of normalizeText for a column or array element.
+function normalizedSql(expression) {
+  return `regexp_replace(LOWER(TRIM(COALESCE(${expression}, ''))), '\\s+', ' ', 'g')`;
+}
+
+/**
+ * Every criterion scoreNurseForRequest can judge in SQL, weighted the same way: all but skills,
+ * which need the care text, and partial city matches. Ordering the candidate pool by it keeps the
+ * strongest matches inside CANDIDATE_POOL_LIMIT however many nurses are approved. `addParam`
+ * appends a query parameter and returns its placeholder.
+ */
+function buildCandidateRankSql(criteria, addParam) {
+  const city = addParam(normalizeText(criteria.city));
+  const schedule = addParam(normalizeText(criteria.serviceSchedule));
+  const gender = addParam(normalizeGenderPreferenceInput(criteria.preferredGender).toLowerCase());
+  const languages = addParam(normalizeLanguageListInput(criteria.preferredLanguages).map(normalizeText));
+
+  return `(
+        CASE
+          WHEN ${city} = '' THEN ${MATCH_WEIGHTS.location / 2}
+          WHEN ${city} IN (${normalizedSql("n.city")}, ${normalizedSql("n.work_city")}) THEN ${MATCH_WEIGHTS.location}
+          ELSE 0
+        END
+        + CASE
+          WHEN ${schedule} = '' THEN ${MATCH_WEIGHTS.availability / 2}
+          WHEN EXISTS (
+            SELECT 1 FROM unnest(n.availability) AS av(slot) WHERE ${normalizedSql("av.slot")} = ${schedule}
+          ) THEN ${MATCH_WEIGHTS.availability}
+          WHEN COALESCE(cardinality(n.availability), 0) = 0 THEN ${MATCH_WEIGHTS.availability / 3}
+          ELSE 0
+        END
+        + ${MATCH_WEIGHTS.experience} * LEAST(GREATEST(COALESCE(n.experience_years, 0), 0), ${EXPERIENCE_CAP_YEARS})::numeric / ${EXPERIENCE_CAP_YEARS}
+        + CASE
+          WHEN cardinality(${languages}::text[]) = 0 THEN ${MATCH_WEIGHTS.languages}
+          ELSE ${MATCH_WEIGHTS.languages} * (
+            SELECT COUNT(*)
+            FROM unnest(${languages}::text[]) AS wanted(language)
+            WHERE EXISTS (
+              SELECT 1 FROM unnest(n.languages) AS spoken(language) WHERE ${normalizedSql("spoken.language")} = wanted.language
+            )
+          )::numeric / cardinality(${languages}::text[])
+        END
+        + CASE WHEN ${gender} IN ('', ${normalizedSql("n.gender")}) THEN ${MATCH_WEIGHTS.gender} ELSE 0 END
+        + CASE
+          WHEN COALESCE(r.rating_count, 0) = 0 THEN ${MATCH_WEIGHTS.ratings / 2}
+          ELSE ${MATCH_WEIGHTS.ratings} * (0.5 + (r.rating_average / 5 - 0.5) * LEAST(r.rating_count, ${RATING_CONFIDENCE_COUNT})::numeric / ${RATING_CONFIDENCE_COUNT})
+        END
+      )`;
+}
+
+/**
+ * Rank approved, available nurses for the given criteria. `scopeSql` narrows the candidate
+ * pool (e.g. an agent's roster) and may reference `n` plus parameters from `scopeParams`.
+ */
+async function rankNursesForRequest(db, criteria, options = {}) {
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DEFAULT_SHORTLIST_LIMIT;
+  const params = Array.isArray(options.scopeParams) ? [...options.scopeParams] : [];
+  const scopeSql = options.scopeSql ? `AND ${options.scopeSql}` : "";
+  const rankSql = buildCandidateRankSql(criteria, (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+
+  const result = await db.query(
+    `SELECT
+        n.id,
+        n.full_name,
+        COALESCE(NULLIF(n.unique_id, ''), CONCAT('PHCN-', LPAD(n.id::text, 3, '0'))) AS unique_id,
+        n.profile_slug,
+        n.city,
+        n.work_city,
+        n.gender,
+        n.experience_years,
+        n.skills,
+        n.custom_skills,
+        n.availability,
+        n.languages,
+        COALESCE(n.is_verified, FALSE) AS is_verified,
+        COALESCE(r.rating_count, 0) AS rating_count,
+        r.rating_average
+     FROM nurses n
+     LEFT JOIN users u ON u.id = n.user_id
+     LEFT JOIN (${APPROVED_RATING_SUMMARY_SQL}) r ON r.nurse_id = n.id
+     WHERE (u.id IS NULL OR COALESCE(u.is_deleted, FALSE) = FALSE)
+       AND LOWER(COALESCE(n.status, 'pending')) = 'approved'
+       AND COALESCE(n.is_available, TRUE) = TRUE
+       ${scopeSql}
+     ORDER BY ${rankSql} DESC, n.id ASC
+     LIMIT ${CANDIDATE_POOL_LIMIT}`,
+    params
+  );
+
+  return result.rows
+    .map((nurse) => {
+      const match = scoreNurseForRequest(nurse, criteria);
+      return {
+        id: nurse.id,
+        full_name: nurse.full_name,
+        unique_id: nurse.unique_id,
+        profile_slug: nurse.profile_slug,
+        city: nurse.work_city || nurse.city || "",
+        experience_years: nurse.experience_years || 0,
+        is_verified: nurse.is_verified,
+        score: match.total,
+        breakdown: match.breakdown
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.experience_years - a.experience_years || a.id - b.id)
+    .slice(0, limit);
+}
+
+module.exports = {
+  MATCH_CRITERIA_LABELS,
+  MATCH_WEIGHTS,
+  NURSE_GENDER_PREFERENCES,
+  loadCareRequestMatchCriteria,
+  normalizeGenderPreferenceInput,
+  normalizeLanguageListInput,
+  rankNursesForRequest,
+  scoreNurseForRequest
+};
@@ -0,0 +1,259 @@
+const { sendNotificationEmail } = require("../src/email");
+const { dispatchNotificationDeliveries, notifyUsers } = require("./notifications");
+
+const REVIEW_STATUSES = {
+  pending: "Pending",
+  approved: "Approved",
+  rejected: "Rejected"
+};
+const REVIEW_QUEUE_VIEWS = ["pending", "approved", "rejected", "all"];
+const REVIEW_QUEUE_PAGE_SIZE = 25;
+const PUBLIC_REVIEW_LIMIT = 10;
+
+// Directory sorting pulls each nurse's average towards this prior, so one five-star review
+// does not outrank a long record of good ones.
+const RATING_PRIOR_AVERAGE = 4;
+const RATING_PRIOR_WEIGHT = 3;
+
+// Per-nurse aggregate over approved reviews, shared by the directory, matching and profiles.
+const APPROVED_RATING_SUMMARY_SQL = `
+  SELECT
+    nurse_id,
+    COUNT(*)::int AS rating_count,
+    AVG(rating)::numeric(3,2) AS rating_average,
+    ((SUM(rating) + ${RATING_PRIOR_AVERAGE * RATING_PRIOR_WEIGHT})::numeric
+      / (COUNT(*) + ${RATING_PRIOR_WEIGHT}))::numeric(4,3) AS rating_score
+  FROM care_request_ratings
+  WHERE review_status = 'approved'
+  GROUP BY nurse_id`;
+
+async function getNurseRatingSummary(db, nurseId) {
+  const result = await db.query(
+    `SELECT rating_count, rating_average
+     FROM (${APPROVED_RATING_SUMMARY_SQL}) r
+     WHERE r.nurse_id = $1`,
+    [nurseId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    ratingAverage: Number.parseFloat(row.rating_average) || 0,
+    reviewCount: Number.parseInt(row.rating_count, 10) || 0
+  };
+}
+
+/**
+ * Approved reviews with written feedback for a public profile. Nothing about the reviewer is
+ * shown beyond "Verified family", so a patient cannot be picked out from a nurse's reviews.
+ */
+async function listPublicNurseReviews(db, nurseId, limit = PUBLIC_REVIEW_LIMIT) {
+  const result = await db.query(
+    `SELECT
+        rr.id,
+        rr.rating,
+        rr.feedback,
+        to_char(COALESCE(rr.moderated_at, rr.updated_at), 'Mon YYYY') AS reviewed_on,
+        'Verified family' AS reviewer_name
+     FROM care_request_ratings rr
+     WHERE rr.nurse_id = $1
+       AND rr.review_status = 'approved'
+       AND NULLIF(BTRIM(rr.feedback), '') IS NOT NULL
+     ORDER BY COALESCE(rr.moderated_at, rr.updated_at) DESC, rr.id DESC
+     LIMIT $2`,
+    [nurseId, limit]
+  );
+  return result.rows;
+}
+
+function parseReviewQueueFilters(query = {}) {
+  const page = Number.parseInt(query.page, 10);
+  return {
+    view: REVIEW_QUEUE_VIEWS.includes(query.view) ? query.view : "pending",
+    search: String(query.q || "").trim().slice(0, 60),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+async function listReviewQueue(db, filters) {
+  const params = [];
+  const conditions = [];
+  if (filters.view !== "all") {
+    params.push(filters.view);
+    conditions.push(`rr.review_status = $${params.length}`);
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(n.full_name ILIKE $${params.length} OR p.full_name ILIKE $${params.length} OR cr.request_code ILIKE $${params.length})`);
+  }
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const fromSql = `FROM care_request_ratings rr
+     JOIN care_requests cr ON cr.id = rr.request_id
+     LEFT JOIN patients p ON p.id = rr.patient_id
+     LEFT JOIN nurses n ON n.id = rr.nurse_id`;
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total ${fromSql} ${whereSql}`, params);
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / REVIEW_QUEUE_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+  const orderBy = filters.view === "pending" ? "rr.updated_at ASC, rr.id ASC" : "rr.updated_at DESC, rr.id DESC";
+
+  const result = await db.query(
+    `SELECT
+        rr.id,
+        rr.rating,
+        rr.feedback,
+        rr.review_status,
+        rr.rated_by_role,
+        rr.moderation_note,
+        to_char(rr.updated_at, 'YYYY-MM-DD HH24:MI') AS submitted_at,
+        to_char(rr.moderated_at, 'YYYY-MM-DD HH24:MI') AS moderated_at,
+        COALESCE(cr.request_code, CONCAT('CR-', cr.id::text)) AS request_code,
+        COALESCE(NULLIF(p.full_name, ''), 'Patient') AS patient_name,
+        n.id AS nurse_id,
+        n.full_name AS nurse_name,
+        n.unique_id AS nurse_unique_id
+     ${fromSql}
+     ${whereSql}
+     ORDER BY ${orderBy}
+     LIMIT ${REVIEW_QUEUE_PAGE_SIZE} OFFSET ${(page - 1) * REVIEW_QUEUE_PAGE_SIZE}`,
+    params
+  );
+  return {
+    reviews: result.rows.map((row) => ({ ...row, status_label: REVIEW_STATUSES[row.review_status] || row.review_status })),
+    total,
+    page,
+    pageCount
+  };
+}
+
+async function countPendingReviews(db) {
+  const result = await db.query(
+    "SELECT COUNT(*)::int AS total FROM care_request_ratings WHERE review_status = 'pending'"
+  );
+  return result.rows[0].total;
+}
+
+/**
+ * Approve or reject a review. Rejections need a note, which stays internal.
+ */
+async function moderateReview(db, reviewId, { decision, note, actor }) {
+  const nextStatus = { approve: "approved", reject: "rejected" }[decision];
+  if (!nextStatus) throw new Error("Choose approve or reject.");
+  const cleanNote = String(note || "").trim().slice(0, 1000);
+  if (nextStatus === "rejected" && !cleanNote) {
+    throw new Error("Add a note explaining why the review is rejected.");
+  }
+
+  const currentResult = await db.query(
+    `SELECT id, request_id, nurse_id, rating, review_status
+     FROM care_request_ratings
+     WHERE id = $1
+     FOR UPDATE`,
+    [reviewId]
+  );
+  const review = currentResult.rows[0];
+  if (!review) throw new Error("Review not found.");
+
+  await db.query(
+    `UPDATE care_request_ratings
+     SET review_status = $2,
+         moderation_note = $3,
+         moderated_by_user_id = $4,
+         moderated_at = NOW()
+     WHERE id = $1`,
+    [reviewId, nextStatus, cleanNote || null, actor && actor.userId ? actor.userId : null]
+  );
+
+  return {
+    requestId: review.request_id,
+    nurseId: review.nurse_id,
+    rating: review.rating,
+    previousStatus: review.review_status,
+    status: nextStatus
+  };
+}
+
+/**
+ * Find who to invite to review a completed request. Families with a portal account get the
+ * in-app invite; everyone else gets an email pointing at the family login, sent after COMMIT.
+ */
+async function findReviewInvitee(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        cr.id,
+        cr.assigned_nurse_id,
+        COALESCE(cr.request_code, p.request_id, CONCAT('CR-', cr.id::text)) AS request_code,
+        p.full_name AS patient_name,
+        p.email AS patient_email,
+        n.full_name AS nurse_name,
+        CASE WHEN u.role = 'user' AND COALESCE(u.is_deleted, FALSE) = FALSE THEN u.id END AS family_user_id
+     FROM care_requests cr
+     LEFT JOIN patients p ON p.id = cr.patient_id
+     LEFT JOIN users u ON u.id = p.user_id
+     LEFT JOIN nurses n ON n.id = cr.assigned_nurse_id
+     WHERE cr.id = $1`,
+    [requestId]
+  );
+  const row = result.rows[0];
+  if (!row || !row.assigned_nurse_id) return null;
+  return {
+    requestId: row.id,
+    requestCode: row.request_code,
+    patientName: row.patient_name || "",
+    patientEmail: row.patient_email || "",
+    nurseName: row.nurse_name || "your nurse",
+    familyUserId: row.family_user_id || null
+  };
+}
+
+function buildReviewInvitation(invitee) {
+  return {
+    title: "How was your care?",
+    message: `Care for request ${invitee.requestCode} is complete. Please rate ${invitee.nurseName} and tell other families about your experience.`,
+    relatedRequestId: invitee.requestId,
+    actionPath: `/family/requests/${encodeURIComponent(invitee.requestCode)}`
+  };
+}
+
+/**
+ * Queue the review invite inside the completion transaction. Pass the result to
+ * sendReviewInvitation once the transaction has committed.
+ */
+async function queueReviewInvitation(db, requestId) {
+  const invitee = await findReviewInvitee(db, requestId);
+  if (!invitee) return null;
+  const deliveryIds = invitee.familyUserId
+    ? await notifyUsers(db, [invitee.familyUserId], {
+      eventType: "review_invited",
+      ...buildReviewInvitation(invitee)
+    })
+    : [];
+  return { invitee, deliveryIds };
+}
+
+async function sendReviewInvitation(db, invitation) {
+  if (!invitation) return;
+  dispatchNotificationDeliveries(db, invitation.deliveryIds);
+  const { invitee } = invitation;
+  if (invitee.familyUserId || !invitee.patientEmail) return;
+  try {
+    await sendNotificationEmail(invitee.patientEmail, invitee.patientName, {
+      ...buildReviewInvitation(invitee),
+      actionPath: "/family/login"
+    });
+  } catch (error) {
+    console.error("Review invitation email error:", error);
+  }
+}
+
+module.exports = {
+  APPROVED_RATING_SUMMARY_SQL,
+  REVIEW_STATUSES,
+  countPendingReviews,
+  getNurseRatingSummary,
+  listPublicNurseReviews,
+  listReviewQueue,
+  moderateReview,
+  parseReviewQueueFilters,
+  queueReviewInvitation,
+  sendReviewInvitation
+};
@@ -0,0 +1,437 @@
+const { getNextCounterValue } = require("../src/utils/idGenerator");
+const { formatLocalDate, normalizeDateInput } = require("./careShifts");
+const { buildCsv } = require("../utils/csv");
+const { insertCareRequestLifecycleLog } = require("./careRequestLifecycle");
+
+const PAYOUT_BATCH_STATUSES = ["processing", "paid", "cancelled"];
+const PAYOUT_TRANSFER_MODE = String(process.env.PAYOUT_TRANSFER_MODE || "NEFT").trim().toUpperCase() || "NEFT";
+const PAYOUT_DEBIT_ACCOUNT = String(process.env.PAYOUT_DEBIT_ACCOUNT || "").trim();
+
+const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_REGEX = /^\d{9,18}$/;
+
+// Column order follows the common Indian bank bulk-upload template (NEFT/RTGS/IMPS).
+const PAYOUT_CSV_COLUMNS = [
+  "Payment Mode",
+  "Debit Account",
+  "Beneficiary Name",
+  "Beneficiary Account Number",
+  "IFSC Code",
+  "Amount",
+  "Payment Date",
+  "Reference",
+  "Narration",
+  "Beneficiary Email"
+];
+
+function normalizeIfscInput(value) {
+  const clean = String(value || "").replace(/\s+/g, "").toUpperCase();
+  if (!clean) return "";
+  return IFSC_REGEX.test(clean) ? clean : null;
+}
+
+function normalizeAccountNumberInput(value) {
+  const clean = String(value || "").replace(/[\s-]+/g, "");
+  if (!clean) return "";
+  return ACCOUNT_NUMBER_REGEX.test(clean) ? clean : null;
+}
+
+function maskAccountNumber(accountNumber) {
+  const clean = String(accountNumber || "");
+  if (!clean) return "";
+  return `${"X".repeat(Math.max(clean.length - 4, 0))}${clean.slice(-4)}`;
+}
+
+function hasPayoutBankDetails(nurse) {
+  return Boolean(
+    String(nurse.bank_account_name || "").trim()
+    && ACCOUNT_NUMBER_REGEX.test(String(nurse.bank_account_number || ""))
+    && IFSC_REGEX.test(String(nurse.bank_ifsc || ""))
+  );
+}
+
+function resolvePayoutPeriod(input = {}) {
+  const today = formatLocalDate(new Date());
+  const periodEnd = normalizeDateInput(input.periodEnd) || today;
+  const periodStart = normalizeDateInput(input.periodStart) || `${periodEnd.slice(0, 8)}01`;
+  if (periodStart > periodEnd) {
+    throw new Error("Payout period start must be on or before the end date.");
+  }
+  return { periodStart, periodEnd };
+}
+
+// Approved earnings not yet claimed by a payout run, within the period by generation date.
+const ELIGIBLE_EARNINGS_WHERE_SQL = `
+  ce.payout_status = 'approved'
+  AND ce.payout_batch_id IS NULL
+  AND ce.nurse_id IS NOT NULL
+  AND ce.net_amount > 0
+  AND ce.generated_at::date BETWEEN $1::date AND $2::date`;
+
+/**
+ * Group eligible earnings per nurse for the period. Nurses without complete bank details are
+ * returned with `ready: false` and are left out when the batch is created.
+ */
+async function previewPayoutBatch(db, period) {
+  const result = await db.query(
+    `SELECT
+        n.id AS nurse_id,
+        n.full_name,
+        COALESCE(NULLIF(n.unique_id, ''), CONCAT('PHCN-', LPAD(n.id::text, 3, '0'))) AS nurse_code,
+        n.bank_account_name,
+        n.bank_account_number,
+        n.bank_ifsc,
+        COUNT(ce.id)::int AS earnings_count,
+        COALESCE(SUM(ce.net_amount), 0)::numeric(12,2) AS amount
+     FROM care_request_earnings ce
+     JOIN nurses n ON n.id = ce.nurse_id
+     WHERE ${ELIGIBLE_EARNINGS_WHERE_SQL}
+     GROUP BY n.id
+     ORDER BY n.full_name ASC, n.id ASC`,
+    [period.periodStart, period.periodEnd]
+  );
+
+  const groups = result.rows.map((row) => ({
+    nurseId: row.nurse_id,
+    fullName: row.full_name,
+    nurseCode: row.nurse_code,
+    beneficiaryName: row.bank_account_name || "",
+    accountNumber: row.bank_account_number || "",
+    maskedAccountNumber: maskAccountNumber(row.bank_account_number),
+    ifscCode: row.bank_ifsc || "",
+    earningsCount: row.earnings_count,
+    amount: Number(row.amount),
+    ready: hasPayoutBankDetails(row)
+  }));
+  const readyGroups = groups.filter((group) => group.ready);
+
+  return {
+    ...period,
+    groups,
+    readyCount: readyGroups.length,
+    blockedCount: groups.length - readyGroups.length,
+    readyAmount: Number(readyGroups.reduce((sum, group) => sum + group.amount, 0).toFixed(2))
+  };
+}
+
+/**
+ * Create a payout run for the period. Must run inside a transaction: eligible earnings are
+ * locked, each nurse gets one payout line, and every earnings row is stamped with the
+ * line's payout_reference so the sheet and the ledger commit together.
+ */
+async function createPayoutBatch(db, period, options = {}) {
+  await db.query(
+    `SELECT ce.id
+     FROM care_request_earnings ce
+     WHERE ${ELIGIBLE_EARNINGS_WHERE_SQL}
+     FOR UPDATE`,
+    [period.periodStart, period.periodEnd]
+  );
+
+  const preview = await previewPayoutBatch(db, period);
+  const readyGroups = preview.groups.filter((group) => group.ready);
+  if (!readyGroups.length) {
+    throw new Error(preview.groups.length
+      ? "None of the nurses with approved earnings have bank details on file."
+      : "No approved earnings found for this period.");
+  }
+
+  const serial = await getNextCounterValue(db, `payout_batch_${period.periodEnd.slice(0, 7)}`);
+  const batchReference = `PB-${period.periodEnd.slice(0, 7).replace("-", "")}-${String(serial).padStart(3, "0")}`;
+
+  const batchResult = await db.query(
+    `INSERT INTO payout_batches (
+      batch_reference,
+      period_start,
+      period_end,
+      nurse_count,
+      earnings_count,
+      total_amount,
+      notes,
+      created_by_user_id
+    )
+    VALUES ($1,$2::date,$3::date,$4,$5,$6,$7,$8)
+    RETURNING id`,
+    [
+      batchReference,
+      period.periodStart,
+      period.periodEnd,
+      readyGroups.length,
+      readyGroups.reduce((sum, group) => sum + group.earningsCount, 0),
+      preview.readyAmount,
+      String(options.notes || "").trim() || null,
+      typeof options.actorUserId === "number" ? options.actorUserId : null
+    ]
+  );
+  const batchId = batchResult.rows[0].id;
+
+  for (const group of readyGroups) {
+    const payoutReference = `${batchReference}-${group.nurseCode}`;
+    await db.query(
+      `INSERT INTO payout_batch_items (
+        batch_id,
+        nurse_id,
+        payout_reference,
+        beneficiary_name,
+        account_number,
+        ifsc_code,
+        earnings_count,
+        amount
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [
+        batchId,
+        group.nurseId,
+        payoutReference,
+        group.beneficiaryName,
+        group.accountNumber,
+        group.ifscCode,
+        group.earningsCount,
+        group.amount
+      ]
+    );
+    await db.query(
+      `UPDATE care_request_earnings ce
+       SET payout_batch_id = $3,
+           payout_reference = $4,
+           updated_at = NOW()
+       WHERE ${ELIGIBLE_EARNINGS_WHERE_SQL}
+         AND ce.nurse_id = $5`,
+      [period.periodStart, period.periodEnd, batchId, payoutReference, group.nurseId]
+    );
+  }
+
+  return {
+    id: batchId,
+    batchReference,
+    nurseCount: readyGroups.length,
+    totalAmount: preview.readyAmount,
+    skippedNurses: preview.blockedCount
+  };
+}
+
+const PAYOUT_BATCH_SELECT_SQL = `
+  b.id,
+  b.batch_reference,
+  to_char(b.period_start, 'YYYY-MM-DD') AS period_start,
+  to_char(b.period_end, 'YYYY-MM-DD') AS period_end,
+  b.status,
+  b.nurse_count,
+  b.earnings_count,
+  b.total_amount,
+  b.notes,
+  to_char(b.paid_at, 'YYYY-MM-DD HH24:MI') AS paid_at,
+  to_char(b.created_at, 'YYYY-MM-DD HH24:MI') AS created_at`;
+
+async function listPayoutBatches(db, limit = 50) {
+  const result = await db.query(
+    `SELECT ${PAYOUT_BATCH_SELECT_SQL}
+     FROM payout_batches b
+     ORDER BY b.created_at DESC, b.id DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+async function getPayoutBatch(db, batchId, options = {}) {
+  const batchResult = await db.query(
+    `SELECT ${PAYOUT_BATCH_SELECT_SQL}
+     FROM payout_batches b
+     WHERE b.id = $1
+     ${options.forUpdate ? "FOR UPDATE" : ""}`,
+    [batchId]
+  );
+  const batch = batchResult.rows[0];
+  if (!batch) return null;
+
+  const itemsResult = await db.query(
+    `SELECT
+        i.id,
+        i.nurse_id,
+        i.payout_reference,
+        i.beneficiary_name,
+        i.account_number,
+        i.ifsc_code,
+        i.earnings_count,
+        i.amount,
+        n.full_name AS nurse_name,
+        u.email AS nurse_email
+     FROM payout_batch_items i
+     LEFT JOIN nurses n ON n.id = i.nurse_id
+     LEFT JOIN users u ON u.id = n.user_id
+     WHERE i.batch_id = $1
+     ORDER BY i.id ASC`,
+    [batchId]
+  );
+  return {
+    ...batch,
+    items: itemsResult.rows.map((item) => ({
+      ...item,
+      masked_account_number: maskAccountNumber(item.account_number)
+    }))
+  };
+}
+
+function buildPayoutBatchCsv(batch) {
+  const paymentDate = formatLocalDate(new Date()).split("-").reverse().join("/");
+  const rows = batch.items.map((item) => [
+    PAYOUT_TRANSFER_MODE,
+    PAYOUT_DEBIT_ACCOUNT,
+    item.beneficiary_name,
+    item.account_number,
+    item.ifsc_code,
+    Number(item.amount).toFixed(2),
+    paymentDate,
+    item.payout_reference,
+    `Prisha payout ${batch.batch_reference}`.slice(0, 30),
+    item.nurse_email || ""
+  ]);
+  return buildCsv([PAYOUT_CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Settle a processing batch: every linked earnings row is marked paid and a lifecycle entry is
+ * written per request. Must run inside a transaction.
+ */
+async function markPayoutBatchPaid(db, batchId, actor = {}) {
+  const batch = await getPayoutBatch(db, batchId, { forUpdate: true });
+  if (!batch) throw new Error("Payout batch not found.");
+  if (batch.status !== "processing") throw new Error(`Payout batch is already ${batch.status}.`);
+
+  const earningsResult = await db.query(
+    `UPDATE care_request_earnings
+     SET payout_status = 'paid',
+         paid_at = NOW(),
+         updated_at = NOW()
+     WHERE payout_batch_id = $1
+       AND payout_status = 'approved'
+     RETURNING request_id, nurse_id, payout_reference`,
+    [batchId]
+  );
+  for (const row of earningsResult.rows) {
+    await insertCareRequestLifecycleLog(db, {
+      requestId: row.request_id,
+      eventType: "payout_status_updated",
+      assignedNurseId: row.nurse_id,
+      comment: `Paid in payout batch ${batch.batch_reference}.`,
+      changedByUserId: actor.userId,
+      changedByRole: actor.role || "admin",
+      metadata: {
+        previousPayoutStatus: "approved",
+        nextPayoutStatus: "paid",
+        payoutReference: row.payout_reference,
+        payoutBatchId: batch.id
+      }
+    });
+  }
+
+  await db.query(
+    `UPDATE payout_batches
+     SET status = 'paid',
+         paid_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [batchId]
+  );
+  return { batchReference: batch.batch_reference, earningsCount: earningsResult.rowCount };
+}
+
+/**
+ * Cancel a processing batch and release its earnings so they can join a later run.
+ */
+async function cancelPayoutBatch(db, batchId) {
+  const batch = await getPayoutBatch(db, batchId, { forUpdate: true });
+  if (!batch) throw new Error("Payout batch not found.");
+  if (batch.status !== "processing") throw new Error(`Payout batch is already ${batch.status}.`);
+
+  await db.query(
+    `UPDATE care_request_earnings
+     SET payout_batch_id = NULL,
+         payout_reference = NULL,
+         updated_at = NOW()
+     WHERE payout_batch_id = $1
+       AND payout_status = 'approved'`,
+    [batchId]
+  );
+  await db.query(
+    `UPDATE payout_batches
+     SET status = 'cancelled',
+         updated_at = NOW()
+     WHERE id = $1`,
+    [batchId]
+  );
+  return { batchReference: batch.batch_reference };
+}
+
+// Earnings claimed by a payout run are managed through the batch, not per request.
+async function findEarningsPayoutBatch(db, requestId) {
+  const result = await db.query(
+    `SELECT b.id, b.batch_reference, b.status
+     FROM care_request_earnings ce
+     JOIN payout_batches b ON b.id = ce.payout_batch_id
+     WHERE ce.request_id = $1
+     LIMIT 1`,
+    [requestId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listNursePayoutHistory(db, nurseId) {
+  const [summaryResult, earningsResult] = await Promise.all([
+    db.query(
+      `SELECT
+          COALESCE(SUM(net_amount) FILTER (WHERE payout_status = 'paid'), 0)::numeric(12,2) AS paid_amount,
+          COALESCE(SUM(net_amount) FILTER (WHERE payout_status = 'approved'), 0)::numeric(12,2) AS approved_amount,
+          COALESCE(SUM(net_amount) FILTER (WHERE payout_status IN ('pending','on_hold')), 0)::numeric(12,2) AS pending_amount
+       FROM care_request_earnings
+       WHERE nurse_id = $1`,
+      [nurseId]
+    ),
+    db.query(
+      `SELECT
+          ce.request_id,
+          COALESCE(cr.request_code, CONCAT('CR-', cr.id::text)) AS request_code,
+          ce.net_amount,
+          ce.payout_status,
+          ce.payout_reference,
+          b.batch_reference,
+          b.status AS batch_status,
+          to_char(ce.generated_at, 'YYYY-MM-DD') AS earned_on,
+          to_char(ce.paid_at, 'YYYY-MM-DD') AS paid_on
+       FROM care_request_earnings ce
+       LEFT JOIN care_requests cr ON cr.id = ce.request_id
+       LEFT JOIN payout_batches b ON b.id = ce.payout_batch_id
+       WHERE ce.nurse_id = $1
+       ORDER BY ce.generated_at DESC, ce.id DESC
+       LIMIT 200`,
+      [nurseId]
+    )
+  ]);
+
+  const summary = summaryResult.rows[0];
+  return {
+    paidAmount: Number(summary.paid_amount),
+    approvedAmount: Number(summary.approved_amount),
+    pendingAmount: Number(summary.pending_amount),
+    earnings: earningsResult.rows
+  };
+}
+
+module.exports = {
+  PAYOUT_BATCH_STATUSES,
+  buildPayoutBatchCsv,
+  cancelPayoutBatch,
+  createPayoutBatch,
+  findEarningsPayoutBatch,
+  getPayoutBatch,
+  hasPayoutBankDetails,
+  listNursePayoutHistory,
+  listPayoutBatches,
+  markPayoutBatchPaid,
+  maskAccountNumber,
+  normalizeAccountNumberInput,
+  normalizeIfscInput,
+  previewPayoutBatch,
+  resolvePayoutPeriod
+};
@@ -0,0 +1,323 @@
+// Fields an approved nurse cannot change on their own. Edits to these are staged in
+// nurse_profile_change_requests and reach the nurses row only once an admin approves them.
+const HARD_PROFILE_FIELDS = {
+  aadhaar_number: "Aadhaar Number",
+  experience_years: "Experience (Years)",
+  experience_months: "Experience (Months)",
+  skills: "Skills",
+  height_text: "Height",
+  weight_kg: "Weight (kg)",
+  duty_type: "Duty Type"
+};
+
+const PROFILE_CHANGE_STATUSES = {
+  pending: "Awaiting Review",
+  approved: "Approved",
+  partially_approved: "Partially Approved",
+  rejected: "Rejected",
+  withdrawn: "Withdrawn"
+};
+const PROFILE_CHANGE_QUEUE_VIEWS = ["pending", "approved", "partially_approved", "rejected", "all"];
+const PROFILE_CHANGE_QUEUE_PAGE_SIZE = 25;
+const PROFILE_CHANGE_COOLDOWN_DAYS = 7;
+
+function normalizeHardFieldValue(field, value) {
+  if (field === "skills") {
+    return Array.isArray(value) ? [...value].map((item) => String(item)).sort() : [];
+  }
+  if (field === "experience_years" || field === "experience_months") {
+    return Number.parseInt(value, 10) || 0;
+  }
+  if (field === "weight_kg") {
+    const weight = Number.parseInt(value, 10);
+    return Number.isNaN(weight) ? null : weight;
+  }
+  return String(value || "").trim();
+}
+
+function isSameHardFieldValue(field, left, right) {
+  return JSON.stringify(normalizeHardFieldValue(field, left)) === JSON.stringify(normalizeHardFieldValue(field, right));
+}
+
+function formatProfileChangeValue(field, value) {
+  const normalized = normalizeHardFieldValue(field, value);
+  if (Array.isArray(normalized)) return normalized.length ? normalized.join(", ") : "-";
+  return normalized === null || normalized === "" ? "-" : String(normalized);
+}
+
+/**
+ * Stage the nurse's hard-field edits against the live row. Only the fields in `proposed` are
+ * touched: each replaces any earlier staged value, and a field set back to its live value drops
+ * out. Opening a new change set is subject to the cooldown; editing an open one is not.
+ */
+async function stageProfileChanges(db, nurseId, liveRow, proposed) {
+  const submittedFields = Object.keys(proposed).filter((field) => HARD_PROFILE_FIELDS[field]);
+  if (!submittedFields.length) return null;
+
+  const pendingResult = await db.query(
+    `SELECT id, changes
+     FROM nurse_profile_change_requests
+     WHERE nurse_id = $1 AND status = 'pending'
+     FOR UPDATE`,
+    [nurseId]
+  );
+  const pending = pendingResult.rows[0] || null;
+
+  const changes = { ...(pending ? pending.changes : {}) };
+  submittedFields.forEach((field) => {
+    delete changes[field];
+    if (!isSameHardFieldValue(field, liveRow[field], proposed[field])) {
+      changes[field] = {
+        from: normalizeHardFieldValue(field, liveRow[field]),
+        to: normalizeHardFieldValue(field, proposed[field])
+      };
+    }
+  });
+  const fields = Object.keys(changes);
+
+  if (pending) {
+    if (!fields.length) {
+      await db.query(
+        "UPDATE nurse_profile_change_requests SET status = 'withdrawn', changes = '{}'::jsonb, updated_at = NOW() WHERE id = $1",
+        [pending.id]
+      );
+      return { id: pending.id, fields, status: "withdrawn", isNew: false };
+    }
+    await db.query(
+      "UPDATE nurse_profile_change_requests SET changes = $2::jsonb, updated_at = NOW() WHERE id = $1",
+      [pending.id, JSON.stringify(changes)]
+    );
+    return { id: pending.id, fields, status: "pending", isNew: false };
+  }
+
+  if (!fields.length) return null;
+
+  if (liveRow.last_edit_request) {
+    const daysSinceLastEdit = (Date.now() - new Date(liveRow.last_edit_request).getTime()) / (1000 * 60 * 60 * 24);
+    if (daysSinceLastEdit < PROFILE_CHANGE_COOLDOWN_DAYS) {
+      throw new Error(`You can request profile changes only once every ${PROFILE_CHANGE_COOLDOWN_DAYS} days after approval.`);
+    }
+  }
+
+  const insertResult = await db.query(
+    `INSERT INTO nurse_profile_change_requests (nurse_id, changes)
+     VALUES ($1, $2::jsonb)
+     RETURNING id`,
+    [nurseId, JSON.stringify(changes)]
+  );
+  await db.query("UPDATE nurses SET last_edit_request = NOW() WHERE id = $1", [nurseId]);
+  return { id: insertResult.rows[0].id, fields, status: "pending", isNew: true };
+}
+
+async function getPendingProfileChange(db, nurseId) {
+  const result = await db.query(
+    `SELECT id, changes, to_char(submitted_at, 'YYYY-MM-DD') AS submitted_on
+     FROM nurse_profile_change_requests
+     WHERE nurse_id = $1 AND status = 'pending'`,
+    [nurseId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getLatestReviewedProfileChange(db, nurseId) {
+  const result = await db.query(
+    `SELECT id, status, changes, approved_fields, review_reason,
+            to_char(reviewed_at, 'YYYY-MM-DD') AS reviewed_on
+     FROM nurse_profile_change_requests
+     WHERE nurse_id = $1 AND status IN ('approved', 'partially_approved', 'rejected')
+     ORDER BY reviewed_at DESC, id DESC
+     LIMIT 1`,
+    [nurseId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Build the field-by-field rows shown to admins and nurses.
+ */
+function buildProfileChangeDiff(changeRequest) {
+  const changes = (changeRequest && changeRequest.changes) || {};
+  const approvedFields = (changeRequest && changeRequest.approved_fields) || [];
+  return Object.keys(HARD_PROFILE_FIELDS)
+    .filter((field) => changes[field])
+    .map((field) => ({
+      field,
+      label: HARD_PROFILE_FIELDS[field],
+      from: formatProfileChangeValue(field, changes[field].from),
+      to: formatProfileChangeValue(field, changes[field].to),
+      approved: approvedFields.includes(field)
+    }));
+}
+
+function parseProfileChangeQueueFilters(query = {}) {
+  const page = Number.parseInt(query.page, 10);
+  return {
+    view: PROFILE_CHANGE_QUEUE_VIEWS.includes(query.view) ? query.view : "pending",
+    search: String(query.q || "").trim().slice(0, 60),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+async function listProfileChangeRequests(db, filters) {
+  const params = [];
+  const conditions = [];
+  if (filters.view !== "all") {
+    params.push(filters.view);
+    conditions.push(`pcr.status = $${params.length}`);
+  }
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(n.full_name ILIKE $${params.length} OR n.unique_id ILIKE $${params.length})`);
+  }
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const fromSql = `FROM nurse_profile_change_requests pcr
+     JOIN nurses n ON n.id = pcr.nurse_id`;
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total ${fromSql} ${whereSql}`, params);
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / PROFILE_CHANGE_QUEUE_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+  const orderBy = filters.view === "pending" ? "pcr.updated_at ASC, pcr.id ASC" : "pcr.updated_at DESC, pcr.id DESC";
+
+  const result = await db.query(
+    `SELECT
+        pcr.id,
+        pcr.status,
+        pcr.changes,
+        pcr.approved_fields,
+        pcr.review_reason,
+        to_char(pcr.updated_at, 'YYYY-MM-DD HH24:MI') AS submitted_at,
+        to_char(pcr.reviewed_at, 'YYYY-MM-DD HH24:MI') AS reviewed_at,
+        n.id AS nurse_id,
+        n.full_name AS nurse_name,
+        n.unique_id AS nurse_unique_id
+     ${fromSql}
+     ${whereSql}
+     ORDER BY ${orderBy}
+     LIMIT ${PROFILE_CHANGE_QUEUE_PAGE_SIZE} OFFSET ${(page - 1) * PROFILE_CHANGE_QUEUE_PAGE_SIZE}`,
+    params
+  );
+  return {
+    changeRequests: result.rows.map((row) => ({
+      ...row,
+      status_label: PROFILE_CHANGE_STATUSES[row.status] || row.status,
+      field_labels: buildProfileChangeDiff(row).map((item) => item.label)
+    })),
+    total,
+    page,
+    pageCount
+  };
+}
+
+async function countPendingProfileChanges(db) {
+  const result = await db.query(
+    "SELECT COUNT(*)::int AS total FROM nurse_profile_change_requests WHERE status = 'pending'"
+  );
+  return result.rows[0].total;
+}
+
+async function getProfileChangeRequest(db, changeRequestId) {
+  const result = await db.query(
+    `SELECT
+        pcr.*,
+        to_char(pcr.submitted_at, 'YYYY-MM-DD HH24:MI') AS submitted_on,
+        to_char(pcr.updated_at, 'YYYY-MM-DD HH24:MI') AS updated_on,
+        to_char(pcr.reviewed_at, 'YYYY-MM-DD HH24:MI') AS reviewed_on,
+        n.full_name AS nurse_name,
+        n.unique_id AS nurse_unique_id,
+        n.profile_status AS nurse_profile_status,
+        u.email AS reviewed_by_email
+     FROM nurse_profile_change_requests pcr
+     JOIN nurses n ON n.id = pcr.nurse_id
+     LEFT JOIN users u ON u.id = pcr.reviewed_by_user_id
+     WHERE pcr.id = $1`,
+    [changeRequestId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return { ...row, status_label: PROFILE_CHANGE_STATUSES[row.status] || row.status };
+}
+
+/**
+ * Approve all, some or none of a pending change set. Approved fields are written to the
+ * nurse's live profile; a reason is required whenever anything is turned down and is sent
+ * back to the nurse.
+ */
+async function reviewProfileChange(db, changeRequestId, { decision, fields, reason, actor }) {
+  if (!["approve", "partial", "reject"].includes(decision)) {
+    throw new Error("Choose approve, partially approve or reject.");
+  }
+  const cleanReason = String(reason || "").trim().slice(0, 1000);
+
+  const currentResult = await db.query(
+    `SELECT pcr.id, pcr.nurse_id, pcr.status, pcr.changes, n.user_id AS nurse_user_id, n.full_name AS nurse_name
+     FROM nurse_profile_change_requests pcr
+     JOIN nurses n ON n.id = pcr.nurse_id
+     WHERE pcr.id = $1
+     FOR UPDATE OF pcr`,
+    [changeRequestId]
+  );
+  const changeRequest = currentResult.rows[0];
+  if (!changeRequest) throw new Error("Profile change request not found.");
+  if (changeRequest.status !== "pending") throw new Error("This profile change has already been reviewed.");
+
+  const stagedFields = Object.keys(HARD_PROFILE_FIELDS).filter((field) => changeRequest.changes[field]);
+  let approvedFields = [];
+  if (decision === "approve") {
+    approvedFields = stagedFields;
+  } else if (decision === "partial") {
+    const selected = (Array.isArray(fields) ? fields : [fields]).map((item) => String(item || ""));
+    approvedFields = stagedFields.filter((field) => selected.includes(field));
+    if (!approvedFields.length) throw new Error("Select at least one field to approve.");
+  }
+  const rejectedFields = stagedFields.filter((field) => !approvedFields.includes(field));
+  if (rejectedFields.length && !cleanReason) {
+    throw new Error("Add a reason for the nurse explaining what was not approved.");
+  }
+  const nextStatus = !rejectedFields.length ? "approved" : (approvedFields.length ? "partially_approved" : "rejected");
+
+  if (approvedFields.length) {
+    const assignments = approvedFields.map((field, index) => `${field} = $${index + 2}`);
+    await db.query(
+      `UPDATE nurses SET ${assignments.join(", ")} WHERE id = $1`,
+      [changeRequest.nurse_id, ...approvedFields.map((field) => changeRequest.changes[field].to)]
+    );
+  }
+
+  await db.query(
+    `UPDATE nurse_profile_change_requests
+     SET status = $2,
+         approved_fields = $3,
+         review_reason = $4,
+         reviewed_by_user_id = $5,
+         reviewed_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [changeRequestId, nextStatus, approvedFields, cleanReason || null, actor && actor.userId ? actor.userId : null]
+  );
+
+  return {
+    nurseId: changeRequest.nurse_id,
+    nurseUserId: changeRequest.nurse_user_id,
+    nurseName: changeRequest.nurse_name,
+    status: nextStatus,
+    approvedFields,
+    rejectedFields,
+    reason: cleanReason,
+    changes: changeRequest.changes
+  };
+}
+
+module.exports = {
+  HARD_PROFILE_FIELDS,
+  PROFILE_CHANGE_STATUSES,
+  buildProfileChangeDiff,
+  countPendingProfileChanges,
+  getLatestReviewedProfileChange,
+  getPendingProfileChange,
+  getProfileChangeRequest,
+  listProfileChangeRequests,
+  parseProfileChangeQueueFilters,
+  reviewProfileChange,
+  stageProfileChanges
+};
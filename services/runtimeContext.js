@@ -33,10 +33,13 @@ const {
 } = require("../src/email");
 const { initializeDatabase } = require("../src/schema");
 const { pool } = require("../src/db");
+const { createAuditTrailMiddleware } = require("./auditLog");
+const { PgSessionStore, trackSessionDevice } = require("./userSessions");
 const { cloudinary } = require("../src/cloudinary");
 const generateQR = require("../src/utils/qr");
 const { normalizePhone: normalizePhoneValue } = require("../utils/phone");
 const fs = require("fs");
+const { insertCareRequestLifecycleLog } = require("./careRequestLifecycle");
 
 const COMPANY_PHONE = "9138913355";
 const COMPANY_EMAIL = "prishahomecare@gmail.com";
@@ -393,6 +396,8 @@ const CONCERN_CATEGORIES = [
   "Other"
 ];
 const COMMISSION_TYPES = ["Percent", "Flat"];
+// Allowed transitions between these statuses live in config/careRequestWorkflow.json and are
+// enforced by services/careRequestWorkflow.
 const CARE_REQUEST_STATUSES = [
   "open",
   "assigned",
@@ -411,14 +416,6 @@ const CARE_REQUEST_MARKETPLACE_TABS = [
   "completed",
   "cancelled"
 ];
-const CARE_REQUEST_TRANSITIONS = {
-  open: new Set(["assigned", "cancelled"]),
-  assigned: new Set(["open", "payment_pending", "active", "cancelled"]),
-  payment_pending: new Set(["assigned", "active", "cancelled"]),
-  active: new Set(["open", "completed", "cancelled"]),
-  completed: new Set(),
-  cancelled: new Set()
-};
 
 const NURSE_STATUS_INPUT_MAP = {
   pending: "Pending",
@@ -484,12 +481,6 @@ function normalizeCareRequestPayoutStatusInput(value) {
   return CARE_REQUEST_EARNINGS_PAYOUT_STATUSES.includes(payoutStatus) ? payoutStatus : "";
 }
 
-function canTransitionCareRequestStatus(currentStatus, nextStatus) {
-  if (currentStatus === nextStatus) return true;
-  const allowedTransitions = CARE_REQUEST_TRANSITIONS[currentStatus];
-  return Boolean(allowedTransitions && allowedTransitions.has(nextStatus));
-}
-
 const SERVICE_SCHEDULE_OPTIONS = [
   { value: "8 Hour Shift", label: "8 Hour Shift" },
   { value: "12 Hour Shift (Day)", label: "12 Hour Shift (Day)" },
@@ -808,6 +799,29 @@ function nurseHasAgent(nurse, agentEmail) {
   return getNurseAgentEmails(nurse).includes(normalizedAgent);
 }
 
+// SQL twin of nurseHasAgent for nurse alias `alias`: the agent's email is on the nurse record,
+// or, when `userIdParamRef` is given, the nurse is on the agent's roster.
+function getAgentNurseOwnershipSql(alias, emailParamRef, userIdParamRef) {
+  const rosterSql = userIdParamRef
+    ? `
+  OR EXISTS (
+    SELECT 1
+    FROM agent_nurse_roster anr
+    WHERE anr.nurse_id = ${alias}.id
+      AND anr.agent_id = ${userIdParamRef}
+  )`
+    : "";
+
+  return `(
+  LOWER(COALESCE(${alias}.agent_email, '')) = LOWER(${emailParamRef})
+  OR EXISTS (
+    SELECT 1
+    FROM unnest(COALESCE(${alias}.agent_emails, ARRAY[]::text[])) AS ae(agent_email)
+    WHERE LOWER(agent_email) = LOWER(${emailParamRef})
+  )${rosterSql}
+)`;
+}
+
 function calculateCommission(nurseAmount, commissionType, commissionValue) {
   let commissionAmount = 0;
   if (commissionType === "Percent") {
@@ -840,7 +854,6 @@ function generateToken() {
 
 // Generate a 6-digit OTP
 function generateOtp() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
   return crypto.randomInt(100000, 1000000).toString();
 }
 
@@ -1088,6 +1101,7 @@ function getHomeLinkForUser(userOrRole) {
   if (role === "nurse") return "/nurse/dashboard";
   if (role === "agent") return "/agent/dashboard";
   if (role === "admin") return "/admin";
+  if (role === "user") return "/family";
   return "/";
 }
 
@@ -1215,7 +1229,7 @@ function buildPublicNurse(nurse) {
     publicUrl: nurse.profileSlug ? `/nurse/${encodeURIComponent(nurse.profileSlug)}` : `/nurses/${nurse.id}`,
     isAvailable: nurse.isAvailable !== false,
     currentStatus: nurse.currentStatus || nurse.current_status || availabilityLabel,
-    isVerified: nurse.isVerified === true || String(nurse.status || "").toLowerCase() === "approved",
+    isVerified: nurse.isVerified === true,
     ratingAverage: Number.isFinite(Number(nurse.ratingAverage)) ? Number(nurse.ratingAverage) : 0,
     reviewCount: Number.parseInt(nurse.reviewCount, 10) || 0
   };
@@ -1367,7 +1381,7 @@ function buildPublicNurseProfileView(nurse) {
     id: nurse.id,
     fullName: nurse.fullName,
     status: nurse.status || "Pending",
-    isVerified: nurse.isVerified === true || String(nurse.status || "").toLowerCase() === "approved",
+    isVerified: nurse.isVerified === true,
     gender: nurse.gender || "Not specified",
     religion: String(nurse.religion || "").trim(),
     city: nurse.publicShowCity ? nurse.city : "Not shared",
@@ -2192,6 +2206,319 @@ async function linkNurseToAgent(agentUserId, nurseId, agentEmail) {
   );
 }
 
+// ============================================================
+// SHARED INTAKE HELPERS (web forms and WhatsApp bot)
+// ============================================================
+const CARE_REQUEST_DURATION_UNITS = ["days", "weeks", "months"];
+
+/**
+ * Validate a public care request submission (/request-care and the WhatsApp flow).
+ * @returns {{valid: false, error: string} | {valid: true, value: object}}
+ */
+function validateCareRequestSubmission(input = {}) {
+  const fullName = String(input.fullName || "").trim();
+  const email = normalizeEmail(input.email);
+  const phoneNumber = String(input.phoneNumber || "").trim();
+  const city = String(input.city || "").trim();
+  const serviceSchedule = String(input.serviceSchedule || "").trim();
+
+  if (!fullName || !email || !phoneNumber || !city || !serviceSchedule) {
+    return { valid: false, error: "Please complete all required fields." };
+  }
+
+  const phoneValidation = validateIndiaPhone(phoneNumber);
+  if (!phoneValidation.valid) return phoneValidation;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.valid) return emailValidation;
+
+  const scheduleValidation = validateServiceSchedule(serviceSchedule);
+  if (!scheduleValidation.valid) return scheduleValidation;
+
+  const durationUnit = String(input.durationUnit || "").trim();
+  const durationValue = Number(input.durationValue);
+  const budget = Number(input.budget);
+
+  if (!durationUnit || !CARE_REQUEST_DURATION_UNITS.includes(durationUnit)) {
+    return { valid: false, error: "Please select a valid duration unit." };
+  }
+  if (!durationValue || isNaN(durationValue) || durationValue < 1) {
+    return { valid: false, error: "Please enter a valid duration value." };
+  }
+  if (!budget || isNaN(budget) || budget <= 0) {
+    return { valid: false, error: "Please enter a valid budget." };
+  }
+
+  return {
+    valid: true,
+    value: {
+      fullName,
+      email: emailValidation.value,
+      phoneNumber,
+      city,
+      serviceSchedule,
+      serviceScheduleLabel: (SERVICE_SCHEDULE_OPTIONS.find((option) => option.value === serviceSchedule) || {}).label
+        || serviceSchedule,
+      durationUnit,
+      durationValue,
+      duration: `${durationValue} ${durationUnit}`,
+      budget,
+      preferredDate: String(input.preferredDate || "").trim(),
+      notes: String(input.notes || ""),
+      patientCondition: String(input.patientCondition || input.notes || "").trim()
+    }
+  };
+}
+
+/**
+ * Persist a validated care request: the patient row, the open care_requests row and its first
+ * lifecycle entry. The patient is removed again if the request cannot be created.
+ * @returns {Promise<{patient: object, careRequest: object, referenceId: string, editToken: string}>}
+ */
+async function createPublicCareRequest(submission, {
+  userId = null,
+  agentEmail = "",
+  preferredNurseId = null,
+  preferredNurseName = "",
+  actor = { userId: null, role: "patient" },
+  source = "request-care",
+  comment = "Care request created by patient/user submission."
+} = {}) {
+  const store = readStore();
+  const referenceId = await generateUniquePublicRequestCode();
+  const editToken = await generateUniqueCareRequestEditToken();
+
+  const patient = {
+    id: nextId(store, "patient"),
+    requestId: referenceId,
+    userId,
+    fullName: submission.fullName,
+    email: submission.email,
+    phoneNumber: submission.phoneNumber,
+    city: submission.city,
+    serviceSchedule: submission.serviceSchedule,
+    notes: submission.notes || "",
+    status: "New",
+    agentEmail,
+    nurseId: null,
+    nurseAmount: null,
+    commissionType: "Percent",
+    commissionValue: 0,
+    commissionAmount: 0,
+    nurseNetAmount: null,
+    referrerNurseId: null,
+    referralCommissionPercent: 0,
+    referralCommissionAmount: 0,
+    preferredNurseId,
+    preferredNurseName,
+    transferMarginType: "Percent",
+    transferMarginValue: 0,
+    transferMarginAmount: 0,
+    lastTransferredAt: "",
+    lastTransferredBy: "",
+    duration: submission.duration,
+    budget: submission.budget,
+    createdAt: now()
+  };
+
+  let createdPatient = null;
+  try {
+    createdPatient = await createPatient(patient);
+    const createdCareRequestResult = await pool.query(
+      `INSERT INTO care_requests
+      (
+        patient_id,
+        request_code,
+        edit_token,
+        care_type,
+        duration_value,
+        duration_unit,
+        budget_min,
+        budget_max,
+        marketplace_ready,
+        status,
+        payment_status,
+        nurse_notified
+      )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, FALSE, 'open', 'pending', FALSE)
+     RETURNING id, status, payment_status, assigned_nurse_id`,
+      [
+        createdPatient.id,
+        referenceId,
+        editToken,
+        submission.patientCondition || submission.serviceScheduleLabel || "General care support required",
+        submission.durationValue,
+        submission.durationUnit,
+        submission.budget,
+        submission.budget
+      ]
+    );
+    const careRequest = createdCareRequestResult.rows[0];
+
+    try {
+      await insertCareRequestLifecycleLog(pool, {
+        requestId: careRequest.id,
+        eventType: "created_by_patient",
+        previousStatus: null,
+        nextStatus: careRequest.status,
+        previousPaymentStatus: null,
+        nextPaymentStatus: careRequest.payment_status,
+        assignedNurseId: careRequest.assigned_nurse_id,
+        comment,
+        changedByUserId: actor.userId,
+        changedByRole: actor.role,
+        metadata: {
+          source,
+          patientId: createdPatient.id || null
+        }
+      });
+    } catch (logError) {
+      console.error(`Care request lifecycle log creation failed (${source}):`, logError);
+    }
+
+    return { patient: createdPatient, careRequest, referenceId, editToken };
+  } catch (error) {
+    if (createdPatient && createdPatient.id) {
+      try {
+        await deletePatient(createdPatient.id);
+      } catch (rollbackError) {
+        console.error("Patient rollback after care request insert failure:", rollbackError);
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Edit-link email to the family and the new-request alert to the admin inbox. Never throws.
+ */
+async function sendCareRequestSubmissionEmails(submission, referenceId, editToken) {
+  try {
+    const emailResult = await sendCareRequestEmail(submission.email, referenceId, editToken);
+    if (emailResult && emailResult.success === false) {
+      throw new Error(emailResult.error || "Unknown email error");
+    }
+  } catch (error) {
+    console.error(`Email failed for reference ${referenceId}:`, error);
+  }
+
+  try {
+    const adminEmailResult = await sendAdminCareRequestNotification(referenceId, {
+      fullName: submission.fullName,
+      email: submission.email,
+      phone: submission.phoneNumber,
+      city: submission.city,
+      serviceType: submission.serviceScheduleLabel,
+      preferredDate: submission.preferredDate,
+      patientCondition: submission.patientCondition,
+      budget: submission.budget,
+      duration: submission.duration
+    });
+    if (adminEmailResult && adminEmailResult.success === false) {
+      throw new Error(adminEmailResult.error || "Unknown admin notification email error");
+    }
+  } catch (error) {
+    console.error(`Admin notification failed for reference ${referenceId}:`, error);
+  }
+}
+
+/**
+ * Email/phone checks shared by every nurse signup path: format, then that no account uses them.
+ * @returns {Promise<{valid: false, error: string} | {valid: true, email: string|null, normalizedPhone: string}>}
+ */
+async function validateNurseSignupContact(emailInput, phoneNumber) {
+  let email = null;
+  if (emailInput) {
+    const emailValidation = validateEmail(emailInput);
+    if (!emailValidation.valid) return emailValidation;
+    email = emailValidation.value;
+  }
+
+  const phoneValidation = validateIndiaPhone(phoneNumber);
+  if (!phoneValidation.valid) return phoneValidation;
+
+  if (email) {
+    const existingUserByEmail = await getUserByEmail(email);
+    if (existingUserByEmail) {
+      return { valid: false, error: "This email already has a registered account." };
+    }
+  }
+
+  const normalizedPhone = normalizePhone(phoneValidation.value);
+  const phoneExists = await pool.query(
+    `SELECT 1
+     FROM users
+     WHERE phone_number = $1
+     UNION
+     SELECT 1
+     FROM agents
+     WHERE phone_number = $1
+     LIMIT 1`,
+    [normalizedPhone]
+  );
+  if (phoneExists.rowCount > 0) {
+    return { valid: false, error: "This phone number already has a registered account." };
+  }
+
+  return { valid: true, email, normalizedPhone };
+}
+
+/**
+ * Create the users + nurses rows for a new nurse. The user row is removed if the profile fails.
+ * @returns {Promise<{user: object, nurse: object} | null>} null when either insert fails
+ */
+async function createNurseAccount({
+  email,
+  normalizedPhone,
+  password,
+  fullName,
+  city,
+  gender,
+  currentStatus,
+  agentManaged = false,
+  otpCode = "",
+  otpExpiry = null
+}) {
+  // Default avatar based on gender
+  const defaultAvatar = gender === "Male"
+    ? "/images/default-male.png"
+    : (gender === "Female" ? "/images/default-female.png" : "/images/default-avatar.png");
+  const approvalStatus = agentManaged ? "Approved" : "Pending";
+
+  const user = await createUser({
+    email,
+    phoneNumber: normalizedPhone,
+    passwordHash: bcrypt.hashSync(password, 10),
+    role: "nurse",
+    status: approvalStatus,
+    createdAt: now(),
+    emailVerified: false,
+    otpCode: otpCode || "",
+    otpExpiry: otpExpiry ? otpExpiry.toISOString() : null
+  });
+  if (!user) return null;
+
+  const nurse = await createNurse({
+    userId: user.id,
+    fullName,
+    city,
+    gender,
+    currentStatus: currentStatus || "Available for Work",
+    claimedByNurse: !agentManaged,
+    status: approvalStatus,
+    profileStatus: agentManaged ? "approved" : "draft",
+    publicProfileEnabled: agentManaged,
+    profileImagePath: defaultAvatar,
+    createdAt: now()
+  });
+  if (!nurse) {
+    await deleteUser(user.id);
+    return null;
+  }
+
+  return { user, nurse };
+}
+
 async function createNurseUnderAgent(req, res, failRedirect, generatedOtp, otpExpiry) {
   let agentLinkContext;
   try {
@@ -2232,7 +2559,6 @@ async function createNurseUnderAgent(req, res, failRedirect, generatedOtp, otpEx
   ).trim();
   const currentStatus = normalizeCurrentStatusInput(currentStatusInput) || availabilityValue;
   const hasEmail = Boolean(emailInput);
-  const registrationApprovalStatus = isAgentManagedRegistration ? "Approved" : "Pending";
   const requiresOtpVerification = !creatorAgentEmail
     && hasEmail
     && typeof generatedOtp === "string"
@@ -2275,103 +2601,33 @@ async function createNurseUnderAgent(req, res, failRedirect, generatedOtp, otpEx
     return res.redirect(failRedirect);
   }
 
-  let email = null;
-  if (hasEmail) {
-    const emailValidation = validateEmail(emailInput);
-    if (!emailValidation.valid) {
-      setFlash(req, "error", emailValidation.error);
-      return res.redirect(failRedirect);
-    }
-    email = emailValidation.value;
-  }
-
-  // Validate India phone number
-  const phoneValidation = validateIndiaPhone(phoneNumber);
-  if (!phoneValidation.valid) {
-    setFlash(req, "error", phoneValidation.error);
+  const contactValidation = await validateNurseSignupContact(hasEmail ? emailInput : "", phoneNumber);
+  if (!contactValidation.valid) {
+    setFlash(req, "error", contactValidation.error);
     return res.redirect(failRedirect);
   }
+  const { email, normalizedPhone } = contactValidation;
 
-  if (email) {
-    const existingUserByEmail = await getUserByEmail(email);
-    if (existingUserByEmail) {
-      setFlash(req, "error", "This email already has a registered account.");
-      return res.redirect(failRedirect);
-    }
-  }
-
-  const normalizedPhone = normalizePhone(phoneValidation.value);
-  const phoneExists = await pool.query(
-    `SELECT 1
-     FROM users
-     WHERE phone_number = $1
-     UNION
-     SELECT 1
-     FROM agents
-     WHERE phone_number = $1
-     LIMIT 1`,
-    [normalizedPhone]
-  );
-
-  if (phoneExists.rowCount > 0) {
-    setFlash(req, "error", "This phone number already has a registered account.");
-    return res.redirect(failRedirect);
-  }
-
-  // Default avatar based on gender
-  const defaultAvatar = gender === "Male"
-    ? "/images/default-male.png"
-    : (gender === "Female" ? "/images/default-female.png" : "/images/default-avatar.png");
-
-  // ============================================================
-  // STEP 1: Insert into USERS table (authentication)
-  // ============================================================
-  const user = {
+  // Insert into USERS (authentication) and NURSES (profile data only)
+  const createdAccount = await createNurseAccount({
     email,
-    phoneNumber: normalizedPhone,
-    passwordHash: bcrypt.hashSync(password, 10),
-    role: "nurse",
-    status: registrationApprovalStatus,
-    createdAt: now(),
-    emailVerified: false,
-    otpCode: requiresOtpVerification ? generatedOtp : "",
-    otpExpiry: requiresOtpVerification ? otpExpiry.toISOString() : null
-  };
-
-  let createdUser = null;
-  let createdNurse = null;
-  let uploadedProfileImageUrl = "";
-
-  createdUser = await createUser(user);
-
-  if (!createdUser) {
-    setFlash(req, "error", "Unable to create this account right now. Please try again.");
-    return res.redirect(failRedirect);
-  }
-
-  // ============================================================
-  // STEP 2: Insert into NURSES table (profile data only)
-  // ============================================================
-  const nurse = {
-    userId: createdUser.id,
+    normalizedPhone,
+    password,
     fullName,
     city,
     gender,
-    currentStatus: currentStatus || "Available for Work",
-    claimedByNurse: isAgentManagedRegistration ? false : true,
-    status: registrationApprovalStatus,
-    profileStatus: isAgentManagedRegistration ? "approved" : "draft",
-    publicProfileEnabled: isAgentManagedRegistration,
-    profileImagePath: defaultAvatar,
-    createdAt: now()
-  };
-
-  createdNurse = await createNurse(nurse);
-  if (!createdNurse) {
-    await deleteUser(createdUser.id);
-    setFlash(req, "error", "Unable to create nurse profile. Please try again.");
+    currentStatus,
+    agentManaged: isAgentManagedRegistration,
+    otpCode: requiresOtpVerification ? generatedOtp : "",
+    otpExpiry: requiresOtpVerification ? otpExpiry : null
+  });
+  if (!createdAccount) {
+    setFlash(req, "error", "Unable to create this account right now. Please try again.");
     return res.redirect(failRedirect);
   }
+  const createdUser = createdAccount.user;
+  let createdNurse = createdAccount.nurse;
+  let uploadedProfileImageUrl = "";
 
   if (isAgentManagedRegistration) {
     const nurseUpdates = {
@@ -2700,14 +2956,33 @@ function configureApp(app) {
   }
 
   app.use(express.urlencoded({ extended: true }));
-  app.use(express.json());
+  app.use(express.json({
+    // The WhatsApp webhook signature is computed over the exact bytes Meta sent.
+    verify: (req, res, buffer) => {
+      if (req.originalUrl.startsWith("/webhook/whatsapp")) {
+        req.rawBody = buffer;
+      }
+    }
+  }));
   app.use(validateRequest);
-  // app.use("/webhook/whatsapp", require("../routes/whatsapp"));
 
   app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
 
+  // Static assets are served before the session so they never hit the session store.
+  app.use(express.static("public", {
+    maxAge: 0,
+    etag: false,
+    lastModified: false,
+    setHeaders: (res) => {
+      res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
+      res.setHeader("Pragma", "no-cache");
+      res.setHeader("Expires", "0");
+    }
+  }));
+
   app.use(
     session({
+      store: new PgSessionStore(pool),
       secret: process.env.SESSION_SECRET || "replace-this-session-secret",
       resave: false,
       saveUninitialized: false,
@@ -2721,17 +2996,6 @@ function configureApp(app) {
     })
   );
 
-  app.use(express.static("public", {
-    maxAge: 0,
-    etag: false,
-    lastModified: false,
-    setHeaders: (res) => {
-      res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
-      res.setHeader("Pragma", "no-cache");
-      res.setHeader("Expires", "0");
-    }
-  }));
-
   app.use((req, res, next) => {
     const assetVersion = process.env.NODE_ENV === "production" ? "1.0.0" : Date.now();
     res.locals.version = assetVersion;
@@ -2759,6 +3023,8 @@ function configureApp(app) {
   });
 
   app.use(loadCurrentUser);
+  app.use(trackSessionDevice);
+  app.use(createAuditTrailMiddleware(pool));
 
   app.use((req, res, next) => {
     res.setHeader("X-Content-Type-Options", "nosniff");
@@ -2851,7 +3117,6 @@ module.exports = {
   CARE_REQUEST_MARKETPLACE_TABS,
   CARE_REQUEST_PAYMENT_STATUSES,
   CARE_REQUEST_STATUSES,
-  CARE_REQUEST_TRANSITIONS,
   CERTIFICATES_DIR,
   COMMISSION_TYPES,
   COMPANY_EMAIL,
@@ -2887,13 +3152,17 @@ module.exports = {
   buildPublicNurseProfileView,
   calculateCommission,
   calculateProfileCompletion,
-  canTransitionCareRequestStatus,
   clearPatientFinancials,
   collectNurseAssetUrls,
   configureApp,
   consumeFlash,
   createAgentUnderAgent,
   createNurseUnderAgent,
+  createNurseAccount,
+  createPublicCareRequest,
+  sendCareRequestSubmissionEmails,
+  validateCareRequestSubmission,
+  validateNurseSignupContact,
   crypto,
   dedupeNormalizedEmails,
   deleteCloudinaryAssetByUrl,
@@ -2911,6 +3180,7 @@ module.exports = {
   generateToken,
   generateUniqueCareRequestEditToken,
   generateUniquePublicRequestCode,
+  getAgentNurseOwnershipSql,
   getAgentRecordForUser,
   getAllConcerns,
   getAppBaseUrl,
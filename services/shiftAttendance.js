@@ -0,0 +1,348 @@
+// Minutes of slack before a check-in counts as late or a check-out as an early exit.
+const ATTENDANCE_GRACE_MINUTES = 15;
+// How early a nurse may check in ahead of the scheduled start.
+const CHECK_IN_OPEN_MINUTES = 60;
+// Check-ins further than this from the request's site coordinates are flagged off-site.
+const SITE_RADIUS_METERS = 500;
+
+const ATTENDANCE_FLAG_LABELS = {
+  late: "Late arrival",
+  early_exit: "Early exit",
+  missed: "Missed",
+  off_site: "Off-site",
+  no_location: "No location",
+  location_unverified: "Location unverified"
+};
+
+function normalizeGeoInput(latitude, longitude, accuracy) {
+  const lat = Number.parseFloat(latitude);
+  const lng = Number.parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  const accuracyMeters = Number.parseFloat(accuracy);
+  return {
+    latitude: Number(lat.toFixed(6)),
+    longitude: Number(lng.toFixed(6)),
+    accuracyMeters: Number.isFinite(accuracyMeters) && accuracyMeters >= 0
+      ? Math.round(accuracyMeters)
+      : null
+  };
+}
+
+function distanceInMeters(from, to) {
+  const toRadians = (value) => (value * Math.PI) / 180;
+  const earthRadius = 6371000;
+  const deltaLat = toRadians(to.latitude - from.latitude);
+  const deltaLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLng / 2) ** 2;
+  return Math.round(2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+async function loadNurseShiftForUpdate(db, nurseId, shiftId) {
+  const result = await db.query(
+    `SELECT
+        s.id,
+        s.request_id,
+        s.nurse_id,
+        s.status,
+        s.check_in_at,
+        s.check_out_at,
+        s.attendance_flags,
+        cr.status AS request_status,
+        cr.service_latitude,
+        cr.service_longitude,
+        s.starts_at,
+        s.ends_at,
+        LOCALTIMESTAMP AS local_now
+     FROM care_request_shifts s
+     JOIN care_requests cr ON cr.id = s.request_id
+     WHERE s.id = $1
+       AND s.nurse_id = $2
+     FOR UPDATE OF s`,
+    [shiftId, nurseId]
+  );
+  const shift = result.rows[0];
+  return shift ? { ...shift, ...measureShiftWindow(shift.starts_at, shift.ends_at, shift.local_now) } : null;
+}
+
+/**
+ * Minutes from the shift start to `now` and from `now` to the shift end. All three are
+ * wall-clock values read from the same zone, so only their differences matter.
+ */
+function measureShiftWindow(startsAt, endsAt, now) {
+  const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+  return {
+    minutes_since_start: minutesBetween(startsAt, now),
+    minutes_until_end: minutesBetween(now, endsAt)
+  };
+}
+
+/**
+ * Throw unless a nurse may check in now: from CHECK_IN_OPEN_MINUTES before the start until the
+ * shift ends.
+ */
+function assertCheckInWindow(window) {
+  if (window.minutes_since_start < -CHECK_IN_OPEN_MINUTES) {
+    throw new Error(`Check-in opens ${CHECK_IN_OPEN_MINUTES} minutes before the shift starts.`);
+  }
+  if (window.minutes_until_end <= 0) throw new Error("This shift has already ended.");
+}
+
+// Check-ins are compared to the site location an admin or agent set on the shift calendar.
+// Without one there is nothing to check against, so the check-in is recorded as unverified.
+function evaluateSiteLocation(shift, geo) {
+  if (!geo) {
+    return { flag: "no_location", distanceMeters: null };
+  }
+  if (shift.service_latitude === null || shift.service_longitude === null) {
+    return { flag: "location_unverified", distanceMeters: null };
+  }
+
+  const distanceMeters = distanceInMeters(
+    { latitude: Number(shift.service_latitude), longitude: Number(shift.service_longitude) },
+    geo
+  );
+  return { flag: distanceMeters > SITE_RADIUS_METERS ? "off_site" : null, distanceMeters };
+}
+
+/**
+ * Set or clear the coordinates check-ins are measured against. Both fields blank clears them.
+ * @returns {Promise<{latitude: number, longitude: number}|null>} The stored site, or null once cleared.
+ */
+async function updateServiceSiteLocation(db, requestId, input = {}) {
+  const cleared = !String(input.latitude || "").trim() && !String(input.longitude || "").trim();
+  const geo = cleared ? null : normalizeGeoInput(input.latitude, input.longitude);
+  if (!cleared && !geo) {
+    throw new Error("Enter the site latitude and longitude in decimal degrees, e.g. 28.613939 and 77.209021.");
+  }
+
+  const result = await db.query(
+    `UPDATE care_requests
+     SET service_latitude = $2,
+         service_longitude = $3
+     WHERE id = $1
+     RETURNING id`,
+    [requestId, geo ? geo.latitude : null, geo ? geo.longitude : null]
+  );
+  if (!result.rows.length) throw new Error("Care request not found.");
+  return geo ? { latitude: geo.latitude, longitude: geo.longitude } : null;
+}
+
+/**
+ * Record a nurse check-in against one of their scheduled shifts. Server time is authoritative;
+ * the browser only contributes optional coordinates.
+ */
+async function recordShiftCheckIn(db, nurseId, shiftId, geoInput = {}) {
+  const shift = await loadNurseShiftForUpdate(db, nurseId, shiftId);
+  if (!shift) throw new Error("Shift not found.");
+  if (shift.request_status !== "active") throw new Error("Attendance can only be recorded for active requests.");
+  if (shift.status !== "scheduled") throw new Error("This shift is no longer open for check-in.");
+  if (shift.check_in_at) throw new Error("You have already checked in for this shift.");
+  assertCheckInWindow(shift);
+
+  const geo = normalizeGeoInput(geoInput.latitude, geoInput.longitude, geoInput.accuracy);
+  const site = evaluateSiteLocation(shift, geo);
+  const lateMinutes = Math.max(shift.minutes_since_start, 0);
+  const flags = [];
+  if (lateMinutes > ATTENDANCE_GRACE_MINUTES) flags.push("late");
+  if (site.flag) flags.push(site.flag);
+
+  await db.query(
+    `UPDATE care_request_shifts
+     SET check_in_at = LOCALTIMESTAMP,
+         check_in_latitude = $2,
+         check_in_longitude = $3,
+         check_in_accuracy_m = $4,
+         check_in_distance_m = $5,
+         late_minutes = $6,
+         attendance_flags = $7::text[],
+         updated_at = NOW()
+     WHERE id = $1`,
+    [
+      shiftId,
+      geo ? geo.latitude : null,
+      geo ? geo.longitude : null,
+      geo ? geo.accuracyMeters : null,
+      site.distanceMeters,
+      lateMinutes,
+      flags
+    ]
+  );
+
+  return { requestId: shift.request_id, lateMinutes, flags, distanceMeters: site.distanceMeters };
+}
+
+/**
+ * Record a nurse check-out and close the shift as completed.
+ */
+async function recordShiftCheckOut(db, nurseId, shiftId, geoInput = {}) {
+  const shift = await loadNurseShiftForUpdate(db, nurseId, shiftId);
+  if (!shift) throw new Error("Shift not found.");
+  if (!shift.check_in_at) throw new Error("Check in before checking out.");
+  if (shift.check_out_at) throw new Error("You have already checked out of this shift.");
+
+  const geo = normalizeGeoInput(geoInput.latitude, geoInput.longitude, geoInput.accuracy);
+  const earlyExitMinutes = Math.max(shift.minutes_until_end, 0);
+  const flags = (Array.isArray(shift.attendance_flags) ? shift.attendance_flags : [])
+    .filter((flag) => flag !== "early_exit");
+  if (earlyExitMinutes > ATTENDANCE_GRACE_MINUTES) flags.push("early_exit");
+
+  await db.query(
+    `UPDATE care_request_shifts
+     SET check_out_at = LOCALTIMESTAMP,
+         check_out_latitude = $2,
+         check_out_longitude = $3,
+         check_out_accuracy_m = $4,
+         early_exit_minutes = $5,
+         attendance_flags = $6::text[],
+         status = 'completed',
+         updated_at = NOW()
+     WHERE id = $1`,
+    [
+      shiftId,
+      geo ? geo.latitude : null,
+      geo ? geo.longitude : null,
+      geo ? geo.accuracyMeters : null,
+      earlyExitMinutes,
+      flags
+    ]
+  );
+
+  return { requestId: shift.request_id, earlyExitMinutes, flags };
+}
+
+/**
+ * Aggregate scheduled versus worked time for a request. Worked time per shift is clipped to
+ * the scheduled window, so arriving early or staying late does not inflate earnings. Shifts an
+ * admin or agent marked completed without a full check-in/out count as fully worked.
+ */
+async function summarizeRequestAttendance(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        COUNT(*)::int AS planned_shifts,
+        COUNT(*) FILTER (
+          WHERE (check_in_at IS NOT NULL AND check_out_at IS NOT NULL) OR status = 'completed'
+        )::int AS worked_shifts,
+        COUNT(*) FILTER (WHERE 'late' = ANY(attendance_flags))::int AS late_shifts,
+        COUNT(*) FILTER (WHERE 'early_exit' = ANY(attendance_flags))::int AS early_exit_shifts,
+        COUNT(*) FILTER (WHERE 'off_site' = ANY(attendance_flags))::int AS off_site_shifts,
+        COUNT(*) FILTER (
+          WHERE status = 'scheduled'
+            AND check_in_at IS NULL
+            AND ends_at < LOCALTIMESTAMP
+        )::int AS missed_shifts,
+        COALESCE(SUM(EXTRACT(EPOCH FROM (ends_at - starts_at)) / 60), 0)::int AS scheduled_minutes,
+        COALESCE(SUM(
+          CASE
+            WHEN check_in_at IS NOT NULL AND check_out_at IS NOT NULL
+            THEN GREATEST(EXTRACT(EPOCH FROM (LEAST(check_out_at, ends_at) - GREATEST(check_in_at, starts_at))) / 60, 0)
+            WHEN status = 'completed'
+            THEN EXTRACT(EPOCH FROM (ends_at - starts_at)) / 60
+            ELSE 0
+          END
+        ), 0)::int AS worked_minutes
+     FROM care_request_shifts
+     WHERE request_id = $1
+       AND status <> 'cancelled'`,
+    [requestId]
+  );
+  const row = result.rows[0];
+  if (!row || !row.planned_shifts) return null;
+
+  return {
+    plannedShifts: row.planned_shifts,
+    workedShifts: row.worked_shifts,
+    lateShifts: row.late_shifts,
+    earlyExitShifts: row.early_exit_shifts,
+    offSiteShifts: row.off_site_shifts,
+    missedShifts: row.missed_shifts,
+    scheduledMinutes: row.scheduled_minutes,
+    workedMinutes: row.worked_minutes,
+    workedRatio: row.scheduled_minutes > 0
+      ? Math.min(row.worked_minutes / row.scheduled_minutes, 1)
+      : 0
+  };
+}
+
+/**
+ * Minutes each nurse worked on the request's roster, for splitting earnings after a nurse
+ * replacement. Nurses with scheduled but unworked shifts are listed with zero minutes.
+ * @returns {Promise<Array<{nurseId: number, workedMinutes: number}>>}
+ */
+async function summarizeAttendanceByNurse(db, requestId) {
+  const result = await db.query(
+    `SELECT
+        nurse_id,
+        COALESCE(SUM(
+          CASE
+            WHEN check_in_at IS NOT NULL AND check_out_at IS NOT NULL
+            THEN GREATEST(EXTRACT(EPOCH FROM (LEAST(check_out_at, ends_at) - GREATEST(check_in_at, starts_at))) / 60, 0)
+            WHEN status = 'completed'
+            THEN EXTRACT(EPOCH FROM (ends_at - starts_at)) / 60
+            ELSE 0
+          END
+        ), 0)::int AS worked_minutes
+     FROM care_request_shifts
+     WHERE request_id = $1
+       AND status <> 'cancelled'
+       AND nurse_id IS NOT NULL
+     GROUP BY nurse_id
+     ORDER BY MIN(starts_at) ASC`,
+    [requestId]
+  );
+  return result.rows.map((row) => ({ nurseId: row.nurse_id, workedMinutes: row.worked_minutes }));
+}
+
+/**
+ * Scale the contracted amounts by attendance. Requests without a shift roster keep the
+ * contracted amounts unchanged.
+ */
+async function resolveAttendanceEarnings(db, requestId, contract) {
+  const grossAmount = Number.parseFloat(contract.grossAmount) || 0;
+  const platformFee = Number.parseFloat(contract.platformFee) || 0;
+  const referralFee = Number.parseFloat(contract.referralFee) || 0;
+  const hasNetOverride = contract.nurseNetAmount !== null && typeof contract.nurseNetAmount !== "undefined";
+  const contractNet = hasNetOverride
+    ? Number.parseFloat(contract.nurseNetAmount) || 0
+    : grossAmount - platformFee - referralFee;
+
+  const attendance = await summarizeRequestAttendance(db, requestId);
+  const ratio = attendance ? attendance.workedRatio : 1;
+  const round = (value) => Number(value.toFixed(2));
+
+  return {
+    basis: attendance ? "attendance" : "contract",
+    attendance,
+    grossAmount: round(grossAmount * ratio),
+    platformFee: round(platformFee * ratio),
+    referralFee: round(referralFee * ratio),
+    netAmount: Math.max(round(contractNet * ratio), 0)
+  };
+}
+
+function listAttendanceFlags(shift) {
+  const flags = Array.isArray(shift.attendance_flags) ? [...shift.attendance_flags] : [];
+  if (shift.is_missed && !flags.includes("missed")) flags.push("missed");
+  return flags.map((flag) => ({ key: flag, label: ATTENDANCE_FLAG_LABELS[flag] || flag }));
+}
+
+module.exports = {
+  ATTENDANCE_FLAG_LABELS,
+  ATTENDANCE_GRACE_MINUTES,
+  CHECK_IN_OPEN_MINUTES,
+  SITE_RADIUS_METERS,
+  assertCheckInWindow,
+  distanceInMeters,
+  evaluateSiteLocation,
+  listAttendanceFlags,
+  measureShiftWindow,
+  normalizeGeoInput,
+  recordShiftCheckIn,
+  recordShiftCheckOut,
+  resolveAttendanceEarnings,
+  summarizeAttendanceByNurse,
+  summarizeRequestAttendance,
+  updateServiceSiteLocation
+};
@@ -0,0 +1,210 @@
+const session = require("express-session");
+
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+// express-session touches the store on every request; only write when the row is this stale.
+const TOUCH_WRITE_INTERVAL_SECONDS = 60;
+
+function getSessionExpiry(sess) {
+  const cookieExpiry = sess && sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : null;
+  if (cookieExpiry && !Number.isNaN(cookieExpiry.getTime())) return cookieExpiry;
+  const maxAge = sess && sess.cookie && Number(sess.cookie.originalMaxAge);
+  return new Date(Date.now() + (maxAge > 0 ? maxAge : DEFAULT_SESSION_TTL_MS));
+}
+
+function getSessionUserId(sess) {
+  const userId = Number.parseInt(sess && sess.userId, 10);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+}
+
+/**
+ * express-session store backed by the user_sessions table. Sessions survive restarts, and the
+ * owning user id and device are kept in columns so a user's sessions can be listed and revoked.
+ */
+class PgSessionStore extends session.Store {
+  constructor(db, { pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+    super();
+    this.db = db;
+
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.pruneExpiredSessions().catch((error) => {
+          console.error("Session prune error:", error);
+        });
+      }, pruneIntervalMs);
+      this.pruneTimer.unref();
+    }
+  }
+
+  get(sid, callback) {
+    this.db.query(
+      "SELECT sess FROM user_sessions WHERE sid = $1 AND expires_at > NOW() LIMIT 1",
+      [sid]
+    )
+      .then((result) => callback(null, result.rows[0] ? result.rows[0].sess : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    const device = sess && sess.device ? sess.device : {};
+    this.db.query(
+      `INSERT INTO user_sessions (sid, sess, expires_at, user_id, user_agent, ip_address)
+       VALUES ($1, $2::jsonb, $3, $4, $5, $6)
+       ON CONFLICT (sid) DO UPDATE
+       SET sess = EXCLUDED.sess,
+           expires_at = EXCLUDED.expires_at,
+           user_id = EXCLUDED.user_id,
+           user_agent = COALESCE(EXCLUDED.user_agent, user_sessions.user_agent),
+           ip_address = COALESCE(EXCLUDED.ip_address, user_sessions.ip_address),
+           last_seen_at = NOW()`,
+      [
+        sid,
+        JSON.stringify(sess),
+        getSessionExpiry(sess),
+        getSessionUserId(sess),
+        device.userAgent || null,
+        device.ip || null
+      ]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    this.db.query(
+      `UPDATE user_sessions
+       SET expires_at = $2,
+           last_seen_at = NOW()
+       WHERE sid = $1
+         AND last_seen_at < NOW() - ($3::int * INTERVAL '1 second')`,
+      [sid, getSessionExpiry(sess), TOUCH_WRITE_INTERVAL_SECONDS]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  destroy(sid, callback) {
+    this.db.query("DELETE FROM user_sessions WHERE sid = $1", [sid])
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  async pruneExpiredSessions() {
+    await this.db.query("DELETE FROM user_sessions WHERE expires_at <= NOW()");
+  }
+}
+
+/**
+ * Remember which device a signed-in session belongs to, for the logged-in devices list.
+ * Runs after express-session; the store copies these fields into their own columns.
+ */
+function trackSessionDevice(req, res, next) {
+  if (!req.session || !req.session.userId) return next();
+
+  const device = req.session.device;
+  if (!device || device.userId !== req.session.userId) {
+    req.session.device = {
+      userId: req.session.userId,
+      userAgent: String(req.get("user-agent") || "").slice(0, 400),
+      ip: req.ip ? String(req.ip).slice(0, 64) : "",
+      signedInAt: new Date().toISOString()
+    };
+  }
+  return next();
+}
+
+function describeUserAgent(userAgent) {
+  const value = String(userAgent || "");
+  if (!value) return "Unknown device";
+
+  const browser = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/SamsungBrowser/, "Samsung Internet"],
+    [/Chrome\//, "Chrome"],
+    [/Firefox\//, "Firefox"],
+    [/Safari\//, "Safari"]
+  ].find(([pattern]) => pattern.test(value));
+  const platform = [
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"]
+  ].find(([pattern]) => pattern.test(value));
+
+  if (!browser && !platform) return value.slice(0, 60);
+  return [browser ? browser[1] : "Browser", platform ? `on ${platform[1]}` : ""].filter(Boolean).join(" ");
+}
+
+async function listUserSessions(db, userId, currentSid) {
+  const result = await db.query(
+    `SELECT
+        id,
+        user_agent,
+        ip_address,
+        to_char(created_at, 'YYYY-MM-DD HH24:MI') AS created_at,
+        to_char(last_seen_at, 'YYYY-MM-DD HH24:MI') AS last_seen_at,
+        sid = $2 AS is_current
+     FROM user_sessions
+     WHERE user_id = $1
+       AND expires_at > NOW()
+     ORDER BY (sid = $2) DESC, last_seen_at DESC
+     LIMIT 50`,
+    [userId, currentSid || ""]
+  );
+  return result.rows.map((row) => ({
+    ...row,
+    device: describeUserAgent(row.user_agent)
+  }));
+}
+
+/**
+ * Sign out one of the user's other sessions. The current session is left alone; use logout for that.
+ */
+async function revokeUserSession(db, userId, sessionId, currentSid) {
+  const result = await db.query(
+    `DELETE FROM user_sessions
+     WHERE id = $1
+       AND user_id = $2
+       AND sid <> $3
+     RETURNING id`,
+    [sessionId, userId, currentSid || ""]
+  );
+  return result.rowCount > 0;
+}
+
+async function revokeOtherUserSessions(db, userId, currentSid) {
+  const result = await db.query(
+    "DELETE FROM user_sessions WHERE user_id = $1 AND sid <> $2",
+    [userId, currentSid || ""]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Force-logout: drop every session of the user, e.g. after an admin password reset or archive.
+ */
+async function revokeAllUserSessions(db, userId) {
+  const result = await db.query("DELETE FROM user_sessions WHERE user_id = $1", [userId]);
+  return result.rowCount;
+}
+
+/**
+ * Data for the logged-in devices section on profile pages.
+ */
+async function loadSessionPanel(db, req) {
+  return {
+    sessions: await listUserSessions(db, req.currentUser.id, req.sessionID)
+  };
+}
+
+module.exports = {
+  PgSessionStore,
+  loadSessionPanel,
+  listUserSessions,
+  revokeAllUserSessions,
+  revokeOtherUserSessions,
+  revokeUserSession,
+  trackSessionDevice
+};
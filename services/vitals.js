@@ -0,0 +1,376 @@
+// Vital signs nurses can record. `min`/`max` reject implausible entries; `low`/`high` are the
+// built-in alert bounds used until an admin saves defaults or a request gets its own range.
+const VITAL_METRICS = [
+  { key: "bp_systolic", label: "BP systolic", unit: "mmHg", min: 50, max: 260, step: 1, low: 90, high: 140 },
+  { key: "bp_diastolic", label: "BP diastolic", unit: "mmHg", min: 30, max: 160, step: 1, low: 60, high: 90 },
+  { key: "pulse", label: "Pulse", unit: "bpm", min: 20, max: 250, step: 1, low: 60, high: 100 },
+  { key: "spo2", label: "SpO2", unit: "%", min: 50, max: 100, step: 1, low: 94, high: null },
+  { key: "temperature_c", label: "Temperature", unit: "°C", min: 30, max: 45, step: 0.1, low: 36, high: 37.8 },
+  { key: "blood_sugar_mgdl", label: "Blood sugar", unit: "mg/dL", min: 20, max: 700, step: 1, low: 70, high: 180 },
+  { key: "weight_kg", label: "Weight", unit: "kg", min: 1, max: 350, step: 0.1, low: null, high: null },
+  { key: "fluid_in_ml", label: "Fluid in", unit: "ml", min: 0, max: 10000, step: 1, low: null, high: null },
+  { key: "fluid_out_ml", label: "Fluid out", unit: "ml", min: 0, max: 10000, step: 1, low: null, high: null }
+];
+const VITAL_METRIC_KEYS = VITAL_METRICS.map((metric) => metric.key);
+// Requests whose readings are still being collected.
+const VITALS_RECORDING_STATUSES = ["active"];
+const DATETIME_INPUT_REGEX = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):([0-5]\d)$/;
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 14, right: 16, bottom: 26, left: 44 };
+
+function getVitalMetric(key) {
+  return VITAL_METRICS.find((metric) => metric.key === key) || null;
+}
+
+function formatVitalValue(metric, value) {
+  if (value === null || typeof value === "undefined") return "";
+  return metric.step < 1 ? Number(value).toFixed(1) : String(Math.round(Number(value)));
+}
+
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parseOptionalNumber(value) {
+  const clean = String(value === undefined || value === null ? "" : value).trim();
+  if (!clean) return null;
+  const parsed = Number(clean);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Read the vitals form: any subset of metrics, a local "YYYY-MM-DDTHH:MM" time (defaults to
+ * now) and notes. Throws when nothing was entered or a value is outside its plausible range.
+ */
+function normalizeVitalsInput(body = {}) {
+  const values = {};
+  VITAL_METRICS.forEach((metric) => {
+    const value = parseOptionalNumber(body[metric.key]);
+    if (value === null) return;
+    if (Number.isNaN(value) || value < metric.min || value > metric.max) {
+      throw new Error(`${metric.label} should be between ${metric.min} and ${metric.max} ${metric.unit}.`);
+    }
+    values[metric.key] = metric.step < 1 ? Math.round(value * 10) / 10 : Math.round(value);
+  });
+
+  if (!Object.keys(values).length) {
+    throw new Error("Enter at least one reading.");
+  }
+  if ((values.bp_systolic === undefined) !== (values.bp_diastolic === undefined)) {
+    throw new Error("Enter both systolic and diastolic blood pressure.");
+  }
+  if (values.bp_systolic !== undefined && values.bp_systolic <= values.bp_diastolic) {
+    throw new Error("Systolic pressure should be higher than diastolic pressure.");
+  }
+
+  const nowLabel = formatLocalDateTime(new Date());
+  const match = DATETIME_INPUT_REGEX.exec(String(body.recorded_at || "").trim());
+  const recordedAt = match ? `${match[1]} ${match[2]}:${match[3]}` : nowLabel;
+  if (recordedAt > nowLabel) {
+    throw new Error("Readings cannot be recorded for a future time.");
+  }
+
+  return {
+    recordedAt,
+    values,
+    notes: String(body.notes || "").trim().slice(0, 1000)
+  };
+}
+
+/**
+ * Effective alert bounds per metric: request override, else saved default, else built-in.
+ * @returns {Promise<Object<string, {low: number|null, high: number|null, source: string}>>}
+ */
+async function loadVitalAlertRanges(db, requestId = null) {
+  const result = await db.query(
+    `SELECT request_id, metric, low_value, high_value
+     FROM vital_alert_ranges
+     WHERE request_id IS NULL
+        OR request_id = $1`,
+    [requestId]
+  );
+
+  const ranges = {};
+  VITAL_METRICS.forEach((metric) => {
+    ranges[metric.key] = { low: metric.low, high: metric.high, source: "built_in" };
+  });
+  // Defaults first so a request override always wins.
+  const sortedRows = result.rows.sort((a, b) => (a.request_id === null ? -1 : 1) - (b.request_id === null ? -1 : 1));
+  sortedRows.forEach((row) => {
+    if (!ranges[row.metric]) return;
+    ranges[row.metric] = {
+      low: row.low_value === null ? null : Number(row.low_value),
+      high: row.high_value === null ? null : Number(row.high_value),
+      source: row.request_id === null ? "default" : "request"
+    };
+  });
+  return ranges;
+}
+
+/**
+ * Read the alert range form (`low_<metric>` / `high_<metric>`). Blank bounds switch that side
+ * off. With `allowInherit`, a metric whose "inherit_<metric>" box is ticked is left out so it
+ * falls back to the defaults.
+ */
+function normalizeVitalAlertRangeInput(body = {}, { allowInherit = false } = {}) {
+  const ranges = {};
+  VITAL_METRICS.forEach((metric) => {
+    if (allowInherit && body[`inherit_${metric.key}`]) return;
+    const low = parseOptionalNumber(body[`low_${metric.key}`]);
+    const high = parseOptionalNumber(body[`high_${metric.key}`]);
+    if (Number.isNaN(low) || Number.isNaN(high)) {
+      throw new Error(`Enter numbers for the ${metric.label} alert range.`);
+    }
+    if (low !== null && high !== null && low >= high) {
+      throw new Error(`The ${metric.label} low alert must be below the high alert.`);
+    }
+    ranges[metric.key] = { low, high };
+  });
+  return ranges;
+}
+
+/**
+ * Replace the saved ranges for a request (or the defaults when requestId is null).
+ */
+async function saveVitalAlertRanges(db, requestId, ranges, actorUserId = null) {
+  await db.query(
+    "DELETE FROM vital_alert_ranges WHERE request_id IS NOT DISTINCT FROM $1",
+    [requestId]
+  );
+  for (const metric of Object.keys(ranges)) {
+    await db.query(
+      `INSERT INTO vital_alert_ranges (request_id, metric, low_value, high_value, updated_by_user_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [requestId, metric, ranges[metric].low, ranges[metric].high, typeof actorUserId === "number" ? actorUserId : null]
+    );
+  }
+}
+
+function evaluateVitalAlerts(values, ranges) {
+  const alerts = [];
+  Object.keys(values).forEach((key) => {
+    const metric = getVitalMetric(key);
+    const range = ranges[key];
+    const value = values[key];
+    if (!metric || !range) return;
+    if (range.low !== null && value < range.low) {
+      alerts.push({ metric: key, label: metric.label, unit: metric.unit, value, bound: range.low, direction: "low" });
+    } else if (range.high !== null && value > range.high) {
+      alerts.push({ metric: key, label: metric.label, unit: metric.unit, value, bound: range.high, direction: "high" });
+    }
+  });
+  return alerts;
+}
+
+function describeVitalAlerts(alerts) {
+  return (alerts || [])
+    .map((alert) => `${alert.label} ${alert.value} ${alert.unit} (${alert.direction === "low" ? "below" : "above"} ${alert.bound})`)
+    .join(", ");
+}
+
+/**
+ * Store a reading for the nurse's active assignment and flag any value outside its alert range.
+ * The reading is linked to the nurse's shift that covers the recorded time, or the first shift
+ * that day.
+ */
+async function recordVitalReading(db, { requestId, nurseId, userId, reading }) {
+  const requestResult = await db.query(
+    "SELECT id, patient_id, status, assigned_nurse_id FROM care_requests WHERE id = $1",
+    [requestId]
+  );
+  const requestItem = requestResult.rows[0];
+  if (!requestItem || requestItem.assigned_nurse_id !== nurseId) {
+    throw new Error("You can only record vitals for your own assignments.");
+  }
+  if (!VITALS_RECORDING_STATUSES.includes(requestItem.status)) {
+    throw new Error("Vitals can only be recorded while the job is active.");
+  }
+
+  const shiftResult = await db.query(
+    `SELECT id
+     FROM care_request_shifts
+     WHERE request_id = $1
+       AND nurse_id = $2
+       AND status <> 'cancelled'
+       AND (
+         $3::timestamp BETWEEN starts_at AND ends_at
+         OR shift_date = $3::date
+       )
+     ORDER BY ($3::timestamp BETWEEN starts_at AND ends_at) DESC, starts_at ASC
+     LIMIT 1`,
+    [requestId, nurseId, reading.recordedAt]
+  );
+  const shiftId = shiftResult.rows[0] ? shiftResult.rows[0].id : null;
+
+  const ranges = await loadVitalAlertRanges(db, requestId);
+  const alerts = evaluateVitalAlerts(reading.values, ranges);
+  const columns = VITAL_METRIC_KEYS;
+  const params = [
+    requestId,
+    requestItem.patient_id,
+    nurseId,
+    shiftId,
+    reading.recordedAt,
+    ...columns.map((key) => (reading.values[key] === undefined ? null : reading.values[key])),
+    reading.notes || null,
+    JSON.stringify(alerts),
+    typeof userId === "number" ? userId : null
+  ];
+  const placeholders = params.map((_, index) => `$${index + 1}`);
+  placeholders[placeholders.length - 2] += "::jsonb";
+
+  const result = await db.query(
+    `INSERT INTO care_vital_readings (
+      request_id, patient_id, nurse_id, shift_id, recorded_at,
+      ${columns.join(", ")},
+      notes, alerts, recorded_by_user_id
+    )
+    VALUES (${placeholders.join(", ")})
+    RETURNING id`,
+    params
+  );
+  return { id: result.rows[0].id, shiftId, alerts };
+}
+
+/**
+ * Readings for a request in chronological order (oldest first, most recent `limit`).
+ */
+async function listVitalReadings(db, requestId, limit = 200) {
+  const result = await db.query(
+    `SELECT *
+     FROM (
+       SELECT
+          r.id,
+          r.recorded_at AS recorded_at_raw,
+          to_char(r.recorded_at, 'YYYY-MM-DD HH24:MI') AS recorded_at,
+          to_char(r.recorded_at, 'DD Mon') AS recorded_day,
+          ${VITAL_METRIC_KEYS.map((key) => `r.${key}`).join(",\n          ")},
+          r.notes,
+          r.alerts,
+          r.shift_id,
+          s.shift_label,
+          n.full_name AS nurse_name
+       FROM care_vital_readings r
+       LEFT JOIN care_request_shifts s ON s.id = r.shift_id
+       LEFT JOIN nurses n ON n.id = r.nurse_id
+       WHERE r.request_id = $1
+       ORDER BY r.recorded_at DESC, r.id DESC
+       LIMIT $2
+     ) recent
+     ORDER BY recorded_at_raw ASC, id ASC`,
+    [requestId, limit]
+  );
+  return result.rows.map((row) => {
+    const reading = { ...row, alerts: Array.isArray(row.alerts) ? row.alerts : [] };
+    VITAL_METRIC_KEYS.forEach((key) => {
+      reading[key] = row[key] === null ? null : Number(row[key]);
+    });
+    return reading;
+  });
+}
+
+function buildChartPath(points) {
+  return points.map((point, index) => `${index ? "L" : "M"}${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(" ");
+}
+
+/**
+ * SVG-ready trend charts, one per metric group that has readings. Blood pressure plots systolic
+ * and diastolic together; alert bounds are drawn as dashed lines.
+ */
+function buildVitalCharts(readings, ranges) {
+  const groups = [
+    { key: "bp", label: "Blood pressure", unit: "mmHg", metrics: ["bp_systolic", "bp_diastolic"] },
+    ...VITAL_METRICS
+      .filter((metric) => !metric.key.startsWith("bp_"))
+      .map((metric) => ({ key: metric.key, label: metric.label, unit: metric.unit, metrics: [metric.key] }))
+  ];
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  return groups.map((group) => {
+    const rows = readings.filter((reading) => group.metrics.some((key) => reading[key] !== null));
+    if (!rows.length) return null;
+
+    const bounds = [];
+    group.metrics.forEach((key) => {
+      const range = ranges[key] || {};
+      if (range.low !== null && typeof range.low !== "undefined") bounds.push({ metric: key, value: range.low, kind: "low" });
+      if (range.high !== null && typeof range.high !== "undefined") bounds.push({ metric: key, value: range.high, kind: "high" });
+    });
+    const allValues = rows
+      .flatMap((reading) => group.metrics.map((key) => reading[key]))
+      .filter((value) => value !== null)
+      .concat(bounds.map((bound) => bound.value));
+    let minValue = Math.min(...allValues);
+    let maxValue = Math.max(...allValues);
+    if (minValue === maxValue) {
+      minValue -= 1;
+      maxValue += 1;
+    }
+    const margin = (maxValue - minValue) * 0.08;
+    minValue -= margin;
+    maxValue += margin;
+
+    const xFor = (index) => CHART_PADDING.left + (rows.length === 1 ? plotWidth / 2 : (plotWidth * index) / (rows.length - 1));
+    const yFor = (value) => CHART_PADDING.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const series = group.metrics.map((key) => {
+      const points = rows
+        .map((reading, index) => (reading[key] === null ? null : {
+          x: xFor(index),
+          y: yFor(reading[key]),
+          value: reading[key],
+          label: `${reading.recorded_at}: ${formatVitalValue(getVitalMetric(key), reading[key])} ${group.unit}`,
+          isAlert: reading.alerts.some((alert) => alert.metric === key)
+        }))
+        .filter(Boolean);
+      return { metric: key, label: getVitalMetric(key).label, points, path: buildChartPath(points) };
+    });
+
+    const tickStep = Math.max(1, Math.ceil(rows.length / 6));
+    return {
+      key: group.key,
+      label: group.label,
+      unit: group.unit,
+      width: CHART_WIDTH,
+      height: CHART_HEIGHT,
+      plot: {
+        left: CHART_PADDING.left,
+        right: CHART_WIDTH - CHART_PADDING.right,
+        top: CHART_PADDING.top,
+        bottom: CHART_HEIGHT - CHART_PADDING.bottom
+      },
+      yTicks: [maxValue - margin, (maxValue + minValue) / 2, minValue + margin].map((value) => ({
+        y: yFor(value),
+        label: Number(value.toFixed(1)).toString()
+      })),
+      xTicks: rows
+        .map((reading, index) => ({ x: xFor(index), label: reading.recorded_day, index }))
+        .filter((tick) => tick.index % tickStep === 0 || tick.index === rows.length - 1),
+      bounds: bounds.map((bound) => ({ ...bound, y: yFor(bound.value) })),
+      series,
+      latest: series.map((item) => {
+        const last = item.points[item.points.length - 1];
+        return last ? `${formatVitalValue(getVitalMetric(item.metric), last.value)}` : "-";
+      }).join("/")
+    };
+  }).filter(Boolean);
+}
+
+module.exports = {
+  VITAL_METRICS,
+  VITALS_RECORDING_STATUSES,
+  buildVitalCharts,
+  describeVitalAlerts,
+  evaluateVitalAlerts,
+  formatVitalValue,
+  listVitalReadings,
+  loadVitalAlertRanges,
+  normalizeVitalAlertRangeInput,
+  normalizeVitalsInput,
+  recordVitalReading,
+  saveVitalAlertRanges
+};
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+
+const CONVERSATION_PAGE_SIZE = 50;
+const MAX_BODY_LENGTH = 4000;
+
+/**
+ * Check Meta's X-Hub-Signature-256 header against the raw request body. Without
+ * WHATSAPP_APP_SECRET every call is rejected in production; elsewhere the check is skipped so the
+ * local Graph API stub works.
+ */
+function isValidWebhookSignature(rawBody, signatureHeader) {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  if (!appSecret) return process.env.NODE_ENV !== "production";
+  if (!rawBody || !signatureHeader) return false;
+
+  const expected = `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+  const received = String(signatureHeader);
+  return expected.length === received.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Flatten a webhook message into { id, from, type, text, replyId } where replyId is the
+ * button or list row the user picked.
+ */
+function parseIncomingMessage(message) {
+  const interactive = message.interactive || {};
+  const reply = interactive.button_reply || interactive.list_reply || (message.button ? { id: message.button.payload, title: message.button.text } : null);
+  return {
+    id: message.id || null,
+    from: String(message.from || ""),
+    type: message.type || "unknown",
+    text: message.text && message.text.body ? String(message.text.body).trim() : (reply ? String(reply.title || "") : ""),
+    replyId: reply ? String(reply.id || "") : ""
+  };
+}
+
+async function getConversationSession(db, phone) {
+  const result = await db.query("SELECT * FROM whatsapp_sessions WHERE phone = $1", [phone]);
+  return result.rows[0] || null;
+}
+
+async function saveConversationSession(db, phone, { flow = null, step = null, data = {}, needsAdmin, nurseId, lastRequestCode } = {}) {
+  await db.query(
+    `INSERT INTO whatsapp_sessions (phone, current_flow, step, temp_data, needs_admin, nurse_id, last_request_code, updated_at)
+     VALUES ($1, $2, $3, $4::jsonb, COALESCE($5, FALSE), $6, $7, NOW())
+     ON CONFLICT (phone)
+     DO UPDATE SET
+       current_flow = EXCLUDED.current_flow,
+       step = EXCLUDED.step,
+       temp_data = EXCLUDED.temp_data,
+       needs_admin = COALESCE($5, whatsapp_sessions.needs_admin),
+       nurse_id = COALESCE($6, whatsapp_sessions.nurse_id),
+       last_request_code = COALESCE($7, whatsapp_sessions.last_request_code),
+       updated_at = NOW()`,
+    [
+      phone,
+      flow,
+      step,
+      JSON.stringify(data || {}),
+      typeof needsAdmin === "boolean" ? needsAdmin : null,
+      nurseId || null,
+      lastRequestCode || null
+    ]
+  );
+}
+
+/**
+ * Store one transcript line. Inbound messages carry Meta's message id, so a webhook retry of a
+ * message we already handled returns false and can be ignored.
+ */
+async function recordWhatsAppMessage(db, {
+  phone,
+  direction,
+  messageType,
+  body,
+  waMessageId = null,
+  flow = null,
+  step = null,
+  status = direction === "inbound" ? "received" : "sent",
+  error = null,
+  profileName = null
+}) {
+  const result = await db.query(
+    `INSERT INTO whatsapp_messages (phone, direction, message_type, body, wa_message_id, flow, step, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (wa_message_id) DO NOTHING
+     RETURNING id`,
+    [
+      phone,
+      direction,
+      messageType,
+      body ? String(body).slice(0, MAX_BODY_LENGTH) : null,
+      waMessageId,
+      flow,
+      step,
+      status,
+      error ? String(error).slice(0, 500) : null
+    ]
+  );
+  if (!result.rows.length) return false;
+
+  await db.query(
+    `INSERT INTO whatsapp_sessions (phone, profile_name, last_message_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (phone)
+     DO UPDATE SET
+       profile_name = COALESCE(EXCLUDED.profile_name, whatsapp_sessions.profile_name),
+       last_message_at = NOW()`,
+    [phone, profileName]
+  );
+  return true;
+}
+
+function parseConversationFilters(query = {}) {
+  const page = Number.parseInt(query.page, 10);
+  return {
+    search: String(query.q || "").trim().slice(0, 60),
+    needsAdmin: query.needs_admin === "1",
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+async function listConversations(db, filters) {
+  const conditions = [];
+  const params = [];
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(s.phone ILIKE $${params.length} OR s.profile_name ILIKE $${params.length} OR s.last_request_code ILIKE $${params.length})`);
+  }
+  if (filters.needsAdmin) {
+    conditions.push("s.needs_admin = TRUE");
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM whatsapp_sessions s ${whereClause}`, params);
+  const total = countResult.rows[0].total;
+  const pageCount = Math.max(1, Math.ceil(total / CONVERSATION_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+
+  const result = await db.query(
+    `SELECT
+        s.phone,
+        s.profile_name,
+        s.current_flow,
+        s.step,
+        s.needs_admin,
+        s.nurse_id,
+        s.last_request_code,
+        n.full_name AS nurse_name,
+        stats.message_count,
+        to_char(s.last_message_at, 'YYYY-MM-DD HH24:MI') AS last_message_at
+     FROM whatsapp_sessions s
+     LEFT JOIN nurses n ON n.id = s.nurse_id
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*)::int AS message_count FROM whatsapp_messages m WHERE m.phone = s.phone
+     ) stats ON TRUE
+     ${whereClause}
+     ORDER BY s.needs_admin DESC, s.last_message_at DESC
+     LIMIT ${CONVERSATION_PAGE_SIZE}
+     OFFSET ${(page - 1) * CONVERSATION_PAGE_SIZE}`,
+    params
+  );
+
+  return { conversations: result.rows, total, page, pageCount, pageSize: CONVERSATION_PAGE_SIZE };
+}
+
+async function getConversationTranscript(db, phone) {
+  const session = await getConversationSession(db, phone);
+  if (!session) return null;
+
+  const messagesResult = await db.query(
+    `SELECT
+        direction,
+        message_type,
+        body,
+        flow,
+        step,
+        status,
+        error,
+        to_char(created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at
+     FROM whatsapp_messages
+     WHERE phone = $1
+     ORDER BY created_at ASC, id ASC
+     LIMIT 1000`,
+    [phone]
+  );
+  return { session, messages: messagesResult.rows };
+}
+
+async function markConversationHandled(db, phone) {
+  const result = await db.query(
+    "UPDATE whatsapp_sessions SET needs_admin = FALSE, updated_at = NOW() WHERE phone = $1",
+    [phone]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  getConversationSession,
+  getConversationTranscript,
+  isValidWebhookSignature,
+  listConversations,
+  markConversationHandled,
+  parseConversationFilters,
+  parseIncomingMessage,
+  recordWhatsAppMessage,
+  saveConversationSession
+};
@@ -1,6 +1,11 @@
 require("dotenv").config();
 const { Pool } = require("pg");
 
+// Shift, dose and reading times are stored as Indian wall-clock TIMESTAMPs. Pin the process and
+// every database session to that zone so LOCALTIMESTAMP and Node's local dates line up with them.
+const APP_TIME_ZONE = process.env.APP_TIME_ZONE || "Asia/Kolkata";
+process.env.TZ = APP_TIME_ZONE;
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   connectionTimeoutMillis: Number(process.env.PG_CONNECT_TIMEOUT_MS || 10000),
@@ -11,6 +16,12 @@ const pool = new Pool({
   }
 });
 
+pool.on("connect", (client) => {
+  client.query(`SET TIME ZONE '${APP_TIME_ZONE}'`).catch((error) => {
+    console.error("PostgreSQL time zone error:", error.message || error);
+  });
+});
+
 pool.on("error", (error) => {
   console.error("PostgreSQL pool error:", error);
 });
@@ -29,4 +40,4 @@ pool.on("error", (error) => {
   }
 })();
 
-module.exports = { pool };
+module.exports = { APP_TIME_ZONE, pool };
@@ -4,17 +4,9 @@
  */
 
 require('dotenv').config();
-const { Resend } = require("resend");
-
-const resend = process.env.RESEND_API_KEY
-  ? new Resend(process.env.RESEND_API_KEY)
-  : null;
-
-if (process.env.RESEND_API_KEY) {
-  console.log("✅ Resend initialized");
-} else {
-  console.log("⚠ Resend API key not found. Emails disabled in local environment.");
-}
+const { pool } = require("./db");
+const { deliverEmail } = require("./emailTransport");
+const { sendQueuedEmail } = require("../services/emailOutbox");
 
 // Email configuration
 const FROM_EMAIL = process.env.FROM_EMAIL || "support@prishahomecare.com";
@@ -34,6 +26,9 @@ async function sendVerificationEmail(email, name, token) {
     from: `"Prisha Home Care" <${FROM_EMAIL}>`,
     to: email,
     subject: "Email Verification - Prisha Home Care",
+    category: "email_verification",
+    sensitive: true,
+    expiresInMinutes: 24 * 60,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
@@ -69,6 +64,9 @@ async function sendResetPasswordEmail(email, name, otp) {
     from: `"Prisha Home Care" <${FROM_EMAIL}>`,
     to: email,
     subject: "Password Reset OTP - Prisha Home Care",
+    category: "password_reset",
+    sensitive: true,
+    expiresInMinutes: 10,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
@@ -103,6 +101,7 @@ async function sendConcernNotification(adminEmail, concern) {
     from: `"Prisha Home Care System" <${FROM_EMAIL}>`,
     to: adminEmail,
     subject: `🔔 New Concern: ${concern.subject}`,
+    category: "admin_concern",
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background: #ff6b6b; padding: 20px; border-radius: 10px;">
@@ -143,32 +142,34 @@ async function sendConcernNotification(adminEmail, concern) {
 }
 
 /**
- * Generic mail sending function
+ * Generic mail sending function. Every message goes through the email outbox, which records
+ * each attempt and retries failures with backoff; the first attempt is made immediately.
+ * @param {object} mailOptions - from, to, subject, html, text, attachments, plus outbox hints:
+ *   category, sensitive (hide the body from admins), expiresInMinutes (stop retrying after),
+ *   notificationDeliveryId (notification delivery to update with the final outcome)
  */
 async function sendMail(mailOptions) {
+  const message = { ...mailOptions, from: mailOptions.from || FROM_EMAIL };
+  let result;
   try {
-    if (!resend) {
-      throw new Error("Resend API key is not configured.");
+    result = await sendQueuedEmail(pool, message);
+  } catch (error) {
+    // The outbox itself is unavailable (e.g. database down): fall back to a direct send.
+    console.error("Email outbox unavailable, sending directly:", error.message);
+    try {
+      const delivered = await deliverEmail(message);
+      result = { success: true, messageId: delivered.messageId };
+    } catch (deliveryError) {
+      result = { success: false, error: deliveryError.message };
     }
+  }
 
-    const response = await resend.emails.send({
-      from: mailOptions.from || FROM_EMAIL,
-      to: mailOptions.to,
-      subject: mailOptions.subject,
-      html: mailOptions.html,
-      text: mailOptions.text
-    });
-    
-    const messageId = response && response.data ? response.data.id : null;
-    console.log("Email sent via Resend:", messageId || "unknown-id");
-    return {
-      success: true,
-      messageId
-    };
-  } catch (error) {
-    console.error("Resend email error:", error.message);
-    return { success: false, error: error.message };
+  if (result.success) {
+    console.log("Email sent:", result.messageId || "unknown-id");
+  } else {
+    console.error("Email send error:", result.error);
   }
+  return result;
 }
 
 /**
@@ -189,6 +190,7 @@ async function sendRequestConfirmationEmail(userEmail, userName, referenceId, re
     from: `"Prisha Home Care" <${FROM_EMAIL}>`,
     to: userEmail,
     subject: `Your Care Request Confirmation \u2013 Ref ID: ${referenceId}`,
+    category: "request_confirmation",
     text: [
       `Hello ${userName},`,
       "",
@@ -268,6 +270,7 @@ async function sendAdminCareRequestNotification(referenceId, requestDetails = {}
     from: `"Prisha Home Care System" <${FROM_EMAIL}>`,
     to: ADMIN_NOTIFICATION_EMAIL,
     subject: `New Care Request Received \u2013 Ref ID: ${referenceId}`,
+    category: "admin_care_request",
     text: [
       "Internal Notification: New care request received.",
       "",
@@ -334,6 +337,7 @@ async function sendAdminNurseSignupNotification(nurseDetails = {}) {
     from: `"Prisha Home Care System" <${FROM_EMAIL}>`,
     to: ADMIN_NOTIFICATION_EMAIL,
     subject: "New Nurse Signup \u2013 Action Required",
+    category: "admin_nurse_signup",
     text: [
       "Internal Notification: New nurse signup received.",
       "",
@@ -384,6 +388,9 @@ async function sendVerificationOtpEmail(toEmail, name, otp) {
     from: `"Prisha Home Care" <${FROM_EMAIL}>`,
     to: toEmail,
     subject: "Your Verification OTP - Prisha Home Care",
+    category: "verification_otp",
+    sensitive: true,
+    expiresInMinutes: 10,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
@@ -428,6 +435,8 @@ async function sendCareRequestEmail(email, requestCode, editToken) {
     from: `"Prisha Home Care" <${FROM_EMAIL}>`,
     to: email,
     subject: "Your Care Request is Created",
+    category: "care_request_link",
+    sensitive: true,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
@@ -448,31 +457,132 @@ async function sendCareRequestEmail(email, requestCode, editToken) {
 }
 
 async function sendAgentVerificationOtpEmail(email, otp) {
-  console.log("Attempting to send email to:", email);
+  return sendMail({
+    from: FROM_EMAIL,
+    to: email,
+    subject: "Prisha Home Care - Agent Verification OTP",
+    category: "agent_verification_otp",
+    sensitive: true,
+    expiresInMinutes: 5,
+    html: `
+      <h2>Prisha Home Care</h2>
+      <p>Your agent registration OTP is:</p>
+      <h1>${otp}</h1>
+      <p>This OTP will expire in 5 minutes.</p>
+    `
+  });
+}
 
-  try {
-    if (!resend) {
-      throw new Error("Resend API key is not configured.");
-    }
+async function sendFamilyLoginOtpEmail(email, otp) {
+  return sendMail({
+    from: FROM_EMAIL,
+    to: email,
+    subject: "Prisha Home Care - Family Login OTP",
+    category: "family_login_otp",
+    sensitive: true,
+    expiresInMinutes: 10,
+    html: `
+      <h2>Prisha Home Care</h2>
+      <p>Your family portal login OTP is:</p>
+      <h1>${otp}</h1>
+      <p>This OTP will expire in 10 minutes. If you did not try to log in, you can ignore this email.</p>
+    `
+  });
+}
 
-    await resend.emails.send({
-      from: FROM_EMAIL,
-      to: email,
-      subject: "Prisha Home Care - Agent Verification OTP",
-      html: `
-        <h2>Prisha Home Care</h2>
-        <p>Your agent registration OTP is:</p>
-        <h1>${otp}</h1>
-        <p>This OTP will expire in 5 minutes.</p>
-      `
-    });
-
-    console.log("OTP email sent successfully");
-    return { success: true };
-  } catch (error) {
-    console.error("Resend email error:", error.message);
-    return { success: false, error: error.message };
-  }
+/**
+ * Send a patient invoice with the PDF attached
+ * @param {string} toEmail - Recipient email
+ * @param {object} invoice - Invoice record with number, date, totals and request code
+ * @param {Buffer} pdfBuffer - Rendered invoice PDF
+ * @param {string} fileName - Attachment file name
+ */
+async function sendInvoiceEmail(toEmail, invoice, pdfBuffer, fileName) {
+  const totalText = `\u20B9${Number(invoice.total_amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2 })}`;
+  const mailOptions = {
+    from: `"Prisha Home Care" <${FROM_EMAIL}>`,
+    to: toEmail,
+    subject: `Invoice ${invoice.invoice_number} \u2013 Prisha Home Care`,
+    category: "invoice",
+    text: [
+      `Hello ${invoice.billing_name},`,
+      "",
+      `Please find attached invoice ${invoice.invoice_number} dated ${invoice.invoice_date} for request ${invoice.public_request_code}.`,
+      `Amount: ${totalText}`,
+      `Due date: ${invoice.due_date || "-"}`,
+      "",
+      `You can also view it any time from ${APP_URL}/track-request?requestId=${encodeURIComponent(invoice.public_request_code)}`
+    ].join("\n"),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
+          <h1 style="color: white; margin: 0;">Prisha Home Care</h1>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333;">Hello ${invoice.billing_name},</h2>
+          <p style="color: #666; font-size: 16px;">Please find attached invoice <strong>${invoice.invoice_number}</strong> for request ${invoice.public_request_code}.</p>
+          <div style="background: white; padding: 18px; border-radius: 10px; margin: 20px 0;">
+            <ul style="margin: 0; padding-left: 18px; color: #555; line-height: 1.8;">
+              <li><strong>Invoice Date:</strong> ${invoice.invoice_date}</li>
+              <li><strong>Due Date:</strong> ${invoice.due_date || "-"}</li>
+              <li><strong>Amount:</strong> ${totalText}</li>
+            </ul>
+          </div>
+          <p style="color: #555; font-size: 14px;">You can also view your invoices any time from <a href="${APP_URL}/track-request?requestId=${encodeURIComponent(invoice.public_request_code)}">Track Request</a>.</p>
+        </div>
+      </div>
+    `,
+    attachments: pdfBuffer
+      ? [{ filename: fileName || "invoice.pdf", content: pdfBuffer }]
+      : undefined
+  };
+
+  return sendMail(mailOptions);
+}
+
+function escapeEmailHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Send a notification dispatched by the notification service
+ * @param {string} toEmail - Recipient email
+ * @param {string} name - Recipient name
+ * @param {object} notification - Title, message and optional app path to link to
+ */
+async function sendNotificationEmail(toEmail, name, notification = {}) {
+  const title = escapeEmailHtml(notification.title);
+  const message = escapeEmailHtml(notification.message).replace(/\n/g, "<br>");
+  const actionUrl = notification.actionPath ? `${APP_URL}${notification.actionPath}` : `${APP_URL}/notifications-page`;
+
+  return sendMail({
+    from: `"Prisha Home Care" <${FROM_EMAIL}>`,
+    to: toEmail,
+    subject: `${notification.title || "Notification"} - Prisha Home Care`,
+    category: "notification",
+    notificationDeliveryId: notification.deliveryId || null,
+    text: `Hello ${name || "there"},\n\n${notification.message || ""}\n\n${actionUrl}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px;">
+          <h1 style="color: white; margin: 0;">Prisha Home Care</h1>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9; border-radius: 0 0 10px 10px;">
+          <h2 style="color: #333;">Hello ${escapeEmailHtml(name || "there")},</h2>
+          <h3 style="color: #333;">${title}</h3>
+          <p style="color: #666; font-size: 16px;">${message}</p>
+          <div style="text-align: center; margin: 28px 0;">
+            <a href="${actionUrl}" style="background: #667eea; color: white; padding: 14px 26px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: 600;">Open Prisha Home Care</a>
+          </div>
+          <p style="color: #999; font-size: 12px;">You can change which notifications you receive by email from your notifications page.</p>
+        </div>
+      </div>
+    `
+  });
 }
 
 module.exports = {
@@ -480,9 +590,12 @@ module.exports = {
   sendVerificationEmail,
   sendVerificationOtpEmail,
   sendAgentVerificationOtpEmail,
+  sendFamilyLoginOtpEmail,
   sendResetPasswordEmail,
   sendConcernNotification,
   sendRequestConfirmationEmail,
   sendAdminCareRequestNotification,
-  sendAdminNurseSignupNotification
+  sendAdminNurseSignupNotification,
+  sendInvoiceEmail,
+  sendNotificationEmail
 };
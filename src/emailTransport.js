@@ -0,0 +1,125 @@
+/**
+ * Email Transport Module
+ * Hands a single message to the configured provider. Resend is used when an API key is set;
+ * local development can use the console or file transports via EMAIL_TRANSPORT.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Resend } = require("resend");
+
+const EMAIL_TRANSPORTS = ["resend", "console", "file"];
+const DEFAULT_FILE_TRANSPORT_DIR = path.join(__dirname, "..", "data", "emails");
+
+const resend = process.env.RESEND_API_KEY
+  ? new Resend(process.env.RESEND_API_KEY)
+  : null;
+
+function getEmailTransportName() {
+  const configured = String(process.env.EMAIL_TRANSPORT || "").trim().toLowerCase();
+  if (EMAIL_TRANSPORTS.includes(configured)) return configured;
+  if (resend || process.env.NODE_ENV === "production") return "resend";
+  return "console";
+}
+
+if (getEmailTransportName() === "resend") {
+  if (resend) {
+    console.log("✅ Resend initialized");
+  } else {
+    console.log("⚠ Resend API key not found. Emails will stay queued in the outbox until it is set.");
+  }
+} else {
+  console.log(`ℹ Email transport: ${getEmailTransportName()} (emails are not sent to real inboxes).`);
+}
+
+function toAttachmentBuffer(content) {
+  if (Buffer.isBuffer(content)) return content;
+  return Buffer.from(String(content || ""), "base64");
+}
+
+async function sendWithResend(message) {
+  if (!resend) {
+    throw new Error("Resend API key is not configured.");
+  }
+
+  const response = await resend.emails.send({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    attachments: message.attachments && message.attachments.length
+      ? message.attachments.map((item) => ({ filename: item.filename, content: toAttachmentBuffer(item.content) }))
+      : undefined
+  });
+  // The SDK reports API failures in `error` instead of throwing.
+  if (response && response.error) {
+    throw new Error(response.error.message || "Resend rejected the email.");
+  }
+  return response && response.data ? response.data.id : null;
+}
+
+async function sendWithConsole(message) {
+  const attachmentNames = (message.attachments || []).map((item) => item.filename).join(", ");
+  const lines = [
+    "---- Email (console transport) ----",
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`
+  ];
+  if (attachmentNames) lines.push(`Attachments: ${attachmentNames}`);
+  lines.push(
+    "",
+    message.text || String(message.html || "").replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim(),
+    "-----------------------------------"
+  );
+  console.log(lines.join("\n"));
+  return `console-${crypto.randomUUID()}`;
+}
+
+async function sendWithFile(message) {
+  const directory = process.env.EMAIL_FILE_TRANSPORT_DIR || DEFAULT_FILE_TRANSPORT_DIR;
+  const messageId = `file-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  await fs.promises.mkdir(directory, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(directory, `${messageId}.json`),
+    JSON.stringify({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text || null,
+      html: message.html || null,
+      attachments: (message.attachments || []).map((item) => ({
+        filename: item.filename,
+        bytes: toAttachmentBuffer(item.content).length
+      }))
+    }, null, 2)
+  );
+  return messageId;
+}
+
+/**
+ * Deliver one message through the active transport
+ * @param {object} message - from, to, subject, html, text and optional attachments
+ * @returns {Promise<{transport: string, messageId: string|null}>} Throws when the provider fails
+ */
+async function deliverEmail(message) {
+  const transport = getEmailTransportName();
+  let messageId;
+  if (transport === "console") {
+    messageId = await sendWithConsole(message);
+  } else if (transport === "file") {
+    messageId = await sendWithFile(message);
+  } else {
+    messageId = await sendWithResend(message);
+  }
+  return { transport, messageId };
+}
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  deliverEmail,
+  getEmailTransportName
+};
@@ -149,7 +149,9 @@ async function initializeDatabase() {
       ADD COLUMN IF NOT EXISTS unique_id VARCHAR(20),
       ADD COLUMN IF NOT EXISTS profile_slug TEXT,
       ADD COLUMN IF NOT EXISTS public_profile_enabled BOOLEAN DEFAULT false,
-      ADD COLUMN IF NOT EXISTS claimed_by_nurse BOOLEAN DEFAULT FALSE
+      ADD COLUMN IF NOT EXISTS claimed_by_nurse BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS listing_suspended_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS listing_public_before_suspension BOOLEAN
     `);
 
     await pool.query(`
@@ -183,7 +185,6 @@ async function initializeDatabase() {
         ELSE COALESCE(is_verified, FALSE)
       END
       WHERE is_verified IS NULL
-         OR LOWER(COALESCE(status, 'pending')) = 'approved'
     `);
 
     await pool.query(`
@@ -254,8 +255,7 @@ async function initializeDatabase() {
       UPDATE nurses
       SET status = 'Approved',
           profile_status = 'approved',
-          public_profile_enabled = TRUE,
-          is_verified = TRUE
+          public_profile_enabled = TRUE
       WHERE (
           NULLIF(BTRIM(COALESCE(agent_email, '')), '') IS NOT NULL
           OR EXISTS (
@@ -268,8 +268,8 @@ async function initializeDatabase() {
           LOWER(COALESCE(status, 'pending')) <> 'approved'
           OR LOWER(COALESCE(profile_status, '')) <> 'approved'
           OR public_profile_enabled IS DISTINCT FROM TRUE
-          OR COALESCE(is_verified, FALSE) = FALSE
         )
+        AND listing_suspended_at IS NULL
     `);
 
     await pool.query(`
@@ -647,7 +647,7 @@ async function initializeDatabase() {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS care_request_earnings (
         id BIGSERIAL PRIMARY KEY,
-        request_id INTEGER REFERENCES care_requests(id) ON DELETE CASCADE UNIQUE,
+        request_id INTEGER REFERENCES care_requests(id) ON DELETE CASCADE,
         nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
         patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
         gross_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
@@ -665,6 +665,647 @@ async function initializeDatabase() {
       )
     `);
 
+    // Dated shift roster expanded from an active care request's service schedule
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_shifts (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        shift_date DATE NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        shift_label TEXT,
+        status TEXT NOT NULL DEFAULT 'scheduled'
+          CHECK (status IN ('scheduled','completed','cancelled')),
+        notes TEXT,
+        is_manually_edited BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_at > starts_at)
+      )
+    `);
+
+    // Nurse check-in / check-out attendance captured per shift
+    await pool.query(`
+      ALTER TABLE care_request_shifts
+      ADD COLUMN IF NOT EXISTS check_in_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS check_in_latitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS check_in_longitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS check_in_accuracy_m INTEGER,
+      ADD COLUMN IF NOT EXISTS check_in_distance_m INTEGER,
+      ADD COLUMN IF NOT EXISTS check_out_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS check_out_latitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS check_out_longitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS check_out_accuracy_m INTEGER,
+      ADD COLUMN IF NOT EXISTS late_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS early_exit_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS attendance_flags TEXT[] NOT NULL DEFAULT '{}'
+    `);
+
+    // Numbered patient invoices per care request
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_invoices (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+        invoice_number VARCHAR(32) NOT NULL UNIQUE,
+        invoice_date DATE NOT NULL,
+        due_date DATE,
+        status TEXT NOT NULL DEFAULT 'issued'
+          CHECK (status IN ('issued','paid','void')),
+        billing_name TEXT NOT NULL,
+        billing_email TEXT,
+        billing_phone TEXT,
+        billing_city TEXT,
+        customer_gstin VARCHAR(15),
+        place_of_supply TEXT,
+        supplier_gstin VARCHAR(15),
+        subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+        discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        platform_fee NUMERIC(12,2) NOT NULL DEFAULT 0,
+        taxable_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        gst_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+        cgst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        sgst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        igst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        total_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        currency VARCHAR(10) NOT NULL DEFAULT 'INR',
+        notes TEXT,
+        emailed_at TIMESTAMP,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_invoice_items (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id BIGINT NOT NULL REFERENCES care_request_invoices(id) ON DELETE CASCADE,
+        line_no INTEGER NOT NULL,
+        description TEXT NOT NULL,
+        sac_code VARCHAR(10),
+        period_start DATE,
+        period_end DATE,
+        quantity NUMERIC(10,2) NOT NULL DEFAULT 1,
+        unit_price NUMERIC(12,2) NOT NULL DEFAULT 0,
+        amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        UNIQUE (invoice_id, line_no)
+      )
+    `);
+
+    // Batch payout runs grouping approved earnings per nurse for a bank bulk transfer
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id BIGSERIAL PRIMARY KEY,
+        batch_reference VARCHAR(32) NOT NULL UNIQUE,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing'
+          CHECK (status IN ('processing','paid','cancelled')),
+        nurse_count INTEGER NOT NULL DEFAULT 0,
+        earnings_count INTEGER NOT NULL DEFAULT 0,
+        total_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payout_batch_items (
+        id BIGSERIAL PRIMARY KEY,
+        batch_id BIGINT NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        payout_reference VARCHAR(40) NOT NULL UNIQUE,
+        beneficiary_name TEXT NOT NULL,
+        account_number VARCHAR(20) NOT NULL,
+        ifsc_code VARCHAR(11) NOT NULL,
+        earnings_count INTEGER NOT NULL DEFAULT 0,
+        amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+        UNIQUE (batch_id, nurse_id)
+      )
+    `);
+
+    // Link earnings to the payout run that settles them
+    await pool.query(`
+      ALTER TABLE care_request_earnings
+      ADD COLUMN IF NOT EXISTS payout_batch_id BIGINT REFERENCES payout_batches(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP
+    `);
+
+    // A nurse replacement splits a request's earnings, so there is one row per nurse per request
+    await pool.query(`
+      ALTER TABLE care_request_earnings
+      DROP CONSTRAINT IF EXISTS care_request_earnings_request_id_key
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_care_request_earnings_request_nurse
+      ON care_request_earnings (request_id, nurse_id)
+    `);
+
+    // Nurse bank details used for bulk payout sheets
+    await pool.query(`
+      ALTER TABLE nurses
+      ADD COLUMN IF NOT EXISTS bank_account_name TEXT,
+      ADD COLUMN IF NOT EXISTS bank_account_number VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS bank_ifsc VARCHAR(11)
+    `);
+
+    // Agent commission ledger: append-only accruals, adjustments and reversals
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agent_commission_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        agent_email VARCHAR(255) NOT NULL,
+        entry_type TEXT NOT NULL
+          CHECK (entry_type IN ('patient_commission','transfer_margin','referral','adjustment','reversal')),
+        amount NUMERIC(12,2) NOT NULL,
+        currency VARCHAR(10) NOT NULL DEFAULT 'INR',
+        statement_month DATE NOT NULL DEFAULT date_trunc('month', CURRENT_DATE)::date,
+        request_id INTEGER REFERENCES care_requests(id) ON DELETE SET NULL,
+        patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+        source_type VARCHAR(40) NOT NULL,
+        source_id TEXT,
+        reverses_entry_id BIGINT UNIQUE REFERENCES agent_commission_ledger(id) ON DELETE RESTRICT,
+        description TEXT,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Monthly agent statements signed off by an admin
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agent_commission_statements (
+        id BIGSERIAL PRIMARY KEY,
+        agent_email VARCHAR(255) NOT NULL,
+        statement_month DATE NOT NULL,
+        opening_balance NUMERIC(12,2) NOT NULL DEFAULT 0,
+        total_accruals NUMERIC(12,2) NOT NULL DEFAULT 0,
+        total_adjustments NUMERIC(12,2) NOT NULL DEFAULT 0,
+        total_reversals NUMERIC(12,2) NOT NULL DEFAULT 0,
+        closing_balance NUMERIC(12,2) NOT NULL DEFAULT 0,
+        entry_count INTEGER NOT NULL DEFAULT 0,
+        notes TEXT,
+        reconciled_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reconciled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (agent_email, statement_month)
+      )
+    `);
+
+    // Per-user API tokens for the /api/v1 JSON API; only the SHA-256 hash is stored
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(80) NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        last_used_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Unified audit trail for admin and agent mutations; changes holds a field-level before/after diff
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id BIGSERIAL PRIMARY KEY,
+        actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        actor_role VARCHAR(20),
+        actor_email TEXT,
+        action VARCHAR(80) NOT NULL,
+        entity_type VARCHAR(40) NOT NULL,
+        entity_id BIGINT,
+        summary TEXT,
+        changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+        metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // express-session store; user_id and device columns back the logged-in devices list and force-logout
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        sid VARCHAR(255) PRIMARY KEY,
+        id BIGSERIAL UNIQUE,
+        sess JSONB NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Per-user opt-in/out for each notification event and channel; missing rows fall back to the event defaults
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email', 'whatsapp')),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, event_type, channel)
+      )
+    `);
+
+    // One row per channel a notification was routed to, with its delivery status
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email', 'whatsapp')),
+        destination TEXT,
+        recipient_name TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        action_path TEXT,
+        related_request_id INTEGER REFERENCES care_requests(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        last_attempt_at TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Durable outbox: every outgoing email is stored here first and retried until sent
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        category VARCHAR(50) NOT NULL DEFAULT 'general',
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html_body TEXT,
+        text_body TEXT,
+        attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+        sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+        notification_delivery_id BIGINT REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ,
+        last_attempt_at TIMESTAMPTZ,
+        last_error TEXT,
+        transport VARCHAR(20),
+        provider_message_id TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // One row per delivery attempt of an outbox email
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        email_id BIGINT NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+        attempt_number INTEGER NOT NULL,
+        transport VARCHAR(20) NOT NULL,
+        succeeded BOOLEAN NOT NULL,
+        provider_message_id TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        triggered_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // WhatsApp bot conversation state, one row per phone number
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+        phone VARCHAR(20) PRIMARY KEY,
+        profile_name TEXT,
+        current_flow VARCHAR(30),
+        step VARCHAR(50),
+        temp_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        needs_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        last_request_code VARCHAR(50),
+        last_message_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      ALTER TABLE whatsapp_sessions
+      ADD COLUMN IF NOT EXISTS profile_name TEXT,
+      ADD COLUMN IF NOT EXISTS needs_admin BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS last_request_code VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    `);
+
+    // Transcript of every WhatsApp message received from or sent to a phone number
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS whatsapp_messages (
+        id BIGSERIAL PRIMARY KEY,
+        phone VARCHAR(20) NOT NULL,
+        direction VARCHAR(10) NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+        message_type VARCHAR(30) NOT NULL,
+        body TEXT,
+        wa_message_id TEXT UNIQUE,
+        flow VARCHAR(30),
+        step VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'received'
+          CHECK (status IN ('received', 'sent', 'failed')),
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Clinical care plan authored by the agent or admin, one per care request
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_plans (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL UNIQUE REFERENCES care_requests(id) ON DELETE CASCADE,
+        goals TEXT,
+        shift_tasks JSONB NOT NULL DEFAULT '[]'::jsonb,
+        medications JSONB NOT NULL DEFAULT '[]'::jsonb,
+        precautions TEXT,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Daily visit notes filed by the assigned nurse against a care request
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_visit_notes (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        shift_id BIGINT REFERENCES care_request_shifts(id) ON DELETE SET NULL,
+        visit_date DATE NOT NULL,
+        tasks_completed JSONB NOT NULL DEFAULT '[]'::jsonb,
+        observations TEXT,
+        notes TEXT,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Vital sign readings recorded by the assigned nurse, one row per measurement session
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_vital_readings (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        shift_id BIGINT REFERENCES care_request_shifts(id) ON DELETE SET NULL,
+        recorded_at TIMESTAMP NOT NULL,
+        bp_systolic SMALLINT,
+        bp_diastolic SMALLINT,
+        pulse SMALLINT,
+        spo2 SMALLINT,
+        temperature_c NUMERIC(4,1),
+        blood_sugar_mgdl SMALLINT,
+        weight_kg NUMERIC(5,1),
+        fluid_in_ml INTEGER,
+        fluid_out_ml INTEGER,
+        notes TEXT,
+        alerts JSONB NOT NULL DEFAULT '[]'::jsonb,
+        recorded_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Out-of-range alert bounds per vital sign; request_id NULL rows are the global defaults
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS vital_alert_ranges (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER REFERENCES care_requests(id) ON DELETE CASCADE,
+        metric VARCHAR(30) NOT NULL,
+        low_value NUMERIC(7,1),
+        high_value NUMERIC(7,1),
+        updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Medication schedule per patient; each HH:MM in dose_times is one dose per day
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS medication_schedules (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+        medication_name TEXT NOT NULL,
+        dosage TEXT NOT NULL,
+        route VARCHAR(30) NOT NULL DEFAULT 'oral',
+        dose_times TEXT[] NOT NULL,
+        instructions TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE,
+        stopped_at TIMESTAMP,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date IS NULL OR end_date >= start_date)
+      )
+    `);
+
+    // Medication administration record: what happened to each scheduled dose
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS medication_doses (
+        id BIGSERIAL PRIMARY KEY,
+        schedule_id BIGINT NOT NULL REFERENCES medication_schedules(id) ON DELETE CASCADE,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        scheduled_for TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL
+          CHECK (status IN ('given','missed','refused')),
+        administered_at TIMESTAMP,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        notes TEXT,
+        recorded_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (schedule_id, scheduled_for)
+      )
+    `);
+
+    // Due/overdue reminders already sent, so the reminder worker alerts once per dose
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS medication_dose_alerts (
+        schedule_id BIGINT NOT NULL REFERENCES medication_schedules(id) ON DELETE CASCADE,
+        scheduled_for TIMESTAMP NOT NULL,
+        alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('due','overdue')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (schedule_id, scheduled_for, alert_type)
+      )
+    `);
+
+    // On-the-job incidents (falls, medication errors, complaints, nurse safety) and their investigation
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS incident_reports (
+        id SERIAL PRIMARY KEY,
+        reference_code VARCHAR(20) UNIQUE,
+        category VARCHAR(30) NOT NULL
+          CHECK (category IN ('fall','medication_error','patient_complaint','nurse_safety','abuse_or_neglect','other')),
+        severity VARCHAR(20) NOT NULL
+          CHECK (severity IN ('low','moderate','high','critical')),
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open','investigating','resolved','closed')),
+        request_id INTEGER REFERENCES care_requests(id) ON DELETE SET NULL,
+        patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        occurred_at TIMESTAMP NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        immediate_action TEXT,
+        reported_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reported_by_role VARCHAR(20) NOT NULL,
+        escalated_at TIMESTAMP,
+        listing_suspended_at TIMESTAMP,
+        listing_restored_at TIMESTAMP,
+        resolution_summary TEXT,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Investigation timeline: notes, status changes and escalations on an incident
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS incident_notes (
+        id BIGSERIAL PRIMARY KEY,
+        incident_id INTEGER NOT NULL REFERENCES incident_reports(id) ON DELETE CASCADE,
+        note_type VARCHAR(20) NOT NULL DEFAULT 'note'
+          CHECK (note_type IN ('note','status_change','escalation')),
+        body TEXT NOT NULL,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_by_role VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Corrective actions agreed during an investigation, tracked until done
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS incident_corrective_actions (
+        id BIGSERIAL PRIMARY KEY,
+        incident_id INTEGER NOT NULL REFERENCES incident_reports(id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        owner_name TEXT,
+        due_date DATE,
+        completed_at TIMESTAMP,
+        completed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per nurse certificate awaiting or holding an admin decision. Rows are synced from
+    // nurses.qualifications and nurses.medical_fit_url; a new upload resets the row to pending.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS nurse_document_reviews (
+        id BIGSERIAL PRIMARY KEY,
+        nurse_id INTEGER NOT NULL REFERENCES nurses(id) ON DELETE CASCADE,
+        document_key TEXT NOT NULL,
+        document_label TEXT NOT NULL,
+        document_url TEXT NOT NULL,
+        is_time_bound BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(30) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected', 'reupload_requested', 'expired')),
+        expires_on DATE,
+        review_note TEXT,
+        reviewed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        reminders_sent INTEGER NOT NULL DEFAULT 0,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (nurse_id, document_key)
+      )
+    `);
+
+    // Family reviews wait for admin moderation; ratings recorded by staff (and every rating
+    // saved before moderation existed) count as approved.
+    await pool.query(`
+      ALTER TABLE care_request_ratings
+      ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+        CHECK (review_status IN ('pending', 'approved', 'rejected')),
+      ADD COLUMN IF NOT EXISTS moderation_note TEXT,
+      ADD COLUMN IF NOT EXISTS moderated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP
+    `);
+
+    // Hard-field edits from approved nurses wait here until an admin reviews them; the live
+    // profile keeps its approved values meanwhile. changes holds {field: {from, to}}.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS nurse_profile_change_requests (
+        id BIGSERIAL PRIMARY KEY,
+        nurse_id INTEGER NOT NULL REFERENCES nurses(id) ON DELETE CASCADE,
+        status VARCHAR(30) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'partially_approved', 'rejected', 'withdrawn')),
+        changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+        approved_fields TEXT[] NOT NULL DEFAULT '{}',
+        review_reason TEXT,
+        reviewed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Each nurse's period on a care request; a replacement ends one period and starts the next
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_assignments (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        nurse_id INTEGER REFERENCES nurses(id) ON DELETE SET NULL,
+        starts_on DATE NOT NULL,
+        ends_on DATE,
+        end_reason VARCHAR(30),
+        end_note TEXT,
+        created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ended_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_on IS NULL OR ends_on >= starts_on)
+      )
+    `);
+
+    // Admin overrides of the built-in SLA targets in services/careRequestSla.js
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_sla_targets (
+        policy_key VARCHAR(40) PRIMARY KEY,
+        target_hours NUMERIC(6,2) NOT NULL CHECK (target_hours > 0),
+        is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per SLA a request missed, so admins are escalated to once per breach
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS care_request_sla_breaches (
+        id BIGSERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES care_requests(id) ON DELETE CASCADE,
+        policy_key VARCHAR(40) NOT NULL,
+        target_hours NUMERIC(6,2) NOT NULL,
+        due_at TIMESTAMP NOT NULL,
+        breached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP,
+        UNIQUE (request_id, policy_key)
+      )
+    `);
+
     // Ensure care request assignment column exists on already-deployed databases
     await pool.query(`
       ALTER TABLE care_requests
@@ -681,7 +1322,24 @@ async function initializeDatabase() {
       ADD COLUMN IF NOT EXISTS marketplace_ready BOOLEAN DEFAULT FALSE,
       ADD COLUMN IF NOT EXISTS payment_status TEXT DEFAULT 'pending',
       ADD COLUMN IF NOT EXISTS assignment_comment TEXT,
-      ADD COLUMN IF NOT EXISTS nurse_notified BOOLEAN DEFAULT FALSE
+      ADD COLUMN IF NOT EXISTS nurse_notified BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS service_latitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS service_longitude NUMERIC(9,6),
+      ADD COLUMN IF NOT EXISTS preferred_nurse_gender VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS preferred_languages TEXT[] DEFAULT ARRAY[]::TEXT[],
+      ADD COLUMN IF NOT EXISTS renewed_from_request_id INTEGER REFERENCES care_requests(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS service_starts_on DATE,
+      ADD COLUMN IF NOT EXISTS visit_days TEXT[] DEFAULT ARRAY[]::TEXT[],
+      ADD COLUMN IF NOT EXISTS visit_time VARCHAR(5),
+      ADD COLUMN IF NOT EXISTS renewal_prompted_at TIMESTAMP
+    `);
+
+    // A request has at most one live follow-on; cancelling it allows another renewal.
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_care_requests_renewed_from
+      ON care_requests (renewed_from_request_id)
+      WHERE renewed_from_request_id IS NOT NULL
+        AND status <> 'cancelled'
     `);
 
     // Drop legacy status check before backfilling old values to new lifecycle states.
@@ -1120,10 +1778,166 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_care_request_ratings_nurse
       ON care_request_ratings (nurse_id, created_at DESC)
     `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_ratings_review_status
+      ON care_request_ratings (review_status, updated_at DESC)
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_nurse_profile_change_requests_pending
+      ON nurse_profile_change_requests (nurse_id)
+      WHERE status = 'pending'
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_nurse_profile_change_requests_status
+      ON nurse_profile_change_requests (status, updated_at DESC)
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_care_request_assignments_open
+      ON care_request_assignments (request_id)
+      WHERE ends_on IS NULL
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_assignments_request
+      ON care_request_assignments (request_id, starts_on)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_sla_breaches_open
+      ON care_request_sla_breaches (breached_at DESC)
+      WHERE resolved_at IS NULL
+    `);
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_care_request_earnings_nurse
       ON care_request_earnings (nurse_id, payout_status, generated_at DESC)
     `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_shifts_request
+      ON care_request_shifts (request_id, starts_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_shifts_nurse
+      ON care_request_shifts (nurse_id, status, starts_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_invoices_request
+      ON care_request_invoices (request_id, invoice_date DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_request_earnings_payout_batch
+      ON care_request_earnings (payout_batch_id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_commission_ledger_agent_month
+      ON agent_commission_ledger (LOWER(agent_email), statement_month, id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_commission_ledger_source
+      ON agent_commission_ledger (source_type, source_id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user
+      ON api_tokens (user_id, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_entity
+      ON audit_logs (entity_type, entity_id, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_actor
+      ON audit_logs (actor_user_id, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at
+      ON audit_logs (created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+      ON user_sessions (user_id, last_seen_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at
+      ON user_sessions (expires_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user
+      ON notification_deliveries (user_id, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notification
+      ON notification_deliveries (notification_id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_pending
+      ON notification_deliveries (status, created_at)
+      WHERE status IN ('pending', 'failed')
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+      ON email_outbox (next_attempt_at)
+      WHERE status IN ('pending', 'sending')
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_status_created
+      ON email_outbox (status, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_attempts_email
+      ON email_outbox_attempts (email_id, attempt_number)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_phone
+      ON whatsapp_messages (phone, created_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_last_message
+      ON whatsapp_sessions (last_message_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_visit_notes_request
+      ON care_visit_notes (request_id, visit_date DESC, id DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_incident_reports_status
+      ON incident_reports (status, severity, created_at DESC)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_incident_reports_nurse
+      ON incident_reports (nurse_id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_incident_notes_incident
+      ON incident_notes (incident_id, created_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_nurse_document_reviews_status
+      ON nurse_document_reviews (status, submitted_at)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_nurse_document_reviews_expiry
+      ON nurse_document_reviews (expires_on)
+      WHERE status = 'approved'
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_medication_schedules_request
+      ON medication_schedules (request_id)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_medication_doses_request
+      ON medication_doses (request_id, scheduled_for)
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_care_vital_readings_request
+      ON care_vital_readings (request_id, recorded_at)
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_vital_alert_ranges_default
+      ON vital_alert_ranges (metric)
+      WHERE request_id IS NULL
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_vital_alert_ranges_request
+      ON vital_alert_ranges (request_id, metric)
+      WHERE request_id IS NOT NULL
+    `);
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_notifications_user_id
       ON notifications(user_id)
@@ -445,7 +445,7 @@ function transformNurseFromDB(row) {
     publicSkills: row.public_skills || [],
     availability: row.availability || [],
     status: row.status || 'Pending',
-    isVerified: row.is_verified === true || String(row.status || '').toLowerCase() === 'approved',
+    isVerified: row.is_verified === true,
     agentEmail: row.agent_email || '',
     agentEmails: row.agent_emails || [],
     profileImageUrl: normalizedProfileImageUrl,
@@ -1364,6 +1364,7 @@ module.exports = {
   getNurseByUserId,
   getNurseByEmail,
   getNurseByProfileSlug,
+  transformNurseFromDB,
   createNurse,
   updateNurse,
   deleteNurse,
@@ -25,5 +25,6 @@ async function generateAgentId(db) {
 
 module.exports = {
   generateNurseId,
-  generateAgentId
+  generateAgentId,
+  getNextCounterValue
 };
@@ -0,0 +1,132 @@
+/**
+ * WhatsApp Cloud API Module
+ * Sends outbound WhatsApp messages through the Meta Graph API
+ */
+
+require("dotenv").config();
+const axios = require("axios");
+
+const GRAPH_API_VERSION = "v22.0";
+// Point at a local stub (scripts/whatsapp-graph-stub.js) to exercise the bot without Meta.
+const GRAPH_API_BASE_URL = String(process.env.WHATSAPP_API_BASE_URL || "https://graph.facebook.com").replace(/\/+$/, "");
+
+function isWhatsAppConfigured() {
+  return Boolean(process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_ACCESS_TOKEN);
+}
+
+/**
+ * Convert a stored phone number to the international format WhatsApp expects (India by default)
+ * @param {string} phone - Phone number in any common format
+ * @returns {string} Digits with country code, or "" when the number is unusable
+ */
+function toWhatsAppNumber(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 10) return `91${digits}`;
+  if (digits.length === 12 && digits.startsWith("91")) return digits;
+  return "";
+}
+
+/**
+ * Send a raw message payload
+ * @param {string} to - Recipient number with country code
+ * @param {object} payload - Message fields (type plus the matching body)
+ */
+async function sendWhatsAppMessage(to, payload) {
+  if (!isWhatsAppConfigured()) {
+    throw new Error("WhatsApp Cloud API credentials are not configured.");
+  }
+
+  const response = await axios.post(
+    `${GRAPH_API_BASE_URL}/${GRAPH_API_VERSION}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+    {
+      messaging_product: "whatsapp",
+      to,
+      ...payload
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        "Content-Type": "application/json"
+      },
+      timeout: 15000
+    }
+  );
+
+  const messageId = response.data && response.data.messages && response.data.messages[0]
+    ? response.data.messages[0].id
+    : null;
+  return { messageId };
+}
+
+/**
+ * Send a plain text message
+ * @param {string} to - Recipient number with country code
+ * @param {string} text - Message body
+ */
+async function sendWhatsAppText(to, text) {
+  return sendWhatsAppMessage(to, {
+    type: "text",
+    text: { body: String(text || "").slice(0, 4096) }
+  });
+}
+
+/**
+ * Send up to three quick-reply buttons
+ * @param {string} to - Recipient number with country code
+ * @param {string} text - Message body
+ * @param {Array<{id: string, title: string}>} buttons - Reply buttons (titles max 20 characters)
+ */
+async function sendWhatsAppButtons(to, text, buttons) {
+  return sendWhatsAppMessage(to, {
+    type: "interactive",
+    interactive: {
+      type: "button",
+      body: { text: String(text || "").slice(0, 1024) },
+      action: {
+        buttons: buttons.slice(0, 3).map((button) => ({
+          type: "reply",
+          reply: { id: button.id, title: String(button.title).slice(0, 20) }
+        }))
+      }
+    }
+  });
+}
+
+/**
+ * Send a single-section list message (up to ten rows)
+ * @param {string} to - Recipient number with country code
+ * @param {string} text - Message body
+ * @param {string} buttonLabel - Label of the button that opens the list
+ * @param {Array<{id: string, title: string, description?: string}>} rows - List rows (titles max 24 characters)
+ */
+async function sendWhatsAppList(to, text, buttonLabel, rows) {
+  return sendWhatsAppMessage(to, {
+    type: "interactive",
+    interactive: {
+      type: "list",
+      body: { text: String(text || "").slice(0, 1024) },
+      action: {
+        button: String(buttonLabel).slice(0, 20),
+        sections: [
+          {
+            title: "Options",
+            rows: rows.slice(0, 10).map((row) => ({
+              id: row.id,
+              title: String(row.title).slice(0, 24),
+              description: row.description ? String(row.description).slice(0, 72) : undefined
+            }))
+          }
+        ]
+      }
+    }
+  });
+}
+
+module.exports = {
+  isWhatsAppConfigured,
+  sendWhatsAppButtons,
+  sendWhatsAppList,
+  sendWhatsAppMessage,
+  sendWhatsAppText,
+  toWhatsAppNumber
+};
@@ -0,0 +1,88 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+  AGENT_REFERRAL_PERCENT,
+  buildCareRequestAccruals,
+  normalizeStatementMonthInput,
+  syncCareRequestCommissionAccruals
+} = require("../services/agentCommissions");
+
+const completed = {
+  id: 1,
+  patient_id: 3,
+  request_code: "CR-1",
+  request_status: "completed",
+  has_earnings: true,
+  payout_status: "pending",
+  platform_fee: "2000",
+  agent_email: "Owner@Example.com",
+  last_transferred_by: null,
+  transfer_margin_amount: 0,
+  referrer_agent_email: null
+};
+
+// Answers the queries syncCareRequestCommissionAccruals makes and records the ledger rows it posts.
+function createFakeDb(source, ledger) {
+  const posted = [];
+  return {
+    posted,
+    async query(sql, params) {
+      if (sql.includes("FROM care_requests cr")) return { rows: [source] };
+      if (sql.includes("FROM agent_commission_ledger l")) return { rows: ledger };
+      if (sql.includes("INSERT INTO agent_commission_ledger")) {
+        posted.push({ agentEmail: params[0], entryType: params[1], amount: params[2], reversesEntryId: params[7] });
+        return { rows: [{ id: 100 + posted.length }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+test("only completed requests with live earnings accrue commission", () => {
+  assert.deepEqual(buildCareRequestAccruals({ ...completed, request_status: "active" }), []);
+  assert.deepEqual(buildCareRequestAccruals({ ...completed, has_earnings: false }), []);
+  assert.deepEqual(buildCareRequestAccruals({ ...completed, payout_status: "cancelled" }), []);
+  assert.deepEqual(buildCareRequestAccruals(completed).map((entry) => [entry.agentEmail, entry.entryType, entry.amount]), [
+    ["owner@example.com", "patient_commission", 2000]
+  ]);
+});
+
+test("a transfer margin moves from the owner to the transferring agent, and the referrer earns a share", () => {
+  const entries = buildCareRequestAccruals({
+    ...completed,
+    last_transferred_by: "mover@example.com",
+    transfer_margin_amount: "300",
+    referrer_agent_email: "referrer@example.com"
+  });
+  assert.deepEqual(entries.map((entry) => [entry.agentEmail, entry.entryType, entry.amount]), [
+    ["owner@example.com", "patient_commission", 2000],
+    ["mover@example.com", "transfer_margin", 300],
+    ["owner@example.com", "transfer_margin", -300],
+    ["referrer@example.com", "referral", 2000 * AGENT_REFERRAL_PERCENT / 100]
+  ]);
+});
+
+test("statement months must be YYYY-MM", () => {
+  assert.equal(normalizeStatementMonthInput("2026-10"), "2026-10");
+  assert.equal(normalizeStatementMonthInput("2026-13"), "");
+  assert.equal(normalizeStatementMonthInput("10-2026"), "");
+});
+
+test("re-syncing unchanged earnings posts nothing", async () => {
+  const db = createFakeDb(completed, [
+    { id: 1, agent_email: "owner@example.com", entry_type: "patient_commission", amount: "2000.00" }
+  ]);
+  assert.deepEqual(await syncCareRequestCommissionAccruals(db, 1), { posted: 0, reversed: 0 });
+  assert.equal(db.posted.length, 0);
+});
+
+test("changed earnings reverse the old accrual and post the new one instead of editing it", async () => {
+  const db = createFakeDb({ ...completed, platform_fee: "1500" }, [
+    { id: 1, agent_email: "owner@example.com", entry_type: "patient_commission", amount: "2000.00", description: "Commission on CR-1" }
+  ]);
+  assert.deepEqual(await syncCareRequestCommissionAccruals(db, 1), { posted: 1, reversed: 1 });
+  assert.deepEqual(db.posted, [
+    { agentEmail: "owner@example.com", entryType: "reversal", amount: -2000, reversesEntryId: 1 },
+    { agentEmail: "owner@example.com", entryType: "patient_commission", amount: 1500, reversesEntryId: null }
+  ]);
+});
@@ -0,0 +1,52 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { resolveEarningsSplit, splitAmount } = require("../services/careRequestEarnings");
+
+// Answers the assignment-period and attendance summaries resolveEarningsSplit reads.
+function createFakeDb({ periods = [], attendance = [] }) {
+  return {
+    async query(sql) {
+      if (sql.includes("AS worked_minutes")) {
+        return { rows: attendance.map(([nurseId, minutes]) => ({ nurse_id: nurseId, worked_minutes: minutes })) };
+      }
+      if (sql.includes("FROM care_request_assignments a")) {
+        return { rows: periods.map(([nurseId, days]) => ({ nurse_id: nurseId, days })) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const summarize = (split) => split.map((item) => [item.nurseId, Number(item.share.toFixed(4)), item.basis]);
+
+test("amounts split to the paisa with the remainder on the last nurse", () => {
+  assert.deepEqual(splitAmount(1000, [1 / 3, 1 / 3, 1 / 3]), [333.33, 333.33, 333.34]);
+  assert.deepEqual(splitAmount(999.99, [0.5, 0.5]), [500, 499.99]);
+  assert.deepEqual(splitAmount(750, [1]), [750]);
+});
+
+test("a request served by one nurse pays that nurse in full", async () => {
+  const db = createFakeDb({ periods: [[7, 30]] });
+  assert.deepEqual(await resolveEarningsSplit(db, 1, 7, { workedRatio: 1 }), [{ nurseId: 7, share: 1, basis: "single_nurse" }]);
+});
+
+test("after a replacement the roster's worked minutes decide the split", async () => {
+  const db = createFakeDb({ periods: [[7, 10], [8, 20]], attendance: [[7, 600], [8, 1800], [9, 0]] });
+  assert.deepEqual(summarize(await resolveEarningsSplit(db, 1, 8, { workedRatio: 1 })), [
+    [7, 0.25, "worked_minutes"],
+    [8, 0.75, "worked_minutes"]
+  ]);
+});
+
+test("without a roster the split follows the days of each assignment period", async () => {
+  const db = createFakeDb({ periods: [[7, 10], [8, 20]] });
+  assert.deepEqual(summarize(await resolveEarningsSplit(db, 1, 8, null)), [
+    [7, 0.3333, "assignment_days"],
+    [8, 0.6667, "assignment_days"]
+  ]);
+});
+
+test("a nurse replaced before service began gets nothing", async () => {
+  const db = createFakeDb({ periods: [[7, 0], [8, 20]] });
+  assert.deepEqual(await resolveEarningsSplit(db, 1, 8, null), [{ nurseId: 8, share: 1, basis: "single_nurse" }]);
+});
@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { SLA_POLICIES, describeSlaClock, evaluateSlaPolicy, normalizeSlaPolicyInput } = require("../services/careRequestSla");
+
+const firstContact = { ...SLA_POLICIES.find((policy) => policy.key === "first_contact"), targetHours: 2 };
+const paymentConfirmed = { ...SLA_POLICIES.find((policy) => policy.key === "payment_confirmed"), targetHours: 48 };
+const submitted = { status: "open", payment_status: "pending", created_at: "2026-10-19T09:00:00" };
+const at = (value) => new Date(value);
+
+test("a running clock is on track, then due soon, then breached", () => {
+  assert.equal(evaluateSlaPolicy(firstContact, submitted, at("2026-10-19T10:00:00")).state, "on_track");
+  assert.equal(evaluateSlaPolicy(firstContact, submitted, at("2026-10-19T10:30:00")).state, "due_soon");
+
+  const breached = evaluateSlaPolicy(firstContact, submitted, at("2026-10-19T12:00:00"));
+  assert.equal(breached.state, "breached");
+  assert.equal(breached.isOpen, true);
+  assert.equal(breached.minutesFromDue, 60);
+  assert.equal(describeSlaClock(breached), "First contact overdue 1h");
+});
+
+test("a stopped clock is met or met late by when it stopped", () => {
+  const now = at("2026-10-20T09:00:00");
+  const onTime = evaluateSlaPolicy(firstContact, { ...submitted, status: "assigned", contacted_at: "2026-10-19T10:00:00" }, now);
+  assert.equal(onTime.state, "met");
+  assert.equal(onTime.isOpen, false);
+
+  const late = evaluateSlaPolicy(firstContact, { ...submitted, status: "assigned", contacted_at: "2026-10-19T11:30:00" }, now);
+  assert.equal(late.state, "met_late");
+  assert.equal(late.minutesFromDue, 30);
+});
+
+test("assignment stops the first contact clock when no earlier contact was logged", () => {
+  const result = evaluateSlaPolicy(firstContact, { ...submitted, status: "assigned", assigned_at: "2026-10-19T10:00:00" }, at("2026-10-20T09:00:00"));
+  assert.equal(result.state, "met");
+  assert.deepEqual(result.metAt, at("2026-10-19T10:00:00"));
+});
+
+test("a clock that has not started, or stopped at an unknown time, is left out or counted as met", () => {
+  assert.equal(evaluateSlaPolicy(paymentConfirmed, submitted, at("2026-10-25T09:00:00")), null);
+  const legacy = evaluateSlaPolicy(firstContact, { ...submitted, status: "active" }, at("2026-10-25T09:00:00"));
+  assert.equal(legacy.state, "met");
+  assert.equal(legacy.metAt, null);
+});
+
+test("cancelling before the target runs out does not count as a breach", () => {
+  const now = at("2026-10-20T09:00:00");
+  assert.equal(evaluateSlaPolicy(firstContact, { ...submitted, status: "cancelled", cancelled_at: "2026-10-19T10:00:00" }, now), null);
+  const result = evaluateSlaPolicy(firstContact, { ...submitted, status: "cancelled", cancelled_at: "2026-10-19T13:00:00" }, now);
+  assert.equal(result.state, "breached");
+  assert.equal(result.isOpen, false);
+});
+
+test("targets must be positive hours within the limit", () => {
+  const targets = normalizeSlaPolicyInput({
+    target_first_contact: "1.5",
+    enabled_first_contact: "on",
+    target_nurse_assigned: "24",
+    target_payment_confirmed: "48"
+  });
+  assert.deepEqual(targets.first_contact, { targetHours: 1.5, enabled: true });
+  assert.equal(targets.nurse_assigned.enabled, false);
+  assert.throws(() => normalizeSlaPolicyInput({ target_first_contact: "0" }), /First contact target/);
+});
@@ -0,0 +1,92 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+  assertCareRequestTransition,
+  validateWorkflowDefinition
+} = require("../services/careRequestWorkflow");
+
+const request = (status, overrides = {}) => ({
+  id: 1,
+  status,
+  payment_status: "paid",
+  assigned_nurse_id: 7,
+  ...overrides
+});
+
+test("completing a completed job is rejected", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("completed"), "completed", { role: "agent" }),
+    /already Completed/
+  );
+});
+
+test("confirming payment on an active request is rejected", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("active"), "active", { role: "admin", changes: { payment_status: "paid" } }),
+    /already Active/
+  );
+});
+
+test("starting an active job is rejected", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("active"), "active", { role: "agent", changes: { payment_status: "paid" } }),
+    /already Active/
+  );
+});
+
+test("reassigning an open request is rejected", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("open", { assigned_nurse_id: null }), "open", { role: "admin" }),
+    /already Open/
+  );
+});
+
+test("cancelling a cancelled request is rejected", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("cancelled"), "cancelled", { role: "admin" }),
+    /already Cancelled/
+  );
+});
+
+test("changing the nurse goes through the change_nurse update and its hooks", () => {
+  const rule = assertCareRequestTransition(request("active"), "active", {
+    role: "admin",
+    changes: { assigned_nurse_id: 9 },
+    update: "change_nurse"
+  });
+  assert.equal(rule.key, "change_nurse");
+  assert.deepEqual(rule.hooks, ["start_assignment_period"]);
+});
+
+test("change_nurse still checks its state, role and guards", () => {
+  assert.throws(
+    () => assertCareRequestTransition(request("open"), "open", { role: "admin", update: "change_nurse" }),
+    /not allowed while the request is Open/
+  );
+  assert.throws(
+    () => assertCareRequestTransition(request("assigned"), "assigned", { role: "nurse", update: "change_nurse" }),
+    /Your role cannot/
+  );
+  assert.throws(
+    () => assertCareRequestTransition(request("assigned"), "assigned", {
+      role: "agent",
+      changes: { assigned_nurse_id: null },
+      update: "change_nurse"
+    }),
+    /nurse/i
+  );
+  assert.throws(
+    () => assertCareRequestTransition(request("assigned"), "payment_pending", { role: "admin", update: "change_nurse" }),
+    /not allowed/
+  );
+});
+
+test("updates on terminal states fail validation", () => {
+  const errors = validateWorkflowDefinition({
+    initialState: "open",
+    states: [{ key: "open" }, { key: "completed", terminal: true }],
+    transitions: [{ from: ["open"], to: "completed", roles: ["admin"] }],
+    updates: [{ key: "change_nurse", states: ["completed"], roles: ["admin"] }]
+  });
+  assert.deepEqual(errors, ['Terminal state "completed" cannot have updates.']);
+});
@@ -0,0 +1,68 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { addDays, formatLocalDate, generateCareRequestShifts } = require("../services/careShifts");
+
+// Answers the queries generateCareRequestShifts makes and records the shifts it inserts.
+function createFakeDb({ firstShiftDate = null, serviceStartsOn = null, keptDates = [] } = {}) {
+  const inserted = [];
+  return {
+    inserted,
+    async query(sql, params) {
+      if (sql.includes("FROM care_requests cr")) {
+        return {
+          rows: [{
+            id: 1,
+            status: "active",
+            assigned_nurse_id: 7,
+            service_schedule: "",
+            duration_value: 10,
+            duration_unit: "days",
+            visit_days: [],
+            visit_time: "",
+            service_starts_on: serviceStartsOn
+          }]
+        };
+      }
+      if (sql.includes("MIN(shift_date)")) return { rows: [{ first_date: firstShiftDate }] };
+      if (sql.includes("DELETE FROM care_request_shifts")) return { rowCount: 0, rows: [] };
+      if (sql.includes("SELECT to_char(shift_date")) {
+        return { rows: keptDates.filter((date) => date >= params[1]).map((date) => ({ shift_date: date })) };
+      }
+      if (sql.includes("INSERT INTO care_request_shifts")) {
+        inserted.push(params[2]);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const today = formatLocalDate(new Date());
+
+test("regenerating keeps the end date of the booked duration", async () => {
+  const firstShiftDate = addDays(today, -4);
+  const db = createFakeDb({ firstShiftDate, keptDates: [firstShiftDate, addDays(today, -1)] });
+  const outcome = await generateCareRequestShifts(db, 1);
+  assert.equal(outcome.startDate, today);
+  assert.equal(outcome.endDate, addDays(firstShiftDate, 9));
+  assert.equal(db.inserted.length, 6);
+  assert.equal(db.inserted[0], today);
+  assert.equal(db.inserted[db.inserted.length - 1], outcome.endDate);
+});
+
+test("a later start date only fills the remaining days", async () => {
+  const firstShiftDate = addDays(today, -2);
+  const db = createFakeDb({ firstShiftDate, keptDates: [addDays(today, 5)] });
+  const outcome = await generateCareRequestShifts(db, 1, { startDate: addDays(today, 3) });
+  assert.equal(outcome.endDate, addDays(today, 7));
+  assert.deepEqual(db.inserted, [addDays(today, 3), addDays(today, 4), addDays(today, 6), addDays(today, 7)]);
+});
+
+test("a first roster starts on the service start date", async () => {
+  const serviceStartsOn = addDays(today, 2);
+  const db = createFakeDb({ serviceStartsOn });
+  const outcome = await generateCareRequestShifts(db, 1);
+  assert.equal(outcome.startDate, serviceStartsOn);
+  assert.equal(outcome.endDate, addDays(serviceStartsOn, 9));
+  assert.equal(db.inserted.length, 10);
+});
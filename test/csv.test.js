@@ -0,0 +1,21 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { buildCsv, escapeCsvValue } = require("../utils/csv");
+
+test("cells a spreadsheet would run as a formula are neutralised", () => {
+  assert.equal(escapeCsvValue("=HYPERLINK(\"http://x\")"), "\"'=HYPERLINK(\"\"http://x\"\")\"");
+  assert.equal(escapeCsvValue("+91 98765"), "'+91 98765");
+  assert.equal(escapeCsvValue("-2+3"), "'-2+3");
+  assert.equal(escapeCsvValue("@SUM(A1)"), "'@SUM(A1)");
+});
+
+test("plain values and signed amounts are written as they are", () => {
+  assert.equal(escapeCsvValue("-250.00"), "-250.00");
+  assert.equal(escapeCsvValue(12.5), "12.5");
+  assert.equal(escapeCsvValue(null), "");
+  assert.equal(escapeCsvValue("Asha, RN"), "\"Asha, RN\"");
+});
+
+test("rows are joined with CRLF", () => {
+  assert.equal(buildCsv([["a", "b"], ["c"]]), "a,b\r\nc");
+});
@@ -0,0 +1,85 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+// No API key, so the resend transport fails every send without touching the network.
+delete process.env.RESEND_API_KEY;
+const {
+  EMAIL_RETRY_DELAYS_SECONDS,
+  getRetryDelaySeconds,
+  processDueEmails,
+  sendQueuedEmail
+} = require("../services/emailOutbox");
+
+// Answers the outbox queries; `nextStatus` is what the failure UPDATE's CASE would pick.
+function createFakeDb({ nextStatus = "pending", expired = [], due = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params = []) {
+      calls.push({ sql, params });
+      if (sql.includes("INSERT INTO email_outbox (")) return { rows: [{ id: 9 }] };
+      if (sql.includes("'(expired before delivery)'")) return { rows: expired };
+      if (sql.includes("FOR UPDATE SKIP LOCKED")) return { rows: due };
+      if (sql.includes("SET status = 'sending'")) {
+        return { rows: [{ id: 9, attempts: 1, to_address: "family@example.com", subject: "OTP", notification_delivery_id: 4 }] };
+      }
+      if (sql.includes("RETURNING status")) return { rows: [{ status: nextStatus }] };
+      return { rows: [] };
+    }
+  };
+}
+
+const findCall = (db, fragment) => db.calls.find((call) => call.sql.includes(fragment));
+
+function withTransport(name, run) {
+  return async () => {
+    const previous = process.env.EMAIL_TRANSPORT;
+    process.env.EMAIL_TRANSPORT = name;
+    try {
+      await run();
+    } finally {
+      if (previous === undefined) delete process.env.EMAIL_TRANSPORT;
+      else process.env.EMAIL_TRANSPORT = previous;
+    }
+  };
+}
+
+test("retries back off and then repeat the longest delay", () => {
+  assert.deepEqual([1, 2, 3, 4].map(getRetryDelaySeconds), EMAIL_RETRY_DELAYS_SECONDS);
+  assert.equal(getRetryDelaySeconds(9), EMAIL_RETRY_DELAYS_SECONDS[EMAIL_RETRY_DELAYS_SECONDS.length - 1]);
+  assert.equal(getRetryDelaySeconds(0), EMAIL_RETRY_DELAYS_SECONDS[0]);
+});
+
+test("a failed first send stays queued with the first retry delay", withTransport("resend", async () => {
+  const db = createFakeDb();
+  const outcome = await sendQueuedEmail(db, { from: "care@example.com", to: "family@example.com", subject: "OTP", text: "123456" });
+  assert.equal(outcome.success, false);
+  assert.equal(outcome.queued, true);
+  assert.match(outcome.error, /not configured/);
+  assert.equal(findCall(db, "RETURNING status").params[2], EMAIL_RETRY_DELAYS_SECONDS[0]);
+  assert.equal(findCall(db, "UPDATE notification_deliveries"), undefined);
+}));
+
+test("a send that runs out of attempts marks its notification delivery failed", withTransport("resend", async () => {
+  const db = createFakeDb({ nextStatus: "failed" });
+  const outcome = await sendQueuedEmail(db, { from: "care@example.com", to: "family@example.com", subject: "OTP" });
+  assert.equal(outcome.queued, false);
+  assert.deepEqual(findCall(db, "UPDATE notification_deliveries").params.slice(0, 2), [4, "failed"]);
+}));
+
+test("a successful send is recorded as sent", withTransport("console", async () => {
+  const db = createFakeDb();
+  const outcome = await sendQueuedEmail(db, { from: "care@example.com", to: "family@example.com", subject: "OTP", text: "123456" });
+  assert.equal(outcome.success, true);
+  assert.ok(findCall(db, "SET status = 'sent'"));
+  assert.deepEqual(findCall(db, "UPDATE notification_deliveries").params.slice(0, 2), [4, "sent"]);
+}));
+
+test("expired messages are failed before the worker claims a batch", async () => {
+  const db = createFakeDb({ expired: [{ id: 3, notification_delivery_id: 8, last_error: "(expired before delivery)" }] });
+  assert.equal(await processDueEmails(db), 0);
+  assert.deepEqual(findCall(db, "UPDATE notification_deliveries").params, [8, "failed", "(expired before delivery)"]);
+  const expireIndex = db.calls.findIndex((call) => call.sql.includes("'(expired before delivery)'"));
+  const claimIndex = db.calls.findIndex((call) => call.sql.includes("FOR UPDATE SKIP LOCKED"));
+  assert.ok(expireIndex < claimIndex);
+});
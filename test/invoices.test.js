@@ -0,0 +1,99 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+  buildBillingPeriods,
+  calculateInvoiceTotals,
+  createCareRequestInvoice,
+  getFinancialYearLabel,
+  normalizePlaceOfSupplyInput
+} = require("../services/invoices");
+
+// Answers the queries createCareRequestInvoice makes and records the rows it inserts.
+function createFakeDb(source) {
+  const invoices = [];
+  const items = [];
+  return {
+    invoices,
+    items,
+    async query(sql, params) {
+      if (sql.includes("FROM care_requests cr")) return { rows: [source] };
+      if (sql.includes("INSERT INTO counters")) return { rows: [{ current_value: 7 }] };
+      if (sql.includes("INSERT INTO care_request_invoices")) {
+        invoices.push(params);
+        return { rows: [{ id: 11, invoice_number: params[2], total_amount: params[20] }] };
+      }
+      if (sql.includes("INSERT INTO care_request_invoice_items")) {
+        items.push(params);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const source = {
+  id: 1,
+  patient_id: 3,
+  status: "active",
+  billing_name: "Asha Verma",
+  billing_email: "asha@example.com",
+  billing_phone: "",
+  billing_city: "Gurugram",
+  service_schedule: "12 Hour Shift (Day)",
+  duration_value: 3,
+  duration_unit: "months",
+  contract_amount: "100000",
+  assigned_nurse_name: "Meena",
+  first_shift_date: "2026-05-01",
+  previous_place_of_supply: null
+};
+
+test("monthly contracts bill one period per calendar month", () => {
+  assert.deepEqual(buildBillingPeriods({ startDate: "2026-05-01", durationValue: 3, durationUnit: "months" }), [
+    { start: "2026-05-01", end: "2026-05-31" },
+    { start: "2026-06-01", end: "2026-06-30" },
+    { start: "2026-07-01", end: "2026-07-31" }
+  ]);
+  assert.deepEqual(buildBillingPeriods({ startDate: "2026-05-01", durationValue: 10, durationUnit: "days" }), [
+    { start: "2026-05-01", end: "2026-05-10" }
+  ]);
+});
+
+test("GST is split into CGST and SGST within the state and charged as IGST across states", () => {
+  const input = { items: [{ amount: 1000 }, { amount: 500 }], discountAmount: 100, platformFee: 50, gstPercent: 18 };
+  const intraState = calculateInvoiceTotals({ ...input, interState: false });
+  assert.equal(intraState.taxableAmount, 1450);
+  assert.equal(intraState.cgstAmount, 130.5);
+  assert.equal(intraState.sgstAmount, 130.5);
+  assert.equal(intraState.igstAmount, 0);
+  assert.equal(intraState.totalAmount, 1711);
+
+  const interState = calculateInvoiceTotals({ ...input, interState: true });
+  assert.equal(interState.cgstAmount + interState.sgstAmount, 0);
+  assert.equal(interState.igstAmount, 261);
+  assert.equal(interState.totalAmount, 1711);
+});
+
+test("invoice numbers follow the April to March financial year", () => {
+  assert.equal(getFinancialYearLabel("2026-03-31"), "25-26");
+  assert.equal(getFinancialYearLabel("2026-04-01"), "26-27");
+});
+
+test("the place of supply must be a state, not a city", () => {
+  assert.equal(normalizePlaceOfSupplyInput(" tamil nadu "), "Tamil Nadu");
+  assert.equal(normalizePlaceOfSupplyInput("Gurugram"), "");
+});
+
+test("an invoice is refused until the patient's state is known", async () => {
+  const db = createFakeDb(source);
+  await assert.rejects(createCareRequestInvoice(db, 1, { invoiceDate: "2026-05-01" }), /place of supply/);
+  assert.equal(db.invoices.length, 0);
+});
+
+test("an invoice reuses the state of the request's earlier invoice and splits the contract by period", async () => {
+  const db = createFakeDb({ ...source, previous_place_of_supply: "Haryana" });
+  const invoice = await createCareRequestInvoice(db, 1, { invoiceDate: "2026-05-01" });
+  assert.match(invoice.invoiceNumber, /\/26-27\/00007$/);
+  assert.equal(db.invoices[0][10], "Haryana");
+  assert.deepEqual(db.items.map((item) => item[8]), [33333.33, 33333.33, 33333.34]);
+});
@@ -0,0 +1,80 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { normalizeMedicationScheduleInput, processMedicationReminders } = require("../services/medications");
+
+// Answers the queries processMedicationReminders makes. `pending` maps an alert type to the
+// unrecorded doses in its window; the medication_dose_alerts key is kept so a dose is claimed once.
+function createFakeDb(pending) {
+  const alerts = new Set();
+  const notifications = [];
+  return {
+    notifications,
+    async query(sql, params) {
+      if (sql.includes("INSERT INTO medication_dose_alerts")) {
+        const alertType = params[3];
+        const claimed = (pending[alertType] || []).filter((dose) => {
+          const key = `${alertType}:${dose.request_id}:${dose.scheduled_for}`;
+          if (alerts.has(key)) return false;
+          alerts.add(key);
+          return true;
+        });
+        return { rows: claimed };
+      }
+      if (sql.includes("FROM care_requests cr")) return { rows: [{ agent_user_id: 20, nurse_user_id: 30 }] };
+      if (sql.includes("FROM users u")) return { rows: params[0].map((id) => ({ id, email: "", phone_number: "" })) };
+      if (sql.includes("FROM notification_preferences")) return { rows: [] };
+      if (sql.includes("INSERT INTO notifications")) {
+        notifications.push({ userId: params[0], type: params[1] });
+        return { rows: [{ id: notifications.length }] };
+      }
+      if (sql.includes("INSERT INTO notification_deliveries")) return { rows: [{ id: notifications.length }] };
+      return { rows: [] };
+    }
+  };
+}
+
+const insulin = { request_id: 5, medication_name: "Insulin", dosage: "10 units", scheduled_for: "2026-10-19 08:00" };
+const metformin = { request_id: 5, medication_name: "Metformin", dosage: "500 mg", scheduled_for: "2026-10-19 06:00" };
+
+test("dose times are padded, de-duplicated and sorted", () => {
+  const schedule = normalizeMedicationScheduleInput({
+    medication_name: "Metformin",
+    dosage: "500 mg",
+    route: "oral",
+    dose_times: "20:00, 8:00\n08:00",
+    start_date: "2026-10-19"
+  });
+  assert.deepEqual(schedule.doseTimes, ["08:00", "20:00"]);
+  assert.throws(() => normalizeMedicationScheduleInput({ ...schedule, medication_name: "Metformin", dose_times: "8am" }), /HH:MM/);
+});
+
+test("due doses remind the nurse and overdue doses also alert the agent", async () => {
+  const db = createFakeDb({ due: [insulin], overdue: [metformin] });
+  assert.deepEqual(await processMedicationReminders(db), { due: 1, overdue: 1 });
+  assert.deepEqual(db.notifications, [
+    { userId: 30, type: "medication_due" },
+    { userId: 30, type: "medication_overdue" },
+    { userId: 20, type: "medication_overdue" }
+  ]);
+});
+
+test("a dose already reminded about is not claimed again on the next run", async () => {
+  const db = createFakeDb({ due: [insulin], overdue: [] });
+  await processMedicationReminders(db);
+  assert.deepEqual(await processMedicationReminders(db), { due: 0, overdue: 0 });
+  assert.equal(db.notifications.length, 1);
+});
+
+test("the same dose can still raise its overdue alert after its due reminder", async () => {
+  const pending = { due: [insulin], overdue: [] };
+  const db = createFakeDb(pending);
+  await processMedicationReminders(db);
+  pending.due = [];
+  pending.overdue = [insulin];
+  assert.deepEqual(await processMedicationReminders(db), { due: 0, overdue: 1 });
+  assert.deepEqual(db.notifications.map((notification) => notification.type), [
+    "medication_due",
+    "medication_overdue",
+    "medication_overdue"
+  ]);
+});
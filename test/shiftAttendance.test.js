@@ -0,0 +1,108 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const {
+  CHECK_IN_OPEN_MINUTES,
+  assertCheckInWindow,
+  measureShiftWindow,
+  recordShiftCheckIn,
+  updateServiceSiteLocation
+} = require("../services/shiftAttendance");
+
+// A 09:00-21:00 shift, read back from Postgres as naive wall-clock timestamps.
+const startsAt = new Date(2026, 9, 19, 9, 0);
+const endsAt = new Date(2026, 9, 19, 21, 0);
+const at = (hours, minutes) => new Date(2026, 9, 19, hours, minutes);
+
+test("check-in opens exactly CHECK_IN_OPEN_MINUTES before the start", () => {
+  assert.equal(CHECK_IN_OPEN_MINUTES, 60);
+  assert.throws(() => assertCheckInWindow(measureShiftWindow(startsAt, endsAt, at(7, 59))), /Check-in opens 60 minutes/);
+  assert.doesNotThrow(() => assertCheckInWindow(measureShiftWindow(startsAt, endsAt, at(8, 0))));
+});
+
+test("check-in closes when the shift ends", () => {
+  assert.doesNotThrow(() => assertCheckInWindow(measureShiftWindow(startsAt, endsAt, at(20, 59))));
+  assert.throws(() => assertCheckInWindow(measureShiftWindow(startsAt, endsAt, at(21, 0))), /already ended/);
+});
+
+test("minutes are measured on the shift's own wall clock", () => {
+  // 09:16 on the same clock is 16 minutes late, not 5.5 hours off.
+  assert.deepEqual(measureShiftWindow(startsAt, endsAt, at(9, 16)), {
+    minutes_since_start: 16,
+    minutes_until_end: 704
+  });
+  assert.deepEqual(measureShiftWindow(startsAt, endsAt, at(8, 30)), {
+    minutes_since_start: -30,
+    minutes_until_end: 750
+  });
+});
+
+// Answers the shift lookup for recordShiftCheckIn and records the attendance UPDATE.
+function createCheckInDb(site) {
+  const updates = [];
+  return {
+    updates,
+    async query(sql, params) {
+      if (sql.includes("FROM care_request_shifts s")) {
+        return {
+          rows: [{
+            id: 5,
+            request_id: 1,
+            nurse_id: 7,
+            status: "scheduled",
+            check_in_at: null,
+            check_out_at: null,
+            attendance_flags: [],
+            request_status: "active",
+            service_latitude: site ? site.latitude : null,
+            service_longitude: site ? site.longitude : null,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            local_now: at(9, 5)
+          }]
+        };
+      }
+      if (sql.includes("UPDATE care_request_shifts")) {
+        updates.push(params);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+// The site is in central Delhi; Gurugram is about 25 km away.
+const site = { latitude: "28.613939", longitude: "77.209021" };
+
+test("a check-in far from the site is flagged off_site", async () => {
+  const db = createCheckInDb(site);
+  const outcome = await recordShiftCheckIn(db, 7, 5, { latitude: "28.459497", longitude: "77.026638", accuracy: "20" });
+  assert.deepEqual(outcome.flags, ["off_site"]);
+  assert.ok(outcome.distanceMeters > 20000);
+  assert.deepEqual(db.updates[0][6], ["off_site"]);
+});
+
+test("a check-in at the site is not flagged", async () => {
+  const outcome = await recordShiftCheckIn(createCheckInDb(site), 7, 5, { latitude: "28.614100", longitude: "77.209300" });
+  assert.deepEqual(outcome.flags, []);
+  assert.ok(outcome.distanceMeters < 50);
+});
+
+test("without site coordinates the check-in is recorded as unverified", async () => {
+  const outcome = await recordShiftCheckIn(createCheckInDb(null), 7, 5, { latitude: "28.459497", longitude: "77.026638" });
+  assert.deepEqual(outcome.flags, ["location_unverified"]);
+  assert.equal(outcome.distanceMeters, null);
+});
+
+test("the site location needs both coordinates or neither", async () => {
+  const saved = [];
+  const db = {
+    async query(sql, params) {
+      saved.push(params);
+      return { rows: [{ id: params[0] }] };
+    }
+  };
+  assert.deepEqual(await updateServiceSiteLocation(db, 1, site), { latitude: 28.613939, longitude: 77.209021 });
+  assert.equal(await updateServiceSiteLocation(db, 1, { latitude: "", longitude: "" }), null);
+  assert.deepEqual(saved[1], [1, null, null]);
+  await assert.rejects(updateServiceSiteLocation(db, 1, { latitude: "28.6", longitude: "" }), /latitude and longitude/);
+});
@@ -0,0 +1,17 @@
+// Cells a spreadsheet would read as a formula. Plain numbers such as "-250.00" are left alone.
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER_REGEX = /^[-+]?\d+(\.\d+)?$/;
+
+function escapeCsvValue(value) {
+  let text = value === null || typeof value === "undefined" ? "" : String(value);
+  if (FORMULA_PREFIX_REGEX.test(text) && !PLAIN_NUMBER_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function buildCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvValue).join(",")).join("\r\n");
+}
+
+module.exports = { buildCsv, escapeCsvValue };